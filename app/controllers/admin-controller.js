@@ -0,0 +1,314 @@
+/**
+ * @module admin-controller
+ *
+ * @description Manages the accounts of linked servers and login lockouts at runtime.
+ */
+
+const auth = require('basic-auth');
+const crypto = require('crypto');
+const express = require('express');
+const account = require('../models/account-model');
+const loginModel = require('../models/login-model');
+
+const router = express.Router();
+// var debug = require( 'debug' )( 'admin-controller' );
+
+module.exports = (app) => {
+    app.use(`${app.get('base path')}/api/admin`, router);
+};
+
+router
+    .all('*', adminAuthCheck)
+    .get('/accounts', getAccountList)
+    .get('/account', getAccount)
+    .post('/account', createAccount)
+    .put('/account', updateAccount)
+    .delete('/account', removeAccount)
+    .post('/account/key', addApiKey)
+    .delete('/account/key', removeApiKey)
+    .get('/lockouts', getLockouts)
+    .delete('/lockouts', removeLockout)
+    .all('*', (req, res, next) => {
+        const error = new Error('Not allowed.');
+        error.status = 405;
+        next(error);
+    });
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function adminAuthCheck(req, res, next) {
+    const adminKey = req.app.get('admin api key');
+    const creds = auth(req);
+    const key = creds ? creds.name : '';
+
+    // set content-type to json to provide appropriate json Error responses
+    res.set('Content-Type', 'application/json');
+
+    if (!adminKey) {
+        const error = new Error('Not Allowed. The admin API is disabled.');
+        error.status = 405;
+
+        return next(error);
+    }
+
+    if (!_isEqual(key, adminKey)) {
+        const error = new Error('Not Allowed. Invalid admin API key.');
+        error.status = 401;
+        res.set(
+            'WWW-Authenticate',
+            'Basic realm="Enter admin API key as user name"'
+        );
+
+        return next(error);
+    }
+
+    next();
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getAccountList(req, res, next) {
+    account
+        .getList()
+        .then((accounts) => {
+            res.status(200).json({
+                code: 200,
+                accounts: accounts.map(_toAccountResponse),
+            });
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getAccount(req, res, next) {
+    account
+        .getStored(req.query.server_url)
+        .then((stored) => {
+            res.status(200).json({
+                code: 200,
+                account: _toAccountResponse(stored),
+            });
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function createAccount(req, res, next) {
+    account
+        .create(_fromRequest(req.body))
+        .then((stored) => {
+            res.status(201).json({
+                code: 201,
+                account: _toAccountResponse(stored),
+            });
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function updateAccount(req, res, next) {
+    account
+        .update(_fromRequest(req.body))
+        .then((stored) => {
+            res.status(200).json({
+                code: 200,
+                account: _toAccountResponse(stored),
+            });
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function removeAccount(req, res, next) {
+    account
+        .remove(req.body.server_url || req.query.server_url)
+        .then(() => {
+            res.status(204).end();
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function addApiKey(req, res, next) {
+    account
+        .addApiKey(req.body.server_url, _fromApiKeyRequest(req.body))
+        .then((apiKey) => {
+            res.status(201).json({
+                code: 201,
+                api_key: _toApiKeyResponse(apiKey),
+            });
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function removeApiKey(req, res, next) {
+    const params = { ...req.query, ...req.body };
+
+    account
+        .removeApiKey(params.server_url, params.name)
+        .then(() => {
+            res.status(204).end();
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getLockouts(req, res, next) {
+    loginModel
+        .getLockouts()
+        .then((lockouts) => {
+            res.status(200).json({
+                code: 200,
+                lockouts: lockouts.map((lockout) => ({
+                    type: lockout.type,
+                    value: lockout.value,
+                    failures: lockout.failures,
+                    lockouts: lockout.lockouts,
+                    locked_until: lockout.lockedUntil,
+                })),
+            });
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function removeLockout(req, res, next) {
+    const params = { ...req.query, ...req.body };
+    const type = params.ip ? 'ip' : 'username';
+
+    loginModel
+        .unlock(type, params.ip || params.username)
+        .then((removed) => {
+            if (!removed) {
+                const error = new Error('Lockout not found.');
+                error.status = 404;
+                throw error;
+            }
+            res.status(204).end();
+        })
+        .catch(next);
+}
+
+/**
+ * @param { object } body - request body
+ * @return {module:account-model~AccountObj} account properties, `undefined` if not provided
+ */
+function _fromRequest(body) {
+    return {
+        linkedServer: body.server_url,
+        key: body.api_key,
+        keys: Array.isArray(body.api_keys)
+            ? body.api_keys.map(_fromApiKeyRequest)
+            : body.api_keys,
+        quota: body.quota,
+        submissionQuota: body.submission_quota,
+        attachmentQuota: body.attachment_quota,
+        quotaWarning: body.quota_warning,
+        authentication: body.authentication,
+        webhooks: body.webhooks,
+    };
+}
+
+/**
+ * @param {module:account-model~AccountObj} obj - account
+ * @return { object } account as shown in API responses
+ */
+function _toAccountResponse(obj) {
+    const limit = (value) => (Number.isFinite(value) ? value : null);
+
+    return {
+        server_url: obj.linkedServer,
+        api_key: obj.key || null,
+        api_keys: obj.keys.map(_toApiKeyResponse),
+        quota: limit(obj.quota),
+        submission_quota: limit(obj.submissionQuota),
+        attachment_quota: limit(obj.attachmentQuota),
+        quota_warning: obj.quotaWarning || null,
+        authentication: obj.authentication || null,
+        webhooks: obj.webhooks,
+        created: obj.created,
+        updated: obj.updated,
+    };
+}
+
+/**
+ * @param { object } body - API key as provided in a request
+ * @return {module:account-model~ApiKey} API key
+ */
+function _fromApiKeyRequest(body) {
+    return body && typeof body === 'object'
+        ? {
+              name: body.name,
+              key: body.key,
+              expires: body.expires,
+              scopes: body.scopes,
+          }
+        : body;
+}
+
+/**
+ * @param {module:account-model~ApiKey} apiKey - API key
+ * @return { object } API key as shown in API responses
+ */
+function _toApiKeyResponse(apiKey) {
+    return {
+        name: apiKey.name,
+        key: apiKey.key,
+        created: apiKey.created || null,
+        expires: apiKey.expires || null,
+        scopes: apiKey.scopes || [],
+    };
+}
+
+/**
+ * Compares strings in constant time.
+ *
+ * @param { string } a - string
+ * @param { string } b - string
+ * @return { boolean } whether the strings are equal
+ */
+function _isEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
@@ -79,8 +79,11 @@ function authCheck(req, res, next) {
 
     account
         .get(server)
-        .then((account) => {
-            if (!key || key !== account.key) {
+        .then((acc) => {
+            const apiKey = account.getApiKey(acc, key);
+            const scope = account.getScope(req);
+
+            if (!apiKey) {
                 error = new Error('Not Allowed. Invalid API key.');
                 error.status = 401;
                 res.status(error.status).set(
@@ -88,8 +91,15 @@ function authCheck(req, res, next) {
                     'Basic realm="Enter valid API key as user name"'
                 );
                 next(error);
+            } else if (!account.hasScope(apiKey, scope)) {
+                error = new Error(
+                    `Forbidden. The API key does not have the "${scope}" scope.`
+                );
+                error.status = 403;
+                next(error);
             } else {
-                req.account = account;
+                req.account = acc;
+                req.apiKey = apiKey;
                 next();
             }
         })
@@ -4,16 +4,23 @@
 
 const auth = require('basic-auth');
 const express = require('express');
+const JSZip = require('jszip');
 const surveyModel = require('../models/survey-model');
 const instanceModel = require('../models/instance-model');
 const cacheModel = require('../models/cache-model');
+const exportModel = require('../models/export-model');
+const submissionModel = require('../models/submission-model');
+const usageModel = require('../models/usage-model');
+const linkModel = require('../models/link-model');
+const prefetchModel = require('../models/prefetch-model');
 const account = require('../models/account-model');
+const communicator = require('../lib/communicator');
 const pdf = require('../lib/pdf');
 const utils = require('../lib/utils');
 const keys = require('../lib/router-utils').idEncryptionKeys;
+const errorHandler = require('./error-handler');
 
 const router = express.Router();
-const quotaErrorMessage = 'Forbidden. No quota left';
 // var debug = require( 'debug' )( 'api-controller-v2' );
 
 module.exports = (app) => {
@@ -34,6 +41,7 @@ router
     .all('/*/iframe', _setIframe)
     .all('/survey/all', _setIframe)
     .all('/surveys/list', _setIframe)
+    .all('/surveys/available*', _setIframe)
     .all('*/pdf', _setPage)
     .all('/survey/preview*', (req, res, next) => {
         req.webformType = 'preview';
@@ -47,6 +55,10 @@ router
         req.webformType = 'all';
         next();
     })
+    .all('/surveys/available*', (req, res, next) => {
+        req.webformType = 'all';
+        next();
+    })
     .all('/instance*', (req, res, next) => {
         req.webformType = 'edit';
         next();
@@ -83,6 +95,7 @@ router
     })
     .all('*', _setReturnQueryParam)
     .all('*', _setGoToHash)
+    .post('/survey*', _setImageCompression)
     .get('/survey', getExistingSurvey)
     .get('/survey/offline', getExistingSurvey)
     .get('/survey/iframe', getExistingSurvey)
@@ -90,6 +103,7 @@ router
     .post('/survey/offline', getNewOrExistingSurvey)
     .post('/survey/iframe', getNewOrExistingSurvey)
     .delete('/survey', deactivateSurvey)
+    .get('/survey/cache', getSurveyCache)
     .delete('/survey/cache', emptySurveyCache)
     .get('/survey/single', getExistingSurvey)
     .get('/survey/single/iframe', getExistingSurvey)
@@ -115,12 +129,25 @@ router
     .post('/surveys/number', getNumber)
     .get('/surveys/list', getList)
     .post('/surveys/list', getList)
+    .get('/surveys/available', getAvailable)
+    .post('/surveys/available', getAvailable)
+    .post('/surveys/available/launch', launchAvailable)
+    .post('/surveys/cache', startPrefetch)
+    .get('/surveys/cache', getPrefetch)
     .post('/instance', cacheInstance)
     .post('/instance/iframe', cacheInstance)
     .post('/instance/view', cacheInstance)
     .post('/instance/view/iframe', cacheInstance)
     .post('/instance/view/pdf', cacheInstance)
+    .post('/instances/view/pdf', getInstancesPdf)
     .delete('/instance', removeInstance)
+    .get('/instance/export', getExportBundles)
+    .delete('/instance/export', removeExportBundle)
+    .get('/submissions/log', getSubmissionLog)
+    .get('/account/usage', getUsage)
+    .post('/link', createLink)
+    .get('/link', getLink)
+    .delete('/link', revokeLink)
     .all('*', (req, res, next) => {
         const error = new Error('Not allowed.');
         error.status = 405;
@@ -152,8 +179,11 @@ function authCheck(req, res, next) {
 
     account
         .get(server)
-        .then((account) => {
-            if (!key || key !== account.key) {
+        .then((acc) => {
+            const apiKey = account.getApiKey(acc, key);
+            const scope = account.getScope(req);
+
+            if (!apiKey) {
                 const error = new Error('Not Allowed. Invalid API key.');
                 error.status = 401;
                 res.status(error.status).set(
@@ -161,8 +191,15 @@ function authCheck(req, res, next) {
                     'Basic realm="Enter valid API key as user name"'
                 );
                 next(error);
+            } else if (!account.hasScope(apiKey, scope)) {
+                const error = new Error(
+                    `Forbidden. The API key does not have the "${scope}" scope.`
+                );
+                error.status = 403;
+                next(error);
             } else {
-                req.account = account;
+                req.account = acc;
+                req.apiKey = apiKey;
                 next();
             }
         })
@@ -176,7 +213,7 @@ function authCheck(req, res, next) {
  */
 function getExistingSurvey(req, res, next) {
     if (req.account.quota < req.account.quotaUsed) {
-        return _render(403, quotaErrorMessage, res);
+        return next(usageModel.quotaError('surveys'));
     }
 
     return surveyModel
@@ -209,10 +246,11 @@ function getNewOrExistingSurvey(req, res, next) {
         openRosaServer: req.body.server_url || req.query.server_url,
         openRosaId: req.body.form_id || req.query.form_id,
         theme: req.body.theme || req.query.theme,
+        ...req.imageCompression,
     };
 
     if (req.account.quota < req.account.quotaUsed) {
-        return _render(403, quotaErrorMessage, res);
+        return next(usageModel.quotaError('surveys'));
     }
 
     return surveyModel
@@ -229,7 +267,7 @@ function getNewOrExistingSurvey(req, res, next) {
         })
         .then((storedSurvey) => {
             if (!storedSurvey && req.account.quota <= req.account.quotaUsed) {
-                return _render(403, quotaErrorMessage, res);
+                return next(usageModel.quotaError('surveys'));
             }
             const status = storedSurvey ? 200 : 201;
 
@@ -288,6 +326,66 @@ function emptySurveyCache(req, res, next) {
         .catch(next);
 }
 
+/**
+ * Obtains information about the cache of a survey, or a page of the list of cached surveys of the server
+ * if no form_id is provided.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getSurveyCache(req, res, next) {
+    if (req.query.form_id) {
+        return cacheModel
+            .getInfo({
+                openRosaServer: req.query.server_url,
+                openRosaId: req.query.form_id,
+            })
+            .then((info) => {
+                if (info) {
+                    _render(
+                        200,
+                        { code: 200, cache: _toCacheInfoResponse(info) },
+                        res
+                    );
+                } else {
+                    _render(404, 'Survey not cached.', res);
+                }
+            })
+            .catch(next);
+    }
+
+    const offset = req.query.offset ? Number(req.query.offset) : 0;
+    const limit = req.query.limit ? Number(req.query.limit) : 100;
+
+    if (
+        !Number.isInteger(offset) ||
+        offset < 0 ||
+        !Number.isInteger(limit) ||
+        limit < 1 ||
+        limit > 1000
+    ) {
+        return _render(400, 'Invalid offset or limit parameter.', res);
+    }
+
+    return cacheModel
+        .getList(req.query.server_url, { offset, limit })
+        .then(({ total, items }) => {
+            _render(
+                200,
+                {
+                    code: 200,
+                    total,
+                    offset,
+                    limit,
+                    cache: items.map(_toCacheInfoResponse),
+                },
+                res
+            );
+        })
+        .catch(next);
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
@@ -344,6 +442,201 @@ function getList(req, res, next) {
         .catch(next);
 }
 
+/**
+ * Lists the forms in the formList of the OpenRosa server and whether they have been launched.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getAvailable(req, res, next) {
+    return _getAvailableForms(req)
+        .then((forms) => {
+            _render(
+                200,
+                {
+                    code: 200,
+                    forms: forms.map((form) => _toAvailableResponse(form, req)),
+                },
+                res
+            );
+        })
+        .catch(next);
+}
+
+/**
+ * Launches the provided forms, or all forms of the formList that have not been launched yet.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function launchAvailable(req, res, next) {
+    const formIds = req.body.form_ids;
+
+    if (!_isFormIdList(formIds)) {
+        return _render(
+            400,
+            'Form IDs parameter should be a list of form IDs.',
+            res
+        );
+    }
+
+    return _getAvailableForms(req)
+        .then((forms) => {
+            const missing = (formIds || []).filter(
+                (formId) => !forms.some((form) => form.formId === formId)
+            );
+
+            if (missing.length) {
+                const error = new Error(
+                    `Forms not found in formList: ${missing.join(', ')}.`
+                );
+                error.status = 404;
+                throw error;
+            }
+
+            const toLaunch = forms.filter(
+                (form) =>
+                    !form.enketoId &&
+                    (!formIds || formIds.includes(form.formId))
+            );
+            const limit = usageModel.getLimits(req.account).surveys;
+
+            if (toLaunch.length > limit - req.account.quotaUsed) {
+                throw usageModel.quotaError('surveys');
+            }
+
+            let launched = 0;
+
+            // sequentially, with a quota check before each launch, because other surveys may be launched meanwhile
+            return toLaunch
+                .reduce(
+                    (previous, form) =>
+                        previous
+                            .then(() => usageModel.checkSurveys(req.account))
+                            .then(() =>
+                                surveyModel.set({
+                                    openRosaServer: req.body.server_url,
+                                    openRosaId: form.formId,
+                                    theme: req.body.theme,
+                                    ...req.imageCompression,
+                                })
+                            )
+                            .then((id) => {
+                                form.enketoId = id;
+                                launched++;
+                            }),
+                    Promise.resolve()
+                )
+                .then(() => {
+                    _render(
+                        201,
+                        {
+                            code: 201,
+                            launched_count: launched,
+                            forms: forms.map((form) =>
+                                _toAvailableResponse(form, req)
+                            ),
+                        },
+                        res
+                    );
+                })
+                .catch((error) => {
+                    // the forms that were launched before the error stay launched
+                    _render(
+                        error.status || 500,
+                        {
+                            message: errorHandler.getErrorMessage(req, error),
+                            launched_count: launched,
+                            forms: forms.map((form) =>
+                                _toAvailableResponse(form, req)
+                            ),
+                        },
+                        res
+                    );
+                });
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return {Promise<Array<{formId: string, info: module:communicator~OpenRosaXForm, enketoId: string|null}>>} Promise
+ * that resolves with the forms in the formList, with the Enketo ID of the forms that have been launched
+ */
+function _getAvailableForms(req) {
+    const server = req.body.server_url || req.query.server_url;
+
+    return Promise.all([
+        communicator.getXFormList({
+            openRosaServer: server,
+            credentials: _getOpenRosaCredentials(req),
+        }),
+        surveyModel.getList(server),
+    ]).then(([xforms, surveys]) =>
+        xforms.map((info) => {
+            const formId = String(info.formID);
+            const survey = surveys.find(
+                (item) =>
+                    item.openRosaId === formId &&
+                    utils.cleanUrl(item.openRosaServer) ===
+                        utils.cleanUrl(server)
+            );
+
+            return {
+                formId,
+                info,
+                enketoId: survey ? survey.enketoId : null,
+            };
+        })
+    );
+}
+
+/**
+ * @param {{formId: string, info: module:communicator~OpenRosaXForm, enketoId: string|null}} form - available form
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { object } available form as shown in API responses
+ */
+function _toAvailableResponse(form, req) {
+    return {
+        form_id: form.formId,
+        name: form.info.name || null,
+        version: form.info.version || null,
+        hash: form.info.hash || null,
+        launched: !!form.enketoId,
+        ...(form.enketoId ? _generateWebformUrls(form.enketoId, req) : {}),
+    };
+}
+
+/**
+ * @param { * } formIds - form_ids parameter
+ * @return { boolean } whether the parameter is absent or a non-empty list of form IDs
+ */
+function _isFormIdList(formIds) {
+    return (
+        typeof formIds === 'undefined' ||
+        (Array.isArray(formIds) &&
+            formIds.length > 0 &&
+            formIds.every((id) => typeof id === 'string' && id))
+    );
+}
+
+/**
+ * Obtains the OpenRosa server credentials that can be provided for requests that
+ * Enketo makes to the OpenRosa server on behalf of the API user.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return {{user: string, pass: string}|undefined} credentials
+ */
+function _getOpenRosaCredentials(req) {
+    const { username, password } = req.body;
+
+    return username && password
+        ? { user: username, pass: password }
+        : undefined;
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
@@ -353,7 +646,7 @@ function cacheInstance(req, res, next) {
     let enketoId;
 
     if (req.account.quota < req.account.quotaUsed) {
-        return _render(403, quotaErrorMessage, res);
+        return next(usageModel.quotaError('surveys'));
     }
 
     const survey = {
@@ -380,7 +673,7 @@ function cacheInstance(req, res, next) {
         .then((storedSurvey) => {
             if (!storedSurvey) {
                 if (req.account.quota <= req.account.quotaUsed) {
-                    return _render(403, quotaErrorMessage, res);
+                    return next(usageModel.quotaError('surveys'));
                 }
 
                 // Create a new enketo ID.
@@ -410,6 +703,214 @@ function cacheInstance(req, res, next) {
         .catch(next);
 }
 
+/**
+ * Renders a list of records of one survey as a ZIP file with a PDF per record, or as one PDF.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getInstancesPdf(req, res, next) {
+    const { instances } = req.body;
+    const output = req.body.output || 'zip';
+    const limit = req.app.get('headless')['batch limit'];
+    const survey = {
+        openRosaServer: req.body.server_url,
+        openRosaId: req.body.form_id,
+    };
+
+    if (
+        !Array.isArray(instances) ||
+        !instances.length ||
+        instances.some(
+            (item) =>
+                !item ||
+                typeof item.instance_id !== 'string' ||
+                !item.instance_id ||
+                typeof item.instance !== 'string' ||
+                !item.instance
+        )
+    ) {
+        return _render(
+            400,
+            'Instances parameter should be a list of objects with an instance_id and instance.',
+            res
+        );
+    }
+    if (instances.length > limit) {
+        return _render(
+            400,
+            `Instances parameter should not have more than ${limit} items.`,
+            res
+        );
+    }
+    if (
+        new Set(instances.map((item) => item.instance_id)).size !==
+        instances.length
+    ) {
+        return _render(400, 'Instance IDs should be unique.', res);
+    }
+    if (!['zip', 'pdf'].includes(output)) {
+        return _render(400, 'Output parameter should be zip or pdf.', res);
+    }
+    if (req.account.quota < req.account.quotaUsed) {
+        return next(usageModel.quotaError('surveys'));
+    }
+
+    return surveyModel
+        .getId(survey)
+        .then((id) => {
+            if (id) {
+                return id;
+            }
+            if (req.account.quota <= req.account.quotaUsed) {
+                throw usageModel.quotaError('surveys');
+            }
+
+            return surveyModel.set(survey);
+        })
+        .then((id) =>
+            _renderInstancesPdf(id, survey, instances, req).then(
+                (documents) => {
+                    if (output === 'pdf') {
+                        return pdf
+                            .merge(documents, req.page)
+                            .then((merged) =>
+                                _sendFile(
+                                    res,
+                                    merged,
+                                    'application/pdf',
+                                    `${survey.openRosaId}.pdf`
+                                )
+                            );
+                    }
+
+                    const zip = new JSZip();
+                    const fileNames = [];
+                    documents.forEach(({ title, pdf }) => {
+                        const fileName = _toFileName(title, fileNames);
+                        fileNames.push(fileName);
+                        zip.file(`${fileName}.pdf`, pdf);
+                    });
+
+                    return zip
+                        .generateAsync({ type: 'nodebuffer' })
+                        .then((buffer) =>
+                            _sendFile(
+                                res,
+                                buffer,
+                                'application/zip',
+                                `${survey.openRosaId}.zip`
+                            )
+                        );
+                },
+                (e) => {
+                    _render(
+                        e.status || 500,
+                        `PDF generation failed: ${e.message}`,
+                        res
+                    );
+                }
+            )
+        )
+        .catch(next);
+}
+
+/**
+ * Renders records one by one, because cached records expire quickly.
+ *
+ * @param { string } id - Enketo ID of survey
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param {Array<object>} instances - records as provided in the request
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return {Promise<Array<{title: string, pdf: Buffer}>>} Promise that resolves with a PDF per record, or rejects
+ * with a 409 error if a record is cached already
+ */
+function _renderInstancesPdf(id, survey, instances, req) {
+    const documents = [];
+
+    return instances
+        .reduce(
+            (previous, item) =>
+                previous.then(() => {
+                    const record = {
+                        ...survey,
+                        instanceId: item.instance_id,
+                        instance: item.instance,
+                        instanceAttachments: item.instance_attachments,
+                    };
+
+                    // A record that is cached already may be open for editing and should not be overwritten or removed.
+                    return instanceModel
+                        .set(record)
+                        .catch((error) => {
+                            if (error.status === 405) {
+                                error = new Error(
+                                    `Conflict. Record ${item.instance_id} is being edited or viewed.`
+                                );
+                                error.status = 409;
+                            }
+                            throw error;
+                        })
+                        .then(() =>
+                            pdf
+                                .get(
+                                    _getPdfUrl(id, item.instance_id, req),
+                                    _getPdfOptions(id, item.instance_id, req)
+                                )
+                                .then(
+                                    (buffer) => {
+                                        documents.push({
+                                            title: item.instance_id,
+                                            pdf: buffer,
+                                        });
+                                    },
+                                    (error) =>
+                                        instanceModel
+                                            .remove(record)
+                                            .then(() => {
+                                                throw error;
+                                            })
+                                )
+                                .then(() => instanceModel.remove(record))
+                        );
+                }),
+            Promise.resolve()
+        )
+        .then(() => documents);
+}
+
+/**
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param { Buffer } buffer - file contents
+ * @param { string } contentType - content type, replaces the JSON content type set by authCheck
+ * @param { string } filename - file name
+ */
+function _sendFile(res, buffer, contentType, filename) {
+    res.attachment(filename).type(contentType).status(200).end(buffer);
+}
+
+/**
+ * Different names may be sanitized to the same file name (e.g. "uuid:a" and "uuid_a"), so a suffix
+ * is added to names that are used already.
+ *
+ * @param { string } name - name, e.g. an instanceID
+ * @param { Array<string> } usedNames - file names that are used already
+ * @return { string } name that can safely be used as a unique file name
+ */
+function _toFileName(name, usedNames) {
+    const fileName = name.replace(/[^\w.-]+/g, '_');
+    let candidate = fileName;
+    let count = 1;
+
+    while (usedNames.includes(candidate)) {
+        count++;
+        candidate = `${fileName}_${count}`;
+    }
+
+    return candidate;
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
@@ -432,18 +933,482 @@ function removeInstance(req, res, next) {
         .catch(next);
 }
 
+/**
+ * Lists the record bundles that were pushed by webforms of a survey, or, if a `bundle_id`
+ * parameter is provided, responds with the ZIP file of that bundle.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getExportBundles(req, res, next) {
+    const bundleId = req.query.bundle_id;
+
+    return surveyModel
+        .getId({
+            openRosaServer: req.query.server_url,
+            openRosaId: req.query.form_id,
+        })
+        .then((id) => {
+            if (!id) {
+                return _render(404, 'Survey not found.', res);
+            }
+            if (!bundleId) {
+                return exportModel.getList(id).then((list) => {
+                    _render(
+                        200,
+                        {
+                            code: 200,
+                            bundles: list.map(_toBundleResponse),
+                        },
+                        res
+                    );
+                });
+            }
+
+            return exportModel.get(id, bundleId).then((bundle) => {
+                if (!bundle) {
+                    return _render(404, 'Export bundle not found.', res);
+                }
+                if (!exportModel.verify(bundle)) {
+                    return _render(
+                        500,
+                        'Export bundle signature is invalid.',
+                        res
+                    );
+                }
+                res.attachment(`${req.query.form_id}_${bundle.bundleId}.zip`)
+                    .type('application/zip')
+                    .set('X-Enketo-Bundle-Digest', bundle.digest)
+                    .set('X-Enketo-Bundle-Signature', bundle.signature)
+                    .status(200)
+                    .end(bundle.bundle, 'binary');
+            });
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function removeExportBundle(req, res, next) {
+    return surveyModel
+        .getId({
+            openRosaServer: req.body.server_url,
+            openRosaId: req.body.form_id,
+        })
+        .then((id) => {
+            if (!id) {
+                return _render(404, 'Survey not found.', res);
+            }
+
+            return exportModel
+                .remove(id, req.body.bundle_id)
+                .then((bundleId) => {
+                    if (bundleId) {
+                        _render(204, null, res);
+                    } else {
+                        _render(404, 'Export bundle not found.', res);
+                    }
+                });
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:export-model~ExportBundleInfo} info - bundle information
+ * @return { object } bundle information as shown in API responses
+ */
+function _toBundleResponse(info) {
+    return {
+        bundle_id: info.bundleId,
+        created: info.created,
+        size: info.size,
+        records: info.records,
+        digest: info.digest,
+        signature: info.signature,
+    };
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getSubmissionLog(req, res, next) {
+    if (!req.app.get('log')['submission audit'].enabled) {
+        const error = new Error('Not Allowed. Submission audit is disabled.');
+        error.status = 405;
+
+        return next(error);
+    }
+
+    const since = req.query.since ? new Date(req.query.since) : undefined;
+    const offset = req.query.offset ? Number(req.query.offset) : 0;
+    const limit = req.query.limit ? Number(req.query.limit) : 100;
+    const format = req.query.format || 'json';
+
+    if (
+        (since && Number.isNaN(since.getTime())) ||
+        !Number.isInteger(offset) ||
+        offset < 0 ||
+        !Number.isInteger(limit) ||
+        limit < 1 ||
+        limit > 1000 ||
+        !['json', 'csv'].includes(format)
+    ) {
+        return _render(
+            400,
+            'Invalid since, offset, limit or format parameter.',
+            res
+        );
+    }
+
+    return submissionModel
+        .getLog(req.query.server_url, {
+            formId: req.query.form_id,
+            since,
+            offset,
+            limit,
+        })
+        .then(({ total, entries }) => {
+            const list = entries.map(_toSubmissionLogResponse);
+
+            if (format === 'csv') {
+                res.set('Content-Type', 'text/csv')
+                    .set(
+                        'Content-disposition',
+                        'attachment;filename=submissions.csv'
+                    )
+                    .set('X-Total-Count', String(total))
+                    .status(200)
+                    .send(_toCsv(list));
+            } else {
+                _render(
+                    200,
+                    {
+                        code: 200,
+                        total,
+                        offset,
+                        limit,
+                        submissions: list,
+                    },
+                    res
+                );
+            }
+        })
+        .catch(next);
+}
+
+/**
+ * Starts prefetching (transforming and caching) the listed forms, or all forms of the server.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function startPrefetch(req, res, next) {
+    const formIds = req.body.form_ids;
+
+    if (!_isFormIdList(formIds)) {
+        return _render(
+            400,
+            'Form IDs parameter should be a list of form IDs.',
+            res
+        );
+    }
+
+    return prefetchModel
+        .start(
+            {
+                openRosaServer: req.body.server_url,
+                // only kept in memory while the job runs
+                credentials: _getOpenRosaCredentials(req),
+            },
+            formIds ? [...new Set(formIds)] : undefined
+        )
+        .then((job) => {
+            _render(202, _toPrefetchResponse(job), res);
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getPrefetch(req, res, next) {
+    return prefetchModel
+        .get(req.query.job_id)
+        .then((job) => {
+            if (
+                !job ||
+                utils.cleanUrl(job.openRosaServer) !==
+                    utils.cleanUrl(String(req.query.server_url))
+            ) {
+                _render(
+                    404,
+                    'Prefetch job not found. It may have expired.',
+                    res
+                );
+            } else {
+                _render(200, _toPrefetchResponse(job), res);
+            }
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getUsage(req, res, next) {
+    return usageModel
+        .get(req.account)
+        .then((usage) => {
+            const quotas = {
+                surveys: usage.surveys,
+                submissions: usage.submissions,
+                attachment_bytes: usage.attachmentBytes,
+            };
+
+            Object.keys(quotas).forEach((type) => {
+                const { used, limit, warning } = quotas[type];
+                quotas[type] = {
+                    used,
+                    // Infinity is not valid JSON
+                    limit: Number.isFinite(limit) ? limit : null,
+                    warning,
+                };
+            });
+
+            _render(
+                200,
+                {
+                    code: 200,
+                    period: usage.period,
+                    quotas,
+                    warnings: Object.keys(quotas).filter(
+                        (type) => quotas[type].warning
+                    ),
+                },
+                res
+            );
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function createLink(req, res, next) {
+    const params = { ...req.query, ...req.body };
+    const expires = params.expires
+        ? new Date(params.expires).getTime()
+        : Date.now() + req.app.get('expiry for signed links');
+
+    return surveyModel
+        .getId({
+            openRosaServer: params.server_url,
+            openRosaId: params.form_id,
+        })
+        .then((id) => {
+            if (!id) {
+                return _render(404, 'Survey not found.', res);
+            }
+
+            return linkModel
+                .create({
+                    enketoId: id,
+                    type: params.type || 'single',
+                    expires,
+                    maxUses: params.max_uses,
+                    instanceId: params.instance_id,
+                })
+                .then((link) => _render(201, _toLinkResponse(link, req), res));
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getLink(req, res, next) {
+    return _getOwnLink(req)
+        .then((link) =>
+            _render(
+                200,
+                {
+                    link_id: link.id,
+                    type: link.type,
+                    uses: link.uses,
+                },
+                res
+            )
+        )
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function revokeLink(req, res, next) {
+    return _getOwnLink(req)
+        .then((link) => linkModel.revoke(link.id))
+        .then(() => _render(204, null, res))
+        .catch(next);
+}
+
+/**
+ * Obtains a link of the survey identified by the server_url and form_id parameters,
+ * so that an account cannot access the links of other accounts.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return {Promise<module:link-model~LinkObj>} Promise that resolves with the link or rejects with a 404 error
+ */
+function _getOwnLink(req) {
+    const params = { ...req.query, ...req.body };
+
+    return Promise.all([
+        surveyModel.getId({
+            openRosaServer: params.server_url,
+            openRosaId: params.form_id,
+        }),
+        linkModel.get(params.link_id),
+    ]).then(([id, link]) => {
+        if (!id || !link || link.enketoId !== id) {
+            const error = new Error('Link not found. It may have expired.');
+            error.status = 404;
+            throw error;
+        }
+
+        return link;
+    });
+}
+
+/**
+ * @param {module:link-model~LinkObj} link - link
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { object } link as shown in API responses
+ */
+function _toLinkResponse(link, req) {
+    const baseUrl = _getBaseUrl(req);
+    const queryString = _generateQueryString([
+        link.instanceId ? `instance_id=${link.instanceId}` : '',
+    ]);
+
+    return {
+        link_id: link.id,
+        type: link.type,
+        url: `${baseUrl}${link.type}/${link.token}${queryString}`,
+        iframe_url: `${baseUrl}${link.type}/i/${link.token}${queryString}`,
+        expires: new Date(link.expires).toISOString(),
+        max_uses: link.maxUses || null,
+        instance_id: link.instanceId || null,
+    };
+}
+
+/**
+ * @param {module:cache-model~CacheInfo} info - cache information
+ * @return { object } cache information as shown in API responses
+ */
+function _toCacheInfoResponse(info) {
+    return {
+        server_url: info.openRosaServer,
+        form_id: info.openRosaId,
+        form_hash: info.formHash,
+        media_hash: info.mediaHash,
+        xsl_hash: info.xslHash,
+        stale: info.stale,
+        size: info.size,
+        ttl: info.ttl,
+        cached: info.cached,
+    };
+}
+
+/**
+ * @param {module:prefetch-model~PrefetchJob} job - prefetch job
+ * @return { object } prefetch job as shown in API responses
+ */
+function _toPrefetchResponse(job) {
+    return {
+        job_id: job.id,
+        server_url: job.openRosaServer,
+        status: job.status,
+        total: job.total,
+        transformed: job.transformed,
+        up_to_date: job.upToDate,
+        failed: job.failed,
+        errors: job.errors.map((error) => ({
+            form_id: error.formId || null,
+            message: error.message,
+        })),
+        created: job.created,
+        updated: job.updated,
+    };
+}
+
+/**
+ * @param {module:submission-model~AuditLogEntry} entry - audit log entry
+ * @return { object } audit log entry as shown in API responses
+ */
+function _toSubmissionLogResponse(entry) {
+    return {
+        timestamp: entry.timestamp,
+        server_url: entry.openRosaServer,
+        form_id: entry.openRosaId,
+        enketo_id: entry.enketoId,
+        instance_id: entry.instanceId,
+        deprecated_id: entry.deprecatedId,
+        status: entry.status,
+        size: entry.size,
+        duration: entry.duration,
+        ip: entry.ip,
+    };
+}
+
+/**
+ * @param {Array<object>} list - list of objects with the same properties
+ * @return { string } CSV with a header row
+ */
+function _toCsv(list) {
+    const columns = Object.keys(_toSubmissionLogResponse({}));
+    const escape = (value) => {
+        const str = value === null || value === undefined ? '' : String(value);
+
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    return [columns.join(',')]
+        .concat(
+            list.map((item) =>
+                columns.map((column) => escape(item[column])).join(',')
+            )
+        )
+        .join('\r\n');
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
  * @param {Function} next - Express callback
  */
 function _setQuotaUsed(req, res, next) {
-    if (!req.app.get('account lib')) {
-        // Pretend quota used = 0 if not running SaaS.
+    if (!Number.isFinite(usageModel.getLimits(req.account).surveys)) {
+        // Pretend quota used = 0 if there is no quota.
         req.account.quotaUsed = 0;
         next();
     } else {
-        // For SaaS service:
         surveyModel
             .getNumber(req.account.linkedServer)
             .then((number) => {
@@ -486,6 +1451,37 @@ function _setPage(req, res, next) {
         error.status = 400;
         throw error;
     }
+    ['header', 'footer', 'qr'].forEach((param) => {
+        const value = req.body[param] || req.query[param];
+        if (value && !/^(true|false)$/.test(value)) {
+            const error = new Error(
+                `${param[0].toUpperCase()}${param.slice(
+                    1
+                )} parameter is not valid.`
+            );
+            error.status = 400;
+            throw error;
+        }
+        // convert to boolean
+        req.page[param] = value === 'true';
+    });
+    req.page.watermark = req.body.watermark || req.query.watermark;
+    if (
+        req.page.watermark &&
+        (typeof req.page.watermark !== 'string' ||
+            req.page.watermark.length > 50)
+    ) {
+        const error = new Error('Watermark parameter is not valid.');
+        error.status = 400;
+        throw error;
+    }
+    req.page.labels = {
+        version: req.i18n.t('pdf.version', { version: '__version__' }),
+        page: req.i18n.t('pdf.page', {
+            pageNumber: '__pageNumber__',
+            totalPages: '__totalPages__',
+        }),
+    };
     /*
     TODO: scale has not been enabled yet, as it is not supported by Enketo Core's Grid print JS processing function.
     req.page.scale = req.body.scale || req.query.scale;
@@ -500,6 +1496,49 @@ function _setPage(req, res, next) {
     next();
 }
 
+/**
+ * Validates the form-specific photo compression policy, which overrides the "image compression" configuration.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function _setImageCompression(req, res, next) {
+    const maxDimension =
+        req.body.image_max_dimension || req.query.image_max_dimension;
+    const quality = req.body.image_quality || req.query.image_quality;
+    const keepLocation =
+        req.body.image_keep_location || req.query.image_keep_location;
+
+    if (
+        maxDimension &&
+        (!/^\d+$/.test(maxDimension) || Number(maxDimension) < 1)
+    ) {
+        const error = new Error('Image max dimension parameter is not valid.');
+        error.status = 400;
+        throw error;
+    }
+    if (
+        quality &&
+        (!/^(0(\.\d+)?|1(\.0+)?)$/.test(quality) || Number(quality) === 0)
+    ) {
+        const error = new Error('Image quality parameter is not valid.');
+        error.status = 400;
+        throw error;
+    }
+    if (keepLocation && !/^(true|false)$/.test(keepLocation)) {
+        const error = new Error('Image keep location parameter is not valid.');
+        error.status = 400;
+        throw error;
+    }
+    req.imageCompression = {
+        imageMaxDimension: maxDimension ? String(Number(maxDimension)) : '',
+        imageQuality: quality ? String(Number(quality)) : '',
+        imageKeepLocation: keepLocation || '',
+    };
+    next();
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
@@ -581,6 +1620,49 @@ function _generateQueryString(params = []) {
     return paramsJoined ? `?${paramsJoined}` : '';
 }
 
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { string } base URL of webforms
+ */
+function _getBaseUrl(req) {
+    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+
+    return `${protocol}://${req.headers.host}${req.app.get('base path')}/`;
+}
+
+/**
+ * @param { string } id - Form id.
+ * @param { string } [instanceId] - instanceID of a cached record
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { string } URL of the webform to print
+ */
+function _getPdfUrl(id, instanceId, req) {
+    const queryString = _generateQueryString([
+        instanceId ? `instance_id=${instanceId}` : '',
+        'print=true',
+    ]);
+    const idPartView = `${utils.insecureAes192Encrypt(id, keys.view)}`;
+
+    return `${_getBaseUrl(req)}${
+        instanceId ? `view/${idPartView}` : id
+    }${queryString}`;
+}
+
+/**
+ * @param { string } id - Enketo ID of survey
+ * @param { string } [instanceId] - instanceID of record
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return {module:pdf~PdfGetOptions} PDF options (a copy, because pdf.get adds defaults to the options)
+ */
+function _getPdfOptions(id, instanceId, req) {
+    return {
+        ...req.page,
+        qr: req.page.qr
+            ? JSON.stringify({ enketo_id: id, instance_id: instanceId })
+            : undefined,
+    };
+}
+
 /**
  * @param { string } id - Form id.
  * @param {module:api-controller~ExpressRequest} req - HTTP request
@@ -592,10 +1674,7 @@ function _generateWebformUrls(id, req) {
     const OFFLINEPATH = 'x/';
     const hash = req.goTo;
     const iframePart = req.iframe ? IFRAMEPATH : '';
-    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-    const baseUrl = `${protocol}://${req.headers.host}${req.app.get(
-        'base path'
-    )}/`;
+    const baseUrl = _getBaseUrl(req);
     const idPartOnce = `${utils.insecureAes192Encrypt(id, keys.singleOnce)}`;
     const idPartView = `${utils.insecureAes192Encrypt(id, keys.view)}`;
     let queryParts;
@@ -656,14 +1735,7 @@ function _generateWebformUrls(id, req) {
             ] = `${baseUrl}view/${iframePart}${idPartView}${queryString}${hash}`;
             break;
         case 'pdf':
-            queryParts = req.body.instance_id
-                ? [`instance_id=${req.body.instance_id}`]
-                : [];
-            queryParts.push('print=true');
-            queryString = _generateQueryString(queryParts);
-            obj.pdf_url = `${baseUrl}${
-                req.body.instance_id ? `view/${idPartView}` : id
-            }${queryString}`;
+            obj.pdf_url = _getPdfUrl(id, req.body.instance_id, req);
             break;
         case 'all':
             // non-iframe views
@@ -735,7 +1807,7 @@ function _renderPdf(status, id, req, res) {
     const url = _generateWebformUrls(id, req).pdf_url;
 
     return pdf
-        .get(url, req.page)
+        .get(url, _getPdfOptions(id, req.body.instance_id, req))
         .then((pdfBuffer) => {
             const filename = `${req.body.form_id || req.query.form_id}${
                 req.body.instance_id ? `-${req.body.instance_id}` : ''
@@ -7,9 +7,16 @@ const csrfProtection = require('csurf')({
 });
 const jwt = require('jwt-simple');
 const express = require('express');
+const oauth2 = require('../lib/oauth2');
+const loginModel = require('../models/login-model');
+const surveyModel = require('../models/survey-model');
+const accountModel = require('../models/account-model');
+const routerUtils = require('../lib/router-utils');
+const utils = require('../lib/utils');
 
 const router = express.Router();
 // var debug = require( 'debug' )( 'authentication-controller' );
+const OAUTH2_COOKIE = '__enketo_oauth2';
 
 module.exports = (app) => {
     app.use(`${app.get('base path')}/`, router);
@@ -17,6 +24,7 @@ module.exports = (app) => {
 
 router
     .get('/login', csrfProtection, login)
+    .get('/login/oauth2', oauth2Callback)
     .get('/logout', logout)
     .post('/login', csrfProtection, setToken);
 
@@ -26,13 +34,47 @@ router
  * @param {Function} next - Express callback
  */
 function login(req, res, next) {
+    const returnUrl = req.query.return_url || '';
+
+    _getAuthSettings(req, returnUrl)
+        .then((authSettings) => {
+            _login(req, res, next, authSettings);
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ * @param { object } authSettings - authentication settings of the account
+ */
+function _login(req, res, next, authSettings) {
     let error;
-    const authSettings = req.app.get(
-        'linked form and data server'
-    ).authentication;
     const returnUrl = req.query.return_url || '';
 
-    if (authSettings.type.toLowerCase() !== 'basic') {
+    if (authSettings.type.toLowerCase() === 'oauth2') {
+        if (
+            authSettings['authorization url'] &&
+            authSettings['token url'] &&
+            authSettings['client id']
+        ) {
+            // the state protects against CSRF and is used to return the user to the form after login
+            const state = utils.randomString(32);
+            res.cookie(OAUTH2_COOKIE, JSON.stringify({ state, returnUrl }), {
+                signed: true,
+                httpOnly: true,
+                maxAge: 10 * 60 * 1000,
+                path: '/',
+            }).redirect(oauth2.getAuthorizationUrl(authSettings, req, state));
+        } else {
+            error = new Error(
+                'Enketo configuration error. OAuth2 authorization url, token url or client id is missing.'
+            );
+            error.status = 500;
+            next(error);
+        }
+    } else if (authSettings.type.toLowerCase() !== 'basic') {
         if (authSettings.url) {
             // the url is expected to:
             // - authenticate the user,
@@ -57,14 +99,14 @@ function login(req, res, next) {
         req.app.get('env') !== 'production' ||
         req.protocol === 'https' ||
         req.headers['x-forwarded-proto'] === 'https' ||
-        req.app.get('linked form and data server').authentication[
-            'allow insecure transport'
-        ]
+        authSettings['allow insecure transport']
     ) {
-        res.render('surveys/login', {
-            csrfToken: req.csrfToken(),
-            server: req.app.get('linked form and data server').name,
-        });
+        loginModel
+            .check({ ip: req.ip })
+            .then((retryAfter) => {
+                _renderLogin(req, res, retryAfter);
+            })
+            .catch(next);
     } else {
         error = new Error(
             'Forbidden. Enketo needs to use https in production mode to enable authentication.'
@@ -74,6 +116,65 @@ function login(req, res, next) {
     }
 }
 
+/**
+ * Handles the redirect from the OAuth2 authorization server after login.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function oauth2Callback(req, res, next) {
+    let stored;
+
+    try {
+        stored = JSON.parse(req.signedCookies[OAUTH2_COOKIE]);
+    } catch (e) {
+        stored = null;
+    }
+
+    res.clearCookie(OAUTH2_COOKIE);
+
+    if (!stored || !req.query.state || stored.state !== req.query.state) {
+        const error = new Error('Bad Request. Invalid OAuth2 state.');
+        error.status = 400;
+
+        return next(error);
+    }
+
+    if (req.query.error || !req.query.code) {
+        const error = new Error(
+            `Forbidden. Authorization was not granted${
+                req.query.error ? ` (${req.query.error})` : ''
+            }.`
+        );
+        error.status = 401;
+
+        return next(error);
+    }
+
+    _getAuthSettings(req, stored.returnUrl)
+        .then((authSettings) => {
+            if (authSettings.type.toLowerCase() !== 'oauth2') {
+                const error = new Error('Bad Request. Invalid OAuth2 state.');
+                error.status = 400;
+                throw error;
+            }
+
+            return oauth2.exchangeCode(authSettings, req, req.query.code);
+        })
+        .then((token) => {
+            oauth2.setToken(req, res, token);
+            res.cookie('__enketo_logout', true);
+
+            if (stored.returnUrl) {
+                res.redirect(stored.returnUrl);
+            } else {
+                res.send('You are logged in. You can close this page now.');
+            }
+        })
+        .catch(next);
+}
+
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
@@ -86,11 +187,85 @@ function logout(req, res) {
 }
 
 /**
+ * Obtains the authentication settings of the account of the form the user returns to after login.
+ * The configured settings are used if the form is unknown or its account has no settings of its own.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param { string } [returnUrl] - URL of the webform the user returns to
+ * @return {Promise<object>} Promise that resolves with the authentication settings
+ */
+function _getAuthSettings(req, returnUrl) {
+    const { authentication } = req.app.get('linked form and data server');
+    const enketoId = routerUtils.getEnketoIdFromUrl(returnUrl);
+
+    if (!enketoId) {
+        return Promise.resolve(authentication);
+    }
+
+    return surveyModel
+        .get(enketoId)
+        .then(accountModel.check)
+        .then((survey) => survey.account.authentication || authentication)
+        .catch((error) => {
+            // the form may not exist, or not be active, and then the login page is still shown
+            if (error.status >= 500 || !error.status) {
+                throw error;
+            }
+
+            return authentication;
+        });
+}
+
+/**
+ * Renders the login form, with a message if logins are locked out.
+ *
  * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param { number } retryAfter - milliseconds until a login is allowed
  */
-function setToken(req, res) {
+function _renderLogin(req, res, retryAfter) {
+    if (retryAfter > 0) {
+        res.status(429).set('Retry-After', Math.ceil(retryAfter / 1000));
+    }
+
+    res.render('surveys/login', {
+        csrfToken: req.csrfToken(),
+        server: req.app.get('linked form and data server').name,
+        lockedMinutes: retryAfter > 0 ? Math.ceil(retryAfter / 60000) : 0,
+    });
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function setToken(req, res, next) {
     const username = req.body.username.trim();
+
+    Promise.all([
+        loginModel.check({ ip: req.ip, username }),
+        _getAuthSettings(req, req.query.return_url),
+    ])
+        .then(([retryAfter, authSettings]) => {
+            if (retryAfter > 0) {
+                _renderLogin(req, res, retryAfter);
+            } else {
+                _setToken(req, res, username, authSettings);
+            }
+        })
+        .catch(next);
+}
+
+/**
+ * Stores the credentials in a cookie. They are verified by the OpenRosa server when a form is loaded.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param { string } username - username
+ * @param { object } authSettings - authentication settings of the account
+ */
+function _setToken(req, res, username, authSettings) {
     const maxAge = 30 * 24 * 60 * 60 * 1000;
     const returnUrl = req.query.return_url || '';
 
@@ -106,9 +281,7 @@ function setToken(req, res) {
     // This is double because the check in login() already ensures the login screen isn't even shown.
     const secure =
         req.protocol === 'production' &&
-        !req.app.get('linked form and data server').authentication[
-            'allow insecure transport'
-        ];
+        !authSettings['allow insecure transport'];
 
     const authOptions = {
         secure,
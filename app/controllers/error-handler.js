@@ -28,6 +28,7 @@ function getErrorMessage(req, error) {
 }
 
 module.exports = {
+    getErrorMessage,
     /**
      * @param {Error} err - Error object
      * @param {module:api-controller~ExpressRequest} req - HTTP request
@@ -44,6 +45,9 @@ module.exports = {
         };
         const contentType = res.get('Content-type');
         res.status(err.status || 500);
+        if (err.retryAfter) {
+            res.set('Retry-After', String(err.retryAfter));
+        }
         if (contentType && contentType.indexOf('application/json') === 0) {
             res.json(body);
         } else {
@@ -67,6 +71,9 @@ module.exports = {
         };
         const contentType = res.get('Content-type');
         res.status(err.status || 500);
+        if (err.retryAfter) {
+            res.set('Retry-After', String(err.retryAfter));
+        }
         if (contentType && contentType.indexOf('application/json') === 0) {
             res.json(body);
         } else {
@@ -0,0 +1,87 @@
+/**
+ * @module export-controller
+ */
+
+const express = require('express');
+const bodyParser = require('body-parser');
+const config = require('../models/config-model').server;
+const surveyModel = require('../models/survey-model');
+const exportModel = require('../models/export-model');
+const routerUtils = require('../lib/router-utils');
+
+const router = express.Router();
+// var debug = require( 'debug' )( 'export-controller' );
+
+module.exports = (app) => {
+    app.use(`${app.get('base path')}/export`, router);
+};
+
+router.param('enketo_id', routerUtils.enketoId);
+
+router
+    .all('*', (req, res, next) => {
+        res.set('Content-Type', 'application/json');
+        if (!req.app.get('record export').enabled) {
+            const error = new Error('Not allowed. Record export is disabled.');
+            error.status = 405;
+            next(error);
+        } else {
+            next();
+        }
+    })
+    .post(
+        '/:enketo_id',
+        bodyParser.raw({
+            type: ['application/zip', 'application/octet-stream'],
+            limit: config['record export']['size limit'],
+        }),
+        pushBundle
+    )
+    .all('/*', (req, res, next) => {
+        const error = new Error('Not allowed');
+        error.status = 405;
+        next(error);
+    });
+
+/**
+ * Receives a bundle of queued records from the webform. The webform has to send the export token it obtained with the form,
+ * from the same browser.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function pushBundle(req, res, next) {
+    if (
+        !exportModel.verifyToken(
+            req.enketoId,
+            req.headers['x-enketo-export-token'],
+            req.signedCookies.__enketo_meta_deviceid
+        )
+    ) {
+        const error = new Error(
+            'Forbidden. Export token is invalid or expired.'
+        );
+        error.status = 403;
+
+        return next(error);
+    }
+
+    surveyModel
+        .get(req.enketoId)
+        .then(() =>
+            exportModel.set(
+                req.enketoId,
+                req.body,
+                req.headers['x-enketo-bundle-digest']
+            )
+        )
+        .then((info) => {
+            res.status(201).json({
+                code: 201,
+                bundle_id: info.bundleId,
+                records: info.records,
+            });
+        })
+        .catch(next);
+}
@@ -4,7 +4,12 @@
 
 const url = require('url');
 const user = require('../models/user-model');
+const surveyModel = require('../models/survey-model');
+const accountModel = require('../models/account-model');
+const routerUtils = require('../lib/router-utils');
+const oauth2 = require('../lib/oauth2');
 const communicator = require('../lib/communicator');
+const mediaCache = require('../lib/media-cache');
 const request = require('request');
 const express = require('express');
 
@@ -48,9 +53,53 @@ function _isPrintView(req) {
  * @param {Function} next - Express callback
  */
 function getMedia(req, res, next) {
+    _getAuthentication(req)
+        .then((authentication) =>
+            oauth2
+                .refreshToken(req, res, authentication)
+                .then(() => _requestMedia(req, res, next, authentication))
+        )
+        .catch(next);
+}
+
+/**
+ * Obtains the authentication settings of the account of the form that loads the media, which is identified by the
+ * referer. The configured settings are used if the form is unknown or its account has no settings of its own.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return {Promise<object|undefined>} Promise that resolves with the authentication settings
+ */
+function _getAuthentication(req) {
+    const enketoId = routerUtils.getEnketoIdFromUrl(req.headers.referer);
+
+    if (!enketoId) {
+        return Promise.resolve(undefined);
+    }
+
+    return surveyModel
+        .get(enketoId)
+        .then(accountModel.check)
+        .then((survey) => survey.account.authentication)
+        .catch((error) => {
+            // the form may not exist, or not be active, and the media may still be public
+            if (error.status >= 500 || !error.status) {
+                throw error;
+            }
+
+            return undefined;
+        });
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ * @param { object } [authentication] - authentication settings of the account
+ */
+function _requestMedia(req, res, next, authentication) {
     const options = communicator.getUpdatedRequestOptions({
         url: _extractMediaUrl(req.url.substring('/get/'.length)),
-        auth: user.getCredentials(req),
+        auth: user.getCredentials(req, authentication),
         headers: {
             cookie: req.headers.cookie,
         },
@@ -83,13 +132,178 @@ function getMedia(req, res, next) {
                     // Empty response, because audio and video is not helpful in print views.
                     res.status(204).end();
                 } else {
-                    _pipeMedia(options, req, res, next);
+                    _getMedia(options, req, res, next);
                 }
             }
         });
     } else {
-        _pipeMedia(options, req, res, next);
+        _getMedia(options, req, res, next);
+    }
+}
+
+/**
+ * Serves media from the cache if possible.
+ *
+ * @param { object } options - request options
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function _getMedia(options, req, res, next) {
+    if (!mediaCache.isEnabled()) {
+        return _pipeMedia(options, req, res, next);
+    }
+
+    mediaCache
+        .get(options.url)
+        .then(({ hash, cached }) => {
+            if (
+                cached &&
+                !cached.headers.etag &&
+                !cached.headers['last-modified']
+            ) {
+                _checkAccess(options, hash, cached, req, res, next);
+            } else {
+                _fetchMedia(options, hash, cached, req, res, next);
+            }
+        })
+        .catch((error) => {
+            debug('media cache is unavailable', error);
+            _pipeMedia(options, req, res, next);
+        });
+}
+
+/**
+ * Checks whether the user has access to a cached file that is identified by its hash in the manifest, and that cannot
+ * be revalidated otherwise.
+ *
+ * @param { object } options - request options
+ * @param { string } hash - hash of the media file in the XForm manifest
+ * @param {module:media-cache~CachedMedia} cached - cached file
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function _checkAccess(options, hash, cached, req, res, next) {
+    request.head(options, (error, response) => {
+        if (error) {
+            _handleMediaRequestError(error, next);
+        } else if (response.statusCode >= 200 && response.statusCode < 300) {
+            _sendCached(options, cached, req, res, next);
+        } else {
+            // passes the response of the OpenRosa server on
+            _fetchMedia(options, hash, null, req, res, next);
+        }
+    });
+}
+
+/**
+ * Obtains media from the OpenRosa server and stores them in the cache. A cached file is revalidated with a
+ * conditional request.
+ *
+ * @param { object } options - request options
+ * @param { string } hash - hash of the media file in the XForm manifest
+ * @param {module:media-cache~CachedMedia|null} cached - cached file
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function _fetchMedia(options, hash, cached, req, res, next) {
+    const headers = { ...options.headers };
+
+    if (cached && cached.headers.etag) {
+        headers['if-none-match'] = cached.headers.etag;
     }
+    if (cached && cached.headers['last-modified']) {
+        headers['if-modified-since'] = cached.headers['last-modified'];
+    }
+
+    const mediaRequest = request
+        .get({ ...options, headers })
+        .on('error', (error) => _handleMediaRequestError(error, next))
+        .on('response', (response) => {
+            if (cached && response.statusCode === 304) {
+                return _sendCached(options, cached, req, res, next);
+            }
+
+            if (!mediaCache.isCacheable(response, hash)) {
+                if (cached && [200, 404, 410].includes(response.statusCode)) {
+                    mediaCache.remove(cached).catch((error) => {
+                        debug('failed to remove cached media', error);
+                    });
+                }
+
+                return mediaRequest
+                    .pipe(res)
+                    .on('error', (error) =>
+                        _handleMediaRequestError(error, next)
+                    );
+            }
+
+            const cacheStream = mediaCache.createWriteStream(
+                options.url,
+                hash,
+                response
+            );
+
+            mediaRequest.pipe(cacheStream);
+
+            if (req.headers.range) {
+                // the complete file is stored before the requested range is served from the cache
+                cacheStream
+                    .on('stored', (stored) =>
+                        _sendCached(options, stored, req, res, next)
+                    )
+                    .on('error', () => _pipeMedia(options, req, res, next));
+            } else {
+                mediaRequest
+                    .pipe(res)
+                    .on('error', (error) =>
+                        _handleMediaRequestError(error, next)
+                    );
+            }
+        });
+}
+
+/**
+ * Serves a cached file, including range requests (e.g. for audio and video) and conditional requests.
+ *
+ * @param { object } options - request options
+ * @param {module:media-cache~CachedMedia} cached - cached file
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function _sendCached(options, cached, req, res, next) {
+    const headers = {};
+
+    Object.entries(cached.headers).forEach(([name, value]) => {
+        headers[name.replace(/(^|-)([a-z])/g, (match) => match.toUpperCase())] =
+            value;
+    });
+
+    mediaCache.touch(cached);
+
+    res.sendFile(
+        cached.file,
+        {
+            headers,
+            etag: false,
+            lastModified: false,
+            cacheControl: false,
+        },
+        (error) => {
+            if (!error || res.headersSent) {
+                return;
+            }
+            if (error.code === 'ENOENT') {
+                // the file was evicted in the meantime
+                _pipeMedia(options, req, res, next);
+            } else {
+                next(error);
+            }
+        }
+    );
 }
 
 function _pipeMedia(options, req, res, next) {
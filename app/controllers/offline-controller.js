@@ -12,6 +12,12 @@ const config = require('../models/config-model').server;
 
 // var debug = require( 'debug' )( 'offline-controller' );
 
+// Webform modules without imports that the offline-app-worker shares, to upload queued records in the same way.
+const SHARED_MODULES = [
+    'public/js/src/module/upload-batches.js',
+    'public/js/src/module/upload-retry.js',
+];
+
 module.exports = (app) => {
     app.use(`${app.get('base path')}/`, router);
 };
@@ -34,13 +40,20 @@ function getScriptContent() {
     // Determining hash every time, is done to make development less painful (refreshing service worker)
     // The partialScriptHash is not actually required but useful to see which offline-app-worker-partial.js is used during troubleshooting.
     // by going to http://localhost:8005/x/offline-app-worker.js and comparing the version with the version shown in the side slider of the webform.
-    const partialOfflineAppWorkerScript = fs.readFileSync(
-        path.resolve(
-            config.root,
-            'public/js/src/module/offline-app-worker-partial.js'
-        ),
-        'utf8'
-    );
+    const sharedScripts = SHARED_MODULES.map((file) =>
+        // turn the module into a script
+        fs
+            .readFileSync(path.resolve(config.root, file), 'utf8')
+            .replace(/^export /gm, '')
+    ).join('\n');
+    const partialOfflineAppWorkerScript = `${sharedScripts}
+${fs.readFileSync(
+    path.resolve(
+        config.root,
+        'public/js/src/module/offline-app-worker-partial.js'
+    ),
+    'utf8'
+)}`;
     const partialScriptHash = crypto
         .createHash('md5')
         .update(partialOfflineAppWorkerScript)
@@ -0,0 +1,266 @@
+/**
+ * Serves the launched and cached forms of an account as an OpenRosa server, so that ODK-compatible tools can
+ * obtain forms from Enketo (e.g. when the OpenRosa server is slow or offline). Tools authenticate with the API key
+ * of an account as user name. Only forms that were cached while the `openrosa form list` was enabled are served.
+ *
+ * @module openrosa-controller
+ */
+
+const auth = require('basic-auth');
+const express = require('express');
+const account = require('../models/account-model');
+const surveyModel = require('../models/survey-model');
+const cacheModel = require('../models/cache-model');
+const routerUtils = require('../lib/router-utils');
+const utils = require('../lib/utils');
+const { escapeMarkupEntities, toLocalMediaUrl } = require('../lib/url');
+
+const router = express.Router();
+// var debug = require( 'debug' )( 'openrosa-controller' );
+
+module.exports = (app) => {
+    app.use(`${app.get('base path')}/openrosa`, router);
+};
+
+router.param('enketo_id', routerUtils.enketoId);
+
+router
+    .all('*', (req, res, next) => {
+        // set content-type to json to provide appropriate json Error responses
+        res.set('Content-Type', 'application/json');
+        res.set('X-OpenRosa-Version', '1.0');
+        if (!req.app.get('openrosa form list')) {
+            const error = new Error(
+                'Not allowed. OpenRosa form list is disabled.'
+            );
+            error.status = 405;
+            next(error);
+        } else {
+            next();
+        }
+    })
+    .all('*', authCheck)
+    .get('/formList', getFormList)
+    .get('/xform/:enketo_id', getXForm)
+    .get('/xformsManifest/:enketo_id', getManifest);
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function authCheck(req, res, next) {
+    const creds = auth(req);
+    const key = creds ? creds.name : undefined;
+
+    account
+        .getByApiKey(key)
+        .then((result) => {
+            if (!result) {
+                const error = new Error('Not Allowed. Invalid API key.');
+                error.status = 401;
+                res.status(error.status).set(
+                    'WWW-Authenticate',
+                    'Basic realm="Enter valid API key as user name"'
+                );
+                next(error);
+            } else if (!account.hasScope(result.apiKey, 'read')) {
+                const error = new Error(
+                    'Forbidden. The API key does not have the "read" scope.'
+                );
+                error.status = 403;
+                next(error);
+            } else {
+                req.account = result.account;
+                next();
+            }
+        })
+        .catch(next);
+}
+
+/**
+ * Lists the launched forms of the account that have a cached XForm.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getFormList(req, res, next) {
+    const baseUrl = _getBaseUrl(req);
+
+    surveyModel
+        .getList(req.account.linkedServer)
+        .then((surveys) =>
+            Promise.all(
+                surveys.map((survey) =>
+                    cacheModel.getXForm(survey).then(
+                        (cached) => (cached ? { ...cached, survey } : null),
+                        // e.g. a survey with incomplete information
+                        () => null
+                    )
+                )
+            )
+        )
+        .then((items) => {
+            const xforms = items
+                .filter((item) => item)
+                .map((item) => _toXFormXml(item, baseUrl))
+                .join('');
+
+            _sendXml(
+                res,
+                `<xforms xmlns="http://openrosa.org/xforms/xformsList">${xforms}</xforms>`
+            );
+        })
+        .catch(next);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getXForm(req, res, next) {
+    _getCachedXForm(req)
+        .then((cached) => {
+            res.status(200)
+                .set('Content-Type', 'text/xml; charset=utf-8')
+                .send(cached.xform);
+        })
+        .catch(next);
+}
+
+/**
+ * Obtains the manifest of a form. The media files are downloaded via Enketo's media proxy.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getManifest(req, res, next) {
+    const origin = _getOrigin(req);
+
+    _getCachedXForm(req)
+        .then((cached) => {
+            const files = cached.manifest
+                .map((file) => _toMediaFileXml(file, origin))
+                .join('');
+
+            _sendXml(
+                res,
+                `<manifest xmlns="http://openrosa.org/xforms/xformsManifest">${files}</manifest>`
+            );
+        })
+        .catch(next);
+}
+
+/**
+ * Obtains the cached XForm of the survey in the request, if the survey belongs to the account.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return {Promise<module:cache-model~CachedXForm>} Promise that resolves with the cached XForm or rejects with a
+ * 404 error
+ */
+function _getCachedXForm(req) {
+    return surveyModel
+        .get(req.enketoId)
+        .then((survey) => {
+            if (!_isAccountSurvey(req.account, survey)) {
+                return null;
+            }
+
+            return cacheModel.getXForm(survey);
+        })
+        .then((cached) => {
+            if (!cached) {
+                const error = new Error('Form not found or not cached.');
+                error.status = 404;
+                throw error;
+            }
+
+            return cached;
+        });
+}
+
+/**
+ * @param {module:cache-model~CachedXForm & {survey: module:survey-model~SurveyObject}} item - cached XForm of a
+ * launched survey
+ * @param { string } baseUrl - URL of the OpenRosa endpoints
+ * @return { string } `xform` element of the form list
+ */
+function _toXFormXml({ survey, name, version, formHash, manifest }, baseUrl) {
+    const elements = [
+        `<formID>${escapeMarkupEntities(survey.openRosaId)}</formID>`,
+        `<name>${escapeMarkupEntities(name || survey.openRosaId)}</name>`,
+        `<version>${escapeMarkupEntities(version)}</version>`,
+        `<hash>${escapeMarkupEntities(formHash)}</hash>`,
+        `<downloadUrl>${baseUrl}xform/${survey.enketoId}</downloadUrl>`,
+    ];
+
+    if (manifest.length) {
+        elements.push(
+            `<manifestUrl>${baseUrl}xformsManifest/${survey.enketoId}</manifestUrl>`
+        );
+    }
+
+    return `<xform>${elements.join('')}</xform>`;
+}
+
+/**
+ * @param {{filename: string, hash: string, downloadUrl: string}} file - media file of the cached manifest
+ * @param { string } origin - origin of the request
+ * @return { string } `mediaFile` element of the manifest, with a download URL of Enketo's media proxy
+ */
+function _toMediaFileXml({ filename, hash, downloadUrl }, origin) {
+    return [
+        '<mediaFile>',
+        `<filename>${escapeMarkupEntities(filename)}</filename>`,
+        `<hash>${escapeMarkupEntities(hash)}</hash>`,
+        `<downloadUrl>${origin}${toLocalMediaUrl(downloadUrl)}</downloadUrl>`,
+        '</mediaFile>',
+    ].join('');
+}
+
+/**
+ * @param {module:account-model~AccountObj} acc - account
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @return { boolean } whether the survey was launched for the server of the account
+ */
+function _isAccountSurvey(acc, survey) {
+    const linkedServer = utils.cleanUrl(acc.linkedServer);
+    const server = utils.cleanUrl(survey.openRosaServer);
+
+    return (
+        linkedServer === '' ||
+        server === linkedServer ||
+        server.startsWith(`${linkedServer}/`)
+    );
+}
+
+/**
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param { string } xml - XML document without declaration
+ */
+function _sendXml(res, xml) {
+    res.status(200)
+        .set('Content-Type', 'text/xml; charset=utf-8')
+        .send(`<?xml version="1.0" encoding="UTF-8"?>${xml}`);
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { string } origin of the request, including the protocol
+ */
+function _getOrigin(req) {
+    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+
+    return `${protocol}://${req.headers.host}`;
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { string } URL of the OpenRosa endpoints, with a trailing slash
+ */
+function _getBaseUrl(req) {
+    return `${_getOrigin(req)}${req.app.get('base path')}/openrosa/`;
+}
@@ -4,18 +4,36 @@
 
 const request = require('request');
 const express = require('express');
+const bodyParser = require('body-parser');
+const config = require('../models/config-model').server;
 const communicator = require('../lib/communicator');
 const surveyModel = require('../models/survey-model');
 const userModel = require('../models/user-model');
 const instanceModel = require('../models/instance-model');
 const submissionModel = require('../models/submission-model');
+const accountModel = require('../models/account-model');
+const usageModel = require('../models/usage-model');
+const linkModel = require('../models/link-model');
+const loginModel = require('../models/login-model');
+const oauth2 = require('../lib/oauth2');
+const uploadModel = require('../models/upload-model');
 const utils = require('../lib/utils');
+const webhooks = require('../lib/webhooks');
 
 const router = express.Router();
 const routerUtils = require('../lib/router-utils');
 const { toLocalMediaUrl } = require('../lib/url');
 // var debug = require( 'debug' )( 'submission-controller' );
 
+/**
+ * @typedef SubmissionInfo
+ * @property { string } instanceId - instance ID of record
+ * @property { string } [deprecatedId] - deprecated (previous) ID of record
+ * @property { number|null } size - size of the submission in bytes, if known
+ * @property { string } [username] - user who logged in with Enketo's login form, set once the credentials are known
+ * @property {module:link-model~LinkObj} [link] - single-submission link of which a use was reserved for the record
+ */
+
 module.exports = (app) => {
     app.use(`${app.get('base path')}/submission`, router);
 };
@@ -24,6 +42,11 @@ router.param('enketo_id', routerUtils.enketoId);
 router.param('encrypted_enketo_id_single', routerUtils.encryptedEnketoIdSingle);
 router.param('encrypted_enketo_id_view', routerUtils.encryptedEnketoIdView);
 
+const parseChunk = bodyParser.raw({
+    type: 'application/offset+octet-stream',
+    limit: config['resumable uploads']['chunk size'],
+});
+
 router
     .all('*', (req, res, next) => {
         res.set('Content-Type', 'application/json');
@@ -32,6 +55,47 @@ router
     .get('/max-size/:encrypted_enketo_id_single', maxSize)
     .get('/max-size/:encrypted_enketo_id_view', maxSize)
     .get('/max-size/:enketo_id?', maxSize)
+    .all('/upload/*', (req, res, next) => {
+        if (!uploadModel.isEnabled()) {
+            const error = new Error(
+                'Not allowed. Resumable uploads are disabled.'
+            );
+            error.status = 405;
+
+            return next(error);
+        }
+        next();
+    })
+    .post('/upload/:encrypted_enketo_id_single', checkUploadToken, createUpload)
+    .post('/upload/:enketo_id', checkUploadToken, createUpload)
+    .get(
+        '/upload/:encrypted_enketo_id_single/:upload_id',
+        checkUploadToken,
+        getUpload
+    )
+    .get('/upload/:enketo_id/:upload_id', checkUploadToken, getUpload)
+    .patch(
+        '/upload/:encrypted_enketo_id_single/:upload_id/:file_index',
+        checkUploadToken,
+        parseChunk,
+        appendUpload
+    )
+    .patch(
+        '/upload/:enketo_id/:upload_id/:file_index',
+        checkUploadToken,
+        parseChunk,
+        appendUpload
+    )
+    .post(
+        '/upload/:encrypted_enketo_id_single/:upload_id/submit',
+        checkUploadToken,
+        submitUpload
+    )
+    .post(
+        '/upload/:enketo_id/:upload_id/submit',
+        checkUploadToken,
+        submitUpload
+    )
     .get('/:encrypted_enketo_id_view', getInstance)
     .get('/:enketo_id', getInstance)
     .post('/:encrypted_enketo_id_single', submit)
@@ -51,30 +115,22 @@ router
  * @param {Function} next - Express callback
  */
 async function submit(req, res, next) {
+    const start = Date.now();
+    const submission = {
+        instanceId: req.headers['x-openrosa-instance-id'],
+        deprecatedId: req.headers['x-openrosa-deprecated-id'],
+        size: _getSize(req),
+    };
+    let survey;
+
     try {
-        const paramName = req.app.get('query parameter to pass to submission');
-        const paramValue = req.query[paramName];
-        const query = paramValue ? `?${paramName}=${paramValue}` : '';
-        const instanceId = req.headers['x-openrosa-instance-id'];
-        const deprecatedId = req.headers['x-openrosa-deprecated-id'];
-        const id = req.enketoId;
-        const survey = await surveyModel.get(id);
-        const submissionUrl =
-            communicator.getSubmissionUrl(survey.openRosaServer) + query;
-        const credentials = userModel.getCredentials(req);
-        const authHeader = await communicator.getAuthHeader(
-            submissionUrl,
-            credentials
+        survey = await surveyModel.get(req.enketoId);
+        const options = await _getSubmissionOptions(
+            req,
+            res,
+            survey,
+            submission
         );
-        const baseHeaders = authHeader ? { Authorization: authHeader } : {};
-
-        // Note even though headers is part of these options, it does not overwrite the headers set on the client!
-        const options = {
-            method: 'POST',
-            url: submissionUrl,
-            headers: communicator.getUpdatedRequestHeaders(baseHeaders, req),
-            timeout: req.app.get('timeout') + 500,
-        };
 
         /**
          * TODO: When we've replaced request with a non-deprecated library,
@@ -84,37 +140,336 @@ async function submit(req, res, next) {
          * - Introduce a more idiomatic request async handler interface, e.g. wrapping
          *   handlers to automatically try + res.send or catch + next(error)
          */
-        req.pipe(request(options))
-            .on('response', (orResponse) => {
-                if (orResponse.statusCode === 201) {
-                    _logSubmission(id, instanceId, deprecatedId);
-                } else if (orResponse.statusCode === 401) {
-                    // replace the www-authenticate header to avoid browser built-in authentication dialog
-                    orResponse.headers[
-                        'WWW-Authenticate'
-                    ] = `enketo${orResponse.headers['WWW-Authenticate']}`;
-                }
-            })
-            .on('error', (error) => {
-                if (
-                    error &&
-                    (error.code === 'ETIMEDOUT' || error.code === 'ECONNRESET')
-                ) {
-                    if (error.connect === true) {
-                        error.status = 504;
-                    } else {
-                        error.status = 408;
-                    }
-                }
+        _forwardSubmission(
+            req.pipe(request(options)),
+            { req, res, next },
+            survey,
+            submission,
+            start
+        );
+    } catch (error) {
+        if (survey) {
+            _auditSubmission(
+                req,
+                survey,
+                submission,
+                error.status || 500,
+                start
+            );
+        }
+        next(error);
+    }
+}
 
-                next(error);
-            })
-            .pipe(res);
+/**
+ * Only webforms that obtained the form may store files in Enketo. They send the upload token they received with
+ * the form in the `X-Enketo-Upload-Token` header.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function checkUploadToken(req, res, next) {
+    if (
+        !uploadModel.verifyToken(
+            req.enketoId,
+            req.headers['x-enketo-upload-token']
+        )
+    ) {
+        const error = new Error('Forbidden. Upload token is invalid.');
+        error.status = 403;
+
+        return next(error);
+    }
+    next();
+}
+
+/**
+ * Creates a resumable upload of a record, or obtains the existing upload of the same record.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function createUpload(req, res, next) {
+    surveyModel
+        .get(req.enketoId)
+        .then(accountModel.check)
+        .then(() => uploadModel.create(req.enketoId, req.body))
+        .then((upload) => {
+            res.status(201).json(_getUploadStatus(upload));
+        })
+        .catch(next);
+}
+
+/**
+ * Obtains the number of bytes that have been received of each file of a resumable upload.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function getUpload(req, res, next) {
+    uploadModel
+        .get(req.enketoId, req.params.upload_id)
+        .then((upload) => {
+            res.set('Cache-Control', 'no-store').json(_getUploadStatus(upload));
+        })
+        .catch(next);
+}
+
+/**
+ * Appends a chunk to a file of a resumable upload. The position of the chunk is provided in the `Upload-Offset`
+ * header and its SHA-256 checksum in the `Upload-Checksum` header (`sha256 <hex digest>`).
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+function appendUpload(req, res, next) {
+    const offset = Number(req.headers['upload-offset']);
+    const [algorithm, checksum] = (req.headers['upload-checksum'] || '').split(
+        ' '
+    );
+
+    if (algorithm !== 'sha256' || !checksum) {
+        const error = new Error(
+            'Bad Request. A sha256 Upload-Checksum header is required.'
+        );
+        error.status = 400;
+
+        return next(error);
+    }
+
+    uploadModel
+        .append(
+            req.enketoId,
+            req.params.upload_id,
+            Number(req.params.file_index),
+            offset,
+            req.body,
+            checksum
+        )
+        .then((upload) => {
+            const part = upload.parts[req.params.file_index];
+
+            res.set('Upload-Offset', part.offset).json(
+                _getUploadStatus(upload)
+            );
+        })
+        .catch((error) => {
+            if (typeof error.offset === 'number') {
+                res.set('Upload-Offset', error.offset);
+            }
+            next(error);
+        });
+}
+
+/**
+ * Forwards the complete submission of a resumable upload to the OpenRosa server and copies the response received.
+ * The upload is removed once the OpenRosa server has accepted the submission.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ */
+async function submitUpload(req, res, next) {
+    const start = Date.now();
+    const uploadId = req.params.upload_id;
+    let survey;
+    let submission;
+
+    try {
+        const upload = await uploadModel.get(req.enketoId, uploadId);
+        submission = {
+            instanceId: upload.instanceId,
+            deprecatedId: upload.deprecatedId,
+            size: upload.size,
+        };
+        const formData = uploadModel.getFormData(upload);
+        survey = await surveyModel.get(req.enketoId);
+        const options = await _getSubmissionOptions(
+            req,
+            res,
+            survey,
+            submission
+        );
+
+        options.headers['X-OpenRosa-Instance-Id'] = upload.instanceId;
+        if (upload.deprecatedId) {
+            options.headers['X-OpenRosa-Deprecated-Id'] = upload.deprecatedId;
+        }
+        options.formData = formData;
+
+        _forwardSubmission(
+            request(options),
+            { req, res, next },
+            survey,
+            submission,
+            start
+        ).on('response', (orResponse) => {
+            if (
+                orResponse.statusCode === 201 ||
+                orResponse.statusCode === 202
+            ) {
+                uploadModel.remove(req.enketoId, uploadId).catch((error) => {
+                    console.error(error);
+                });
+            }
+        });
     } catch (error) {
+        if (survey) {
+            _auditSubmission(
+                req,
+                survey,
+                submission,
+                error.status || 500,
+                start
+            );
+        }
         next(error);
     }
 }
 
+/**
+ * Checks whether a submission is allowed and obtains the options of the request to the OpenRosa server.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param { SubmissionInfo } submission - submitted record
+ * @return {Promise<object>} Promise that resolves with the request options
+ */
+async function _getSubmissionOptions(req, res, survey, submission) {
+    const paramName = req.app.get('query parameter to pass to submission');
+    const paramValue = req.query[paramName];
+    const query = paramValue ? `?${paramName}=${paramValue}` : '';
+
+    await accountModel.check(survey);
+    // Later batches of a record that was accepted before are let through, so records are not submitted partially.
+    const recorded = await submissionModel.isRecorded(
+        survey.enketoId,
+        submission.instanceId
+    );
+    if (!recorded) {
+        await usageModel.checkSubmission(survey.account, submission.size);
+    }
+    const submissionUrl =
+        communicator.getSubmissionUrl(survey.openRosaServer) + query;
+    await oauth2.refreshToken(req, res, survey.account.authentication);
+    const credentials = userModel.getCredentials(
+        req,
+        survey.account.authentication
+    );
+
+    // The login form does not verify credentials, so lockouts of the username are enforced wherever they are used.
+    // Lockouts of the IP address only apply to the login form, so that users behind the same IP address can still
+    // submit with their own valid credentials.
+    if (credentials && credentials.user) {
+        await loginModel.assertAllowed({ username: credentials.user });
+        submission.username = credentials.user;
+    }
+
+    const authHeader = await communicator.getAuthHeader(
+        submissionUrl,
+        credentials
+    );
+    const baseHeaders = authHeader ? { Authorization: authHeader } : {};
+
+    // Each new record uses a single-submission link. The use is reserved before the record is forwarded,
+    // so that concurrent submissions cannot exceed the maximum, and released if the record is not accepted.
+    if (req.link && !recorded) {
+        await linkModel.consume(req.link);
+        submission.link = req.link;
+    }
+
+    // Note even though headers is part of these options, it does not overwrite the headers set on the client!
+    return {
+        method: 'POST',
+        url: submissionUrl,
+        headers: communicator.getUpdatedRequestHeaders(baseHeaders, req),
+        timeout: req.app.get('timeout') + 500,
+    };
+}
+
+/**
+ * Copies the response of the OpenRosa server to a submission, and logs the submission.
+ *
+ * @param {request.Request} orRequest - request to the OpenRosa server
+ * @param {{req: module:api-controller~ExpressRequest, res: module:api-controller~ExpressResponse, next: Function}} context - Express request context
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param { SubmissionInfo } submission - submitted record
+ * @param { number } start - timestamp of the moment the request was received
+ * @return {request.Request} the request to the OpenRosa server
+ */
+function _forwardSubmission(
+    orRequest,
+    { req, res, next },
+    survey,
+    submission,
+    start
+) {
+    const { instanceId, deprecatedId, size } = submission;
+
+    orRequest
+        .on('response', (orResponse) => {
+            _auditSubmission(
+                req,
+                survey,
+                submission,
+                orResponse.statusCode,
+                start
+            );
+
+            if (orResponse.statusCode === 201) {
+                _logSubmission(survey, instanceId, deprecatedId, size);
+            } else {
+                _releaseLink(submission);
+            }
+            if (orResponse.statusCode === 401) {
+                if (submission.username) {
+                    loginModel
+                        .recordFailure({
+                            ip: req.ip,
+                            username: submission.username,
+                        })
+                        .catch((error) => {
+                            console.error(error);
+                        });
+                }
+                // replace the www-authenticate header to avoid browser built-in authentication dialog
+                orResponse.headers[
+                    'WWW-Authenticate'
+                ] = `enketo${orResponse.headers['WWW-Authenticate']}`;
+            }
+        })
+        .on('error', (error) => {
+            if (
+                error &&
+                (error.code === 'ETIMEDOUT' || error.code === 'ECONNRESET')
+            ) {
+                if (error.connect === true) {
+                    error.status = 504;
+                } else {
+                    error.status = 408;
+                }
+            }
+
+            _releaseLink(submission);
+            _auditSubmission(
+                req,
+                survey,
+                submission,
+                error.status || 500,
+                start
+            );
+            next(error);
+        })
+        .pipe(res);
+
+    return orRequest;
+}
+
 /**
  * Get max submission size.
  *
@@ -138,11 +493,19 @@ function maxSize(req, res, next) {
     } else {
         surveyModel
             .get(req.enketoId)
-            .then((survey) => {
-                survey.credentials = userModel.getCredentials(req);
+            .then(accountModel.check)
+            .then((survey) =>
+                oauth2
+                    .refreshToken(req, res, survey.account.authentication)
+                    .then(() => {
+                        survey.credentials = userModel.getCredentials(
+                            req,
+                            survey.account.authentication
+                        );
 
-                return survey;
-            })
+                        return survey;
+                    })
+            )
             .then(communicator.getMaxSize)
             .then((maxSize) => {
                 res.json({ maxSize });
@@ -195,11 +558,14 @@ function getInstance(req, res, next) {
 }
 
 /**
- * @param { string } id - Enketo ID of survey
+ * @param {module:survey-model~SurveyObject} survey - survey object
  * @param { string } instanceId - instance ID of record
  * @param { string } deprecatedId - deprecated (previous) ID of record
+ * @param { number|null } size - size of the submission in bytes
  */
-function _logSubmission(id, instanceId, deprecatedId) {
+function _logSubmission(survey, instanceId, deprecatedId, size) {
+    const id = survey.enketoId;
+
     submissionModel
         .isNew(id, instanceId)
         .then((notRecorded) => {
@@ -208,9 +574,95 @@ function _logSubmission(id, instanceId, deprecatedId) {
                 surveyModel.incrementSubmissions(id);
                 // store/log instanceId
                 submissionModel.add(id, instanceId, deprecatedId);
+                // notify once per record, not for each batch
+                _notifyWebhooks(survey, instanceId, deprecatedId);
             }
+
+            // every batch counts towards the submitted bytes
+            return usageModel.addSubmission(survey.account, size, notRecorded);
         })
         .catch((error) => {
             console.error(error);
         });
 }
+
+/**
+ * Releases the use of a single-submission link that was reserved for a record that was not accepted,
+ * without waiting for the result.
+ *
+ * @param { SubmissionInfo } submission - submitted record
+ */
+function _releaseLink(submission) {
+    if (submission.link) {
+        linkModel.release(submission.link).catch((error) => {
+            console.error(error);
+        });
+        delete submission.link;
+    }
+}
+
+/**
+ * Records the submission attempt in the audit log, without waiting for the result.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param { SubmissionInfo } submission - submitted record
+ * @param { number } status - HTTP status of the response
+ * @param { number } start - timestamp of the moment the request was received
+ */
+function _auditSubmission(req, survey, submission, status, start) {
+    submissionModel
+        .logAttempt(survey, {
+            enketoId: req.enketoId,
+            instanceId: submission.instanceId,
+            deprecatedId: submission.deprecatedId,
+            status,
+            size: submission.size,
+            duration: Date.now() - start,
+            ip: utils.anonymizeIp(req.ip),
+        })
+        .catch((error) => {
+            console.error(error);
+        });
+}
+
+/**
+ * Notifies the webhooks of the survey's account of a new record that the OpenRosa server accepted, without waiting
+ * for the result. The survey object should include the account.
+ *
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param { string } instanceId - instance ID of record
+ * @param { string } deprecatedId - deprecated (previous) ID of record
+ */
+function _notifyWebhooks(survey, instanceId, deprecatedId) {
+    webhooks.notifySubmission(survey.account.webhooks, {
+        enketoId: survey.enketoId,
+        instanceId,
+        deprecatedId,
+        status: 201,
+    });
+}
+
+/**
+ * @param {module:upload-model~Upload} upload - resumable upload
+ * @return { object } upload information for the webform
+ */
+function _getUploadStatus(upload) {
+    return {
+        uploadId: upload.uploadId,
+        complete: upload.complete,
+        offsets: upload.parts.map((part) =>
+            typeof part.offset === 'number' ? part.offset : null
+        ),
+    };
+}
+
+/**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { number|null } size of the request body in bytes, if known
+ */
+function _getSize(req) {
+    const size = parseInt(req.headers['content-length'], 10);
+
+    return Number.isNaN(size) ? null : size;
+}
@@ -6,7 +6,10 @@ const utils = require('../lib/utils');
 const TError = require('../lib/custom-error').TranslatedError;
 const communicator = require('../lib/communicator');
 const surveyModel = require('../models/survey-model');
+const accountModel = require('../models/account-model');
+const linkModel = require('../models/link-model');
 const userModel = require('../models/user-model');
+const oauth2 = require('../lib/oauth2');
 const config = require('../models/config-model').server;
 const express = require('express');
 
@@ -130,7 +133,15 @@ function view(req, res, next) {
         print: req.query.print === 'true',
     };
 
-    _renderWebform(req, res, next, options);
+    if (req.link) {
+        // each time a view link is loaded counts as a use
+        linkModel
+            .consume(req.link)
+            .then(() => _renderWebform(req, res, next, options))
+            .catch(next);
+    } else {
+        _renderWebform(req, res, next, options);
+    }
 }
 
 /**
@@ -211,11 +222,19 @@ function _renderWebform(req, res, next, options) {
 function xform(req, res, next) {
     return surveyModel
         .get(req.enketoId)
-        .then((survey) => {
-            survey.credentials = userModel.getCredentials(req);
-
-            return survey;
-        })
+        .then(accountModel.check)
+        .then((survey) =>
+            oauth2
+                .refreshToken(req, res, survey.account.authentication)
+                .then(() => {
+                    survey.credentials = userModel.getCredentials(
+                        req,
+                        survey.account.authentication
+                    );
+
+                    return survey;
+                })
+        )
         .then(communicator.getXFormInfo)
         .then(communicator.getXForm)
         .then((survey) => {
@@ -2,13 +2,18 @@
  * @module transformation-controller
  */
 
-const transformer = require('enketo-transformer');
+const config = require('../models/config-model').server;
 const communicator = require('../lib/communicator');
+const mediaCache = require('../lib/media-cache');
 const surveyModel = require('../models/survey-model');
 const cacheModel = require('../models/cache-model');
 const account = require('../models/account-model');
 const user = require('../models/user-model');
-const config = require('../models/config-model').server;
+const oauth2 = require('../lib/oauth2');
+const usageModel = require('../models/usage-model');
+const loginModel = require('../models/login-model');
+const exportModel = require('../models/export-model');
+const uploadModel = require('../models/upload-model');
 const utils = require('../lib/utils');
 const routerUtils = require('../lib/router-utils');
 const express = require('express');
@@ -17,7 +22,7 @@ const { replaceMediaSources } = require('../lib/url');
 
 const router = express.Router();
 
-// var debug = require( 'debug' )( 'transformation-controller' );
+const debug = require('debug')('transformation-controller');
 
 module.exports = (app) => {
     app.use(`${app.get('base path')}/transform`, router);
@@ -47,26 +52,31 @@ router
  * @param {Function} next - Express callback
  */
 function getSurveyParts(req, res, next) {
-    _getSurveyParams(req)
+    _getSurveyParams(req, res)
         .then((survey) => {
             if (survey.info) {
                 // A request with "xformUrl" body parameter was used (unlaunched form)
                 _getFormDirectly(survey)
                     .then((survey) => {
-                        _respond(res, survey);
+                        _respond(req, res, survey);
                     })
                     .catch(next);
             } else {
-                _authenticate(survey)
-                    .then(_getFormFromCache)
-                    .then((result) => {
-                        if (result) {
-                            return _updateCache(result);
-                        }
-                        return _updateCache(survey);
-                    })
+                _authenticate(survey, req)
+                    .then((survey) =>
+                        _getFormFromCache(survey).then((result) => {
+                            if (result) {
+                                _setCacheAccess(result);
+
+                                return _updateCache(result);
+                            }
+                            return _updateCache(survey).then(_setCacheAccess);
+                        })
+                    )
+                    // only users that were allowed access by the OpenRosa server before get a cached form
+                    .catch((error) => _getCacheFallback(survey, error))
                     .then((result) => {
-                        _respond(res, result);
+                        _respond(req, res, result);
                     })
                     .catch(next);
             }
@@ -82,7 +92,7 @@ function getSurveyParts(req, res, next) {
  * @param {Function} next - Express callback
  */
 function getSurveyHash(req, res, next) {
-    _getSurveyParams(req)
+    _getSurveyParams(req, res)
         .then((survey) => cacheModel.getHashes(survey))
         .then(_updateCache)
         .then((survey) => {
@@ -104,19 +114,45 @@ function getSurveyHash(req, res, next) {
  *
  */
 function _getFormDirectly(survey) {
-    return communicator
-        .getXForm(survey)
-        .then(communicator.getManifest)
-        .then(transformer.transform);
+    return communicator.getManifest(survey).then(cacheModel.transform);
 }
 
 /**
+ * Authenticates with the OpenRosa server and records failed logins of users who logged in with Enketo's login form.
+ * The credentials of users who are locked out are not passed to the OpenRosa server.
+ *
  * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
  *
  * @return { Promise<module:survey-model~SurveyObject> } a Promise resolving with survey object
  */
-function _authenticate(survey) {
-    return communicator.authenticate(survey);
+function _authenticate(survey, req) {
+    const username = survey.credentials && survey.credentials.user;
+
+    if (!username) {
+        return communicator.authenticate(survey);
+    }
+
+    return loginModel
+        .assertAllowed({ ip: req.ip, username })
+        .then(() => communicator.authenticate(survey))
+        .then(
+            (survey) =>
+                loginModel
+                    .recordSuccess({ ip: req.ip, username })
+                    .then(() => survey),
+            (error) => {
+                if (error.status !== 401) {
+                    throw error;
+                }
+
+                return loginModel
+                    .recordFailure({ ip: req.ip, username })
+                    .then(() => {
+                        throw error;
+                    });
+            }
+        );
 }
 
 /**
@@ -138,24 +174,8 @@ function _getFormFromCache(survey) {
 function _updateCache(survey) {
     return communicator
         .getXFormInfo(survey)
-        .then(communicator.getManifest)
-        .then((survey) => Promise.all([survey, cacheModel.check(survey)]))
-        .then(([survey, upToDate]) => {
-            if (!upToDate) {
-                delete survey.xform;
-                delete survey.form;
-                delete survey.model;
-                delete survey.xslHash;
-                delete survey.mediaHash;
-                delete survey.mediaUrlHash;
-                delete survey.formHash;
-
-                return _getFormDirectly(survey).then(cacheModel.set);
-            }
-
-            return survey;
-        })
-        .then(_addMediaHash)
+        .then(cacheModel.refresh)
+        .then((result) => _addMediaHash(result.survey))
         .catch((error) => {
             if (error.status === 401 || error.status === 404) {
                 cacheModel.flush(survey).catch((e) => {
@@ -174,6 +194,72 @@ function _updateCache(survey) {
         });
 }
 
+/**
+ * Records that the OpenRosa server gave the user access to the cached form, without waiting for the result.
+ *
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @return {module:survey-model~SurveyObject} survey object
+ */
+function _setCacheAccess(survey) {
+    cacheModel.setAccess(survey, _getAccessIdentity(survey)).catch((error) => {
+        console.error(error);
+    });
+
+    return survey;
+}
+
+/**
+ * Obtains the cached form if the OpenRosa server is unavailable, for users that the server gave access to the form
+ * before. The server does not have to respond, so this also works while the server is down or its circuit is open.
+ *
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param { Error } error - error that occurred when obtaining the form
+ * @return { Promise<module:survey-model~SurveyObject> } a Promise resolving with the cached survey object or
+ * rejecting with the original error
+ */
+function _getCacheFallback(survey, error) {
+    if (
+        !config['openrosa requests']['cache fallback'] ||
+        !communicator.isUnavailableError(error)
+    ) {
+        return Promise.reject(error);
+    }
+
+    return cacheModel
+        .hasAccess(survey, _getAccessIdentity(survey))
+        .then((access) => (access ? cacheModel.get(survey) : null))
+        .then((cached) => {
+            if (!cached) {
+                throw error;
+            }
+            debug(
+                `OpenRosa server is unavailable, serving cached form ${survey.openRosaId}`
+            );
+
+            return _addMediaHash(cached);
+        });
+}
+
+/**
+ * Identifies the user towards the OpenRosa server: by the credentials, or by the cookies for external cookie
+ * authentication. Users without either access public forms.
+ *
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @return {object|string|null} identity of the user, or `null` for anonymous access
+ */
+function _getAccessIdentity(survey) {
+    const authentication = survey.account && survey.account.authentication;
+
+    if (survey.credentials) {
+        return survey.credentials;
+    }
+    if (authentication && authentication.type === 'cookie') {
+        return survey.cookie || null;
+    }
+
+    return null;
+}
+
 /**
  * @param {module:survey-model~SurveyObject} survey - survey object
  *
@@ -184,7 +270,13 @@ function _updateCache(survey) {
 function _addMediaHash(survey) {
     survey.mediaHash = utils.getXformsManifestHash(survey.manifest, 'all');
 
-    return Promise.resolve(survey);
+    // the hashes of the individual media files identify their cached versions in the media proxy
+    return mediaCache
+        .setHashes(survey.manifest)
+        .catch((error) => {
+            debug('failed to record media hashes', error);
+        })
+        .then(() => survey);
 }
 
 /**
@@ -193,8 +285,8 @@ function _addMediaHash(survey) {
  * @return { Promise<module:survey-model~SurveyObject> } a Promise resolving with survey object
  */
 function _checkQuota(survey) {
-    if (!config['account lib']) {
-        // Don't check quota if not running SaaS
+    if (!Number.isFinite(usageModel.getLimits(survey.account).surveys)) {
+        // Don't count surveys if there is no quota
         return Promise.resolve(survey);
     }
 
@@ -204,17 +296,16 @@ function _checkQuota(survey) {
             if (quotaUsed <= survey.account.quota) {
                 return Promise.resolve(survey);
             }
-            const error = new Error('Forbidden. Quota exceeded.');
-            error.status = 403;
-            throw error;
+            throw usageModel.quotaError('surveys');
         });
 }
 
 /**
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
  * @param {module:api-controller~ExpressResponse} res - HTTP response
  * @param {module:survey-model~SurveyObject} survey - survey object
  */
-function _respond(res, survey) {
+function _respond(req, res, survey) {
     delete survey.credentials;
 
     survey = replaceMediaSources(survey);
@@ -232,9 +323,51 @@ function _respond(res, survey) {
         // on the client.
         hash: _getCombinedHash(survey),
         languageMap: survey.languageMap,
+        imageCompression: _getImageCompression(survey),
+        // only users that obtained the form can send their queued records to Enketo
+        exportToken:
+            config['record export'].enabled && survey.enketoId
+                ? exportModel.getToken(
+                      survey.enketoId,
+                      req.signedCookies.__enketo_meta_deviceid
+                  )
+                : undefined,
+        uploadToken:
+            config['resumable uploads'].enabled && survey.enketoId
+                ? uploadModel.getToken(survey.enketoId)
+                : undefined,
     });
 }
 
+/**
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @return {{maxDimension?: number, quality?: number, keepLocation?: boolean}|undefined} form-specific photo
+ * compression policy, if any
+ */
+function _getImageCompression(survey) {
+    if (
+        !survey.imageMaxDimension &&
+        !survey.imageQuality &&
+        !survey.imageKeepLocation
+    ) {
+        return;
+    }
+
+    const imageCompression = {};
+
+    if (survey.imageMaxDimension) {
+        imageCompression.maxDimension = Number(survey.imageMaxDimension);
+    }
+    if (survey.imageQuality) {
+        imageCompression.quality = Number(survey.imageQuality);
+    }
+    if (survey.imageKeepLocation) {
+        imageCompression.keepLocation = survey.imageKeepLocation === 'true';
+    }
+
+    return imageCompression;
+}
+
 /**
  * @param { module:survey-model~SurveyObject } survey - survey object
  * @return { string } - a hash
@@ -246,36 +379,61 @@ function _getCombinedHash(survey) {
             ? utils.md5(survey.account.branding.source)
             : '';
 
-    return [
+    const hashes = [
         String(survey.formHash),
         String(survey.mediaHash),
         String(survey.xslHash),
         String(survey.theme),
         String(brandingHash),
         String(FORCE_UPDATE),
-    ].join('-');
+    ];
+
+    // only added for forms with a photo compression policy, to not refresh the cache of all other forms
+    if (
+        survey.imageMaxDimension ||
+        survey.imageQuality ||
+        survey.imageKeepLocation
+    ) {
+        const policy = `${survey.imageMaxDimension}:${survey.imageQuality}`;
+
+        hashes.push(
+            utils.md5(
+                survey.imageKeepLocation
+                    ? `${policy}:${survey.imageKeepLocation}`
+                    : policy
+            )
+        );
+    }
+
+    return hashes.join('-');
 }
 
 /**
  * @param {module:survey-model~SurveyObject} survey - survey object
  * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
  *
  * @return { Promise<module:survey-model~SurveyObject> } a Promise resolving with survey object with added credentials
  */
-function _setCookieAndCredentials(survey, req) {
-    // for external authentication, pass the cookie(s)
-    survey.cookie = req.headers.cookie;
-    // for OpenRosa authentication, add the credentials
-    survey.credentials = user.getCredentials(req);
+function _setCookieAndCredentials(survey, req, res) {
+    const authentication = survey.account && survey.account.authentication;
+
+    return oauth2.refreshToken(req, res, authentication).then(() => {
+        // for external authentication, pass the cookie(s)
+        survey.cookie = req.headers.cookie;
+        // for OpenRosa authentication, add the credentials
+        survey.credentials = user.getCredentials(req, authentication);
 
-    return Promise.resolve(survey);
+        return survey;
+    });
 }
 
 /**
  * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
  * @return { Promise<module:survey-model~SurveyObject> } a Promise resolving with survey object
  */
-function _getSurveyParams(req) {
+function _getSurveyParams(req, res) {
     const params = req.body;
     const customParamName = req.app.get(
         'query parameter to pass to submission'
@@ -290,7 +448,7 @@ function _getSurveyParams(req) {
             .then((survey) => {
                 survey.customParam = customParam;
 
-                return _setCookieAndCredentials(survey, req);
+                return _setCookieAndCredentials(survey, req, res);
             });
     }
     if (params.xformUrl) {
@@ -317,7 +475,7 @@ function _getSurveyParams(req) {
                         account: survey.account,
                     })
             )
-            .then((survey) => _setCookieAndCredentials(survey, req));
+            .then((survey) => _setCookieAndCredentials(survey, req, res));
     }
     const error = new Error('Bad Request. Survey information not complete.');
     error.status = 400;
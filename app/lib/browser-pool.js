@@ -0,0 +1,402 @@
+/**
+ * A pool of headless browsers that are kept open between requests. Each page is opened in its own
+ * incognito browser context, so no cookies or storage are shared between requests.
+ * The number of pages in use at the same time is limited and additional requests wait in a queue.
+ * Each (cluster worker) process has its own pool.
+ *
+ * @module browser-pool
+ */
+
+// var debug = require( 'debug' )( 'browser-pool' );
+
+/**
+ * @typedef BrowserPoolOptions
+ * @property { Function } launch - function that resolves with a new (Puppeteer) browser
+ * @property { number } [browsers] - number of browsers to keep open
+ * @property { number } [concurrency] - maximum number of pages in use at the same time
+ * @property { number } [queueLimit] - maximum number of requests waiting for a page
+ * @property { number } [queueTimeout] - maximum time in milliseconds a request waits for a page
+ * @property { number } [pagesPerBrowser] - number of page uses after which a browser is replaced
+ * @property { number } [healthCheckInterval] - interval in milliseconds of browser health checks, 0 to disable
+ */
+
+/**
+ * @typedef PageLease
+ * @property { object } page - (Puppeteer) page
+ * @property { Function } release - function to call when done with the page, that resolves when the page
+ * and its browser context have been closed
+ */
+
+/**
+ * @typedef BrowserPoolStatus
+ * @property { number } browsers - number of open browsers
+ * @property { number } active - number of pages in use
+ * @property { number } queued - number of requests waiting for a page
+ */
+
+/**
+ * @typedef BrowserPool
+ * @property {function(): Promise<PageLease>} acquire - obtains a page
+ * @property {function(): BrowserPoolStatus} getStatus - obtains the status of the pool
+ * @property {function(): Promise} checkHealth - replaces browsers that do not respond
+ * @property {function(): Promise} close - closes all browsers and rejects all waiting requests
+ */
+
+/**
+ * default values for {@link module:browser-pool~BrowserPoolOptions|BrowserPoolOptions}
+ *
+ * @default
+ */
+const DEFAULTS = {
+    BROWSERS: 1,
+    CONCURRENCY: 4,
+    QUEUE_LIMIT: 100,
+    QUEUE_TIMEOUT: 60000,
+    PAGES_PER_BROWSER: 100,
+    HEALTH_CHECK_INTERVAL: 30000,
+    HEALTH_CHECK_TIMEOUT: 10000,
+};
+
+/**
+ * Creates a browser pool. Browsers are launched when the pool is created.
+ *
+ * @static
+ * @param { BrowserPoolOptions } options - pool options
+ * @return { BrowserPool } browser pool
+ */
+function createPool(options) {
+    const size = Number(options.browsers) || DEFAULTS.BROWSERS;
+    const concurrency = Number(options.concurrency) || DEFAULTS.CONCURRENCY;
+    const queueLimit = _toNumber(options.queueLimit, DEFAULTS.QUEUE_LIMIT);
+    const queueTimeout = Number(options.queueTimeout) || DEFAULTS.QUEUE_TIMEOUT;
+    const pagesPerBrowser =
+        Number(options.pagesPerBrowser) || DEFAULTS.PAGES_PER_BROWSER;
+    const healthCheckInterval = _toNumber(
+        options.healthCheckInterval,
+        DEFAULTS.HEALTH_CHECK_INTERVAL
+    );
+    /**
+     * @type {Array<{browser: Promise<object>, active: number, uses: number, retired: boolean}>}
+     */
+    let entries = [];
+    const queue = [];
+    let active = 0;
+    let closed = false;
+    let timer;
+
+    /**
+     * @return {Promise<PageLease>} Promise that resolves with a page or rejects with a 503 error
+     */
+    function acquire() {
+        if (closed) {
+            return Promise.reject(_unavailable('The browser pool is closed.'));
+        }
+
+        if (active < concurrency) {
+            active++;
+
+            return _lease().catch((error) => {
+                _next();
+                throw error;
+            });
+        }
+        if (queue.length >= queueLimit) {
+            return Promise.reject(
+                _unavailable('Too many requests are waiting for a browser.')
+            );
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiting = { resolve, reject };
+            waiting.timeout = setTimeout(() => {
+                queue.splice(queue.indexOf(waiting), 1);
+                reject(_unavailable('Timed out waiting for a browser.'));
+            }, queueTimeout);
+            queue.push(waiting);
+        });
+    }
+
+    /**
+     * Hands the freed slot to the first waiting request or frees it.
+     */
+    function _next() {
+        const waiting = queue.shift();
+
+        if (waiting) {
+            clearTimeout(waiting.timeout);
+            _lease()
+                .then(waiting.resolve)
+                .catch((error) => {
+                    waiting.reject(error);
+                    _next();
+                });
+        } else {
+            active--;
+        }
+    }
+
+    /**
+     * @return {Promise<PageLease>} Promise that resolves with a page (the slot is already taken)
+     */
+    function _lease() {
+        const entry = _getEntry();
+        entry.active++;
+        entry.uses++;
+        if (entry.uses >= pagesPerBrowser) {
+            _retire(entry);
+            _fill();
+        }
+
+        return entry.browser
+            .then((browser) => browser.createIncognitoBrowserContext())
+            .then((context) =>
+                context
+                    .newPage()
+                    .catch((error) =>
+                        context
+                            .close()
+                            .catch(() => {})
+                            .then(() => {
+                                throw error;
+                            })
+                    )
+                    .then((page) => {
+                        let released = false;
+
+                        return {
+                            page,
+                            release() {
+                                if (released) {
+                                    return Promise.resolve();
+                                }
+                                released = true;
+
+                                return _return(entry, context).then(_next);
+                            },
+                        };
+                    })
+            )
+            .catch((error) => {
+                entry.active--;
+                _remove(entry);
+                throw error;
+            });
+    }
+
+    /**
+     * Closes the browser context of a page, which also closes the page.
+     *
+     * @param { object } entry - pool entry
+     * @param { object } context - (Puppeteer) browser context of the page
+     * @return { Promise } Promise that resolves when the page has been returned
+     */
+    function _return(entry, context) {
+        return context
+            .close()
+            .catch(() => {})
+            .then(() => {
+                entry.active--;
+                if (entry.retired && entry.active === 0) {
+                    _closeBrowser(entry);
+                }
+            });
+    }
+
+    /**
+     * Obtains the least busy browser and launches browsers until the pool has its configured size.
+     *
+     * @return { object } pool entry
+     */
+    function _getEntry() {
+        _fill();
+
+        return entries.reduce((least, entry) =>
+            entry.active < least.active ? entry : least
+        );
+    }
+
+    /**
+     * Launches browsers until the pool has its configured size.
+     */
+    function _fill() {
+        while (!closed && entries.length < size) {
+            entries.push(_launch());
+        }
+    }
+
+    /**
+     * @return { object } pool entry
+     */
+    function _launch() {
+        const entry = {
+            active: 0,
+            uses: 0,
+            retired: false,
+        };
+        entry.browser = Promise.resolve()
+            .then(() => options.launch())
+            .then((browser) => {
+                if (typeof browser.on === 'function') {
+                    browser.on('disconnected', () => _remove(entry));
+                }
+
+                return browser;
+            });
+        // a browser that cannot be launched is removed, requests for a page get the error
+        entry.browser.catch(() => _remove(entry));
+
+        return entry;
+    }
+
+    /**
+     * Stops using a browser. It is closed when its pages have been returned.
+     *
+     * @param { object } entry - pool entry
+     */
+    function _retire(entry) {
+        entry.retired = true;
+        entries = entries.filter((item) => item !== entry);
+    }
+
+    /**
+     * @param { object } entry - pool entry
+     */
+    function _remove(entry) {
+        _retire(entry);
+        if (entry.active === 0) {
+            _closeBrowser(entry);
+        }
+    }
+
+    /**
+     * @param { object } entry - pool entry
+     * @return { Promise } Promise that resolves when the browser has been closed
+     */
+    function _closeBrowser(entry) {
+        return entry.browser.then((browser) => browser.close()).catch(() => {});
+    }
+
+    /**
+     * @return { Promise } Promise that resolves when all idle browsers have been checked
+     */
+    function checkHealth() {
+        return Promise.all(
+            entries
+                .filter((entry) => entry.active === 0)
+                .map((entry) =>
+                    entry.browser
+                        .then((browser) =>
+                            _withTimeout(
+                                browser.version(),
+                                DEFAULTS.HEALTH_CHECK_TIMEOUT
+                            ).then(() => {
+                                if (
+                                    typeof browser.isConnected === 'function' &&
+                                    !browser.isConnected()
+                                ) {
+                                    throw new Error('Browser disconnected');
+                                }
+                            })
+                        )
+                        .catch(() => _remove(entry))
+                )
+        ).then(_fill);
+    }
+
+    /**
+     * Starts the health check timer, unless health checks are disabled.
+     */
+    function _startHealthChecks() {
+        if (!healthCheckInterval) {
+            return;
+        }
+        timer = setInterval(checkHealth, healthCheckInterval);
+        // do not keep the process alive for health checks
+        if (typeof timer.unref === 'function') {
+            timer.unref();
+        }
+    }
+
+    /**
+     * @return { BrowserPoolStatus } status
+     */
+    function getStatus() {
+        return {
+            browsers: entries.length,
+            active,
+            queued: queue.length,
+        };
+    }
+
+    /**
+     * @return { Promise } Promise that resolves when all browsers have been closed
+     */
+    function close() {
+        closed = true;
+        clearInterval(timer);
+        timer = null;
+        queue.splice(0).forEach((waiting) => {
+            clearTimeout(waiting.timeout);
+            waiting.reject(_unavailable('The browser pool is closed.'));
+        });
+        const closing = entries;
+        entries = [];
+
+        return Promise.all(closing.map(_closeBrowser));
+    }
+
+    _fill();
+    _startHealthChecks();
+
+    return {
+        acquire,
+        getStatus,
+        checkHealth,
+        close,
+    };
+}
+
+/**
+ * @param { Promise } promise - promise
+ * @param { number } ms - timeout in milliseconds
+ * @return { Promise } Promise that rejects if the provided promise does not settle in time
+ */
+function _withTimeout(promise, ms) {
+    let timeout;
+
+    return Promise.race([
+        promise,
+        new Promise((resolve, reject) => {
+            timeout = setTimeout(
+                () => reject(new Error('Browser did not respond')),
+                ms
+            );
+        }),
+    ]).finally(() => clearTimeout(timeout));
+}
+
+/**
+ * @param { * } value - configured value
+ * @param { number } defaultValue - default value
+ * @return { number } number, which may be 0
+ */
+function _toNumber(value, defaultValue) {
+    const number = Number(value);
+
+    return value === null || value === undefined || Number.isNaN(number)
+        ? defaultValue
+        : number;
+}
+
+/**
+ * @param { string } message - error message
+ * @return { Error } 503 error
+ */
+function _unavailable(message) {
+    const error = new Error(`Service Unavailable. ${message}`);
+    error.status = 503;
+
+    return error;
+}
+
+module.exports = { createPool };
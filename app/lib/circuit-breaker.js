@@ -0,0 +1,113 @@
+/**
+ * Keeps track of failing OpenRosa servers, so that requests to a server that is known to fail, fail immediately
+ * instead of waiting for the timeout. The state is kept in memory, i.e. every Enketo process keeps track of
+ * failing servers separately.
+ *
+ * @module circuit-breaker
+ */
+
+const config = require('../models/config-model').server;
+const debug = require('debug')('circuit-breaker');
+
+/**
+ * @typedef Circuit
+ * @property {Array<number>} failures - timestamps of the recent failures
+ * @property {number|null} openedAt - timestamp of the moment requests started to fail immediately
+ * @property { boolean } probing - whether a request is checking if the server has recovered
+ */
+
+/**
+ * @type {Map<string, Circuit>}
+ */
+const circuits = new Map();
+
+/**
+ * Checks whether a request to a server is allowed. After the open duration, a single request is allowed to check
+ * whether the server has recovered.
+ *
+ * @static
+ * @param { string } server - server host
+ * @param { number } [now] - current timestamp
+ * @return { boolean } whether a request is allowed
+ */
+function isAllowed(server, now = Date.now()) {
+    const circuit = circuits.get(server);
+
+    if (!circuit || circuit.openedAt === null) {
+        return true;
+    }
+
+    if (
+        !circuit.probing &&
+        now - circuit.openedAt >= config['openrosa requests']['open duration']
+    ) {
+        debug(`checking whether ${server} has recovered`);
+        circuit.probing = true;
+
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Records a request that obtained a response from the server.
+ *
+ * @static
+ * @param { string } server - server host
+ */
+function recordSuccess(server) {
+    circuits.delete(server);
+}
+
+/**
+ * Records a failed request. Requests to the server fail immediately once the failure threshold is reached within
+ * the failure window, or when the request that checked whether the server has recovered failed.
+ *
+ * @static
+ * @param { string } server - server host
+ * @param { number } [now] - current timestamp
+ */
+function recordFailure(server, now = Date.now()) {
+    const settings = config['openrosa requests'];
+    const threshold = settings['failure threshold'];
+
+    if (!threshold) {
+        return;
+    }
+
+    const circuit = circuits.get(server) || {
+        failures: [],
+        openedAt: null,
+        probing: false,
+    };
+
+    circuit.failures = circuit.failures
+        .filter((timestamp) => now - timestamp < settings['failure window'])
+        .concat(now);
+
+    if (circuit.probing || circuit.failures.length >= threshold) {
+        debug(`requests to ${server} will fail immediately`);
+        circuit.failures = [];
+        circuit.openedAt = now;
+        circuit.probing = false;
+    }
+
+    circuits.set(server, circuit);
+}
+
+/**
+ * Forgets all failures, e.g. for testing.
+ *
+ * @static
+ */
+function reset() {
+    circuits.clear();
+}
+
+module.exports = {
+    isAllowed,
+    recordSuccess,
+    recordFailure,
+    reset,
+};
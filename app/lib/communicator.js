@@ -5,6 +5,7 @@
 const request = require('request');
 const { Auth } = require('request/lib/auth');
 const TError = require('./custom-error').TranslatedError;
+const circuitBreaker = require('./circuit-breaker');
 const config = require('../models/config-model').server;
 const debug = require('debug')('openrosa-communicator');
 const Xml2Js = require('xml2js');
@@ -40,6 +41,33 @@ function getXFormInfo(survey) {
     }).then((formListXml) => _findFormAddInfo(formListXml, survey));
 }
 
+/**
+ * Gets the info of all forms in the formList
+ *
+ * @static
+ * @param { module:survey-model~SurveyObject } survey - survey object (without openRosaId)
+ * @return { Promise<Array<OpenRosaXForm>> } a Promise that resolves with a list of form info objects
+ */
+function getXFormList(survey) {
+    if (!survey || !survey.openRosaServer) {
+        throw new Error('No server provided.');
+    }
+
+    return _request({
+        url: getFormListUrl(survey.openRosaServer, null, survey.customParam),
+        auth: survey.credentials,
+        headers: {
+            cookie: survey.cookie,
+        },
+    })
+        .then(_xmlToJson)
+        .then((formListObj) =>
+            formListObj.xforms && formListObj.xforms.xform
+                ? formListObj.xforms.xform.map(_simplifyFormObj)
+                : []
+        );
+}
+
 /**
  * @typedef OpenRosaXForm
  * @property {string} descriptionText
@@ -298,7 +326,7 @@ function getUpdatedRequestOptions(options) {
 
     // set headers
     options.headers = getUpdatedRequestHeaders(options.headers);
-    options.timeout = TIMEOUT;
+    options.timeout = options.timeout || TIMEOUT;
 
     if (!options.headers.cookie) {
         // remove undefined cookie
@@ -317,12 +345,107 @@ function getUpdatedRequestOptions(options) {
 }
 
 /**
- * Sends a request to an OpenRosa server
+ * Checks whether an error indicates that the OpenRosa server is unavailable, i.e. a connection error,
+ * a timeout, a 5xx response, or a server that is known to fail.
+ *
+ * @static
+ * @param { Error } error - error of a request
+ * @return { boolean } whether the server is unavailable
+ */
+function isUnavailableError(error) {
+    // connection errors and timeouts have a code, such as ECONNREFUSED or ETIMEDOUT
+    return error.status ? error.status >= 500 : !!error.code;
+}
+
+/**
+ * Checks whether an error is a timeout of a request.
+ *
+ * @param { Error } error - error of a request
+ * @return { boolean } whether the request timed out
+ */
+function _isTimeoutError(error) {
+    return error.code === 'ETIMEDOUT' || error.code === 'ESOCKETTIMEDOUT';
+}
+
+/**
+ * Sends a request to an OpenRosa server. Requests to a server that is known to fail, fail immediately with a 503 error.
+ * Failed GET requests are retried, unless they timed out.
  *
  * @param {{url: string}} options - request options object
  * @return { Promise } Promise
  */
 function _request(options) {
+    const settings = config['openrosa requests'];
+    const server = _getHost(options.url);
+    const attempts =
+        !options.method || options.method === 'get' ? settings.retries + 1 : 1;
+
+    const attempt = (number) => {
+        if (!circuitBreaker.isAllowed(server)) {
+            const error = new TError('error.serverunavailable');
+            error.status = 503;
+
+            return Promise.reject(error);
+        }
+
+        return _send({
+            timeout: settings.timeout,
+            ...options,
+            headers: { ...options.headers },
+        }).then(
+            (result) => {
+                circuitBreaker.recordSuccess(server);
+
+                return result;
+            },
+            (error) => {
+                if (!isUnavailableError(error)) {
+                    // the server responded
+                    circuitBreaker.recordSuccess(server);
+                    throw error;
+                }
+
+                circuitBreaker.recordFailure(server);
+
+                // a server that timed out is unlikely to respond faster to a retry
+                if (number >= attempts || _isTimeoutError(error)) {
+                    throw error;
+                }
+
+                // exponential backoff with "full jitter"
+                const delay =
+                    Math.random() * settings['retry delay'] * 2 ** (number - 1);
+                debug(`retrying request to ${options.url} in ${delay} ms`);
+
+                return new Promise((resolve) => {
+                    setTimeout(resolve, delay);
+                }).then(() => attempt(number + 1));
+            }
+        );
+    };
+
+    return attempt(1);
+}
+
+/**
+ * @param { string } [url] - URL
+ * @return { string } host of the URL, or an empty string if the URL is invalid
+ */
+function _getHost(url) {
+    try {
+        return new URL(url).host;
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * Sends a single request to an OpenRosa server
+ *
+ * @param {{url: string}} options - request options object
+ * @return { Promise } Promise
+ */
+function _send(options) {
     let error;
 
     return new Promise((resolve, reject) => {
@@ -453,6 +576,7 @@ function _simplifyFormObj(formObj) {
 
 module.exports = {
     getXFormInfo,
+    getXFormList,
     getXForm,
     getManifest,
     getMaxSize,
@@ -462,4 +586,5 @@ module.exports = {
     getSubmissionUrl,
     getUpdatedRequestOptions,
     getUpdatedRequestHeaders,
+    isUnavailableError,
 };
@@ -0,0 +1,394 @@
+/**
+ * Stores media files that are proxied from OpenRosa servers on disk, so that form media are not downloaded from the
+ * OpenRosa server for every user. A cached file is identified by its URL and by the hash of the file in the XForm
+ * manifest, if the file is listed in the manifest of a form that was loaded. The least recently used files are removed
+ * when the cache exceeds its maximum size.
+ *
+ * @module media-cache
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const config = require('../models/config-model').server;
+const client = require('./storage').getClient('cache');
+const debug = require('debug')('media-cache');
+
+const prefix = 'me:';
+// same as the expiry of cached forms
+const expiry = 30 * 24 * 60 * 60;
+// response headers that are stored with a cached file
+const STORED_HEADERS = [
+    'content-type',
+    'etag',
+    'last-modified',
+    'cache-control',
+];
+
+let evicting = false;
+
+/**
+ * @typedef CachedMedia
+ * @property { string } url - URL of the media file
+ * @property { string } hash - hash of the media file in the XForm manifest, empty if it is not known
+ * @property { string } file - path of the cached file
+ * @property {{[name: string]: string}} headers - stored response headers
+ * @property { number } size - size of the file in bytes
+ */
+
+/**
+ * @static
+ * @return { boolean } whether media files are cached
+ */
+function isEnabled() {
+    return !!config['media cache'].enabled;
+}
+
+/**
+ * Records the hashes of the media files of an XForm manifest, which identify the cached versions of these files.
+ *
+ * @static
+ * @param {Array<module:url~ManifestItem>} [manifest] - XForm manifest
+ * @return { Promise } Promise that resolves when the hashes have been recorded
+ */
+function setHashes(manifest) {
+    const items = (manifest || []).filter(
+        (item) => item.downloadUrl && item.hash
+    );
+
+    if (!isEnabled() || !items.length) {
+        return Promise.resolve();
+    }
+
+    const multi = client.multi();
+
+    items.forEach(({ downloadUrl, hash }) => {
+        const key = `${prefix}${_md5(downloadUrl)}`;
+        multi.set(key, hash).expire(key, expiry);
+    });
+
+    return new Promise((resolve, reject) => {
+        multi.exec((error) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve();
+            }
+        });
+    });
+}
+
+/**
+ * Obtains a cached media file. The hash of the file is looked up, even if the file is not cached, because it is
+ * required to store the file.
+ *
+ * @static
+ * @param { string } url - URL of the media file
+ * @return {Promise<{hash: string, cached: CachedMedia|null}>} Promise that resolves with the hash of the file and the
+ * cached file, or `null` if it is not cached
+ */
+function get(url) {
+    return _getHash(url).then((hash) => {
+        const file = _getFile(url, hash);
+
+        return fs.promises
+            .readFile(`${file}.json`, 'utf8')
+            .then((json) =>
+                Promise.all([JSON.parse(json), fs.promises.stat(file)])
+            )
+            .then(([meta, stats]) => ({
+                hash,
+                cached: {
+                    url,
+                    hash,
+                    file,
+                    headers: meta.headers,
+                    size: stats.size,
+                },
+            }))
+            .catch((error) => {
+                if (error.code !== 'ENOENT') {
+                    debug(`failed to read cached ${url}`, error);
+                }
+
+                return { hash, cached: null };
+            });
+    });
+}
+
+/**
+ * Marks a cached file as recently used, which protects it from eviction.
+ *
+ * @static
+ * @param { CachedMedia } cached - cached file
+ * @return { Promise } Promise that resolves when the file has been marked
+ */
+function touch(cached) {
+    const now = new Date();
+
+    return fs.promises.utimes(cached.file, now, now).catch((error) => {
+        debug(`failed to mark ${cached.url} as used`, error);
+    });
+}
+
+/**
+ * Checks whether a response from the OpenRosa server can be cached. Files can only be cached if they can be
+ * revalidated with the OpenRosa server, i.e. if they have a validator (ETag or Last-Modified) or a hash in the manifest.
+ *
+ * @static
+ * @param {module:http.IncomingMessage} response - response of the OpenRosa server
+ * @param { string } hash - hash of the media file in the XForm manifest
+ * @return { boolean } whether the response can be cached
+ */
+function isCacheable(response, hash) {
+    const { headers } = response;
+    const cacheControl = headers['cache-control'] || '';
+    const length = Number(headers['content-length']);
+
+    return (
+        isEnabled() &&
+        response.statusCode === 200 &&
+        !headers['content-encoding'] &&
+        !/no-store/i.test(cacheControl) &&
+        !(length > config['media cache']['max file size']) &&
+        !!(hash || headers.etag || headers['last-modified'])
+    );
+}
+
+/**
+ * Creates a stream that stores a media file. The file is only stored when the stream finishes and does not exceed
+ * the maximum file size. The stream emits `stored` with the {@link CachedMedia} once the file has been stored, or
+ * `error` if it could not be stored.
+ *
+ * @static
+ * @param { string } url - URL of the media file
+ * @param { string } hash - hash of the media file in the XForm manifest
+ * @param {module:http.IncomingMessage} response - response of the OpenRosa server
+ * @return {module:stream.Writable} stream to pipe the response body to
+ */
+function createWriteStream(url, hash, response) {
+    const file = _getFile(url, hash);
+    const tmp = `${file}.${process.pid}.${crypto
+        .randomBytes(4)
+        .toString('hex')}`;
+    const maxSize = config['media cache']['max file size'];
+    const headers = {};
+    let size = 0;
+    let output;
+
+    STORED_HEADERS.forEach((name) => {
+        if (response.headers[name]) {
+            headers[name] = response.headers[name];
+        }
+    });
+
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > maxSize) {
+                callback(new Error(`${url} exceeds the maximum file size`));
+            } else {
+                callback(null, chunk);
+            }
+        },
+    });
+
+    const fail = (error) => {
+        debug(`failed to cache ${url}`, error.message);
+        if (output) {
+            output.destroy();
+        }
+        fs.promises.unlink(tmp).catch(() => {});
+    };
+
+    stream.on('error', fail);
+    stream.on('pipe', (source) => {
+        // an incomplete download must not be stored
+        source.on('abort', () => stream.destroy(new Error('aborted')));
+        source.on('error', (error) => stream.destroy(error));
+    });
+
+    fs.promises
+        .mkdir(_getDirectory(), { recursive: true })
+        .then(() => {
+            if (stream.destroyed) {
+                return;
+            }
+            output = fs.createWriteStream(tmp);
+            output.on('error', (error) => stream.destroy(error));
+            output.on('finish', () => {
+                const expected = Number(response.headers['content-length']);
+
+                if (expected && expected !== size) {
+                    return stream.emit(
+                        'error',
+                        new Error(`${url} is incomplete`)
+                    );
+                }
+
+                fs.promises
+                    .writeFile(
+                        `${file}.json`,
+                        JSON.stringify({ url, hash, headers })
+                    )
+                    .then(() => fs.promises.rename(tmp, file))
+                    .then(() => {
+                        debug(`stored ${url} (${size} bytes)`);
+                        stream.emit('stored', {
+                            url,
+                            hash,
+                            file,
+                            headers,
+                            size,
+                        });
+                        _evict();
+                    })
+                    .catch((error) => stream.emit('error', error));
+            });
+            stream.pipe(output);
+        })
+        .catch((error) => stream.destroy(error));
+
+    return stream;
+}
+
+/**
+ * Removes a cached media file.
+ *
+ * @static
+ * @param { CachedMedia } cached - cached file
+ * @return { Promise } Promise that resolves when the file has been removed
+ */
+function remove(cached) {
+    return _removeFile(cached.file);
+}
+
+/**
+ * @param { string } url - URL of the media file
+ * @return {Promise<string>} Promise that resolves with the hash of the file in the XForm manifest, or an empty
+ * string if it is not known
+ */
+function _getHash(url) {
+    return new Promise((resolve, reject) => {
+        client.get(`${prefix}${_md5(url)}`, (error, hash) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(hash || '');
+            }
+        });
+    });
+}
+
+/**
+ * @return { string } directory of the cached files
+ */
+function _getDirectory() {
+    return (
+        config['media cache'].directory ||
+        path.join(os.tmpdir(), 'enketo-media-cache')
+    );
+}
+
+/**
+ * @param { string } url - URL of the media file
+ * @param { string } hash - hash of the media file in the XForm manifest
+ * @return { string } path of the cached file
+ */
+function _getFile(url, hash) {
+    return path.join(_getDirectory(), _md5(`${url} ${hash}`));
+}
+
+/**
+ * @param { string } value - value to hash
+ * @return { string } hash
+ */
+function _md5(value) {
+    return crypto.createHash('md5').update(value).digest('hex');
+}
+
+/**
+ * @param { string } file - path of the cached file
+ * @return { Promise } Promise that resolves when the file and its headers have been removed
+ */
+function _removeFile(file) {
+    return Promise.all(
+        [file, `${file}.json`].map((f) =>
+            fs.promises.unlink(f).catch((error) => {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            })
+        )
+    );
+}
+
+/**
+ * Removes the least recently used files until the cache does not exceed its maximum size.
+ * The files are listed on disk, because the cache directory may be shared by several Enketo processes.
+ *
+ * @return { Promise } Promise that resolves when the cache does not exceed its maximum size
+ */
+function _evict() {
+    if (evicting) {
+        return Promise.resolve();
+    }
+    evicting = true;
+
+    const directory = _getDirectory();
+
+    return fs.promises
+        .readdir(directory)
+        .then((names) =>
+            Promise.all(
+                names
+                    .filter((name) => /^[0-9a-f]{32}$/.test(name))
+                    .map((name) => {
+                        const file = path.join(directory, name);
+
+                        return fs.promises
+                            .stat(file)
+                            .then((stats) => ({
+                                file,
+                                size: stats.size,
+                                used: stats.mtimeMs,
+                            }))
+                            .catch(() => null);
+                    })
+            )
+        )
+        .then((files) => {
+            files = files
+                .filter((file) => file)
+                .sort((a, b) => a.used - b.used);
+            let total = files.reduce((sum, file) => sum + file.size, 0);
+            const removals = [];
+
+            while (total > config['media cache']['max size'] && files.length) {
+                const file = files.shift();
+                total -= file.size;
+                debug(`evicting ${file.file}`);
+                removals.push(_removeFile(file.file));
+            }
+
+            return Promise.all(removals);
+        })
+        .catch((error) => {
+            debug('failed to evict cached files', error);
+        })
+        .then(() => {
+            evicting = false;
+        });
+}
+
+module.exports = {
+    isEnabled,
+    setHashes,
+    get,
+    touch,
+    isCacheable,
+    createWriteStream,
+    remove,
+};
@@ -0,0 +1,265 @@
+/**
+ * OAuth2 authorization code flow for the `oauth2` authentication type. The tokens are stored in the
+ * (signed and encrypted) authentication cookie and the access token is passed to the OpenRosa server
+ * as Bearer token.
+ *
+ * @module oauth2
+ */
+
+const jwt = require('jwt-simple');
+const request = require('request');
+const debug = require('debug')('oauth2');
+
+// refresh access tokens that expire within 1 minute
+const REFRESH_MARGIN = 60 * 1000;
+// default lifetime of an access token if the authorization server does not provide it
+const DEFAULT_EXPIRY = 60 * 60 * 1000;
+// the authorization server is asked for tokens while the user waits for a form or submission
+const TOKEN_TIMEOUT = 10 * 1000;
+
+/**
+ * Refreshes that are in progress by refresh token, so that concurrent requests of a user share a refresh.
+ *
+ * @type {Map<string, Promise<OAuth2Token>>}
+ */
+const refreshing = new Map();
+
+/**
+ * @typedef OAuth2Token
+ * @property { string } bearer - access token
+ * @property { string } [refresh] - refresh token
+ * @property { number } expires - timestamp at which the access token expires
+ */
+
+/**
+ * @static
+ * @param { object } auth - authentication settings
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param { string } state - random value to protect against CSRF
+ * @return { string } URL of the authorization server to redirect the user to
+ */
+function getAuthorizationUrl(auth, req, state) {
+    const authorizationUrl = new URL(auth['authorization url']);
+    const params = {
+        response_type: 'code',
+        client_id: auth['client id'],
+        redirect_uri: _getRedirectUrl(auth, req),
+        scope: auth.scope,
+        state,
+    };
+
+    Object.entries(params).forEach(([name, value]) => {
+        if (value) {
+            authorizationUrl.searchParams.set(name, value);
+        }
+    });
+
+    return authorizationUrl.href;
+}
+
+/**
+ * Exchanges an authorization code for tokens.
+ *
+ * @static
+ * @param { object } auth - authentication settings
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param { string } code - authorization code
+ * @return {Promise<OAuth2Token>} Promise that resolves with the tokens
+ */
+function exchangeCode(auth, req, code) {
+    return _requestToken(auth, req, {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: _getRedirectUrl(auth, req),
+    });
+}
+
+/**
+ * Obtains new tokens with a refresh token. Concurrent refreshes with the same refresh token share a single request.
+ *
+ * @static
+ * @param { object } auth - authentication settings
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param { OAuth2Token } token - expired tokens
+ * @return {Promise<OAuth2Token>} Promise that resolves with the new tokens
+ */
+function refresh(auth, req, token) {
+    if (refreshing.has(token.refresh)) {
+        return refreshing.get(token.refresh);
+    }
+
+    const refreshed = _requestToken(auth, req, {
+        grant_type: 'refresh_token',
+        refresh_token: token.refresh,
+    })
+        .then((tokens) => ({
+            ...tokens,
+            // the authorization server may keep using the same refresh token
+            refresh: tokens.refresh || token.refresh,
+        }))
+        .finally(() => {
+            refreshing.delete(token.refresh);
+        });
+
+    refreshing.set(token.refresh, refreshed);
+
+    return refreshed;
+}
+
+/**
+ * @static
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { OAuth2Token|null } tokens stored in the authentication cookie, or `null`
+ */
+function getToken(req) {
+    const cookie = req.signedCookies[req.app.get('authentication cookie name')];
+
+    if (!cookie) {
+        return null;
+    }
+
+    try {
+        const token = jwt.decode(cookie, req.app.get('encryption key'));
+
+        return token && token.bearer ? token : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Stores tokens in the authentication cookie.
+ *
+ * @static
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param { OAuth2Token } token - tokens
+ */
+function setToken(req, res, token) {
+    const name = req.app.get('authentication cookie name');
+    const value = jwt.encode(token, req.app.get('encryption key'));
+
+    res.cookie(name, value, {
+        secure:
+            req.protocol === 'https' ||
+            req.headers['x-forwarded-proto'] === 'https',
+        signed: true,
+        httpOnly: true,
+        path: '/',
+    });
+    // make the new token available to the current request
+    req.signedCookies[name] = value;
+}
+
+/**
+ * Refreshes an expired access token before it is passed to the OpenRosa server.
+ * If refreshing fails, the expired token is passed and the user will be asked to log in again.
+ *
+ * @static
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param { object } [auth] - authentication settings of the account, defaults to the configured settings
+ * @return { Promise } Promise that always resolves
+ */
+function refreshToken(
+    req,
+    res,
+    auth = req.app.get('linked form and data server').authentication
+) {
+    if (auth.type.toLowerCase() !== 'oauth2') {
+        return Promise.resolve();
+    }
+
+    const token = getToken(req);
+
+    if (
+        !token ||
+        !token.refresh ||
+        token.expires - Date.now() > REFRESH_MARGIN
+    ) {
+        return Promise.resolve();
+    }
+
+    return refresh(auth, req, token)
+        .then((refreshed) => {
+            debug('refreshed access token');
+            setToken(req, res, refreshed);
+        })
+        .catch((error) => {
+            debug('failed to refresh access token', error);
+        });
+}
+
+/**
+ * @param { object } auth - authentication settings
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param { object } params - grant parameters
+ * @return {Promise<OAuth2Token>} Promise that resolves with the tokens
+ */
+function _requestToken(auth, req, params) {
+    return new Promise((resolve, reject) => {
+        request.post(
+            {
+                url: auth['token url'],
+                form: {
+                    ...params,
+                    client_id: auth['client id'],
+                    client_secret: auth['client secret'],
+                },
+                json: true,
+                timeout: TOKEN_TIMEOUT,
+            },
+            (error, response, body) => {
+                if (error) {
+                    reject(error);
+                } else if (
+                    response.statusCode !== 200 ||
+                    !body ||
+                    !body.access_token
+                ) {
+                    error = new Error(
+                        'Forbidden. The authorization server did not provide an access token.'
+                    );
+                    error.status = 401;
+                    reject(error);
+                } else {
+                    resolve({
+                        bearer: body.access_token,
+                        refresh: body.refresh_token,
+                        expires:
+                            Date.now() +
+                            (body.expires_in
+                                ? Number(body.expires_in) * 1000
+                                : DEFAULT_EXPIRY),
+                    });
+                }
+            }
+        );
+    });
+}
+
+/**
+ * @param { object } auth - authentication settings
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @return { string } URL the authorization server redirects the user to after login
+ */
+function _getRedirectUrl(auth, req) {
+    if (auth['redirect url']) {
+        return auth['redirect url'];
+    }
+
+    const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+
+    return `${protocol}://${req.headers.host}${req.app.get(
+        'base path'
+    )}/login/oauth2`;
+}
+
+module.exports = {
+    getAuthorizationUrl,
+    exchangeCode,
+    refresh,
+    getToken,
+    setToken,
+    refreshToken,
+};
@@ -1,11 +1,23 @@
 /**
  * @module pdf
  */
+// `document` is used in functions that are evaluated in the headless browser
+/* global document */
 const config = require('../models/config-model').server;
 
 const { timeout } = config.headless;
 const puppeteer = require('puppeteer');
 const { URL } = require('url');
+const { PDFDocument } = require('pdf-lib');
+const QRCode = require('qrcode');
+const { createPool } = require('./browser-pool');
+
+/**
+ * The browser pool is created on the first request, so that requiring this module does not launch browsers.
+ *
+ * @type {module:browser-pool~BrowserPool|undefined}
+ */
+let pool;
 
 /**
  * @typedef PdfGetOptions
@@ -13,6 +25,17 @@ const { URL } = require('url');
  * @property { string } [margin]
  * @property { string } [landscape]
  * @property { string } [scale]
+ * @property { boolean } [header] - whether to show the form title and version at the top of each page
+ * @property { boolean } [footer] - whether to show the page number and number of pages at the bottom of each page
+ * @property { string } [watermark] - text to show diagonally across each page, e.g. "DRAFT"
+ * @property { string } [qr] - text to encode in a QR code at the top of each page
+ * @property { PdfLabels } [labels] - translated labels for the header and footer
+ */
+
+/**
+ * @typedef PdfLabels
+ * @property { string } [version] - version label with a `__version__` placeholder
+ * @property { string } [page] - page number label with `__pageNumber__` and `__totalPages__` placeholders
  */
 
 /**
@@ -25,10 +48,14 @@ const DEFAULTS = {
     MARGIN: '0.5in',
     LANDSCAPE: false,
     SCALE: 1,
+    LABELS: {
+        version: 'Version __version__',
+        page: 'Page __pageNumber__ of __totalPages__',
+    },
 };
 
 /**
- * Asynchronously gets pdf from url using Puppeteer.
+ * Asynchronously gets pdf from url using a Puppeteer page from the browser pool.
  *
  * @static
  * @param { string } url - URL to load
@@ -40,6 +67,8 @@ async function get(url, options = {}) {
         throw new Error('No url provided');
     }
 
+    _createPool();
+
     options.format = options.format || DEFAULTS.FORMAT;
     options.margin = options.margin || DEFAULTS.MARGIN;
     options.landscape = options.landscape || DEFAULTS.LANDSCAPE;
@@ -51,18 +80,136 @@ async function get(url, options = {}) {
     urlObj.searchParams.append('landscape', options.landscape);
     urlObj.searchParams.append('scale', options.scale);
 
-    const browser = await puppeteer.launch({ headless: true });
-    const page = await browser.newPage();
+    return _print(
+        (page) =>
+            page
+                .goto(urlObj.href, { waitUntil: 'networkidle0', timeout })
+                .catch((e) => {
+                    e.status = /timeout/i.test(e.message) ? 408 : 400;
+                    throw e;
+                })
+                .then(() => {
+                    if (options.watermark) {
+                        return _addWatermark(page, options.watermark);
+                    }
+                }),
+        options
+    );
+}
+
+/**
+ * Merges PDFs into one PDF that starts with a table of contents.
+ *
+ * @static
+ * @param {Array<{title: string, pdf: Buffer}>} documents - PDFs with a title to show in the table of contents
+ * @param {PdfGetOptions} [options] - PDF options of the table of contents
+ * @return {Promise<Buffer>} a promise that returns the merged PDF
+ */
+async function merge(documents, options = {}) {
+    _createPool();
+
+    // headers, footers and watermarks are already part of the documents
+    options = {
+        format: options.format || DEFAULTS.FORMAT,
+        margin: options.margin || DEFAULTS.MARGIN,
+        landscape: options.landscape || DEFAULTS.LANDSCAPE,
+        scale: options.scale || DEFAULTS.SCALE,
+    };
+
+    const sources = await Promise.all(
+        documents.map(({ pdf }) => PDFDocument.load(pdf))
+    );
+    const pageCounts = sources.map((source) => source.getPageCount());
+
+    // The page numbers depend on the length of the table of contents itself.
+    let tocPageCount = 1;
+    let toc = await PDFDocument.load(
+        await _getTableOfContents(documents, pageCounts, tocPageCount, options)
+    );
+    if (toc.getPageCount() !== tocPageCount) {
+        tocPageCount = toc.getPageCount();
+        toc = await PDFDocument.load(
+            await _getTableOfContents(
+                documents,
+                pageCounts,
+                tocPageCount,
+                options
+            )
+        );
+    }
+
+    const merged = await PDFDocument.create();
+    const copies = await Promise.all(
+        [toc, ...sources].map((source) =>
+            merged.copyPages(source, source.getPageIndices())
+        )
+    );
+    copies.flat().forEach((page) => merged.addPage(page));
+
+    return Buffer.from(await merged.save());
+}
+
+/**
+ * @param {Array<{title: string}>} documents - PDFs with a title
+ * @param {Array<number>} pageCounts - number of pages of each PDF
+ * @param { number } tocPageCount - number of pages of the table of contents
+ * @param {PdfGetOptions} options - PDF options
+ * @return {Promise<Buffer>} a promise that returns the table of contents as PDF
+ */
+function _getTableOfContents(documents, pageCounts, tocPageCount, options) {
+    let pageNumber = tocPageCount + 1;
+    const rows = documents
+        .map(({ title }, index) => {
+            const row = `<tr><td>${_escapeHtml(
+                title
+            )}</td><td class="page">${pageNumber}</td></tr>`;
+            pageNumber += pageCounts[index];
+
+            return row;
+        })
+        .join('');
+    const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><style>
+        body { font-family: sans-serif; font-size: 12px; }
+        table { width: 100%; border-collapse: collapse; }
+        td { padding: 4px 0; border-bottom: 1px solid #ddd; }
+        .page { text-align: right; }
+        </style></head><body><table>${rows}</table></body></html>`;
+
+    return _print((page) => page.setContent(html), options);
+}
+
+/**
+ * Creates the browser pool, unless it exists already.
+ */
+function _createPool() {
+    if (!pool) {
+        pool = createPool({
+            launch: () => puppeteer.launch({ headless: true }),
+            browsers: config.headless.browsers,
+            concurrency: config.headless.concurrency,
+            queueLimit: config.headless['queue limit'],
+            queueTimeout: timeout,
+            pagesPerBrowser: config.headless['pages per browser'],
+            healthCheckInterval: config.headless['health check interval'],
+        });
+    }
+}
+
+/**
+ * Prints a page from the browser pool to PDF.
+ *
+ * @param {function(object): Promise} load - function that loads the content of the page
+ * @param {PdfGetOptions} options - PDF options
+ * @return {Promise<Buffer>} a promise that returns the PDF
+ */
+async function _print(load, options) {
+    const { page, release } = await pool.acquire();
 
     let pdf;
 
     try {
-        await page
-            .goto(urlObj.href, { waitUntil: 'networkidle0', timeout })
-            .catch((e) => {
-                e.status = /timeout/i.test(e.message) ? 408 : 400;
-                throw e;
-            });
+        await load(page);
+        const headerFooter = await _getHeaderFooter(page, options);
 
         pdf = await page.pdf({
             landscape: options.landscape,
@@ -75,17 +222,114 @@ async function get(url, options = {}) {
             },
             scale: options.scale,
             printBackground: true,
+            ...headerFooter,
         });
     } catch (e) {
         e.status = e.status || 400;
-        await page.close();
+        await release();
         throw e;
     }
 
-    await page.close();
-    await browser.close();
+    await release();
 
     return pdf;
 }
 
-module.exports = { get };
+/**
+ * Creates the header and footer templates. These are shown inside the page margins.
+ *
+ * @param { object } page - Puppeteer page with the loaded form
+ * @param {PdfGetOptions} options - PDF options
+ * @return {Promise<object>} a promise that returns the header and footer options of Puppeteer's page.pdf()
+ */
+async function _getHeaderFooter(page, options) {
+    if (!options.header && !options.footer && !options.qr) {
+        return {};
+    }
+
+    const labels = { ...DEFAULTS.LABELS, ...options.labels };
+    const style = `font-family: sans-serif; font-size: 9px; width: 100%; padding: 0 ${options.margin}; display: flex; justify-content: space-between; align-items: center;`;
+    let title = '';
+    let qr = '';
+
+    if (options.header) {
+        // the form version is added to the form element when the webform is printed
+        const info = await page.evaluate(() => {
+            const form = document.querySelector('form.or');
+
+            return {
+                title: document.title,
+                version: form ? form.dataset.formVersion : '',
+            };
+        });
+        title = _escapeHtml(info.title);
+        if (info.version) {
+            title += ` &middot; ${_escapeHtml(labels.version).replace(
+                '__version__',
+                _escapeHtml(info.version)
+            )}`;
+        }
+    }
+    if (options.qr) {
+        const svg = await QRCode.toString(options.qr, {
+            type: 'svg',
+            margin: 0,
+        });
+        qr = `<div style="width: calc(${options.margin} * 0.8); height: calc(${options.margin} * 0.8);">${svg}</div>`;
+    }
+
+    const header =
+        title || qr
+            ? `<div style="${style}"><span>${title}</span>${qr}</div>`
+            : '<span></span>';
+    const footer = options.footer
+        ? `<div style="${style} justify-content: center;">${_escapeHtml(
+              labels.page
+          )
+              .replace('__pageNumber__', '<span class="pageNumber"></span>')
+              .replace(
+                  '__totalPages__',
+                  '<span class="totalPages"></span>'
+              )}</div>`
+        : '<span></span>';
+
+    return {
+        displayHeaderFooter: true,
+        headerTemplate: header,
+        footerTemplate: footer,
+    };
+}
+
+/**
+ * Adds a watermark that is repeated on each printed page.
+ *
+ * @param { object } page - Puppeteer page
+ * @param { string } text - watermark text
+ * @return { Promise } a promise that resolves when the watermark has been added
+ */
+function _addWatermark(page, text) {
+    return page.evaluate((text) => {
+        const el = document.createElement('div');
+        el.textContent = text;
+        // fixed elements are printed on every page
+        el.setAttribute(
+            'style',
+            'position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%) rotate(-45deg); font-family: sans-serif; font-size: 96px; font-weight: bold; color: rgba(0, 0, 0, 0.1); white-space: nowrap; pointer-events: none; z-index: 10000;'
+        );
+        document.body.appendChild(el);
+    }, text);
+}
+
+/**
+ * @param { string } str - text
+ * @return { string } text that can be used in HTML
+ */
+function _escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = { get, merge };
@@ -4,6 +4,7 @@
 
 const utils = require('./utils');
 const config = require('../models/config-model').server;
+const linkModel = require('../models/link-model');
 /**
  * @static
  * @name idEncryptionKeys
@@ -46,7 +47,7 @@ function enketoIdParam(req, res, next, id) {
  * @param { string } id - Enketo ID
  */
 function encryptedEnketoIdParamSingle(req, res, next, id) {
-    _encryptedEnketoIdParam(req, res, next, id, keys.singleOnce);
+    _encryptedEnketoIdParam(req, res, next, id, keys.singleOnce, 'single');
 }
 
 /**
@@ -61,7 +62,7 @@ function encryptedEnketoIdParamSingle(req, res, next, id) {
  * @param { string } id - Enketo ID
  */
 function encryptedEnketoIdParamView(req, res, next, id) {
-    _encryptedEnketoIdParam(req, res, next, id, keys.view);
+    _encryptedEnketoIdParam(req, res, next, id, keys.view, 'view');
 }
 
 /**
@@ -72,8 +73,14 @@ function encryptedEnketoIdParamView(req, res, next, id) {
  * @param {Function} next - Express callback
  * @param { string } id - Enketo ID
  * @param { string } key - Encryption key
+ * @param {'single'|'view'} type - webform type
  */
-function _encryptedEnketoIdParam(req, res, next, id, key) {
+function _encryptedEnketoIdParam(req, res, next, id, key, type) {
+    // signed link tokens contain a period, which encrypted IDs never do
+    if (id.includes('.')) {
+        return _signedEnketoIdParam(req, res, next, id, type);
+    }
+
     // Do not do a size check because we now have a configurable id size which can be used on an existing server,
     // and therefore old (encrypted) IDs may have different lengths as new (encrypted) IDs.
     // Routing takes care of FIRST checking whether the ID is a regular unencrypted ID.
@@ -102,9 +109,100 @@ function _encryptedEnketoIdParam(req, res, next, id, key) {
     }
 }
 
+/**
+ * Obtains the Enketo ID of a webform URL, such as the URL the login page returns the user to. Signed links are
+ * not verified here, because verifying a single-submission link counts as a use.
+ *
+ * @static
+ * @name getEnketoIdFromUrl
+ * @function
+ * @param { string } [webformUrl] - URL of a webform
+ * @return { string|null } the (decrypted) Enketo ID, or `null` if the URL does not contain one
+ */
+function getEnketoIdFromUrl(webformUrl) {
+    let path;
+
+    if (!webformUrl) {
+        return null;
+    }
+
+    try {
+        path = new URL(webformUrl, 'http://localhost').pathname;
+    } catch (e) {
+        return null;
+    }
+
+    const id = path.replace(/\/$/, '').split('/').pop();
+
+    if (/^[A-z0-9]{4,31}$/.test(id)) {
+        return id;
+    }
+
+    for (const key of [keys.singleOnce, keys.view]) {
+        try {
+            const decrypted = utils.insecureAes192Decrypt(id, key);
+
+            if (/^[a-z0-9]+$/i.test(decrypted)) {
+                return decrypted;
+            }
+        } catch (e) {
+            // not encrypted with this key
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Verifies a signed link token and returns its Enketo ID. Single-submission links that have been
+ * used the maximum number of times cannot be loaded. Submissions reserve a use for each new record
+ * in the submission controller, so that later batches of a record are not refused. View links are
+ * used when the webform is loaded and this is checked by the survey controller.
+ *
+ * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param {module:api-controller~ExpressResponse} res - HTTP response
+ * @param {Function} next - Express callback
+ * @param { string } token - link token
+ * @param {'single'|'view'} type - webform type
+ */
+function _signedEnketoIdParam(req, res, next, token, type) {
+    linkModel
+        .verify(token, type, type === 'single' && req.method === 'GET')
+        .then((link) => {
+            if (!link) {
+                return next('route');
+            }
+
+            const instanceId =
+                req.query.instance_id ||
+                req.query.instanceId ||
+                req.headers['x-openrosa-instance-id'];
+
+            if (
+                link.instanceId &&
+                instanceId &&
+                instanceId !== link.instanceId
+            ) {
+                const error = new Error(
+                    'Forbidden. This link is not valid for this record.'
+                );
+                error.status = 403;
+
+                return next(error);
+            }
+
+            req.enketoId = link.enketoId;
+            req.encryptedEnketoId = token;
+            req.link = link;
+            next();
+        })
+        .catch(next);
+}
+
 module.exports = {
     enketoId: enketoIdParam,
     idEncryptionKeys: keys,
     encryptedEnketoIdSingle: encryptedEnketoIdParamSingle,
     encryptedEnketoIdView: encryptedEnketoIdParamView,
+    getEnketoIdFromUrl,
 };
@@ -0,0 +1,104 @@
+/**
+ * @module storage
+ */
+
+const config = require('../../models/config-model').server;
+const redisAdapter = require('./redis-adapter');
+const memoryAdapter = require('./memory-adapter');
+// var debug = require( 'debug' )( 'storage' );
+
+/**
+ * A storage client exposes the subset of the node-redis (v3) callback API that the models use:
+ * `get`, `set`, `incr`, `del`, `keys`, `expire`, `pttl`, `ttl`, `hget`, `hgetall`, `hmget`, `hset`,
+ * `hmset`, `hincrby`, `lpush`, `ltrim`, `lrange`, `multi`, `select` and `flushdb`.
+ *
+ * @typedef {import('redis').RedisClient} StorageClient
+ */
+
+/**
+ * @typedef StorageAdapter
+ * @property {function(module:storage~StoreConfig): StorageClient} createClient - creates a client for a store
+ */
+
+/**
+ * @typedef StoreConfig
+ * @property { string } host
+ * @property { string } port
+ * @property { string | null } password
+ */
+
+/**
+ * @type {Object<string, StorageAdapter>}
+ */
+const adapters = {
+    redis: redisAdapter,
+    memory: memoryAdapter,
+};
+
+/**
+ * @type {Object<string, StorageClient>}
+ */
+const clients = {};
+
+/**
+ * Obtains the storage adapter configured with the `storage -> type` configuration item.
+ *
+ * @return {StorageAdapter} storage adapter
+ */
+function _getAdapter() {
+    const type = (config.storage && config.storage.type) || 'redis';
+    const adapter = adapters[type];
+
+    if (!adapter) {
+        throw new Error(
+            `Storage type "${type}" is not supported. Use one of: ${Object.keys(
+                adapters
+            ).join(', ')}.`
+        );
+    }
+
+    return adapter;
+}
+
+/**
+ * Returns the (shared) client for a store. Clients are created lazily and re-used
+ * by all modules that request the same store.
+ *
+ * @static
+ * @param { string } name - Name of the store, either `"main"` (persistent) or `"cache"`
+ * @return {StorageClient} storage client
+ */
+function getClient(name) {
+    if (!clients[name]) {
+        if (!config.redis[name]) {
+            throw new Error(`Unknown store "${name}"`);
+        }
+        const client = _getAdapter().createClient(config.redis[name]);
+
+        // in test environment, switch to different db
+        if (process.env.NODE_ENV === 'test') {
+            client.select(15);
+        }
+
+        clients[name] = client;
+    }
+
+    return clients[name];
+}
+
+/**
+ * Injects a client for a store. Mainly useful to substitute a custom storage implementation
+ * before the models are loaded.
+ *
+ * @static
+ * @param { string } name - Name of the store
+ * @param {StorageClient} client - storage client
+ */
+function setClient(name, client) {
+    clients[name] = client;
+}
+
+module.exports = {
+    getClient,
+    setClient,
+};
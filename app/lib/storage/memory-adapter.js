@@ -0,0 +1,432 @@
+/**
+ * In-process storage that mimics the subset of the node-redis callback API used by Enketo.
+ * Data is lost when the process exits and is not shared between processes, so this
+ * storage type is only suitable for single-process deployments (`max processes: 1`),
+ * development and testing.
+ *
+ * @module memory-adapter
+ */
+
+// var debug = require( 'debug' )( 'memory-adapter' );
+
+const WRONGTYPE =
+    'WRONGTYPE Operation against a key holding the wrong kind of value';
+
+/**
+ * @typedef MemoryEntry
+ * @property {'string'|'hash'|'list'} type
+ * @property {string|Object<string, string>|Array<string>} value
+ * @property {number|null} expiresAt - timestamp in milliseconds
+ */
+
+/**
+ * Converts a redis glob-style pattern into a regular expression.
+ *
+ * @param { string } pattern - e.g. `or:example.org[/,]*`
+ * @return {RegExp} regular expression
+ */
+function _patternToRegExp(pattern) {
+    let source = '';
+    let inClass = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '\\' && i + 1 < pattern.length) {
+            i++;
+            source += `\\${pattern[i]}`;
+        } else if (inClass) {
+            if (char === ']') {
+                inClass = false;
+                source += ']';
+            } else if (char === '^' && source.endsWith('[')) {
+                source += '^';
+            } else {
+                source += char;
+            }
+        } else if (char === '*') {
+            source += '.*';
+        } else if (char === '?') {
+            source += '.';
+        } else if (char === '[') {
+            inClass = true;
+            source += '[';
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Flattens command arguments the way node-redis does (arrays are spread, objects are kept).
+ *
+ * @param {Array<*>} args - command arguments
+ * @return {Array<*>} flattened arguments
+ */
+function _flatten(args) {
+    return args.reduce(
+        (flat, arg) => flat.concat(Array.isArray(arg) ? arg : [arg]),
+        []
+    );
+}
+
+/**
+ * Creates an in-memory storage client.
+ *
+ * @static
+ * @return {module:storage~StorageClient} storage client
+ */
+function createClient() {
+    const dbs = {};
+    let selected = 0;
+
+    const _db = () => {
+        dbs[selected] = dbs[selected] || new Map();
+
+        return dbs[selected];
+    };
+
+    /**
+     * @param { string } key - key
+     * @param {'string'|'hash'|'list'} [type] - expected type
+     * @return {MemoryEntry|undefined} entry if it exists and has not expired
+     */
+    const _getEntry = (key, type) => {
+        const db = _db();
+        const entry = db.get(key);
+
+        if (
+            entry &&
+            entry.expiresAt !== null &&
+            entry.expiresAt <= Date.now()
+        ) {
+            db.delete(key);
+
+            return undefined;
+        }
+        if (entry && type && entry.type !== type) {
+            throw new Error(WRONGTYPE);
+        }
+
+        return entry;
+    };
+
+    /**
+     * @param { string } key - key
+     * @param {'hash'|'list'} type - type
+     * @return {MemoryEntry} existing or newly created entry
+     */
+    const _getOrCreateEntry = (key, type) => {
+        let entry = _getEntry(key, type);
+
+        if (!entry) {
+            entry = {
+                type,
+                value: type === 'hash' ? Object.create(null) : [],
+                expiresAt: null,
+            };
+            _db().set(key, entry);
+        }
+
+        return entry;
+    };
+
+    const _ttl = (key) => {
+        const entry = _getEntry(key);
+
+        if (!entry) {
+            return -2;
+        }
+
+        return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+    };
+
+    const _toIndex = (index, length) =>
+        Number(index) < 0 ? length + Number(index) : Number(index);
+
+    const commands = {
+        select(db) {
+            selected = Number(db);
+
+            return 'OK';
+        },
+        flushdb() {
+            _db().clear();
+
+            return 'OK';
+        },
+        get(key) {
+            const entry = _getEntry(key, 'string');
+
+            return entry ? entry.value : null;
+        },
+        set(key, value, ...options) {
+            const flags = options.map((option) => String(option).toUpperCase());
+            const ex = flags.indexOf('EX');
+            const px = flags.indexOf('PX');
+            let expiresAt = null;
+
+            if (flags.includes('NX') && _getEntry(key)) {
+                return null;
+            }
+            if (px !== -1) {
+                expiresAt = Date.now() + Number(options[px + 1]);
+            } else if (ex !== -1) {
+                expiresAt = Date.now() + Number(options[ex + 1]) * 1000;
+            }
+            _db().set(key, {
+                type: 'string',
+                value: String(value),
+                expiresAt,
+            });
+
+            return 'OK';
+        },
+        incr(key) {
+            const entry = _getEntry(key, 'string');
+            const value = (entry ? Number(entry.value) : 0) + 1;
+
+            if (Number.isNaN(value)) {
+                throw new Error('ERR value is not an integer or out of range');
+            }
+            if (entry) {
+                entry.value = String(value);
+            } else {
+                commands.set(key, value);
+            }
+
+            return value;
+        },
+        del(...keys) {
+            return keys.filter((key) => _getEntry(key) && _db().delete(key))
+                .length;
+        },
+        keys(pattern) {
+            const regex = _patternToRegExp(pattern);
+
+            return [..._db().keys()].filter(
+                (key) => regex.test(key) && _getEntry(key)
+            );
+        },
+        expire(key, seconds) {
+            const entry = _getEntry(key);
+
+            if (!entry) {
+                return 0;
+            }
+            entry.expiresAt = Date.now() + Number(seconds) * 1000;
+
+            return 1;
+        },
+        pttl(key) {
+            return _ttl(key);
+        },
+        ttl(key) {
+            const ttl = _ttl(key);
+
+            return ttl < 0 ? ttl : Math.round(ttl / 1000);
+        },
+        hget(key, field) {
+            const entry = _getEntry(key, 'hash');
+
+            return entry && field in entry.value ? entry.value[field] : null;
+        },
+        hstrlen(key, field) {
+            const value = commands.hget(key, field);
+
+            return value === null ? 0 : Buffer.byteLength(value);
+        },
+        hgetall(key) {
+            const entry = _getEntry(key, 'hash');
+
+            return entry ? { ...entry.value } : null;
+        },
+        hmget(key, ...fields) {
+            return fields.map((field) => commands.hget(key, field));
+        },
+        hset(key, ...args) {
+            const entry = _getOrCreateEntry(key, 'hash');
+            let added = 0;
+
+            for (let i = 0; i < args.length; i += 2) {
+                if (!(args[i] in entry.value)) {
+                    added++;
+                }
+                entry.value[args[i]] = String(args[i + 1]);
+            }
+
+            return added;
+        },
+        hmset(key, ...args) {
+            const pairs =
+                args.length === 1 && typeof args[0] === 'object'
+                    ? Object.entries(args[0]).reduce(
+                          (flat, pair) => flat.concat(pair),
+                          []
+                      )
+                    : args;
+            commands.hset(key, ...pairs);
+
+            return 'OK';
+        },
+        hdel(key, ...fields) {
+            const entry = _getEntry(key, 'hash');
+
+            if (!entry) {
+                return 0;
+            }
+
+            const removed = fields.filter((field) => field in entry.value);
+            removed.forEach((field) => delete entry.value[field]);
+            if (Object.keys(entry.value).length === 0) {
+                _db().delete(key);
+            }
+
+            return removed.length;
+        },
+        hincrby(key, field, increment) {
+            const entry = _getOrCreateEntry(key, 'hash');
+            const value = Number(entry.value[field] || 0) + Number(increment);
+
+            entry.value[field] = String(value);
+
+            return value;
+        },
+        lpush(key, ...values) {
+            const entry = _getOrCreateEntry(key, 'list');
+
+            values.forEach((value) => entry.value.unshift(String(value)));
+
+            return entry.value.length;
+        },
+        ltrim(key, start, stop) {
+            const entry = _getEntry(key, 'list');
+
+            if (entry) {
+                const { length } = entry.value;
+                entry.value = entry.value.slice(
+                    Math.max(_toIndex(start, length), 0),
+                    _toIndex(stop, length) + 1
+                );
+                if (entry.value.length === 0) {
+                    _db().delete(key);
+                }
+            }
+
+            return 'OK';
+        },
+        lrange(key, start, stop) {
+            const entry = _getEntry(key, 'list');
+
+            if (!entry) {
+                return [];
+            }
+            const { length } = entry.value;
+
+            return entry.value.slice(
+                Math.max(_toIndex(start, length), 0),
+                _toIndex(stop, length) + 1
+            );
+        },
+        llen(key) {
+            const entry = _getEntry(key, 'list');
+
+            return entry ? entry.value.length : 0;
+        },
+    };
+
+    /**
+     * Runs a command synchronously.
+     *
+     * @param { string } name - command name
+     * @param {Array<*>} args - command arguments (without callback)
+     * @return {*} command reply
+     */
+    const _run = (name, args) => commands[name](..._flatten(args));
+
+    /**
+     * @param {Array<*>} args - command arguments, possibly ending with a callback
+     * @return {{args: Array<*>, callback: Function|undefined}} split arguments
+     */
+    const _splitCallback = (args) =>
+        typeof args[args.length - 1] === 'function'
+            ? { args: args.slice(0, -1), callback: args[args.length - 1] }
+            : { args, callback: undefined };
+
+    const client = {};
+
+    Object.keys(commands).forEach((name) => {
+        client[name] = (...input) => {
+            const { args, callback } = _splitCallback(input);
+            let error = null;
+            let reply;
+
+            try {
+                reply = _run(name, args);
+            } catch (e) {
+                error = e;
+            }
+
+            // like redis, always reply asynchronously
+            process.nextTick(() => {
+                if (callback) {
+                    callback(error, error ? undefined : reply);
+                }
+            });
+
+            return true;
+        };
+    });
+
+    client.multi = () => {
+        const queue = [];
+        const transaction = {};
+
+        Object.keys(commands).forEach((name) => {
+            transaction[name] = (...args) => {
+                queue.push([name, args]);
+
+                return transaction;
+            };
+        });
+
+        transaction.exec = (callback) => {
+            let error = null;
+            let replies;
+
+            try {
+                replies = queue.map(([name, args]) => _run(name, args));
+            } catch (e) {
+                error = e;
+            }
+
+            process.nextTick(() => {
+                if (callback) {
+                    callback(error, error ? undefined : replies);
+                }
+            });
+
+            return true;
+        };
+
+        return transaction;
+    };
+
+    client.quit = (callback) => {
+        process.nextTick(() => {
+            if (callback) {
+                callback(null, 'OK');
+            }
+        });
+
+        return true;
+    };
+
+    return client;
+}
+
+module.exports = {
+    createClient,
+};
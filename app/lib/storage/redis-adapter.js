@@ -0,0 +1,22 @@
+/**
+ * @module redis-adapter
+ */
+
+const redis = require('redis');
+
+/**
+ * Creates a node-redis client.
+ *
+ * @static
+ * @param {module:storage~StoreConfig} storeConfig - redis connection configuration
+ * @return {import('redis').RedisClient} redis client
+ */
+function createClient(storeConfig) {
+    return redis.createClient(storeConfig.port, storeConfig.host, {
+        auth_pass: storeConfig.password,
+    });
+}
+
+module.exports = {
+    createClient,
+};
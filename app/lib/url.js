@@ -111,6 +111,7 @@ const replaceMediaSources = (survey) => {
 };
 
 module.exports = {
+    escapeMarkupEntities,
     replaceMediaSources,
     toLocalMediaUrl,
     toMediaMap,
@@ -3,6 +3,7 @@
  */
 
 const crypto = require('crypto');
+const net = require('net');
 const evpBytesToKey = require('evp_bytestokey');
 const validUrl = require('valid-url');
 // var debug = require( 'debug' )( 'utils' );
@@ -224,6 +225,48 @@ function areOwnPropertiesEqual(a, b) {
     return true;
 }
 
+/**
+ * Anonymizes an IP address by setting the last octet of an IPv4 address
+ * or the last 80 bits of an IPv6 address to zero.
+ *
+ * @static
+ * @param { string } ip - IP address
+ * @return {string|null} anonymized IP address (`null` for invalid arguments)
+ */
+function anonymizeIp(ip) {
+    if (typeof ip !== 'string') {
+        return null;
+    }
+
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        ip = mapped[1];
+    }
+
+    if (net.isIPv4(ip)) {
+        return ip.replace(/\.\d+$/, '.0');
+    }
+
+    if (net.isIPv6(ip)) {
+        const [head, tail] = ip.split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const groups =
+            typeof tail === 'undefined'
+                ? headGroups
+                : headGroups.concat(
+                      new Array(8 - headGroups.length - tailGroups.length).fill(
+                          '0'
+                      ),
+                      tailGroups
+                  );
+
+        return `${groups.slice(0, 3).join(':')}::`.toLowerCase();
+    }
+
+    return null;
+}
+
 module.exports = {
     getOpenRosaKey,
     getXformsManifestHash,
@@ -233,6 +276,7 @@ module.exports = {
     randomString,
     pickRandomItemFromArray,
     areOwnPropertiesEqual,
+    anonymizeIp,
     insecureAes192Decrypt,
     insecureAes192Encrypt,
 };
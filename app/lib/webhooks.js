@@ -0,0 +1,178 @@
+/**
+ * @module webhooks
+ */
+
+const crypto = require('crypto');
+const request = require('request');
+const config = require('../models/config-model').server;
+const utils = require('./utils');
+// var debug = require( 'debug' )( 'webhooks' );
+
+/**
+ * @typedef WebhookConfig
+ * @property { string } url - URL to notify
+ * @property { string } [secret] - secret used to sign the request body
+ * @property { number } [retries] - maximum number of retries after a failed attempt
+ * @property { number } [retry delay] - milliseconds to wait before the first retry, doubled for each subsequent retry
+ */
+
+/**
+ * @typedef SubmissionEvent
+ * @property { string } enketoId - Enketo ID of survey
+ * @property { string } instanceId - instance ID of record
+ * @property { string } [deprecatedId] - deprecated (previous) ID of record
+ * @property { number } status - HTTP status returned by the OpenRosa server
+ */
+
+/**
+ * @typedef DeliveryResult
+ * @property { string } url - notified URL
+ * @property { number } attempts - number of attempts made
+ * @property { number|null } status - HTTP status of the last response, or `null` if no response was received
+ * @property { boolean } delivered - whether the webhook accepted the notification
+ */
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+
+/**
+ * Notifies webhooks of a successful submission. Failures are logged, never thrown.
+ *
+ * @static
+ * @param {Array<WebhookConfig>} webhooks - webhooks to notify
+ * @param {SubmissionEvent} event - submission information
+ * @return {Promise<Array<DeliveryResult>>} Promise that resolves once all webhooks were notified or gave up
+ */
+function notifySubmission(webhooks, event) {
+    const body = JSON.stringify({
+        event: 'submission',
+        enketoId: event.enketoId,
+        instanceId: event.instanceId,
+        deprecatedId: event.deprecatedId || null,
+        status: event.status,
+        timestamp: new Date().toISOString(),
+    });
+
+    return Promise.all(
+        (webhooks || [])
+            .filter((webhook) => webhook && webhook.url)
+            .map((webhook) =>
+                _deliver(webhook, body, utils.randomString(16)).then(
+                    (result) => {
+                        if (!result.delivered) {
+                            console.error(
+                                `Webhook ${result.url} failed after ${result.attempts} attempt(s) (status: ${result.status})`
+                            );
+                        }
+
+                        return result;
+                    }
+                )
+            )
+    );
+}
+
+/**
+ * Creates the signature header value for a request body.
+ *
+ * @static
+ * @param { string } body - raw request body
+ * @param { string } secret - webhook secret
+ * @return { string } signature header value
+ */
+function sign(body, secret) {
+    const hmac = crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+    return `sha256=${hmac}`;
+}
+
+/**
+ * @param {WebhookConfig} webhook - webhook configuration
+ * @param { string } body - JSON request body
+ * @param { string } deliveryId - ID that is kept the same across retries
+ * @param { number } [attempt] - attempt number
+ * @return {Promise<DeliveryResult>} Promise that resolves with the delivery result
+ */
+function _deliver(webhook, body, deliveryId, attempt = 1) {
+    const retries = _toNumber(webhook.retries, DEFAULT_RETRIES);
+    const retryDelay = _toNumber(webhook['retry delay'], DEFAULT_RETRY_DELAY);
+
+    return _post(webhook, body, deliveryId).then((status) => {
+        const delivered = status !== null && status >= 200 && status < 300;
+        const retryable = status === null || status === 429 || status >= 500;
+
+        if (delivered || !retryable || attempt > retries) {
+            return {
+                url: webhook.url,
+                attempts: attempt,
+                status,
+                delivered,
+            };
+        }
+
+        return new Promise((resolve) => {
+            setTimeout(resolve, retryDelay * 2 ** (attempt - 1));
+        }).then(() => _deliver(webhook, body, deliveryId, attempt + 1));
+    });
+}
+
+/**
+ * @param {WebhookConfig} webhook - webhook configuration
+ * @param { string } body - JSON request body
+ * @param { string } deliveryId - ID that is kept the same across retries
+ * @return {Promise<number|null>} Promise that resolves with the response status, or `null` if the request failed
+ */
+function _post(webhook, body, deliveryId) {
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Enketo-Event': 'submission',
+        'X-Enketo-Delivery': deliveryId,
+    };
+
+    if (webhook.secret) {
+        headers['X-Enketo-Signature'] = sign(body, webhook.secret);
+    }
+
+    return new Promise((resolve) => {
+        request(
+            {
+                method: 'POST',
+                url: webhook.url,
+                headers,
+                body,
+                timeout: config.timeout,
+            },
+            (error, response) => {
+                if (error) {
+                    console.error(
+                        `Error notifying webhook ${webhook.url}`,
+                        error
+                    );
+                    resolve(null);
+                } else {
+                    resolve(response.statusCode);
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Configuration values set through environment variables are strings.
+ *
+ * @param { * } value - configured value
+ * @param { number } defaultValue - value to use if the configured value is not a number
+ * @return { number } number
+ */
+function _toNumber(value, defaultValue) {
+    const number = Number(value);
+
+    return value === '' || value === undefined || Number.isNaN(number)
+        ? defaultValue
+        : number;
+}
+
+module.exports = {
+    notifySubmission,
+    sign,
+};
@@ -4,18 +4,43 @@
 
 const utils = require('../lib/utils');
 const config = require('./config-model').server;
+const client = require('../lib/storage').getClient('main');
 
 const customGetAccount = config['account lib']
     ? require(config['account lib']).getAccount
     : undefined;
 // var debug = require( 'debug' )( 'account-model' );
 
+const prefix = 'ac:';
+const authenticationTypes = ['basic', 'cookie', 'token', 'oauth2'];
+const apiKeyScopes = ['read', 'write', 'delete'];
+// API endpoints that only obtain information, even though they are requested with POST
+const readPaths = ['/surveys/number', '/surveys/list', '/surveys/available'];
+
+/**
+ * @typedef ApiKey
+ * @property { string } name - name of the key, unique per account
+ * @property { string } key - the API key
+ * @property { string } [created] - ISO date string
+ * @property { string } [expires] - ISO date string, the key is not valid after this date
+ * @property {Array<'read'|'write'|'delete'>} [scopes] - allowed API operations, all if empty
+ */
+
 /**
  * @typedef AccountObj
  * @property { string } linkedServer
  * @property { string } [openRosaServer]
- * @property { string } key
- * @property {number} quota
+ * @property { string } [key] - API key with all scopes that never expires
+ * @property {Array<ApiKey>} [keys] - additional API keys
+ * @property {number} quota - maximum number of active surveys
+ * @property { number } [submissionQuota] - maximum number of submissions per calendar month
+ * @property { number } [attachmentQuota] - maximum number of submitted bytes (records and attachments) per calendar month
+ * @property { number } [quotaWarning] - fraction of a quota at which usage warnings are reported (default 0.9)
+ * @property {Array<module:webhooks~WebhookConfig>} [webhooks]
+ * @property { object } [authentication] - authentication settings, with the same properties as the configuration's
+ * `linked form and data server` > `authentication` object
+ * @property { string } [created] - ISO date string, only for accounts stored with the admin API
+ * @property { string } [updated] - ISO date string, only for accounts stored with the admin API
  */
 
 /**
@@ -92,6 +117,104 @@ function check(survey) {
     });
 }
 
+/**
+ * Obtains the valid API key of an account that matches the provided key. Keys are valid
+ * until they expire. The account's `key` is a key named "default" with all scopes.
+ *
+ * @static
+ * @param { AccountObj } account - account object
+ * @param { string } key - API key provided with a request
+ * @param { Date } [date] - date at which the key should be valid
+ * @return { ApiKey|null } the matching API key or `null` if the key is not valid
+ */
+function getApiKey(account, key, date = new Date()) {
+    if (!key) {
+        return null;
+    }
+
+    const apiKeys = (account.keys || []).slice();
+
+    if (account.key) {
+        apiKeys.unshift({ name: 'default', key: account.key, scopes: [] });
+    }
+
+    return (
+        apiKeys.find(
+            (apiKey) =>
+                apiKey.key === key &&
+                (!apiKey.expires || new Date(apiKey.expires) > date)
+        ) || null
+    );
+}
+
+/**
+ * Obtains the account that has the provided API key, for requests that do not identify the server.
+ * The hardcoded account takes precedence over stored accounts.
+ *
+ * @static
+ * @param { string } key - API key provided with a request
+ * @return {Promise<{account: AccountObj, apiKey: ApiKey}|null>} Promise that resolves with the account and the
+ * matching API key or `null` if no account has this key
+ */
+function getByApiKey(key) {
+    if (!key) {
+        return Promise.resolve(null);
+    }
+
+    return getList().then((accounts) => {
+        const hardcodedAccount = _getHardcodedAccount();
+        const candidates = hardcodedAccount
+            ? [hardcodedAccount, ...accounts]
+            : accounts;
+
+        return (
+            candidates
+                .map((account) => ({
+                    account,
+                    apiKey: getApiKey(account, key),
+                }))
+                .find(({ apiKey }) => apiKey !== null) || null
+        );
+    });
+}
+
+/**
+ * Checks whether an API key grants a scope.
+ *
+ * @static
+ * @param { ApiKey } apiKey - API key
+ * @param {'read'|'write'|'delete'} scope - required scope
+ * @return { boolean } whether the scope is granted
+ */
+function hasScope(apiKey, scope) {
+    return (
+        !apiKey.scopes || !apiKey.scopes.length || apiKey.scopes.includes(scope)
+    );
+}
+
+/**
+ * Determines the API key scope required for an API request. Requests that only obtain
+ * information require the "read" scope.
+ *
+ * @static
+ * @param {{method: string, path: string}} req - HTTP request, with the path relative to the API version
+ * @return {'read'|'write'|'delete'} scope
+ */
+function getScope(req) {
+    if (req.method === 'DELETE') {
+        return 'delete';
+    }
+    if (
+        req.method === 'GET' ||
+        req.method === 'HEAD' ||
+        readPaths.includes(req.path)
+    ) {
+        return 'read';
+    }
+
+    return 'write';
+}
+
 /**
  * Checks if the provided serverUrl is part of the allowed 'linked' OpenRosa Server.
  *
@@ -134,22 +257,442 @@ function _stripProtocol(url) {
  * @return { AccountObj } {@link module:account-model~AccountObj|Account object}
  */
 function _getAccount(serverUrl) {
-    const hardcodedAccount = _getHardcodedAccount();
+    return _getStoredAccount(serverUrl).then((storedAccount) => {
+        if (storedAccount) {
+            return storedAccount;
+        }
+
+        const hardcodedAccount = _getHardcodedAccount();
+
+        if (_isAllowed(hardcodedAccount, serverUrl)) {
+            return hardcodedAccount;
+        }
 
-    if (_isAllowed(hardcodedAccount, serverUrl)) {
-        return Promise.resolve(hardcodedAccount);
+        if (customGetAccount) {
+            return customGetAccount(serverUrl, config['account api url']);
+        }
+
+        const error = new Error(
+            'Forbidden. This server is not linked with Enketo.'
+        );
+        error.status = 403;
+
+        throw error;
+    });
+}
+
+/**
+ * Obtains the most specific stored account for a server URL, e.g. an account for "example.org/bob"
+ * takes precedence over an account for "example.org".
+ *
+ * @param { string } serverUrl - The serverUrl to be used to look up the account.
+ * @return {Promise<AccountObj|null>} Promise that resolves with the stored account or `null` if none matches
+ */
+function _getStoredAccount(serverUrl) {
+    const parts = utils.cleanUrl(serverUrl).split('/');
+    const candidates = parts.map((part, index) =>
+        parts.slice(0, parts.length - index).join('/')
+    );
+
+    return Promise.all(candidates.map(_getStored)).then(
+        (accounts) => accounts.find((account) => account !== null) || null
+    );
+}
+
+/**
+ * @param { string } linkedServer - cleaned server URL of the account
+ * @return {Promise<AccountObj|null>} Promise that resolves with the stored account or `null` if it does not exist
+ */
+function _getStored(linkedServer) {
+    return new Promise((resolve, reject) => {
+        client.hgetall(prefix + linkedServer, (error, obj) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(obj ? _toAccountObj(obj) : null);
+            }
+        });
+    });
+}
+
+/**
+ * Obtains a stored account.
+ *
+ * @static
+ * @param { string } serverUrl - server URL of the account
+ * @return {Promise<AccountObj>} Promise that resolves with the account or rejects with a 404 error
+ */
+function getStored(serverUrl) {
+    return _validateServerUrl(serverUrl)
+        .then((linkedServer) => _getStored(linkedServer))
+        .then((account) => {
+            if (!account) {
+                throw _notFound();
+            }
+
+            return account;
+        });
+}
+
+/**
+ * Obtains all stored accounts.
+ *
+ * @static
+ * @return {Promise<Array<AccountObj>>} Promise that resolves with a list of accounts, sorted by server
+ */
+function getList() {
+    return new Promise((resolve, reject) => {
+        // TODO: "Don't use KEYS in your regular application code"
+        // (https://redis.io/commands/keys)
+        client.keys(`${prefix}*`, (error, keys) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(keys || []);
+            }
+        });
+    })
+        .then((keys) =>
+            Promise.all(
+                keys.map((key) => _getStored(key.substring(prefix.length)))
+            )
+        )
+        .then((accounts) =>
+            accounts
+                // the key may have been removed in the meantime
+                .filter((account) => account !== null)
+                .sort((a, b) => a.linkedServer.localeCompare(b.linkedServer))
+        );
+}
+
+/**
+ * Stores a new account.
+ *
+ * @static
+ * @param { AccountObj } account - account with a `linkedServer` URL (including protocol) and `key`
+ * @return {Promise<AccountObj>} Promise that resolves with the stored account or rejects with a 400 or 409 error
+ */
+function create(account) {
+    return _validateServerUrl(account.linkedServer).then((linkedServer) =>
+        _getStored(linkedServer).then((existing) => {
+            if (existing) {
+                const error = new Error(
+                    'Conflict. An account for this server already exists.'
+                );
+                error.status = 409;
+                throw error;
+            }
+
+            const now = new Date().toISOString();
+
+            return _store({
+                ...account,
+                linkedServer,
+                created: now,
+                updated: now,
+            });
+        })
+    );
+}
+
+/**
+ * Updates a stored account. Properties that are not provided remain unchanged.
+ *
+ * @static
+ * @param { AccountObj } account - account with a `linkedServer` URL (including protocol) and properties to update
+ * @return {Promise<AccountObj>} Promise that resolves with the updated account or rejects with a 400 or 404 error
+ */
+function update(account) {
+    return getStored(account.linkedServer).then((existing) => {
+        const updated = { ...existing };
+
+        Object.keys(account).forEach((prop) => {
+            if (
+                prop !== 'linkedServer' &&
+                typeof account[prop] !== 'undefined'
+            ) {
+                updated[prop] = account[prop];
+            }
+        });
+        updated.updated = new Date().toISOString();
+
+        return _store(updated);
+    });
+}
+
+/**
+ * Adds an API key to a stored account. A random key is generated if none is provided.
+ *
+ * @static
+ * @param { string } serverUrl - server URL of the account
+ * @param { ApiKey } apiKey - API key properties, with at least a `name`
+ * @return {Promise<ApiKey>} Promise that resolves with the added API key or rejects with a 400 or 404 error
+ */
+function addApiKey(serverUrl, apiKey) {
+    return getStored(serverUrl).then((existing) => {
+        const added = {
+            name: apiKey.name,
+            key: apiKey.key || utils.randomString(32),
+            expires: apiKey.expires || undefined,
+            scopes: apiKey.scopes || [],
+        };
+
+        return update({
+            linkedServer: serverUrl,
+            keys: existing.keys.concat(added),
+        }).then((updated) =>
+            updated.keys.find((stored) => stored.name === added.name)
+        );
+    });
+}
+
+/**
+ * Revokes an API key of a stored account.
+ *
+ * @static
+ * @param { string } serverUrl - server URL of the account
+ * @param { string } name - name of the API key
+ * @return {Promise<AccountObj>} Promise that resolves with the updated account or rejects with a 400 or 404 error
+ */
+function removeApiKey(serverUrl, name) {
+    return getStored(serverUrl).then((existing) => {
+        const keys = existing.keys.filter((apiKey) => apiKey.name !== name);
+
+        if (keys.length === existing.keys.length) {
+            const error = new Error('API key not found.');
+            error.status = 404;
+            throw error;
+        }
+
+        return update({ linkedServer: serverUrl, keys });
+    });
+}
+
+/**
+ * Removes a stored account.
+ *
+ * @static
+ * @param { string } serverUrl - server URL of the account
+ * @return {Promise<string>} Promise that resolves with the linked server of the removed account or rejects with a 404 error
+ */
+function remove(serverUrl) {
+    return _validateServerUrl(serverUrl).then(
+        (linkedServer) =>
+            new Promise((resolve, reject) => {
+                client.del(prefix + linkedServer, (error, count) => {
+                    if (error) {
+                        reject(error);
+                    } else if (!count) {
+                        reject(_notFound());
+                    } else {
+                        resolve(linkedServer);
+                    }
+                });
+            })
+    );
+}
+
+/**
+ * @param { AccountObj } account - complete account
+ * @return {Promise<AccountObj>} Promise that resolves with the stored account
+ */
+function _store(account) {
+    const error = _validate(account);
+
+    if (error) {
+        return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+        const key = prefix + account.linkedServer;
+
+        client
+            .multi()
+            .del(key)
+            .hmset(key, {
+                linkedServer: account.linkedServer,
+                key: account.key || '',
+                keys: JSON.stringify(
+                    (account.keys || []).map((apiKey) => ({
+                        ...apiKey,
+                        created: apiKey.created || account.updated,
+                    }))
+                ),
+                quota: _fromQuota(account.quota),
+                submissionQuota: _fromQuota(account.submissionQuota),
+                attachmentQuota: _fromQuota(account.attachmentQuota),
+                quotaWarning: _fromQuota(account.quotaWarning),
+                authentication: account.authentication
+                    ? JSON.stringify(account.authentication)
+                    : '',
+                webhooks: JSON.stringify(account.webhooks || []),
+                created: account.created,
+                updated: account.updated,
+            })
+            .exec((error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(_getStored(account.linkedServer));
+                }
+            });
+    });
+}
+
+/**
+ * @param { AccountObj } account - complete account
+ * @return { Error|null } a 400 error if the account is invalid
+ */
+function _validate(account) {
+    const { authentication, webhooks } = account;
+    const keys = account.keys || [];
+    const keyMessage = Array.isArray(keys)
+        ? keys.map((apiKey) => _validateApiKey(apiKey, keys)).find(Boolean)
+        : 'API keys should be a list.';
+    let message;
+
+    if (keyMessage) {
+        message = keyMessage;
+    } else if (
+        (typeof account.key !== 'string' || !account.key) &&
+        !keys.length
+    ) {
+        message = 'API key is missing.';
+    } else if (
+        ['quota', 'submissionQuota', 'attachmentQuota', 'quotaWarning'].some(
+            (prop) =>
+                ![null, undefined, '', Infinity].includes(account[prop]) &&
+                !(Number(account[prop]) >= 0)
+        )
+    ) {
+        message = 'Quotas should be positive numbers.';
+    } else if (
+        authentication &&
+        (typeof authentication !== 'object' ||
+            !authenticationTypes.includes(
+                String(authentication.type).toLowerCase()
+            ))
+    ) {
+        message = `Authentication type should be one of: ${authenticationTypes.join(
+            ', '
+        )}.`;
+    } else if (
+        webhooks &&
+        (!Array.isArray(webhooks) ||
+            webhooks.some((webhook) => !webhook || !webhook.url))
+    ) {
+        message = 'Webhooks should be a list of objects with a url.';
     }
 
-    if (customGetAccount) {
-        return customGetAccount(serverUrl, config['account api url']);
+    if (!message) {
+        return null;
     }
 
-    const error = new Error(
-        'Forbidden. This server is not linked with Enketo.'
-    );
-    error.status = 403;
+    const error = new Error(`Bad Request. ${message}`);
+    error.status = 400;
+
+    return error;
+}
+
+/**
+ * @param { ApiKey } apiKey - API key
+ * @param {Array<ApiKey>} keys - all API keys of the account
+ * @return { string|null } validation message if the API key is invalid
+ */
+function _validateApiKey(apiKey, keys) {
+    if (!apiKey || typeof apiKey.key !== 'string' || !apiKey.key) {
+        return 'API keys should have a key.';
+    }
+    if (!apiKey.name || keys.filter((k) => k.name === apiKey.name).length > 1) {
+        return 'API keys should have a unique name.';
+    }
+    if (apiKey.expires && Number.isNaN(new Date(apiKey.expires).getTime())) {
+        return 'API key expiry should be a valid date.';
+    }
+    if (
+        apiKey.scopes &&
+        (!Array.isArray(apiKey.scopes) ||
+            apiKey.scopes.some((scope) => !apiKeyScopes.includes(scope)))
+    ) {
+        return `API key scopes should be a list with any of: ${apiKeyScopes.join(
+            ', '
+        )}.`;
+    }
+
+    return null;
+}
+
+/**
+ * @param { string } serverUrl - server URL including protocol
+ * @return {Promise<string>} Promise that resolves with the cleaned server URL or rejects with a 400 error
+ */
+function _validateServerUrl(serverUrl) {
+    if (!serverUrl || !utils.isValidUrl(serverUrl)) {
+        const error = new Error(
+            'Bad Request. Server URL is missing or not a valid URL.'
+        );
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
 
-    return Promise.reject(error);
+    return Promise.resolve(utils.cleanUrl(serverUrl));
+}
+
+/**
+ * @return { Error } a 404 error
+ */
+function _notFound() {
+    const error = new Error('Account not found.');
+    error.status = 404;
+
+    return error;
+}
+
+/**
+ * @param { object } obj - stored hash
+ * @return { AccountObj } account object
+ */
+function _toAccountObj(obj) {
+    return {
+        linkedServer: obj.linkedServer,
+        key: obj.key || undefined,
+        keys: obj.keys ? JSON.parse(obj.keys) : [],
+        quota: _toQuota(obj.quota),
+        submissionQuota: _toQuota(obj.submissionQuota),
+        attachmentQuota: _toQuota(obj.attachmentQuota),
+        quotaWarning: Number(obj.quotaWarning) || undefined,
+        authentication: obj.authentication
+            ? JSON.parse(obj.authentication)
+            : undefined,
+        webhooks: obj.webhooks ? JSON.parse(obj.webhooks) : [],
+        created: obj.created,
+        updated: obj.updated,
+    };
+}
+
+/**
+ * Unlimited quotas are stored as an empty string.
+ *
+ * @param { * } value - quota
+ * @return { string } stored quota value
+ */
+function _fromQuota(value) {
+    return [null, undefined, '', Infinity].includes(value) ? '' : String(value);
+}
+
+/**
+ * Empty, `null` and missing quotas are unlimited. A quota of 0 allows nothing.
+ *
+ * @param { * } value - stored or configured quota
+ * @return { number } quota
+ */
+function _toQuota(value) {
+    if (value === null || value === undefined || value === '') {
+        return Infinity;
+    }
+
+    return Number(value);
 }
 
 /**
@@ -170,11 +713,24 @@ function _getHardcodedAccount() {
         return null;
     }
 
+    // a number is the legacy way to configure the maximum number of active surveys
+    const quota =
+        linkedServer.quota && typeof linkedServer.quota === 'object'
+            ? linkedServer.quota
+            : { 'active surveys': linkedServer.quota };
+
     // do not add default branding
     return {
         linkedServer: linkedServer['server url'],
         key: linkedServer['api key'],
-        quota: linkedServer.quota || Infinity,
+        quota: _toQuota(quota['active surveys']),
+        submissionQuota: _toQuota(quota['monthly submissions']),
+        attachmentQuota: _toQuota(quota['monthly attachment bytes']),
+        quotaWarning: Number(quota['warning threshold']) || undefined,
+        keys: (linkedServer['api keys'] || []).filter(
+            (apiKey) => apiKey && apiKey.key
+        ),
+        webhooks: linkedServer.webhooks || [],
     };
 }
 
@@ -195,4 +751,15 @@ function _getServer(survey) {
 module.exports = {
     get,
     check,
+    getApiKey,
+    getByApiKey,
+    hasScope,
+    getScope,
+    getStored,
+    getList,
+    create,
+    update,
+    remove,
+    addApiKey,
+    removeApiKey,
 };
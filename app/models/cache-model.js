@@ -2,26 +2,17 @@
  * @module cache-model
  */
 
+const crypto = require('crypto');
 const utils = require('../lib/utils');
+const communicator = require('../lib/communicator');
 const transformer = require('enketo-transformer');
+const config = require('./config-model').server;
 
 const prefix = 'ca:';
 const expiry = 30 * 24 * 60 * 60;
-const config = require('./config-model').server;
-const client = require('redis').createClient(
-    config.redis.cache.port,
-    config.redis.cache.host,
-    {
-        auth_pass: config.redis.cache.password,
-    }
-);
+const client = require('../lib/storage').getClient('cache');
 const debug = require('debug')('cache-model');
 
-// in test environment, switch to different db
-if (process.env.NODE_ENV === 'test') {
-    client.select(15);
-}
-
 /**
  * Gets an item from the cache.
  *
@@ -58,6 +49,7 @@ function getSurvey(survey) {
                     survey.languageMap = JSON.parse(
                         cacheObj.languageMap || '{}'
                     );
+                    survey.manifest = JSON.parse(cacheObj.manifest || '[]');
                     resolve(survey);
                 }
             });
@@ -152,7 +144,9 @@ function isCacheUpToDate(survey) {
                     if (
                         cacheObj.formHash !== survey.formHash ||
                         cacheObj.xslHash !== survey.xslHash ||
-                        cacheObj.mediaUrlHash
+                        cacheObj.mediaUrlHash ||
+                        // the XForm is missing if it was cached before the OpenRosa form list was enabled
+                        (config['openrosa form list'] && !cacheObj.xform)
                     ) {
                         debug('cache is obsolete');
                         resolve(false);
@@ -201,7 +195,20 @@ function setSurvey(survey) {
                 // The mediaUrlHash property is an artefact and no longer used.
                 // When hmset updates the database it would keep it in place, so we explicitly set it to empty.s
                 mediaUrlHash: '',
+                // only used to inspect the cache
+                mediaHash: utils.getXformsManifestHash(survey.manifest, 'all'),
+                cached: new Date().toISOString(),
                 languageMap: JSON.stringify(survey.languageMap || {}),
+                // used to serve the form while the OpenRosa server is unavailable
+                manifest: JSON.stringify(survey.manifest || []),
+                // only used to serve the OpenRosa form list, empty if that is disabled
+                ...(config['openrosa form list'] && survey.xform
+                    ? {
+                          xform: survey.xform,
+                          name: survey.info.name || '',
+                          version: survey.info.version || '',
+                      }
+                    : { xform: '', name: '', version: '' }),
             };
 
             const key = _getKey(survey);
@@ -220,6 +227,305 @@ function setSurvey(survey) {
     });
 }
 
+/**
+ * Records that the OpenRosa server gave a user access to a cached survey, so that the cached form can be served to
+ * this user while the server is unavailable. Only a digest of the credentials is stored. Access without credentials
+ * means that the form is public.
+ *
+ * @static
+ * @name setAccess
+ * @function
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param {object|string|null} identity - credentials of the user, or `null` for anonymous access
+ * @return {Promise<module:survey-model~SurveyObject>} Promise that resolves with the survey object
+ */
+function setAccess(survey, identity) {
+    return new Promise((resolve, reject) => {
+        client.hset(
+            _getKey(survey),
+            _getAccessField(identity),
+            new Date().toISOString(),
+            (error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(survey);
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Checks whether the OpenRosa server gave a user access to a cached survey before. The access records are removed
+ * with the cached survey, e.g. when the server responds with 401 or 404.
+ *
+ * @static
+ * @name hasAccess
+ * @function
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param {object|string|null} identity - credentials of the user, or `null` for anonymous access
+ * @return {Promise<boolean>} Promise that resolves with whether the user was given access before
+ */
+function hasAccess(survey, identity) {
+    return new Promise((resolve, reject) => {
+        client.hget(
+            _getKey(survey),
+            _getAccessField(identity),
+            (error, value) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(!!value);
+                }
+            }
+        );
+    });
+}
+
+/**
+ * @typedef CachedXForm
+ * @property { string } openRosaServer - OpenRosa server URL
+ * @property { string } openRosaId - form ID
+ * @property { string } xform - the XForm
+ * @property {Array<{filename: string, hash: string, downloadUrl: string}>} manifest - media files of the form
+ * @property { string } name - form name
+ * @property { string } version - form version
+ * @property { string } formHash - hash of the XForm
+ */
+
+/**
+ * Gets the untransformed XForm of a cached survey. XForms are only cached if the OpenRosa form list is enabled.
+ *
+ * @static
+ * @name getXForm
+ * @function
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @return {Promise<CachedXForm|null>} Promise that resolves with the cached XForm or `null` if it is not cached
+ */
+function getXForm(survey) {
+    const key = _getKey(survey);
+
+    if (!key) {
+        const error = new Error(
+            'Bad Request. Survey information to perform cache lookup is not complete.'
+        );
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+        client.hmget(
+            key,
+            ['xform', 'manifest', 'name', 'version', 'formHash'],
+            (error, values) => {
+                const [xform, manifest, name, version, formHash] = values || [];
+
+                if (error) {
+                    reject(error);
+                } else if (!xform) {
+                    resolve(null);
+                } else {
+                    resolve({
+                        openRosaServer: survey.openRosaServer,
+                        openRosaId: survey.openRosaId,
+                        xform,
+                        manifest: JSON.parse(manifest || '[]'),
+                        name,
+                        version,
+                        formHash,
+                    });
+                }
+            }
+        );
+    });
+}
+
+/**
+ * @typedef CacheInfo
+ * @property { string } openRosaServer - OpenRosa server URL without protocol
+ * @property { string } openRosaId - form ID
+ * @property { string } formHash - hash of the XForm
+ * @property { string } mediaHash - hash of the XForm manifest when the form was cached
+ * @property { string } xslHash - version of the transformer that transformed the form
+ * @property { boolean } stale - whether the form was transformed with another transformer version. Changes to the
+ * XForm or its media are only detected when the form is loaded.
+ * @property { number } size - size of the transformed form and model in bytes
+ * @property { number } ttl - time to live in seconds
+ * @property { string|null } cached - ISO date string of the moment the form was cached, if known
+ */
+
+/**
+ * Obtains information about the cache of a single survey, without the transformed form.
+ *
+ * @static
+ * @name getInfo
+ * @function
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @return {Promise<CacheInfo|null>} Promise that resolves with the cache information or `null` if it is not cached
+ */
+function getInfo(survey) {
+    const key = _getKey(survey);
+
+    if (!key) {
+        const error = new Error(
+            'Bad Request. Survey information to perform cache lookup is not complete.'
+        );
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    return _getInfo(key);
+}
+
+/**
+ * Obtains information about the cached surveys of a server, sorted by form ID.
+ *
+ * @static
+ * @name getList
+ * @function
+ * @param { string } server - OpenRosa server URL
+ * @param {{offset: number, limit: number}} page - the page of the list to obtain
+ * @return {Promise<{total: number, items: Array<CacheInfo>}>} Promise that resolves with the total number of cached
+ * surveys and the requested page
+ */
+function getList(server, { offset, limit }) {
+    if (!server) {
+        const error = new Error(
+            'Bad Request. Survey information to perform cache lookup is not complete.'
+        );
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+        // TODO: "Don't use KEYS in your regular application code"
+        // (https://redis.io/commands/keys)
+        // only the forms of this server, not those of servers on a sub-path
+        client.keys(`${prefix}${utils.cleanUrl(server)},*`, (error, keys) => {
+            if (error) {
+                reject(error);
+            } else {
+                keys.sort();
+                Promise.all(keys.slice(offset, offset + limit).map(_getInfo))
+                    .then((items) => {
+                        resolve({
+                            total: keys.length,
+                            // items may have expired in the meantime
+                            items: items.filter((item) => item),
+                        });
+                    })
+                    .catch(reject);
+            }
+        });
+    });
+}
+
+/**
+ * Obtains the XForm of a survey and transforms it. The XForm is kept, because it is cached for the OpenRosa form list.
+ *
+ * @static
+ * @name transform
+ * @function
+ * @param {module:survey-model~SurveyObject} survey - survey object with info and manifest
+ * @return {Promise<module:survey-model~SurveyObject>} Promise that resolves with the transformed survey
+ */
+function transformSurvey(survey) {
+    return communicator.getXForm(survey).then((survey) => {
+        const { xform } = survey;
+
+        return transformer
+            .transform(survey)
+            .then((survey) => Object.assign(survey, { xform }));
+    });
+}
+
+/**
+ * Fetches, transforms and caches a form if the cached form is missing or obsolete.
+ *
+ * @static
+ * @name refresh
+ * @function
+ * @param {module:survey-model~SurveyObject} survey - survey object with the info of the form in the form list
+ * @return {Promise<{survey: module:survey-model~SurveyObject, transformed: boolean}>} Promise that resolves with the
+ * survey and whether it was transformed
+ */
+function refreshSurvey(survey) {
+    return communicator
+        .getManifest(survey)
+        .then((survey) => Promise.all([survey, isCacheUpToDate(survey)]))
+        .then(([survey, upToDate]) => {
+            if (upToDate) {
+                return { survey, transformed: false };
+            }
+
+            // the properties of an obsolete cached form should not end up in the new cache
+            delete survey.xform;
+            delete survey.form;
+            delete survey.model;
+            delete survey.xslHash;
+            delete survey.mediaHash;
+            delete survey.mediaUrlHash;
+            delete survey.formHash;
+
+            return transformSurvey(survey)
+                .then(setSurvey)
+                .then((survey) => ({ survey, transformed: true }));
+        });
+}
+
+/**
+ * @param { string } key - cache key
+ * @return {Promise<CacheInfo|null>} Promise that resolves with the cache information or `null`
+ */
+function _getInfo(key) {
+    return new Promise((resolve, reject) => {
+        // the transformed form and the access records are not needed
+        client
+            .multi()
+            .hmget(key, [
+                'formHash',
+                'mediaHash',
+                'xslHash',
+                'mediaUrlHash',
+                'cached',
+            ])
+            .hstrlen(key, 'form')
+            .hstrlen(key, 'model')
+            .ttl(key)
+            .exec((error, replies) => {
+                const [values, formSize, modelSize, ttl] = replies || [];
+                const [formHash, mediaHash, xslHash, mediaUrlHash, cached] =
+                    values || [];
+
+                if (error) {
+                    reject(error);
+                } else if (!formHash) {
+                    resolve(null);
+                } else {
+                    const id = key.substring(prefix.length);
+                    const separator = id.indexOf(',');
+
+                    resolve({
+                        openRosaServer: id.substring(0, separator),
+                        openRosaId: id.substring(separator + 1),
+                        formHash,
+                        mediaHash: mediaHash || '',
+                        xslHash,
+                        stale:
+                            xslHash !== transformer.version || !!mediaUrlHash,
+                        size: formSize + modelSize,
+                        ttl,
+                        cached: cached || null,
+                    });
+                }
+            });
+    });
+}
+
 /**
  * Flushes the cache of a single survey
  *
@@ -308,6 +614,19 @@ function _getKey(survey) {
     return openRosaKey || null;
 }
 
+/**
+ * @param {object|string|null} identity - credentials of the user, or `null` for anonymous access
+ * @return { string } name of the field of the cached survey that records the access of the user
+ */
+function _getAccessField(identity) {
+    const digest = crypto
+        .createHmac('sha256', config['encryption key'])
+        .update(JSON.stringify(identity || null))
+        .digest('hex');
+
+    return `access:${digest}`;
+}
+
 /**
  * Adds the 3 relevant hashes to the survey object if they haven't been added already.
  *
@@ -324,6 +643,13 @@ module.exports = {
     getHashes: getSurveyHashes,
     set: setSurvey,
     check: isCacheUpToDate,
+    transform: transformSurvey,
+    refresh: refreshSurvey,
+    getInfo,
+    getList,
+    getXForm,
+    setAccess,
+    hasAccess,
     flush: flushSurvey,
     flushAll,
 };
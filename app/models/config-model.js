@@ -15,6 +15,11 @@ const pkgDir = require('pkg-dir');
 const { execSync } = require('child_process');
 // var debug = require( 'debug' )( 'config-model' );
 
+// Lists of objects that are empty by default, with the properties that can be set with environment variables
+const emptyListItems = {
+    webhooks: { url: '', secret: '', retries: '', 'retry delay': '' },
+};
+
 // Merge default and local config files if a local config.json file exists
 try {
     const localConfigJSON = String(
@@ -91,7 +96,8 @@ function _updateConfigItemFromEnv(envVarName) {
             } else {
                 // clone previous array item (object) and empty all property values
                 setting[propName][parts[nextNumberIndex]] = _getEmptyClone(
-                    setting[propName][parts[nextNumberIndex] - 1]
+                    setting[propName][parts[nextNumberIndex] - 1] ||
+                        emptyListItems[propName]
                 );
                 proceed = true;
             }
@@ -371,6 +377,17 @@ module.exports = {
         csrfCookieName: config['csrf cookie name'],
         excludeNonRelevant: config['exclude non-relevant'],
         experimentalOptimizations: config['experimental optimizations'],
+        recordExportEnabled: config['record export'].enabled,
+        resumableUploads: {
+            enabled: config['resumable uploads'].enabled,
+            chunkSize: config['resumable uploads']['chunk size'],
+        },
+        imageCompression: {
+            enabled: config['image compression'].enabled,
+            maxDimension: config['image compression']['max dimension'],
+            quality: config['image compression'].quality,
+            keepLocation: config['image compression']['keep location'],
+        },
     },
     getThemesSupported,
 };
@@ -0,0 +1,519 @@
+/**
+ * Stores bundles of unsubmitted records that were pushed to Enketo by the webform, so
+ * that they can be retrieved through the API when the OpenRosa server is unreachable.
+ * A bundle is a ZIP file with the exact same layout as the file created by the Export button.
+ *
+ * @module export-model
+ */
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const config = require('./config-model').server;
+const utils = require('../lib/utils');
+const client = require('../lib/storage').getClient('main');
+// var debug = require( 'debug' )( 'export-model' );
+
+const prefix = 'ex:';
+const slotPrefix = 'ex-slot:';
+
+/**
+ * @typedef ExportBundleInfo
+ * @property { string } bundleId - unique ID of the bundle
+ * @property { string } enketoId - Enketo ID of the survey the records belong to
+ * @property { string } created - ISO date string of the moment the bundle was received
+ * @property { number } size - size of the ZIP file in bytes
+ * @property { number } records - number of records in the bundle
+ * @property { string } digest - SHA-256 hex digest of the ZIP file
+ * @property { string } signature - HMAC-SHA256 signature of the bundle created by Enketo
+ */
+
+/**
+ * @typedef {ExportBundleInfo & { bundle: Buffer }} ExportBundle
+ */
+
+/**
+ * Validates and stores a bundle.
+ *
+ * @static
+ * @name set
+ * @function
+ * @param { string } enketoId - Enketo ID of survey
+ * @param { Buffer } bundle - ZIP file created by the webform's exporter
+ * @param { string } [digest] - SHA-256 hex digest of the bundle as calculated by the webform
+ * @return {Promise<ExportBundleInfo>} Promise that resolves with the stored bundle's information, or rejects with a
+ * 429 error if the maximum number of bundles for the survey is reached
+ */
+function setBundle(enketoId, bundle, digest) {
+    if (!enketoId || !Buffer.isBuffer(bundle) || bundle.length === 0) {
+        const error = new Error(
+            'Bad request. Export bundle information not complete or invalid'
+        );
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    const calculatedDigest = crypto
+        .createHash('sha256')
+        .update(bundle)
+        .digest('hex');
+
+    if (digest && digest.toLowerCase() !== calculatedDigest) {
+        const error = new Error(
+            'Bad request. Export bundle digest does not match its contents'
+        );
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    const bundleId = utils.randomString(16);
+    const key = `${prefix}${enketoId}:${bundleId}`;
+    let slot;
+
+    return _countRecords(bundle)
+        .then((records) =>
+            _reserveSlot(enketoId, bundleId).then((reserved) => {
+                slot = reserved;
+
+                return records;
+            })
+        )
+        .then(
+            (records) =>
+                new Promise((resolve, reject) => {
+                    const info = {
+                        bundleId,
+                        enketoId,
+                        created: new Date().toISOString(),
+                        size: bundle.length,
+                        records,
+                        digest: calculatedDigest,
+                    };
+                    info.signature = _sign(info);
+
+                    client.hmset(
+                        key,
+                        {
+                            ...info,
+                            slot,
+                            bundle: bundle.toString('base64'),
+                        },
+                        (error) => {
+                            if (error) {
+                                _releaseSlot(enketoId, slot, bundleId).catch(
+                                    (error) => {
+                                        console.error(error);
+                                    }
+                                );
+                                reject(error);
+                            } else {
+                                // expire, no need to wait for result
+                                client.expire(
+                                    key,
+                                    config['record export'].expiry / 1000
+                                );
+                                resolve(info);
+                            }
+                        }
+                    );
+                })
+        );
+}
+
+/**
+ * Obtains a stored bundle including the ZIP file.
+ *
+ * @static
+ * @name get
+ * @function
+ * @param { string } enketoId - Enketo ID of survey
+ * @param { string } bundleId - ID of bundle
+ * @return {Promise<ExportBundle|null>} Promise that resolves with the bundle or `null` if it does not exist
+ */
+function getBundle(enketoId, bundleId) {
+    return new Promise((resolve, reject) => {
+        if (!enketoId || !bundleId) {
+            const error = new Error(
+                'Bad request. Export bundle information not complete or invalid'
+            );
+            error.status = 400;
+            reject(error);
+        } else {
+            client.hgetall(`${prefix}${enketoId}:${bundleId}`, (error, obj) => {
+                if (error) {
+                    reject(error);
+                } else if (!obj) {
+                    resolve(null);
+                } else {
+                    const info = _toInfo(obj);
+                    info.bundle = Buffer.from(obj.bundle, 'base64');
+                    resolve(info);
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Obtains the information of all stored bundles for a survey, oldest first.
+ *
+ * @static
+ * @name getList
+ * @function
+ * @param { string } enketoId - Enketo ID of survey
+ * @return {Promise<Array<ExportBundleInfo>>} Promise that resolves with a list of bundle information objects
+ */
+function getBundleList(enketoId) {
+    return new Promise((resolve, reject) => {
+        client.keys(`${prefix}${enketoId}:*`, (error, keys) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(keys);
+            }
+        });
+    })
+        .then((keys) =>
+            Promise.all(
+                keys.map(
+                    (key) =>
+                        new Promise((resolve, reject) => {
+                            client.hmget(
+                                key,
+                                [
+                                    'bundleId',
+                                    'enketoId',
+                                    'created',
+                                    'size',
+                                    'records',
+                                    'digest',
+                                    'signature',
+                                ],
+                                (error, values) => {
+                                    if (error) {
+                                        reject(error);
+                                    } else {
+                                        resolve(values);
+                                    }
+                                }
+                            );
+                        })
+                )
+            )
+        )
+        .then((list) =>
+            list
+                // the key may have expired in the meantime
+                .filter((values) => values[0] !== null)
+                .map(
+                    ([
+                        bundleId,
+                        enketoId,
+                        created,
+                        size,
+                        records,
+                        digest,
+                        signature,
+                    ]) =>
+                        _toInfo({
+                            bundleId,
+                            enketoId,
+                            created,
+                            size,
+                            records,
+                            digest,
+                            signature,
+                        })
+                )
+                .sort((a, b) => a.created.localeCompare(b.created))
+        );
+}
+
+/**
+ * Removes a stored bundle.
+ *
+ * @static
+ * @name remove
+ * @function
+ * @param { string } enketoId - Enketo ID of survey
+ * @param { string } bundleId - ID of bundle
+ * @return {Promise<string|null>} Promise that resolves with the removed bundleId or `null` if it did not exist
+ */
+function removeBundle(enketoId, bundleId) {
+    if (!enketoId || !bundleId) {
+        const error = new Error(
+            'Bad request. Export bundle information not complete or invalid'
+        );
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    const key = `${prefix}${enketoId}:${bundleId}`;
+
+    return new Promise((resolve, reject) => {
+        client.hget(key, 'slot', (error, slot) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(slot);
+            }
+        });
+    }).then(
+        (slot) =>
+            new Promise((resolve, reject) => {
+                client.del(key, (error, count) => {
+                    if (error) {
+                        reject(error);
+                    } else if (!count) {
+                        resolve(null);
+                    } else {
+                        resolve(
+                            _releaseSlot(enketoId, slot, bundleId).then(
+                                () => bundleId
+                            )
+                        );
+                    }
+                });
+            })
+    );
+}
+
+/**
+ * Creates the token that webforms of a survey send along with a bundle. It is only handed out with the form,
+ * so only users that the OpenRosa server allowed to obtain the form can send bundles. The token is bound to
+ * the device cookie of the user's browser and expires after the configured `token expiry`. Deactivating
+ * the survey revokes all tokens, because bundles are only accepted for active surveys.
+ *
+ * @static
+ * @name getToken
+ * @function
+ * @param { string } enketoId - Enketo ID of survey
+ * @param { string } [deviceId] - ID from the signed device cookie of the user's browser
+ * @param { number } [now] - current timestamp in milliseconds
+ * @return { string|undefined } token, or `undefined` if the browser has no device cookie
+ */
+function getBundleToken(enketoId, deviceId, now = Date.now()) {
+    if (!deviceId) {
+        return undefined;
+    }
+
+    const expires = now + Number(config['record export']['token expiry']);
+
+    return `${expires}.${_signToken(enketoId, deviceId, expires)}`;
+}
+
+/**
+ * Verifies whether a token was created by this Enketo installation for the provided survey and device,
+ * and has not expired.
+ *
+ * @static
+ * @name verifyToken
+ * @function
+ * @param { string } enketoId - Enketo ID of survey
+ * @param { string } [token] - token sent by the webform
+ * @param { string } [deviceId] - ID from the signed device cookie of the user's browser
+ * @param { number } [now] - current timestamp in milliseconds
+ * @return { boolean } whether the token is valid
+ */
+function verifyBundleToken(enketoId, token, deviceId, now = Date.now()) {
+    const [expires, signature] = String(token || '').split('.');
+
+    if (!deviceId || !(Number(expires) > now)) {
+        return false;
+    }
+
+    const expected = Buffer.from(_signToken(enketoId, deviceId, expires));
+    const actual = Buffer.from(String(signature || ''));
+
+    return (
+        expected.length === actual.length &&
+        crypto.timingSafeEqual(expected, actual)
+    );
+}
+
+/**
+ * Verifies whether a signature was created by this Enketo installation for the provided bundle information.
+ *
+ * @static
+ * @name verify
+ * @function
+ * @param {ExportBundleInfo} info - bundle information
+ * @return { boolean } whether the signature is valid
+ */
+function verifyBundle(info) {
+    const expected = Buffer.from(_sign(info));
+    const actual = Buffer.from(String(info.signature || ''));
+
+    return (
+        expected.length === actual.length &&
+        crypto.timingSafeEqual(expected, actual)
+    );
+}
+
+/**
+ * Checks whether the bundle has the exporter's layout and counts the records it contains.
+ *
+ * @param { Buffer } bundle - ZIP file
+ * @return {Promise<number>} Promise that resolves with the number of records
+ */
+function _countRecords(bundle) {
+    return JSZip.loadAsync(bundle)
+        .then((zip) => {
+            const metaFile = zip.file('meta.json');
+            if (!metaFile) {
+                throw new Error('meta.json missing');
+            }
+
+            return metaFile.async('string');
+        })
+        .then((metaStr) => {
+            const meta = JSON.parse(metaStr);
+            if (!Array.isArray(meta)) {
+                throw new Error('meta.json is not a list');
+            }
+
+            return meta.length;
+        })
+        .catch((e) => {
+            const error = new Error(
+                `Bad request. Export bundle is not a valid records export file (${e.message})`
+            );
+            error.status = 400;
+            throw error;
+        });
+}
+
+/**
+ * Reserves one of the `max bundles` slots of a survey for a bundle. A slot expires together with its bundle.
+ * Slots are reserved with SET NX, so concurrent requests can never exceed the maximum.
+ *
+ * @param { string } enketoId - Enketo ID of survey
+ * @param { string } bundleId - ID of bundle
+ * @param { number } [slot] - first slot to try
+ * @return {Promise<number>} Promise that resolves with the reserved slot, or rejects with a 429 error if
+ * all slots are taken
+ */
+function _reserveSlot(enketoId, bundleId, slot = 0) {
+    if (slot >= config['record export']['max bundles']) {
+        const error = new Error(
+            'Too many export bundles are stored for this survey. Please try again later.'
+        );
+        error.status = 429;
+
+        return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+        client.set(
+            `${slotPrefix}${enketoId}:${slot}`,
+            bundleId,
+            'PX',
+            config['record export'].expiry,
+            'NX',
+            (error, reply) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(reply);
+                }
+            }
+        );
+    }).then((reply) =>
+        reply ? slot : _reserveSlot(enketoId, bundleId, slot + 1)
+    );
+}
+
+/**
+ * Frees the slot of a bundle, unless it was reserved for another bundle in the meantime.
+ *
+ * @param { string } enketoId - Enketo ID of survey
+ * @param { number|string|null } slot - slot of the bundle
+ * @param { string } bundleId - ID of bundle
+ * @return {Promise<void>} Promise that resolves once the slot is free
+ */
+function _releaseSlot(enketoId, slot, bundleId) {
+    const key = `${slotPrefix}${enketoId}:${slot}`;
+
+    if (slot === null || slot === undefined) {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        client.get(key, (error, reserved) => {
+            if (error) {
+                reject(error);
+            } else if (reserved !== bundleId) {
+                resolve();
+            } else {
+                client.del(key, (error) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                });
+            }
+        });
+    });
+}
+
+/**
+ * @param { string } enketoId - Enketo ID of survey
+ * @param { string } deviceId - ID from the signed device cookie
+ * @param {number|string} expires - expiry timestamp of the token in milliseconds
+ * @return { string } HMAC-SHA256 signature
+ */
+function _signToken(enketoId, deviceId, expires) {
+    return crypto
+        .createHmac('sha256', config['encryption key'])
+        .update(`export:${enketoId}:${deviceId}:${expires}`)
+        .digest('hex');
+}
+
+/**
+ * @param {ExportBundleInfo} info - bundle information
+ * @return { string } HMAC-SHA256 signature
+ */
+function _sign(info) {
+    return crypto
+        .createHmac('sha256', config['encryption key'])
+        .update(
+            [
+                info.enketoId,
+                info.bundleId,
+                info.created,
+                info.size,
+                info.records,
+                info.digest,
+            ].join(':')
+        )
+        .digest('hex');
+}
+
+/**
+ * @param { object } obj - stored hash
+ * @return {ExportBundleInfo} bundle information
+ */
+function _toInfo(obj) {
+    return {
+        bundleId: obj.bundleId,
+        enketoId: obj.enketoId,
+        created: obj.created,
+        size: Number(obj.size),
+        records: Number(obj.records),
+        digest: obj.digest,
+        signature: obj.signature,
+    };
+}
+
+module.exports = {
+    get: getBundle,
+    getList: getBundleList,
+    set: setBundle,
+    remove: removeBundle,
+    verify: verifyBundle,
+    getToken: getBundleToken,
+    verifyToken: verifyBundleToken,
+};
@@ -5,20 +5,9 @@
 const config = require('./config-model').server;
 const TError = require('../lib/custom-error').TranslatedError;
 const utils = require('../lib/utils');
-const client = require('redis').createClient(
-    config.redis.main.port,
-    config.redis.main.host,
-    {
-        auth_pass: config.redis.main.password,
-    }
-);
+const client = require('../lib/storage').getClient('main');
 // var debug = require( 'debug' )( 'instance-model' );
 
-// in test environment, switch to different db
-if (process.env.NODE_ENV === 'test') {
-    client.select(15);
-}
-
 /**
  * * @param protect
  * * @param protect
@@ -0,0 +1,383 @@
+/**
+ * Signed links for single-submission and view webforms that expire, can be used a limited
+ * number of times and can be revoked. The link token contains the (signed) link properties.
+ * The number of uses is stored in the database until the link expires or is revoked.
+ *
+ * @module link-model
+ */
+
+const crypto = require('crypto');
+const config = require('./config-model').server;
+const TError = require('../lib/custom-error').TranslatedError;
+const utils = require('../lib/utils');
+const client = require('../lib/storage').getClient('main');
+// var debug = require( 'debug' )( 'link-model' );
+
+const prefix = 'ln:';
+const types = ['single', 'view'];
+const secret = `${config['encryption key']}link`;
+
+/**
+ * @typedef LinkObj
+ * @property { string } id - link ID, used to revoke the link
+ * @property { string } enketoId - Enketo ID of the survey
+ * @property {'single'|'view'} type - webform type
+ * @property { number } expires - timestamp in milliseconds
+ * @property { number } [maxUses] - maximum number of uses, unlimited if not set
+ * @property { number } [uses] - number of times the link was used
+ * @property { string } [instanceId] - instanceID of the only record that can be viewed with a view link
+ * @property { string } [token] - link token, used in the webform URL
+ */
+
+/**
+ * Creates a signed link.
+ *
+ * @static
+ * @name create
+ * @function
+ * @param { LinkObj } link - link properties, without `id` and `token`
+ * @return {Promise<LinkObj>} Promise that resolves with the link or rejects with a 400 error
+ */
+function createLink(link) {
+    const error = _validate(link);
+
+    if (error) {
+        return Promise.reject(error);
+    }
+
+    const created = {
+        id: utils.randomString(16),
+        enketoId: link.enketoId,
+        type: link.type,
+        expires: Number(link.expires),
+        maxUses: link.maxUses ? Number(link.maxUses) : undefined,
+        instanceId: link.instanceId || undefined,
+    };
+
+    return new Promise((resolve, reject) => {
+        const key = prefix + created.id;
+
+        client
+            .multi()
+            .hmset(key, {
+                enketoId: created.enketoId,
+                type: created.type,
+                uses: 0,
+            })
+            .expire(key, _getTtl(created.expires))
+            .exec((error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve({ ...created, uses: 0, token: _sign(created) });
+                }
+            });
+    });
+}
+
+/**
+ * Obtains a link.
+ *
+ * @static
+ * @name get
+ * @function
+ * @param { string } id - link ID
+ * @return {Promise<LinkObj|null>} Promise that resolves with the link (without `token`, `expires`, `maxUses` and
+ * `instanceId`) or `null` if it does not exist, has expired or has been revoked
+ */
+function getLink(id) {
+    return new Promise((resolve, reject) => {
+        client.hgetall(prefix + id, (error, obj) => {
+            if (error) {
+                reject(error);
+            } else if (!obj) {
+                resolve(null);
+            } else {
+                resolve({
+                    id,
+                    enketoId: obj.enketoId,
+                    type: obj.type,
+                    uses: Number(obj.uses) || 0,
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Verifies a link token.
+ *
+ * @static
+ * @name verify
+ * @function
+ * @param { string } token - link token
+ * @param {'single'|'view'} type - webform type
+ * @param { boolean } [checkUses] - whether to reject a link that has been used the maximum number of times
+ * @return {Promise<LinkObj|null>} Promise that resolves with the link or `null` if the token is not a valid signed
+ * token of this type, or rejects with a 410 error if the link expired, was revoked, or was used up
+ */
+function verify(token, type, checkUses = true) {
+    const link = _parse(token);
+
+    if (!link || link.type !== type) {
+        return Promise.resolve(null);
+    }
+    if (link.expires <= Date.now()) {
+        return Promise.reject(_goneError('error.linkexpired'));
+    }
+
+    return getLink(link.id).then((stored) => {
+        if (!stored) {
+            throw _goneError('error.linkexpired');
+        }
+        if (checkUses && link.maxUses && stored.uses >= link.maxUses) {
+            throw _goneError('error.linkused');
+        }
+
+        return { ...link, uses: stored.uses, token };
+    });
+}
+
+/**
+ * Records a use of a link.
+ *
+ * @static
+ * @name use
+ * @function
+ * @param { LinkObj } link - link
+ * @return {Promise<number>} Promise that resolves with the number of uses
+ */
+function use(link) {
+    // a revoked link should not be re-created
+    return getLink(link.id).then((stored) => {
+        if (!stored) {
+            return 0;
+        }
+
+        return new Promise((resolve, reject) => {
+            client.hincrby(prefix + link.id, 'uses', 1, (error, uses) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(uses);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Records a use of a link if it has not been used the maximum number of times. The use is
+ * counted before it is compared with the maximum, so concurrent requests cannot exceed it.
+ *
+ * @static
+ * @name consume
+ * @function
+ * @param { LinkObj } link - verified link
+ * @return {Promise<number>} Promise that resolves with the number of uses or rejects with a 410 error
+ */
+function consume(link) {
+    if (link.maxUses && link.uses >= link.maxUses) {
+        return Promise.reject(_goneError('error.linkused'));
+    }
+
+    return use(link).then((uses) => {
+        if (!link.maxUses || uses <= link.maxUses) {
+            return uses;
+        }
+
+        // undo the use that exceeded the maximum
+        return release(link).then(() => {
+            throw _goneError('error.linkused');
+        });
+    });
+}
+
+/**
+ * Undoes a use of a link, e.g. when the request that consumed it failed.
+ *
+ * @static
+ * @name release
+ * @function
+ * @param { LinkObj } link - link
+ * @return {Promise<number>} Promise that resolves with the number of uses
+ */
+function release(link) {
+    return new Promise((resolve, reject) => {
+        client.hincrby(prefix + link.id, 'uses', -1, (error, uses) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(uses);
+            }
+        });
+    });
+}
+
+/**
+ * Revokes a link.
+ *
+ * @static
+ * @name revoke
+ * @function
+ * @param { string } id - link ID
+ * @return {Promise<string>} Promise that resolves with the link ID or rejects with a 404 error
+ */
+function revoke(id) {
+    return new Promise((resolve, reject) => {
+        client.del(prefix + id, (error, count) => {
+            if (error) {
+                reject(error);
+            } else if (!count) {
+                error = new Error('Link not found. It may have expired.');
+                error.status = 404;
+                reject(error);
+            } else {
+                resolve(id);
+            }
+        });
+    });
+}
+
+/**
+ * @param { LinkObj } link - link properties
+ * @return { Error|null } a 400 error if the link properties are invalid
+ */
+function _validate(link) {
+    let message;
+
+    if (!link || !link.enketoId) {
+        message = 'Survey information not complete or invalid.';
+    } else if (!types.includes(link.type)) {
+        message = `Link type should be one of: ${types.join(', ')}.`;
+    } else if (!(Number(link.expires) > Date.now())) {
+        message = 'Link expiry should be in the future.';
+    } else if (
+        link.maxUses &&
+        !(Number.isInteger(Number(link.maxUses)) && Number(link.maxUses) > 0)
+    ) {
+        message = 'Maximum number of uses should be a positive integer.';
+    } else if (link.instanceId && link.type !== 'view') {
+        // the instanceID of a new record is created in the browser
+        message = 'Only view links can be bound to a record.';
+    }
+
+    if (!message) {
+        return null;
+    }
+
+    const error = new Error(`Bad Request. ${message}`);
+    error.status = 400;
+
+    return error;
+}
+
+/**
+ * @param { LinkObj } link - link
+ * @return { string } token
+ */
+function _sign(link) {
+    const payload = _toBase64Url(
+        JSON.stringify({
+            i: link.id,
+            e: link.enketoId,
+            t: link.type,
+            x: link.expires,
+            m: link.maxUses,
+            n: link.instanceId,
+        })
+    );
+
+    return `${payload}.${_getSignature(payload)}`;
+}
+
+/**
+ * @param { string } token - token
+ * @return { LinkObj|null } link or `null` if the token is not valid
+ */
+function _parse(token) {
+    const [payload, signature] = String(token).split('.');
+
+    if (!payload || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(_getSignature(payload));
+    const provided = Buffer.from(signature);
+
+    if (
+        expected.length !== provided.length ||
+        !crypto.timingSafeEqual(expected, provided)
+    ) {
+        return null;
+    }
+
+    try {
+        // the base64 decoder also accepts the URL-safe alphabet
+        const obj = JSON.parse(Buffer.from(payload, 'base64').toString());
+
+        return {
+            id: obj.i,
+            enketoId: obj.e,
+            type: obj.t,
+            expires: obj.x,
+            maxUses: obj.m,
+            instanceId: obj.n,
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * @param { string } payload - encoded payload
+ * @return { string } signature
+ */
+function _getSignature(payload) {
+    return _toBase64Url(
+        crypto.createHmac('sha256', secret).update(payload).digest()
+    );
+}
+
+/**
+ * Not using Buffer's 'base64url' encoding, because it is not available in all supported Node.js versions.
+ *
+ * @param { string|Buffer } data - data
+ * @return { string } URL-safe base64 encoded data without padding
+ */
+function _toBase64Url(data) {
+    return Buffer.from(data)
+        .toString('base64')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+/**
+ * @param { number } expires - timestamp in milliseconds
+ * @return { number } time to live in seconds
+ */
+function _getTtl(expires) {
+    return Math.max(1, Math.ceil((expires - Date.now()) / 1000));
+}
+
+/**
+ * @param { string } translationKey - translation key
+ * @return { Error } a translated 410 error
+ */
+function _goneError(translationKey) {
+    const error = new TError(translationKey);
+    error.status = 410;
+
+    return error;
+}
+
+module.exports = {
+    create: createLink,
+    get: getLink,
+    verify,
+    use,
+    consume,
+    release,
+    revoke,
+};
@@ -0,0 +1,309 @@
+/**
+ * Throttles logins to protect the accounts of OpenRosa servers against brute-force attacks via Enketo's login page.
+ * Failed attempts are counted per IP address and per username. After too many failures, logins are refused for a
+ * lockout period that doubles with every subsequent lockout.
+ *
+ * @module login-model
+ */
+
+const config = require('./config-model').server;
+const client = require('../lib/storage').getClient('main');
+const debug = require('debug')('login-model');
+
+const prefix = 'lo:';
+// forget failures and lockouts 1 day after the last failure
+const expiry = 24 * 60 * 60;
+
+/**
+ * @typedef LoginAttempt
+ * @property { string } ip - IP address of the client
+ * @property { string } [username] - username that was entered
+ */
+
+/**
+ * @typedef Lockout
+ * @property {'ip'|'username'} type - what is locked out
+ * @property { string } value - the locked out IP address or username
+ * @property { number } failures - number of failed attempts since the last lockout
+ * @property { number } lockouts - number of lockouts
+ * @property { string } lockedUntil - ISO date string of the end of the lockout
+ */
+
+/**
+ * Checks whether a login attempt is allowed.
+ *
+ * @static
+ * @param { LoginAttempt } attempt - login attempt
+ * @return {Promise<number>} Promise that resolves with the number of milliseconds until the attempt is allowed,
+ * `0` if it is allowed
+ */
+function check(attempt) {
+    const now = Date.now();
+
+    return Promise.all(_getKeys(attempt).map(_get)).then((states) =>
+        Math.max(
+            0,
+            ...states
+                .filter((state) => state)
+                .map((state) => Number(state.lockedUntil || 0) - now)
+        )
+    );
+}
+
+/**
+ * Rejects an attempt that is locked out. This is checked wherever credentials of Enketo's login form are passed to
+ * the OpenRosa server, because the login form itself does not verify them.
+ *
+ * @static
+ * @param { LoginAttempt } attempt - login attempt
+ * @return { Promise } Promise that resolves if the attempt is allowed, or rejects with a 429 error with the number of
+ * seconds until it is allowed as `retryAfter` property
+ */
+function assertAllowed(attempt) {
+    return check(attempt).then((retryAfter) => {
+        if (retryAfter > 0) {
+            const error = new Error(
+                'Too many failed login attempts. Please try again later.'
+            );
+            error.status = 429;
+            error.retryAfter = Math.ceil(retryAfter / 1000);
+            throw error;
+        }
+    });
+}
+
+/**
+ * Records a failed attempt, i.e. credentials that the OpenRosa server rejected.
+ *
+ * @static
+ * @param { LoginAttempt } attempt - login attempt
+ * @return { Promise } Promise that resolves when the attempt has been recorded
+ */
+function recordFailure(attempt) {
+    const settings = config['login throttling'];
+
+    if (!settings['max attempts']) {
+        return Promise.resolve();
+    }
+
+    return Promise.all(
+        _getKeys(attempt).map((key) =>
+            _incrementFailures(key).then((failures) => {
+                if (failures < settings['max attempts']) {
+                    return;
+                }
+
+                return _lockOut(key, settings);
+            })
+        )
+    );
+}
+
+/**
+ * Records a successful attempt, which resets the failures and lockouts of the username. Failures of the IP address
+ * are kept, so that an attacker cannot reset them with valid credentials of their own.
+ *
+ * @static
+ * @param { LoginAttempt } attempt - login attempt
+ * @return { Promise } Promise that resolves when the attempt has been recorded
+ */
+function recordSuccess(attempt) {
+    return _remove(_getKeys({ username: attempt.username }));
+}
+
+/**
+ * Obtains the current lockouts.
+ *
+ * @static
+ * @return {Promise<Array<Lockout>>} Promise that resolves with the lockouts, sorted by end of the lockout
+ */
+function getLockouts() {
+    const now = Date.now();
+
+    return new Promise((resolve, reject) => {
+        // TODO: "Don't use KEYS in your regular application code"
+        // (https://redis.io/commands/keys)
+        client.keys(`${prefix}*`, (error, keys) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(keys || []);
+            }
+        });
+    })
+        .then((keys) =>
+            Promise.all(
+                keys.map((key) => _get(key).then((state) => ({ key, state })))
+            )
+        )
+        .then((items) =>
+            items
+                .filter(({ state }) => state && Number(state.lockedUntil) > now)
+                .map(({ key, state }) => {
+                    const [type, ...value] = key
+                        .substring(prefix.length)
+                        .split(':');
+
+                    return {
+                        type,
+                        value: value.join(':'),
+                        failures: Number(state.failures || 0),
+                        lockouts: Number(state.lockouts || 0),
+                        lockedUntil: new Date(
+                            Number(state.lockedUntil)
+                        ).toISOString(),
+                    };
+                })
+                .sort((a, b) => a.lockedUntil.localeCompare(b.lockedUntil))
+        );
+}
+
+/**
+ * Lifts the lockout of an IP address or username.
+ *
+ * @static
+ * @param {'ip'|'username'} type - what is locked out
+ * @param { string } value - IP address or username
+ * @return {Promise<boolean>} Promise that resolves with whether a lockout or failures were removed
+ */
+function unlock(type, value) {
+    if (!['ip', 'username'].includes(type) || !value) {
+        const error = new Error(
+            'Bad Request. An ip or username parameter is required.'
+        );
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    return _remove([_getKey(type, value)]).then((removed) => removed > 0);
+}
+
+/**
+ * @param { LoginAttempt } attempt - login attempt
+ * @return {Array<string>} database keys of the attempt
+ */
+function _getKeys({ ip, username }) {
+    const keys = [];
+
+    if (ip) {
+        keys.push(_getKey('ip', ip));
+    }
+    if (username) {
+        keys.push(_getKey('username', username));
+    }
+
+    return keys;
+}
+
+/**
+ * @param {'ip'|'username'} type - what is counted
+ * @param { string } value - IP address or username
+ * @return { string } database key
+ */
+function _getKey(type, value) {
+    // usernames are compared case-insensitively to prevent trivial circumvention
+    return `${prefix}${type}:${
+        type === 'username' ? value.trim().toLowerCase() : value
+    }`;
+}
+
+/**
+ * @param { string } key - database key
+ * @return {Promise<object|null>} Promise that resolves with the stored state
+ */
+function _get(key) {
+    return new Promise((resolve, reject) => {
+        client.hgetall(key, (error, obj) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(obj || null);
+            }
+        });
+    });
+}
+
+/**
+ * @param { string } key - database key
+ * @return {Promise<number>} Promise that resolves with the number of failures
+ */
+function _incrementFailures(key) {
+    return new Promise((resolve, reject) => {
+        client
+            .multi()
+            .hincrby(key, 'failures', 1)
+            .expire(key, expiry)
+            .exec((error, replies) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(Number(replies[0]));
+                }
+            });
+    });
+}
+
+/**
+ * @param { string } key - database key
+ * @param { object } settings - login throttling settings
+ * @return { Promise } Promise that resolves when the lockout has been stored
+ */
+function _lockOut(key, settings) {
+    return _get(key).then((state) => {
+        const lockouts = Number((state && state.lockouts) || 0) + 1;
+        const duration = Math.min(
+            settings.lockout * 2 ** (lockouts - 1),
+            settings['max lockout']
+        );
+
+        debug(`locking out ${key} for ${duration} ms`);
+
+        return new Promise((resolve, reject) => {
+            client
+                .multi()
+                .hmset(key, {
+                    failures: 0,
+                    lockouts,
+                    lockedUntil: Date.now() + duration,
+                })
+                .expire(key, Math.max(expiry, Math.ceil(duration / 1000)))
+                .exec((error) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                });
+        });
+    });
+}
+
+/**
+ * @param {Array<string>} keys - database keys
+ * @return {Promise<number>} Promise that resolves with the number of removed keys
+ */
+function _remove(keys) {
+    if (!keys.length) {
+        return Promise.resolve(0);
+    }
+
+    return new Promise((resolve, reject) => {
+        client.del(...keys, (error, removed) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(removed);
+            }
+        });
+    });
+}
+
+module.exports = {
+    check,
+    assertAllowed,
+    recordFailure,
+    recordSuccess,
+    getLockouts,
+    unlock,
+};
@@ -0,0 +1,250 @@
+/**
+ * Prefetches and transforms forms ahead of time, so that the first visitors of a form are served from a warm cache.
+ * A prefetch job runs in the (cluster worker) process that started it. Its progress is stored in the database,
+ * so that it can be obtained from any process.
+ *
+ * @module prefetch-model
+ */
+
+const communicator = require('../lib/communicator');
+const cacheModel = require('./cache-model');
+const utils = require('../lib/utils');
+const client = require('../lib/storage').getClient('main');
+const debug = require('debug')('prefetch-model');
+
+const prefix = 'pf:';
+// keep progress for 1 day after the last update
+const expiry = 24 * 60 * 60;
+// limit the size of the stored job
+const maxErrors = 100;
+
+/**
+ * @typedef PrefetchJob
+ * @property { string } id - job ID
+ * @property { string } openRosaServer - OpenRosa server URL
+ * @property {'running'|'finished'|'failed'} status - job status
+ * @property { number } total - number of forms to prefetch
+ * @property { number } transformed - number of forms that were transformed and cached
+ * @property { number } upToDate - number of forms that were already cached
+ * @property { number } failed - number of forms that could not be prefetched
+ * @property {Array<{formId: string, message: string}>} errors - errors, including an error without `formId` if
+ * the formList could not be obtained
+ * @property { string } created - ISO date string of the moment the job was started
+ * @property { string } updated - ISO date string of the last progress update
+ */
+
+/**
+ * Starts a prefetch job. The returned Promise does not wait for the job to finish.
+ *
+ * @static
+ * @name start
+ * @function
+ * @param {module:survey-model~SurveyObject} survey - survey object with the OpenRosa server (and credentials if
+ * the server requires these)
+ * @param {Array<string>} [openRosaIds] - IDs of the forms to prefetch, all forms in the formList if not provided
+ * @return {Promise<PrefetchJob>} Promise that resolves with the started job
+ */
+function start(survey, openRosaIds) {
+    if (!survey || !survey.openRosaServer) {
+        const error = new Error(
+            'Bad Request. Survey information not complete or invalid.'
+        );
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: utils.randomString(16),
+        openRosaServer: survey.openRosaServer,
+        status: 'running',
+        total: openRosaIds ? openRosaIds.length : 0,
+        transformed: 0,
+        upToDate: 0,
+        failed: 0,
+        errors: [],
+        created: now,
+        updated: now,
+    };
+
+    return _store(job).then(() => {
+        // not returned on purpose
+        _run(job, survey, openRosaIds).catch((error) => {
+            console.error('Prefetch job failed', error);
+        });
+
+        return job;
+    });
+}
+
+/**
+ * Obtains the progress of a prefetch job.
+ *
+ * @static
+ * @name get
+ * @function
+ * @param { string } id - job ID
+ * @return {Promise<PrefetchJob|null>} Promise that resolves with the job or `null` if it does not exist (anymore)
+ */
+function getJob(id) {
+    return new Promise((resolve, reject) => {
+        client.hgetall(prefix + id, (error, obj) => {
+            if (error) {
+                reject(error);
+            } else if (!obj) {
+                resolve(null);
+            } else {
+                resolve({
+                    id,
+                    openRosaServer: obj.openRosaServer,
+                    status: obj.status,
+                    total: Number(obj.total),
+                    transformed: Number(obj.transformed),
+                    upToDate: Number(obj.upToDate),
+                    failed: Number(obj.failed),
+                    errors: JSON.parse(obj.errors || '[]'),
+                    created: obj.created,
+                    updated: obj.updated,
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Prefetches the forms one by one, because transformations are CPU-intensive.
+ *
+ * @param { PrefetchJob } job - job
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param {Array<string>} [openRosaIds] - IDs of the forms to prefetch
+ * @return { Promise } Promise that resolves when the job has finished
+ */
+function _run(job, survey, openRosaIds) {
+    return communicator
+        .getXFormList(survey)
+        .then(
+            (xforms) => {
+                const items = openRosaIds
+                    ? openRosaIds.map((openRosaId) => ({
+                          openRosaId,
+                          info: xforms.find(
+                              (xform) => String(xform.formID) === openRosaId
+                          ),
+                      }))
+                    : xforms.map((info) => ({
+                          openRosaId: String(info.formID),
+                          info,
+                      }));
+                job.total = items.length;
+
+                return items
+                    .reduce(
+                        (previous, { openRosaId, info }) =>
+                            previous
+                                .then(() =>
+                                    _prefetch({
+                                        ...survey,
+                                        openRosaId,
+                                        info,
+                                    })
+                                )
+                                .then(
+                                    (transformed) => {
+                                        if (transformed) {
+                                            job.transformed++;
+                                        } else {
+                                            job.upToDate++;
+                                        }
+                                    },
+                                    (error) => {
+                                        debug(
+                                            `failed to prefetch ${openRosaId}`,
+                                            error
+                                        );
+                                        job.failed++;
+                                        _addError(job, openRosaId, error);
+                                    }
+                                )
+                                .then(() => _store(job)),
+                        Promise.resolve()
+                    )
+                    .then(() => {
+                        job.status = 'finished';
+                    });
+            },
+            (error) => {
+                job.status = 'failed';
+                _addError(job, undefined, error);
+            }
+        )
+        .then(() => _store(job));
+}
+
+/**
+ * Transforms and caches a form if the cache is missing or obsolete.
+ *
+ * @param {module:survey-model~SurveyObject} survey - survey object with info
+ * @return {Promise<boolean>} Promise that resolves with `true` if the form was transformed, `false` if the cache was
+ * up to date
+ */
+function _prefetch(survey) {
+    if (!survey.info) {
+        const error = new Error('Form not found in formList.');
+        error.status = 404;
+
+        return Promise.reject(error);
+    }
+
+    return cacheModel.refresh(survey).then(({ transformed }) => transformed);
+}
+
+/**
+ * @param { PrefetchJob } job - job
+ * @param { string } [formId] - form ID
+ * @param { Error } error - error
+ */
+function _addError(job, formId, error) {
+    if (job.errors.length < maxErrors) {
+        job.errors.push({ formId, message: error.message });
+    }
+}
+
+/**
+ * @param { PrefetchJob } job - job
+ * @return { Promise } Promise that resolves when the job has been stored
+ */
+function _store(job) {
+    const key = prefix + job.id;
+
+    job.updated = new Date().toISOString();
+
+    return new Promise((resolve, reject) => {
+        client
+            .multi()
+            .hmset(key, {
+                openRosaServer: job.openRosaServer,
+                status: job.status,
+                total: job.total,
+                transformed: job.transformed,
+                upToDate: job.upToDate,
+                failed: job.failed,
+                errors: JSON.stringify(job.errors),
+                created: job.created,
+                updated: job.updated,
+            })
+            .expire(key, expiry)
+            .exec((error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+    });
+}
+
+module.exports = {
+    start,
+    get: getJob,
+};
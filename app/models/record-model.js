@@ -13,6 +13,10 @@
  * @property { string } [deprecatedId] - deprecated (previous) ID of record
  * @property { boolean } [draft] - whether the record was saved either as a draft or auto-saved
  * @property { window.File[] } [files] - any files attached to the record
+ * @property { number } [uploadAttempts] - number of failed attempts to upload the queued record
+ * @property { number } [lastUploadStatus] - HTTP status of the last failed upload attempt, `0` if the server was unreachable
+ * @property { number } [nextUploadAttempt] - time after which the record is uploaded automatically, `Infinity` if it is only
+ * uploaded when the user uploads the queue
  * @see {@link https://getodk.github.io/xforms-spec/#instance}
  * @see {ClientStore}
  */
@@ -3,13 +3,8 @@
  */
 
 const config = require('./config-model').server;
-const client = require('redis').createClient(
-    config.redis.main.port,
-    config.redis.main.host,
-    {
-        auth_pass: config.redis.main.password,
-    }
-);
+const client = require('../lib/storage').getClient('main');
+const utils = require('../lib/utils');
 const path = require('path');
 // var debug = require( 'debug' )( 'submission-model' );
 let logger;
@@ -42,11 +37,6 @@ if (config.log.submissions) {
         .withFormatter(_formatter);
 }
 
-// in test environment, switch to different db
-if (process.env.NODE_ENV === 'test') {
-    client.select(15);
-}
-
 /**
  * Whether instanceID was submitted successfully before.
  *
@@ -99,6 +89,24 @@ function isNew(id, instanceId) {
         });
 }
 
+/**
+ * Whether instanceID was submitted successfully before, without recording it.
+ *
+ * @static
+ * @param { string } id - Enketo ID of survey
+ * @param { string } instanceId - instance ID of record
+ * @return {Promise<boolean>} a Promise that resolves with a boolean
+ */
+function isRecorded(id, instanceId) {
+    if (!id || !instanceId) {
+        return Promise.resolve(false);
+    }
+
+    return _getLatestSubmissionIds(`su:${id.trim()}`).then((latest) =>
+        _alreadyRecorded(instanceId, latest)
+    );
+}
+
 /**
  * @static
  * @param { string } id - Enketo ID of survey
@@ -115,6 +123,139 @@ function add(id, instanceId, deprecatedId) {
     }
 }
 
+/**
+ * @typedef SubmissionAttempt
+ * @property { string } enketoId - Enketo ID of survey
+ * @property { string } [instanceId] - instance ID of record
+ * @property { string } [deprecatedId] - deprecated ID of record
+ * @property { number } status - HTTP status of the response to the client
+ * @property { number|null } size - size of the submission in bytes, if known
+ * @property { number } duration - milliseconds between receiving the request and the response (or error)
+ * @property { string|null } ip - anonymized IP address of the client
+ */
+
+/**
+ * @typedef {SubmissionAttempt & { timestamp: string, openRosaServer: string, openRosaId: string }} AuditLogEntry
+ */
+
+/**
+ * Records a submission attempt in the audit log, if enabled. Each server has its own capped list,
+ * most recent first, that expires when no submissions were attempted for a while.
+ *
+ * @static
+ * @param {module:survey-model~SurveyObject} survey - survey object
+ * @param {SubmissionAttempt} attempt - submission attempt
+ * @return {Promise<AuditLogEntry|null>} Promise that resolves with the logged entry or `null` if the audit log is disabled
+ */
+function logAttempt(survey, attempt) {
+    const audit = config.log['submission audit'];
+
+    if (!audit || !audit.enabled) {
+        return Promise.resolve(null);
+    }
+
+    if (!utils.getOpenRosaKey(survey)) {
+        const error = new Error(
+            'Cannot log submission attempt: survey information not complete'
+        );
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    const key = `sa:${utils.cleanUrl(survey.openRosaServer)}`;
+    const entry = {
+        timestamp: new Date().toISOString(),
+        openRosaServer: survey.openRosaServer,
+        openRosaId: survey.openRosaId,
+        enketoId: attempt.enketoId,
+        instanceId: attempt.instanceId || null,
+        deprecatedId: attempt.deprecatedId || null,
+        status: attempt.status,
+        size: attempt.size,
+        duration: attempt.duration,
+        ip: attempt.ip,
+    };
+
+    return new Promise((resolve, reject) => {
+        client
+            .multi()
+            .lpush(key, JSON.stringify(entry))
+            .ltrim(key, 0, Number(audit['max entries per server']) - 1)
+            .expire(key, Math.round(Number(audit.expiry) / 1000))
+            .exec((error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(entry);
+                }
+            });
+    });
+}
+
+/**
+ * Obtains audit log entries for a server, most recent first.
+ *
+ * @static
+ * @param { string } server - Server URL
+ * @param {{formId: string, since: Date, offset: number, limit: number}} [options] - filter and paging options
+ * @return {Promise<{total: number, entries: Array<AuditLogEntry>}>} Promise that resolves with the total
+ * number of matching entries and the requested page of entries
+ */
+function getLog(server, { formId, since, offset = 0, limit = 100 } = {}) {
+    const cleanServerUrl = server === '' ? '' : utils.cleanUrl(server);
+
+    if (!cleanServerUrl && cleanServerUrl !== '') {
+        const error = new Error('Server information not complete or invalid');
+        error.status = 400;
+
+        return Promise.reject(error);
+    }
+
+    const key = `sa:${cleanServerUrl}`;
+
+    if (!formId && !since) {
+        return new Promise((resolve, reject) => {
+            client
+                .multi()
+                .llen(key)
+                .lrange(key, offset, offset + limit - 1)
+                .exec((error, replies) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve({
+                            total: replies[0],
+                            entries: replies[1].map((str) => JSON.parse(str)),
+                        });
+                    }
+                });
+        });
+    }
+
+    // the list is capped, so it can be filtered in memory
+    return new Promise((resolve, reject) => {
+        client.lrange(key, 0, -1, (error, res) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve((res || []).map((str) => JSON.parse(str)));
+            }
+        });
+    }).then((list) => {
+        const entries = list.filter(
+            (entry) =>
+                (!formId || entry.openRosaId === formId) &&
+                (!since || new Date(entry.timestamp) >= since)
+        );
+
+        return {
+            total: entries.length,
+            entries: entries.slice(offset, offset + limit),
+        };
+    });
+}
+
 /**
  * @param { string } instanceId - instance ID of record
  * @param {Array<string>} [list] - List of IDs
@@ -166,5 +307,8 @@ function _formatter(options, severity, date, elems) {
 
 module.exports = {
     isNew,
+    isRecorded,
     add,
+    logAttempt,
+    getLog,
 };
@@ -5,22 +5,11 @@
 const utils = require('../lib/utils');
 const TError = require('../lib/custom-error').TranslatedError;
 const config = require('./config-model').server;
-const client = require('redis').createClient(
-    config.redis.main.port,
-    config.redis.main.host,
-    {
-        auth_pass: config.redis.main.password,
-    }
-);
+const client = require('../lib/storage').getClient('main');
 
 const pending = {};
 const debug = require('debug')('survey-model');
 
-// in test environment, switch to different db
-if (process.env.NODE_ENV === 'test') {
-    client.select(15);
-}
-
 /**
  * @typedef {import('./account-model').AccountObj} AccountObj
  */
@@ -76,6 +65,10 @@ if (process.env.NODE_ENV === 'test') {
  * @property { Array<SurveyExternalData | undefined> } [externalData]
  * @property { string } [form]
  * @property { string } [formHash]
+ * @property { string } [imageMaxDimension] - form-specific maximum dimension of compressed photos
+ * @property { string } [imageQuality] - form-specific JPEG quality of compressed photos
+ * @property { string } [imageKeepLocation] - `'true'` or `'false'`, whether compressed photos of the form keep their location
+ * @property {{maxDimension?: number, quality?: number}} [imageCompression] - form-specific photo compression policy
  * @property { EnketoRecord } [instance]
  * @property { Array<string | object> } [instanceAttachments]
  * @property { string } [instanceId]
@@ -253,6 +246,10 @@ function _updateProperties(id, survey) {
         // always update the theme, which will delete it if the theme parameter is missing
         // avoid storing undefined as string 'undefined'
         update.theme = survey.theme || '';
+        // the same applies to the photo compression policy
+        update.imageMaxDimension = survey.imageMaxDimension || '';
+        update.imageQuality = survey.imageQuality || '';
+        update.imageKeepLocation = survey.imageKeepLocation || '';
 
         client.hmset(`id:${id}`, update, (error) => {
             if (error) {
@@ -286,6 +283,9 @@ function _addSurvey(openRosaKey, survey) {
                         active: true,
                         // avoid storing string 'undefined'
                         theme: survey.theme || '',
+                        imageMaxDimension: survey.imageMaxDimension || '',
+                        imageQuality: survey.imageQuality || '',
+                        imageKeepLocation: survey.imageKeepLocation || '',
                     })
                     .set(openRosaKey, id)
                     .exec((error) => {
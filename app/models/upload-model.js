@@ -0,0 +1,681 @@
+/**
+ * Stores the parts of a record that the webform uploads in chunks, so that an interrupted upload of a large file
+ * continues where it stopped. The information about an upload is stored in the main database and the files are
+ * stored on disk until the complete submission has been forwarded to the OpenRosa server.
+ *
+ * @module upload-model
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config-model').server;
+const client = require('../lib/storage').getClient('main');
+const debug = require('debug')('upload-model');
+
+const prefix = 'up:';
+const CHECKSUM = /^[0-9a-f]{64}$/;
+
+let cleaning = false;
+
+/**
+ * A part of the multipart submission. A part is either a field with a `value`, or a file.
+ *
+ * @typedef UploadPart
+ * @property { string } name - name of the part
+ * @property { string } [value] - value of a field
+ * @property { string } [filename] - filename of a file
+ * @property { string } [type] - content type of a file
+ * @property { number } [size] - size of a file in bytes
+ * @property { string } [checksum] - SHA-256 hex digest of a file
+ * @property { number } [offset] - number of bytes of a file that have been received
+ */
+
+/**
+ * @typedef Upload
+ * @property { string } uploadId - ID of the upload
+ * @property { string } enketoId - Enketo ID of the survey the record belongs to
+ * @property { string } instanceId - instance ID of the record
+ * @property { string } [deprecatedId] - deprecated (previous) ID of the record
+ * @property {Array<UploadPart>} parts - parts of the submission, in the order in which they are submitted
+ * @property { number } size - total size of the parts in bytes
+ * @property { boolean } complete - whether all files have been received
+ * @property { string } created - ISO date string of the moment the upload was created
+ */
+
+/**
+ * @static
+ * @return { boolean } whether resumable uploads are enabled
+ */
+function isEnabled() {
+    return !!config['resumable uploads'].enabled;
+}
+
+/**
+ * Creates an upload. The ID of an upload is derived from the record and its parts, so that the webform can resume
+ * an existing upload of the same record by creating it again, e.g. after a page reload.
+ *
+ * @static
+ * @param { string } enketoId - Enketo ID of the survey
+ * @param {{instanceId: string, deprecatedId?: string, parts: Array<UploadPart>}} info - record information
+ * @return {Promise<Upload>} Promise that resolves with the new or existing upload
+ */
+function create(enketoId, info) {
+    let parts;
+
+    try {
+        parts = _validateParts(info);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const size = _getSize(parts);
+
+    if (size > config['resumable uploads']['max size']) {
+        const error = new Error(
+            'Payload Too Large. The files of this upload exceed the maximum size.'
+        );
+        error.status = 413;
+
+        return Promise.reject(error);
+    }
+
+    const { instanceId } = info;
+    const deprecatedId = info.deprecatedId || '';
+    const uploadId = crypto
+        .createHash('sha256')
+        .update(JSON.stringify([enketoId, instanceId, deprecatedId, parts]))
+        .digest('hex')
+        .substring(0, 32);
+
+    _removeExpired();
+
+    return Promise.all([
+        _getInfo(enketoId, uploadId),
+        _countOpen(enketoId),
+    ]).then(([existing, open]) => {
+        if (existing) {
+            return get(enketoId, uploadId);
+        }
+        if (open >= config['resumable uploads']['max uploads']) {
+            const error = new Error(
+                'Too Many Requests. This form has too many uploads in progress.'
+            );
+            error.status = 429;
+
+            throw error;
+        }
+
+        const upload = {
+            uploadId,
+            enketoId,
+            instanceId,
+            deprecatedId,
+            parts,
+            size,
+            created: new Date().toISOString(),
+        };
+
+        debug(`creating upload ${uploadId} of ${size} bytes`);
+
+        return fs.promises
+            .mkdir(_getDirectory(uploadId), { recursive: true })
+            .then(() =>
+                Promise.all(
+                    parts.map((part, index) =>
+                        _isFile(part)
+                            ? fs.promises.writeFile(
+                                  _getFile(uploadId, index),
+                                  ''
+                              )
+                            : null
+                    )
+                )
+            )
+            .then(() => _setInfo(upload))
+            .then(() => get(enketoId, uploadId));
+    });
+}
+
+/**
+ * Obtains an upload with the number of bytes that have been received of each file.
+ *
+ * @static
+ * @param { string } enketoId - Enketo ID of the survey
+ * @param { string } uploadId - ID of the upload
+ * @return {Promise<Upload>} Promise that resolves with the upload
+ */
+function get(enketoId, uploadId) {
+    return _getInfo(enketoId, uploadId).then((upload) => {
+        if (!upload) {
+            const error = new Error('Upload not found or expired.');
+            error.status = 404;
+            throw error;
+        }
+
+        return Promise.all(
+            upload.parts.map((part, index) =>
+                _isFile(part)
+                    ? _getOffset(uploadId, index).then((offset) => ({
+                          ...part,
+                          offset,
+                      }))
+                    : part
+            )
+        ).then((parts) => ({
+            ...upload,
+            parts,
+            complete: parts.every(
+                (part) => !_isFile(part) || part.offset === part.size
+            ),
+        }));
+    });
+}
+
+/**
+ * Appends a chunk to a file of an upload. Once the file is complete, it is verified with its checksum.
+ * A chunk that was received before, e.g. because its response got lost, is accepted again.
+ *
+ * @static
+ * @param { string } enketoId - Enketo ID of the survey
+ * @param { string } uploadId - ID of the upload
+ * @param { number } index - index of the file in the parts of the upload
+ * @param { number } offset - position of the chunk in the file
+ * @param { Buffer } chunk - chunk
+ * @param { string } checksum - SHA-256 hex digest of the chunk
+ * @return {Promise<Upload>} Promise that resolves with the updated upload
+ */
+function append(enketoId, uploadId, index, offset, chunk, checksum) {
+    return get(enketoId, uploadId).then((upload) => {
+        const part = upload.parts[index];
+        let error;
+
+        if (!part || !_isFile(part)) {
+            error = new Error('File not found in upload.');
+            error.status = 404;
+        } else if (
+            !Number.isInteger(offset) ||
+            offset > part.offset ||
+            offset < 0
+        ) {
+            error = new Error(
+                'Conflict. The offset does not match the received bytes.'
+            );
+            error.status = 409;
+            error.offset = part.offset;
+        } else if (
+            !Buffer.isBuffer(chunk) ||
+            !chunk.length ||
+            offset + chunk.length > part.size
+        ) {
+            error = new Error('Bad Request. The chunk is empty or too large.');
+            error.status = 400;
+        } else if (
+            crypto.createHash('sha256').update(chunk).digest('hex') !==
+            String(checksum).toLowerCase()
+        ) {
+            error = new Error(
+                'Bad Request. The chunk checksum does not match its contents.'
+            );
+            error.status = 400;
+        }
+
+        if (error) {
+            throw error;
+        }
+
+        const file = _getFile(uploadId, index);
+
+        return _write(file, chunk, offset)
+            .then(() => _refresh(upload))
+            .then(() => {
+                if (offset + chunk.length < part.size) {
+                    return;
+                }
+
+                return _digest(file).then((digest) => {
+                    if (digest === part.checksum) {
+                        return;
+                    }
+                    debug(`file ${index} of upload ${uploadId} is corrupt`);
+
+                    return fs.promises.truncate(file, 0).then(() => {
+                        const error = new Error(
+                            'Bad Request. The file checksum does not match its contents. The file has to be uploaded again.'
+                        );
+                        error.status = 400;
+                        throw error;
+                    });
+                });
+            })
+            .then(() => get(enketoId, uploadId));
+    });
+}
+
+/**
+ * Obtains the parts of a complete upload in the format of the `formData` option of `request`.
+ *
+ * @static
+ * @param { Upload } upload - upload
+ * @return { object } multipart form data
+ */
+function getFormData(upload) {
+    if (!upload.complete) {
+        const error = new Error('Conflict. The upload is not complete.');
+        error.status = 409;
+        throw error;
+    }
+
+    const formData = {};
+
+    upload.parts.forEach((part, index) => {
+        const value = _isFile(part)
+            ? {
+                  value: fs.createReadStream(_getFile(upload.uploadId, index)),
+                  options: {
+                      filename: part.filename,
+                      contentType: part.type || 'application/octet-stream',
+                      knownLength: part.size,
+                  },
+              }
+            : part.value;
+
+        if (typeof formData[part.name] === 'undefined') {
+            formData[part.name] = value;
+        } else {
+            formData[part.name] = [].concat(formData[part.name], value);
+        }
+    });
+
+    return formData;
+}
+
+/**
+ * Creates the token that webforms of a survey send along with resumable uploads. It is only handed out with
+ * the form, so only users that the OpenRosa server allowed to obtain the form can store files in Enketo.
+ *
+ * @static
+ * @param { string } enketoId - Enketo ID of survey
+ * @return { string } token
+ */
+function getToken(enketoId) {
+    return crypto
+        .createHmac('sha256', config['encryption key'])
+        .update(`upload:${enketoId}`)
+        .digest('hex');
+}
+
+/**
+ * Verifies whether a token was created by this Enketo installation for the provided survey.
+ *
+ * @static
+ * @param { string } enketoId - Enketo ID of survey
+ * @param { string } [token] - token sent by the webform
+ * @return { boolean } whether the token is valid
+ */
+function verifyToken(enketoId, token) {
+    const expected = Buffer.from(getToken(enketoId));
+    const actual = Buffer.from(String(token || ''));
+
+    return (
+        expected.length === actual.length &&
+        crypto.timingSafeEqual(expected, actual)
+    );
+}
+
+/**
+ * Removes an upload and its files.
+ *
+ * @static
+ * @param { string } enketoId - Enketo ID of the survey
+ * @param { string } uploadId - ID of the upload
+ * @return { Promise } Promise that resolves when the upload has been removed
+ */
+function remove(enketoId, uploadId) {
+    return new Promise((resolve, reject) => {
+        client
+            .multi()
+            .del(`${prefix}${enketoId}:${uploadId}`)
+            .hdel(`${prefix}${enketoId}`, uploadId)
+            .exec((error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+    }).then(() =>
+        fs.promises.rm(_getDirectory(uploadId), {
+            recursive: true,
+            force: true,
+        })
+    );
+}
+
+/**
+ * @param {{parts: Array<UploadPart>}} info - record information
+ * @return {Array<UploadPart>} validated parts, without unknown properties
+ */
+function _validateParts(info) {
+    const parts = info && Array.isArray(info.parts) ? info.parts : [];
+    const isString = (value) => typeof value === 'string';
+    const valid =
+        info &&
+        isString(info.instanceId) &&
+        info.instanceId &&
+        (!info.deprecatedId || isString(info.deprecatedId)) &&
+        parts.some((part) => part && 'size' in part) &&
+        parts.every(
+            (part) =>
+                part &&
+                isString(part.name) &&
+                part.name &&
+                ('size' in part
+                    ? isString(part.filename) &&
+                      (!part.type || isString(part.type)) &&
+                      Number.isInteger(part.size) &&
+                      part.size >= 0 &&
+                      CHECKSUM.test(part.checksum)
+                    : isString(part.value))
+        );
+
+    if (!valid) {
+        const error = new Error(
+            'Bad Request. Upload information not complete or invalid.'
+        );
+        error.status = 400;
+        throw error;
+    }
+
+    return parts.map((part) =>
+        'size' in part
+            ? {
+                  name: part.name,
+                  filename: part.filename,
+                  type: part.type || '',
+                  size: part.size,
+                  checksum: part.checksum,
+              }
+            : { name: part.name, value: part.value }
+    );
+}
+
+/**
+ * @param { UploadPart } part - part of an upload
+ * @return { boolean } whether the part is a file
+ */
+function _isFile(part) {
+    return typeof part.size === 'number';
+}
+
+/**
+ * @param {Array<UploadPart>} parts - parts of an upload
+ * @return { number } total size of the parts in bytes
+ */
+function _getSize(parts) {
+    return parts.reduce(
+        (sum, part) =>
+            sum + (_isFile(part) ? part.size : Buffer.byteLength(part.value)),
+        0
+    );
+}
+
+/**
+ * @param { string } enketoId - Enketo ID of the survey
+ * @param { string } uploadId - ID of the upload
+ * @return {Promise<Upload|null>} Promise that resolves with the stored upload information
+ */
+function _getInfo(enketoId, uploadId) {
+    return new Promise((resolve, reject) => {
+        client.get(`${prefix}${enketoId}:${uploadId}`, (error, json) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve(json ? JSON.parse(json) : null);
+            }
+        });
+    });
+}
+
+/**
+ * @param { Upload } upload - upload
+ * @return { Promise } Promise that resolves when the upload information has been stored
+ */
+function _setInfo(upload) {
+    const key = `${prefix}${upload.enketoId}:${upload.uploadId}`;
+    const openKey = `${prefix}${upload.enketoId}`;
+
+    return new Promise((resolve, reject) => {
+        client
+            .multi()
+            .set(key, JSON.stringify(upload))
+            .expire(key, _getExpiry())
+            .hset(openKey, upload.uploadId, _getExpiryTime())
+            .expire(openKey, _getExpiry())
+            .exec((error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+    });
+}
+
+/**
+ * Extends the expiry of an upload that is in progress.
+ *
+ * @param { Upload } upload - upload
+ * @return { Promise } Promise that resolves when the expiry has been extended
+ */
+function _refresh(upload) {
+    const now = new Date();
+    const openKey = `${prefix}${upload.enketoId}`;
+
+    return Promise.all([
+        new Promise((resolve, reject) => {
+            client
+                .multi()
+                .expire(
+                    `${prefix}${upload.enketoId}:${upload.uploadId}`,
+                    _getExpiry()
+                )
+                .hset(openKey, upload.uploadId, _getExpiryTime())
+                .expire(openKey, _getExpiry())
+                .exec((error) => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                });
+        }),
+        fs.promises.utimes(_getDirectory(upload.uploadId), now, now),
+    ]);
+}
+
+/**
+ * Counts the uploads of a survey that have not been submitted and have not expired. The uploads of a survey are
+ * kept in a hash with their expiry time, from which expired uploads are removed here.
+ *
+ * @param { string } enketoId - Enketo ID of the survey
+ * @return {Promise<number>} Promise that resolves with the number of open uploads
+ */
+function _countOpen(enketoId) {
+    const openKey = `${prefix}${enketoId}`;
+
+    return new Promise((resolve, reject) => {
+        client.hgetall(openKey, (error, uploads) => {
+            if (error) {
+                return reject(error);
+            }
+
+            const now = Date.now();
+            const expired = Object.keys(uploads || {}).filter(
+                (uploadId) => Number(uploads[uploadId]) <= now
+            );
+            const count = Object.keys(uploads || {}).length - expired.length;
+
+            if (expired.length === 0) {
+                return resolve(count);
+            }
+
+            client.hdel(openKey, expired, (error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(count);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * @return { number } moment in milliseconds at which an upload that is created or extended now expires
+ */
+function _getExpiryTime() {
+    return Date.now() + config['resumable uploads'].expiry;
+}
+
+/**
+ * @return { number } expiry of an upload in seconds
+ */
+function _getExpiry() {
+    return Math.ceil(config['resumable uploads'].expiry / 1000);
+}
+
+/**
+ * @param { string } [uploadId] - ID of the upload
+ * @return { string } directory of all uploads, or of the files of an upload
+ */
+function _getDirectory(uploadId = '') {
+    return path.join(
+        config['resumable uploads'].directory ||
+            path.join(os.tmpdir(), 'enketo-uploads'),
+        uploadId
+    );
+}
+
+/**
+ * @param { string } uploadId - ID of the upload
+ * @param { number } index - index of the file in the parts of the upload
+ * @return { string } path of the file
+ */
+function _getFile(uploadId, index) {
+    return path.join(_getDirectory(uploadId), String(index));
+}
+
+/**
+ * @param { string } uploadId - ID of the upload
+ * @param { number } index - index of the file in the parts of the upload
+ * @return {Promise<number>} Promise that resolves with the number of bytes that have been received
+ */
+function _getOffset(uploadId, index) {
+    return fs.promises
+        .stat(_getFile(uploadId, index))
+        .then((stats) => stats.size)
+        .catch((error) => {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+
+            return 0;
+        });
+}
+
+/**
+ * Writes a chunk at its position in the (existing) file, so that a chunk that is received twice is not appended twice.
+ *
+ * @param { string } file - path of the file
+ * @param { Buffer } chunk - chunk
+ * @param { number } offset - position of the chunk in the file
+ * @return { Promise } Promise that resolves when the chunk has been written
+ */
+function _write(file, chunk, offset) {
+    return fs.promises
+        .open(file, 'r+')
+        .then((handle) =>
+            handle
+                .write(chunk, 0, chunk.length, offset)
+                .finally(() => handle.close())
+        );
+}
+
+/**
+ * @param { string } file - path of the file
+ * @return {Promise<string>} Promise that resolves with the SHA-256 hex digest of the file
+ */
+function _digest(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+
+        fs.createReadStream(file)
+            .on('error', reject)
+            .on('data', (data) => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Removes the files of uploads that have expired. The files are listed on disk, because the directory may be
+ * shared by several Enketo processes.
+ *
+ * @return { Promise } Promise that resolves when the files have been removed
+ */
+function _removeExpired() {
+    if (cleaning) {
+        return Promise.resolve();
+    }
+    cleaning = true;
+
+    const directory = _getDirectory();
+    const expired = Date.now() - config['resumable uploads'].expiry;
+
+    return fs.promises
+        .readdir(directory)
+        .then((names) =>
+            Promise.all(
+                names.map((name) => {
+                    const uploadDirectory = path.join(directory, name);
+
+                    return fs.promises
+                        .stat(uploadDirectory)
+                        .then((stats) => {
+                            if (
+                                stats.isDirectory() &&
+                                stats.mtimeMs < expired
+                            ) {
+                                debug(`removing expired upload ${name}`);
+
+                                return fs.promises.rm(uploadDirectory, {
+                                    recursive: true,
+                                    force: true,
+                                });
+                            }
+                        })
+                        .catch(() => {});
+                })
+            )
+        )
+        .catch((error) => {
+            if (error.code !== 'ENOENT') {
+                debug('failed to remove expired uploads', error);
+            }
+        })
+        .then(() => {
+            cleaning = false;
+        });
+}
+
+module.exports = {
+    isEnabled,
+    create,
+    get,
+    append,
+    getFormData,
+    getToken,
+    verifyToken,
+    remove,
+};
@@ -0,0 +1,274 @@
+/**
+ * Tracks usage per linked server and compares it with the account's quotas.
+ * Submissions and submitted bytes are counted per calendar month (UTC).
+ *
+ * @module usage-model
+ */
+
+const TError = require('../lib/custom-error').TranslatedError;
+const utils = require('../lib/utils');
+const surveyModel = require('./survey-model');
+const client = require('../lib/storage').getClient('main');
+// var debug = require( 'debug' )( 'usage-model' );
+
+const prefix = 'us:';
+// keep about a year of monthly usage
+const expiry = 366 * 24 * 60 * 60;
+
+/**
+ * @typedef {'surveys'|'submissions'|'attachmentBytes'} QuotaType
+ */
+
+/**
+ * @typedef QuotaUsage
+ * @property { number } used - current usage
+ * @property { number } limit - quota (`Infinity` if unlimited)
+ * @property { boolean } warning - whether usage has reached the account's warning threshold
+ */
+
+/**
+ * @typedef UsageObj
+ * @property { string } period - current period, e.g. "2022-07"
+ * @property { QuotaUsage } surveys - active surveys
+ * @property { QuotaUsage } submissions - submissions in the current period
+ * @property { QuotaUsage } attachmentBytes - submitted bytes (records and attachments) in the current period
+ */
+
+/**
+ * Obtains the usage and quotas of an account.
+ *
+ * @static
+ * @name get
+ * @function
+ * @param {module:account-model~AccountObj} account - account object
+ * @return {Promise<UsageObj>} Promise that resolves with the usage of the account
+ */
+function getUsage(account) {
+    const period = _getPeriod();
+    const limits = getLimits(account);
+    const threshold = _getWarningThreshold(account);
+
+    return Promise.all([
+        _countSurveys(account.linkedServer),
+        _getPeriodUsage(account.linkedServer, period),
+    ]).then(([surveys, { submissions, attachmentBytes }]) => {
+        const usage = { surveys, submissions, attachmentBytes };
+        const result = { period };
+
+        Object.keys(usage).forEach((type) => {
+            result[type] = {
+                used: usage[type],
+                limit: limits[type],
+                warning:
+                    Number.isFinite(limits[type]) &&
+                    usage[type] >= limits[type] * threshold,
+            };
+        });
+
+        return result;
+    });
+}
+
+/**
+ * Checks whether a submission is allowed by the account's monthly quotas.
+ *
+ * @static
+ * @name checkSubmission
+ * @function
+ * @param {module:account-model~AccountObj} account - account object
+ * @param { number } [bytes] - size of the submission
+ * @return {Promise<module:account-model~AccountObj>} Promise that resolves with the account or rejects with a 403 error
+ */
+function checkSubmission(account, bytes = 0) {
+    const limits = getLimits(account);
+
+    if (
+        !Number.isFinite(limits.submissions) &&
+        !Number.isFinite(limits.attachmentBytes)
+    ) {
+        return Promise.resolve(account);
+    }
+
+    return _getPeriodUsage(account.linkedServer, _getPeriod()).then(
+        ({ submissions, attachmentBytes }) => {
+            if (submissions >= limits.submissions) {
+                throw quotaError('submissions');
+            }
+            if (attachmentBytes + bytes > limits.attachmentBytes) {
+                throw quotaError('attachmentBytes');
+            }
+
+            return account;
+        }
+    );
+}
+
+/**
+ * Checks whether another survey can be launched within the account's active surveys quota.
+ *
+ * @static
+ * @name checkSurveys
+ * @function
+ * @param {module:account-model~AccountObj} account - account object
+ * @return {Promise<module:account-model~AccountObj>} Promise that resolves with the account or rejects with a 403 error
+ */
+function checkSurveys(account) {
+    const limits = getLimits(account);
+
+    if (!Number.isFinite(limits.surveys)) {
+        return Promise.resolve(account);
+    }
+
+    return _countSurveys(account.linkedServer).then((surveys) => {
+        if (surveys >= limits.surveys) {
+            throw quotaError('surveys');
+        }
+
+        return account;
+    });
+}
+
+/**
+ * Records a successful submission (or submission batch).
+ *
+ * @static
+ * @name addSubmission
+ * @function
+ * @param {module:account-model~AccountObj} account - account object
+ * @param { number } bytes - size of the submission
+ * @param { boolean } isNew - whether the submission was not counted before (e.g. as an earlier batch of the same record)
+ * @return {Promise<module:account-model~AccountObj>} Promise that resolves with the account
+ */
+function addSubmission(account, bytes, isNew) {
+    const key = _getKey(account.linkedServer, _getPeriod());
+
+    return new Promise((resolve, reject) => {
+        client
+            .multi()
+            .hincrby(key, 'submissions', isNew ? 1 : 0)
+            .hincrby(key, 'attachmentBytes', bytes || 0)
+            .expire(key, expiry)
+            .exec((error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(account);
+                }
+            });
+    });
+}
+
+/**
+ * Obtains the quotas of an account. Accounts may set `quota` (active surveys),
+ * `submissionQuota` and `attachmentQuota`. Missing quotas are unlimited.
+ *
+ * @static
+ * @name getLimits
+ * @function
+ * @param {module:account-model~AccountObj} account - account object
+ * @return {{surveys: number, submissions: number, attachmentBytes: number}} quotas
+ */
+function getLimits(account) {
+    return {
+        surveys: _toLimit(account.quota),
+        submissions: _toLimit(account.submissionQuota),
+        attachmentBytes: _toLimit(account.attachmentQuota),
+    };
+}
+
+/**
+ * Creates a translated error for an exceeded quota.
+ *
+ * @static
+ * @name quotaError
+ * @function
+ * @param {QuotaType} type - quota type
+ * @return { Error } error with a 403 status
+ */
+function quotaError(type) {
+    const error = new TError(`error.quotaexceeded.${type.toLowerCase()}`);
+    error.status = 403;
+
+    return error;
+}
+
+/**
+ * @param { string } linkedServer - linked server of account
+ * @param { string } period - period
+ * @return {Promise<{submissions: number, attachmentBytes: number}>} Promise that resolves with the usage in the period
+ */
+function _getPeriodUsage(linkedServer, period) {
+    return new Promise((resolve, reject) => {
+        client.hgetall(_getKey(linkedServer, period), (error, obj) => {
+            if (error) {
+                reject(error);
+            } else {
+                resolve({
+                    submissions: Number((obj && obj.submissions) || 0),
+                    attachmentBytes: Number((obj && obj.attachmentBytes) || 0),
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Like surveyModel.getNumber, but resolves with 0 instead of rejecting if no surveys were found.
+ *
+ * @param { string } linkedServer - linked server of account
+ * @return {Promise<number>} Promise that resolves with the number of active surveys
+ */
+function _countSurveys(linkedServer) {
+    return surveyModel.getNumber(linkedServer).catch(() => 0);
+}
+
+/**
+ * @param { string } linkedServer - linked server of account
+ * @param { string } period - period
+ * @return { string } database key
+ */
+function _getKey(linkedServer, period) {
+    return `${prefix}${utils.cleanUrl(linkedServer || '')}:${period}`;
+}
+
+/**
+ * @param { Date } [date] - date
+ * @return { string } period in YYYY-MM format
+ */
+function _getPeriod(date = new Date()) {
+    return date.toISOString().substring(0, 7);
+}
+
+/**
+ * @param {module:account-model~AccountObj} account - account object
+ * @return { number } fraction of a quota at which a warning is given
+ */
+function _getWarningThreshold(account) {
+    const threshold = Number(account.quotaWarning);
+
+    return threshold > 0 && threshold <= 1 ? threshold : 0.9;
+}
+
+/**
+ * Configuration values may be strings (environment variables) and `null` means unlimited.
+ *
+ * @param { * } value - configured quota
+ * @return { number } quota
+ */
+function _toLimit(value) {
+    if (value === null || value === undefined || value === '') {
+        return Infinity;
+    }
+    const number = Number(value);
+
+    return Number.isNaN(number) ? Infinity : number;
+}
+
+module.exports = {
+    get: getUsage,
+    checkSubmission,
+    checkSurveys,
+    addSubmission,
+    getLimits,
+    quotaError,
+};
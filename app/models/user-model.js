@@ -4,18 +4,22 @@
 
 const jwt = require('jwt-simple');
 const url = require('url');
+const oauth2 = require('../lib/oauth2');
 // var debug = require( 'debug' )( 'user-model' );
 
 /**
  * Returns credentials from request object.
- * Handles `'basic'` and `'token'` authentication types.
+ * Handles `'basic'`, `'token'` and `'oauth2'` authentication types.
  *
  * @static
  * @param {module:api-controller~ExpressRequest} req - HTTP request
+ * @param { object } [auth] - authentication settings of the account, defaults to the configured settings
  * @return {object|null} Credentials
  */
-function getCredentials(req) {
-    const auth = req.app.get('linked form and data server').authentication;
+function getCredentials(
+    req,
+    auth = req.app.get('linked form and data server').authentication
+) {
     const authType = auth.type.toLowerCase();
     let creds = null;
 
@@ -44,6 +48,13 @@ function getCredentials(req) {
                 bearer: tokenValue,
             };
         }
+    } else if (authType === 'oauth2') {
+        const token = oauth2.getToken(req);
+        if (token) {
+            creds = {
+                bearer: token.bearer,
+            };
+        }
     }
 
     return creds;
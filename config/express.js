@@ -24,6 +24,10 @@ for (const item in config.server) {
     }
 }
 app.set('port', process.env.PORT || app.get('port') || 3000);
+// a number of proxies configured with an environment variable is a string
+if (/^\d+$/.test(app.get('trust proxy'))) {
+    app.set('trust proxy', Number(app.get('trust proxy')));
+}
 app.set('env', process.env.NODE_ENV || 'production');
 app.set('authentication cookie name', '__enketo_');
 
@@ -241,6 +241,8 @@ function _init(formParts) {
             document.querySelector('head>title').textContent =
                 utils.getTitleFromFormStr(formParts.form);
             if (settings.print) {
+                // used in the header of PDFs generated on the server
+                formEl.dataset.formVersion = form.version || '';
                 gui.applyPrintStyle();
             }
             // after widgets have been initialized, localize all data-i18n elements
@@ -13,6 +13,8 @@ import {
     setLastSavedRecord,
 } from './last-saved';
 import { geoJSONExternalInstance } from './geojson';
+import { createUploadProgressTracker } from './upload-progress';
+import { divideIntoBatches } from './upload-batches';
 
 /**
  * @typedef {import('../../../../app/models/record-model').EnketoRecord} EnketoRecord
@@ -59,6 +61,11 @@ const MAX_SIZE_URL = settings.enketoId
           settings.xformUrl
       )}`;
 const ABSOLUTE_MAX_SIZE = 100 * 1000 * 1000;
+const EXPORT_URL = settings.enketoId
+    ? `${settings.basePath}/export/${settings.enketoId}`
+    : null;
+const MAX_CHUNK_ATTEMPTS = 3;
+let uploadToken;
 
 /**
 /**
@@ -79,7 +86,7 @@ function getOnlineStatus() {
 }
 
 /**
- * Uploads a complete record
+ * Uploads a complete record. Dispatches `uploadprogress` events while the record is being uploaded.
  *
  * @param  { EnketoRecord } record
  * @return { Promise<UploadBatchResult> }
@@ -93,6 +100,11 @@ function _uploadRecord(record) {
         return Promise.reject(e);
     }
 
+    const progressTracker = createUploadProgressTracker(
+        record.instanceId,
+        batches.map(_getBatchFiles)
+    );
+
     /** @type { Promise<UploadBatchResult[]> } */
     const resultsPromise = Promise.resolve([]);
 
@@ -103,14 +115,24 @@ function _uploadRecord(record) {
     // a serious issue with ODK Aggregate (https://github.com/kobotoolbox/enketo-express/issues/400)
     return batches
         .reduce(
-            (prevPromise, batch) =>
-                prevPromise.then((results) =>
-                    _uploadBatch(batch).then((result) => {
+            (prevPromise, batch, batchIndex) =>
+                prevPromise.then((results) => {
+                    const onProgress = (loaded) =>
+                        progressTracker.update(batchIndex, loaded);
+
+                    return (
+                        _isResumable(batch)
+                            ? _uploadBatchResumably(batch, onProgress)
+                            : _uploadBatch(batch, onProgress)
+                    ).then((result) => {
+                        onProgress(
+                            _getBatchFiles(batch).map((file) => file.size)
+                        );
                         results.push(result);
 
                         return results;
-                    })
-                ),
+                    });
+                }),
             resultsPromise
         )
         .then((results) => {
@@ -130,76 +152,448 @@ const uploadRecord = (survey, record) =>
  * Uploads a single batch of a single record.
  *
  * @param { BatchPrepped } recordBatch - formData object to send
+ * @param { (loaded: number[]) => void } onProgress - called with the number of bytes that have been sent of each file
  * @return { Promise<UploadBatchResult> }      [description]
  */
-function _uploadBatch(recordBatch) {
-    // Submission URL is dynamic, because settings.submissionParameter only gets populated after loading form from
-    // cache in offline mode.
-    const submissionUrl = settings.enketoId
-        ? `${settings.basePath}/submission/${settings.enketoId}${_getQuery()}`
-        : null;
+function _uploadBatch(recordBatch, onProgress) {
+    const submissionUrl = _getSubmissionUrl();
     const controller = new AbortController();
+    const files = _getBatchFiles(recordBatch);
+    const size = files.reduce((sum, file) => sum + file.size, 0);
 
     setTimeout(() => {
         controller.abort();
     }, settings.timeout);
 
-    return fetch(submissionUrl, {
-        method: 'POST',
-        cache: 'no-cache',
-        headers: {
-            'X-OpenRosa-Version': '1.0',
-            'X-OpenRosa-Deprecated-Id': recordBatch.deprecatedId,
-            'X-OpenRosa-Instance-Id': recordBatch.instanceId,
+    return _fetchWithProgress(
+        submissionUrl,
+        {
+            method: 'POST',
+            headers: {
+                'X-OpenRosa-Version': '1.0',
+                'X-OpenRosa-Deprecated-Id': recordBatch.deprecatedId,
+                'X-OpenRosa-Instance-Id': recordBatch.instanceId,
+            },
+            signal: controller.signal,
+            body: recordBatch.formData,
         },
-        signal: controller.signal,
-        body: recordBatch.formData,
-    })
-        .then((response) => {
-            /** @type { UploadBatchResult } */
-            const result = {
-                status: response.status,
-                failedFiles: recordBatch.failedFiles
-                    ? recordBatch.failedFiles
-                    : undefined,
-            };
+        // The multipart body is sent in the order of the files, so its progress is attributed to the files in order.
+        (fraction) => {
+            let sent = fraction * size;
 
-            if (response.status === 400) {
-                // 400 is a generic error. Any message returned by the server is probably more useful.
-                // Other more specific statusCodes will get hardcoded and translated messages.
-                return response.text().then((text) => {
-                    const xmlResponse = parser.parseFromString(
-                        text,
-                        'text/xml'
-                    );
-                    if (xmlResponse) {
-                        const messageEl = xmlResponse.querySelector(
-                            'OpenRosaResponse > message'
+            onProgress(
+                files.map((file) => {
+                    const loaded = Math.max(0, Math.min(file.size, sent));
+                    sent -= file.size;
+
+                    return loaded;
+                })
+            );
+        }
+    )
+        .then((response) => _getUploadBatchResult(response, recordBatch))
+        .catch(_setAbortStatus);
+}
+
+/**
+ * Sends a request like `fetch`, but reports the progress of sending the request body, which `fetch` does not.
+ *
+ * @param { string } url - URL of the request
+ * @param {{ method: string, headers?: Object<string, string>, body?: FormData | Blob | string, signal?: AbortSignal }} options - request options
+ * @param { (fraction: number) => void } [onProgress] - called with the fraction of the body that has been sent
+ * @return { Promise<Response> }
+ */
+function _fetchWithProgress(url, options, onProgress) {
+    const { method, headers = {}, body = null, signal } = options;
+
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+
+        xhr.open(method, url);
+        xhr.responseType = 'blob';
+        Object.entries(headers).forEach(([name, value]) => {
+            xhr.setRequestHeader(name, value);
+        });
+
+        if (onProgress) {
+            xhr.upload.addEventListener('progress', (event) => {
+                if (event.lengthComputable && event.total) {
+                    onProgress(event.loaded / event.total);
+                }
+            });
+        }
+        xhr.addEventListener('load', () => {
+            const responseHeaders = new Headers();
+
+            xhr.getAllResponseHeaders()
+                .trim()
+                .split(/[\r\n]+/)
+                .forEach((line) => {
+                    const index = line.indexOf(':');
+                    if (index > 0) {
+                        responseHeaders.append(
+                            line.substring(0, index).trim(),
+                            line.substring(index + 1).trim()
                         );
-                        if (messageEl) {
-                            result.message = messageEl.textContent;
-                        }
                     }
-                    throw result;
                 });
+
+            resolve(
+                new Response(
+                    // responses with these statuses cannot have a body
+                    [204, 205, 304].includes(xhr.status) ? null : xhr.response,
+                    {
+                        status: xhr.status,
+                        statusText: xhr.statusText,
+                        headers: responseHeaders,
+                    }
+                )
+            );
+        });
+        xhr.addEventListener('error', () => {
+            reject(new TypeError('Network request failed'));
+        });
+        xhr.addEventListener('abort', () => {
+            reject(new DOMException('The request was aborted.', 'AbortError'));
+        });
+
+        if (signal) {
+            if (signal.aborted) {
+                reject(
+                    new DOMException('The request was aborted.', 'AbortError')
+                );
+
+                return;
             }
-            if (response.status !== 201 && response.status !== 202) {
-                throw result;
-            } else {
-                return result;
-            }
-        })
-        .catch((error) => {
-            if (
-                error.name === 'AbortError' &&
-                typeof error.status === 'undefined'
-            ) {
-                error.status = 408;
+            signal.addEventListener('abort', () => xhr.abort());
+        }
+
+        xhr.send(body);
+    });
+}
+
+/**
+ * @param { BatchPrepped } recordBatch - batch of a record
+ * @return { Array<{name: string, size: number}> } files of the batch, in the order in which they are sent
+ */
+function _getBatchFiles(recordBatch) {
+    return Array.from(recordBatch.formData.entries())
+        .filter(([, value]) => value instanceof Blob)
+        .map(([name, value]) => ({ name, size: value.size }));
+}
+
+/**
+ * @param { Response } response - response to the submission of a batch
+ * @param { BatchPrepped } recordBatch - submitted batch
+ * @return { Promise<UploadBatchResult> } a Promise that resolves with the result, or rejects with the result if the
+ * submission failed
+ */
+function _getUploadBatchResult(response, recordBatch) {
+    /** @type { UploadBatchResult } */
+    const result = {
+        status: response.status,
+        failedFiles: recordBatch.failedFiles
+            ? recordBatch.failedFiles
+            : undefined,
+    };
+
+    if (response.status === 400) {
+        // 400 is a generic error. Any message returned by the server is probably more useful.
+        // Other more specific statusCodes will get hardcoded and translated messages.
+        return response.text().then((text) => {
+            const xmlResponse = parser.parseFromString(text, 'text/xml');
+            if (xmlResponse) {
+                const messageEl = xmlResponse.querySelector(
+                    'OpenRosaResponse > message'
+                );
+                if (messageEl) {
+                    result.message = messageEl.textContent;
+                }
             }
+            throw result;
+        });
+    }
+    if (response.status !== 201 && response.status !== 202) {
+        return Promise.reject(result);
+    }
+
+    return Promise.resolve(result);
+}
+
+/**
+ * @param { Error } error - error of a request
+ * @return { never }
+ */
+function _setAbortStatus(error) {
+    if (error.name === 'AbortError' && typeof error.status === 'undefined') {
+        error.status = 408;
+    }
+    throw error;
+}
+
+/**
+ * Checks whether a batch is uploaded in chunks that Enketo stores until the batch is complete, so that an interrupted
+ * upload of a large file continues where it stopped.
+ *
+ * @param { BatchPrepped } recordBatch - batch to upload
+ * @return { boolean }
+ */
+function _isResumable(recordBatch) {
+    const { resumableUploads } = settings;
+
+    return !!(
+        resumableUploads &&
+        resumableUploads.enabled &&
+        settings.enketoId &&
+        // crypto.subtle is only available in secure contexts
+        window.crypto &&
+        window.crypto.subtle &&
+        Array.from(recordBatch.formData.values()).some(
+            (value) =>
+                value instanceof Blob && value.size > resumableUploads.chunkSize
+        )
+    );
+}
+
+/**
+ * Uploads a single batch of a single record in chunks, starting from the chunks that Enketo already received.
+ * Enketo forwards the complete batch to the OpenRosa server once all chunks have been received.
+ *
+ * @param { BatchPrepped } recordBatch - batch to upload
+ * @param { (loaded: number[]) => void } onProgress - called with the number of bytes that have been sent of each file
+ * @param { boolean } [isRestart] - whether the upload is restarted because Enketo no longer had it
+ * @return { Promise<UploadBatchResult> }
+ */
+async function _uploadBatchResumably(
+    recordBatch,
+    onProgress,
+    isRestart = false
+) {
+    const entries = Array.from(recordBatch.formData.entries());
+    const parts = await Promise.all(
+        entries.map(async ([name, value]) =>
+            value instanceof Blob
+                ? {
+                      name,
+                      filename: value.name || name,
+                      type: value.type,
+                      size: value.size,
+                      checksum: await _digest(value),
+                  }
+                : { name, value }
+        )
+    );
+    const resumableUploadUrl = `${settings.basePath}/submission/upload/${settings.enketoId}`;
+    const response = await _fetchResumableUpload(resumableUploadUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            instanceId: recordBatch.instanceId,
+            deprecatedId: recordBatch.deprecatedId,
+            parts,
+        }),
+    }).then(_throwResponseError);
+    const { uploadId, offsets } = await response.json();
+    const uploadUrl = `${resumableUploadUrl}/${uploadId}`;
+    const fileIndices = parts
+        .map((part, index) => ('size' in part ? index : -1))
+        .filter((index) => index !== -1);
+    const reportProgress = (currentIndex, sent = 0) =>
+        onProgress(
+            fileIndices.map(
+                (index) => offsets[index] + (index === currentIndex ? sent : 0)
+            )
+        );
+
+    reportProgress();
+
+    const isUploaded = await entries.reduce(
+        (prevPromise, [, value], index) =>
+            prevPromise.then((uploaded) =>
+                uploaded && value instanceof Blob
+                    ? _uploadChunks(
+                          `${uploadUrl}/${index}`,
+                          value,
+                          offsets,
+                          index,
+                          (sent) => reportProgress(index, sent)
+                      )
+                    : uploaded
+            ),
+        Promise.resolve(true)
+    );
+
+    if (!isUploaded) {
+        if (isRestart) {
+            const error = new Error('Resumable upload not found');
+            error.status = 404;
             throw error;
+        }
+
+        // the upload expired
+        return _uploadBatchResumably(recordBatch, onProgress, true);
+    }
+
+    return _fetchResumableUpload(`${uploadUrl}/submit${_getQuery()}`, {
+        method: 'POST',
+        headers: { 'X-OpenRosa-Version': '1.0' },
+    }).then((response) => _getUploadBatchResult(response, recordBatch));
+}
+
+/**
+ * Uploads the remaining chunks of a file sequentially.
+ *
+ * @param { string } url - URL of the file in the resumable upload
+ * @param { Blob } file - file
+ * @param { Array<number | null> } offsets - number of bytes that Enketo received of each part, updated after every chunk
+ * @param { number } index - index of the file in the parts of the upload
+ * @param { (sent: number) => void } onProgress - called with the number of bytes of the current chunk that have been sent
+ * @param { number } [attempts] - number of failed attempts to upload the current chunk
+ * @return { Promise<boolean> } a Promise that resolves with `true` once the file is complete, or with `false` if
+ * Enketo no longer has the upload
+ */
+function _uploadChunks(url, file, offsets, index, onProgress, attempts = 0) {
+    const offset = offsets[index];
+
+    if (offset >= file.size) {
+        return Promise.resolve(true);
+    }
+
+    const chunk = file.slice(
+        offset,
+        offset + settings.resumableUploads.chunkSize
+    );
+
+    return _digest(chunk)
+        .then((checksum) =>
+            _fetchResumableUpload(
+                url,
+                {
+                    method: 'PATCH',
+                    headers: {
+                        'Content-Type': 'application/offset+octet-stream',
+                        'Upload-Offset': String(offset),
+                        'Upload-Checksum': `sha256 ${checksum}`,
+                    },
+                    body: chunk,
+                },
+                (fraction) => onProgress(fraction * chunk.size)
+            )
+        )
+        .then((response) => {
+            if (response.status === 404) {
+                return false;
+            }
+            // a chunk may have been corrupted on its way
+            if (response.status === 400 && attempts + 1 < MAX_CHUNK_ATTEMPTS) {
+                return _uploadChunks(
+                    url,
+                    file,
+                    offsets,
+                    index,
+                    onProgress,
+                    attempts + 1
+                );
+            }
+            // 409 means that Enketo expected a different offset, which it includes in the response
+            if (!response.ok && response.status !== 409) {
+                return _throwResponseError(response);
+            }
+
+            offsets[index] = Number(response.headers.get('Upload-Offset'));
+            onProgress(0);
+
+            return _uploadChunks(url, file, offsets, index, onProgress);
         });
 }
 
+/**
+ * Sets the token that the form was served with, which is required to store files in Enketo with resumable uploads.
+ *
+ * @param { string } [token] - upload token of the form
+ */
+function setUploadToken(token) {
+    uploadToken = token;
+}
+
+/**
+ * @param { string } url - URL of the resumable upload
+ * @param {{ method: string, headers?: Object<string, string>, body?: Blob | string }} options - request options
+ * @param { (fraction: number) => void } [onProgress] - called with the fraction of the body that has been sent
+ * @return { Promise<Response> }
+ */
+function _fetchResumableUpload(url, options, onProgress) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => {
+        controller.abort();
+    }, settings.timeout);
+
+    return _fetchWithProgress(
+        url,
+        {
+            ...options,
+            headers: uploadToken
+                ? { ...options.headers, 'X-Enketo-Upload-Token': uploadToken }
+                : options.headers,
+            signal: controller.signal,
+        },
+        onProgress
+    )
+        .catch(_setAbortStatus)
+        .finally(() => clearTimeout(timeout));
+}
+
+/**
+ * @param { Blob } blob - file or part of a file
+ * @return { Promise<string> } a Promise that resolves with the SHA-256 hex digest of the blob
+ */
+function _digest(blob) {
+    return utils
+        .blobToArrayBuffer(blob)
+        .then((arrayBuffer) =>
+            window.crypto.subtle.digest('SHA-256', arrayBuffer)
+        )
+        .then((digest) =>
+            Array.from(new Uint8Array(digest))
+                .map((byte) => byte.toString(16).padStart(2, '0'))
+                .join('')
+        );
+}
+
+/**
+ * @return { string | null } the URL to submit records to
+ */
+function _getSubmissionUrl() {
+    // Submission URL is dynamic, because settings.submissionParameter only gets populated after loading form from
+    // cache in offline mode.
+    return settings.enketoId
+        ? `${settings.basePath}/submission/${settings.enketoId}${_getQuery()}`
+        : null;
+}
+
+/**
+ * @typedef UploadSettings
+ * @property { string } submissionUrl
+ * @property { number } maxSize
+ * @property { number } timeout
+ * @property { string } csrfCookieName
+ */
+
+/**
+ * Obtains the settings that the service worker needs to upload the queued records of the current form
+ * in the background, the same way as {@link uploadQueuedRecord}.
+ *
+ * @return { UploadSettings }
+ */
+function getUploadSettings() {
+    return {
+        submissionUrl: _getSubmissionUrl(),
+        maxSize: settings.maxSize,
+        timeout: settings.timeout,
+        csrfCookieName: settings.csrfCookieName,
+    };
+}
+
 /**
  * Builds up a record array including media files, divided into batches
  *
@@ -265,7 +659,7 @@ function _prepareFormDataArray(record) {
     });
 
     if (submissionFiles.length > 0) {
-        batches = _divideIntoBatches(sizes, maxSize);
+        batches = divideIntoBatches(sizes, maxSize);
     }
 
     console.log(
@@ -313,53 +707,6 @@ function _prepareFormDataArray(record) {
     return batchesPrepped;
 }
 
-/**
- * splits an array of file sizes into batches (for submission) based on a limit
- *
- * @param  {Array.<number>} fileSizes -   array of file sizes
- * @param  {number}     limit -   limit in byte size of one chunk (can be exceeded for a single item)
- * @return {Array.<Array.<number>>} array of arrays with index, each secondary array of indices represents a batch
- */
-
-function _divideIntoBatches(fileSizes, limit) {
-    let i;
-    let j;
-    let batch;
-    let batchSize;
-    const sizes = [];
-    const batches = [];
-
-    for (i = 0; i < fileSizes.length; i++) {
-        sizes.push({
-            index: i,
-            size: fileSizes[i],
-        });
-    }
-
-    while (sizes.length > 0) {
-        batch = [sizes[0].index];
-        batchSize = sizes[0].size;
-        if (sizes[0].size < limit) {
-            for (i = 1; i < sizes.length; i++) {
-                if (batchSize + sizes[i].size < limit) {
-                    batch.push(sizes[i].index);
-                    batchSize += sizes[i].size;
-                }
-            }
-        }
-        batches.push(batch);
-        for (i = 0; i < sizes.length; i++) {
-            for (j = 0; j < batch.length; j++) {
-                if (sizes[i].index === batch[j]) {
-                    sizes.splice(i, 1);
-                }
-            }
-        }
-    }
-
-    return batches;
-}
-
 /**
  * Returns the value of the X-OpenRosa-Content-Length header returned by the OpenRosa server for this form.
  *
@@ -714,6 +1061,42 @@ function getExistingInstance(props) {
     return _getData(INSTANCE_URL, props);
 }
 
+/**
+ * Sends a records export file (ZIP) to Enketo, where it can be retrieved by an administrator.
+ * The SHA-256 digest of the file is included so the server can verify the file arrived intact.
+ *
+ * @param { Blob } zipFile - file created by the exporter
+ * @param { string } token - export token that was obtained with the form
+ * @return { Promise<{bundle_id: string, records: number}> } a Promise that resolves with the bundle information
+ */
+function uploadRecordsExport(zipFile, token) {
+    // crypto.subtle is only available in secure contexts
+    return (
+        window.crypto && window.crypto.subtle
+            ? _digest(zipFile)
+            : Promise.resolve(null)
+    )
+        .then((digest) => {
+            const headers = {
+                'Content-Type': 'application/zip',
+                Accept: 'application/json',
+                'X-Enketo-Export-Token': token,
+            };
+            if (digest) {
+                headers['X-Enketo-Bundle-Digest'] = digest;
+            }
+
+            return fetch(EXPORT_URL, {
+                method: 'POST',
+                cache: 'no-cache',
+                headers,
+                body: zipFile,
+            });
+        })
+        .then(_throwResponseError)
+        .then((response) => response.json());
+}
+
 // Note: settings.submissionParameter is only populated after loading form from cache in offline mode.
 function _getQuery() {
     return utils.getQueryString([
@@ -725,6 +1108,8 @@ function _getQuery() {
 export default {
     uploadRecord,
     uploadQueuedRecord,
+    setUploadToken,
+    getUploadSettings,
     getMaximumSubmissionSize,
     getOnlineStatus,
     getFormParts,
@@ -732,4 +1117,5 @@ export default {
     getMediaFile,
     getExistingInstance,
     getServiceWorkerVersion,
+    uploadRecordsExport,
 };
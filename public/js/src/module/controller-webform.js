@@ -20,6 +20,7 @@ import records from './records-queue';
 import encryptor from './encryptor';
 import formCache from './form-cache';
 import { getLastSavedRecord, populateLastSavedInstances } from './last-saved';
+import { getUploadProgressMessage } from './upload-progress';
 
 /**
  * @typedef {import('../../../../app/models/survey-model').SurveyObject} Survey
@@ -72,6 +73,9 @@ function init(formEl, data, loadErrors = []) {
                 fileManager.setInstanceAttachments(data.instanceAttachments);
             }
 
+            fileManager.setImageCompression(data.survey?.imageCompression);
+            connection.setUploadToken(data.survey?.uploadToken);
+
             const langSelector = formEl.querySelector('#form-languages');
             const formDefaultLanguage = langSelector
                 ? langSelector.dataset.defaultLang
@@ -338,6 +342,17 @@ function _submitRecord(survey) {
     let level;
     let msg = '';
     const include = { irrelevant: false };
+    const instanceId = form.instanceID;
+    const onUploadProgress = (event) => {
+        const progress = event.detail;
+
+        if (progress.instanceId === instanceId) {
+            gui.showProgress(
+                getUploadProgressMessage(progress),
+                progress.total ? progress.loaded / progress.total : 1
+            );
+        }
+    };
 
     form.view.html.dispatchEvent(events.BeforeSave());
 
@@ -374,7 +389,20 @@ function _submitRecord(survey) {
             }
             return record;
         })
-        .then((record) => connection.uploadRecord(survey, record))
+        .then((record) => {
+            document.addEventListener(
+                events.UploadProgress().type,
+                onUploadProgress
+            );
+
+            return connection.uploadRecord(survey, record).finally(() => {
+                document.removeEventListener(
+                    events.UploadProgress().type,
+                    onUploadProgress
+                );
+                gui.hideProgress();
+            });
+        })
         .then((result) => {
             result = result || {};
             level = 'success';
@@ -661,6 +689,29 @@ function _autoSaveRecord() {
     return autoSavePromise;
 }
 
+/**
+ * Obtains the export token that was loaded with the form. Export tokens expire, so a form that was
+ * loaded from the browser's cache may need to get a new one from the server.
+ *
+ * @return {Promise<string|undefined>}
+ */
+function _getExportToken() {
+    const token = formData.survey?.exportToken;
+    const expires = Number(String(token).split('.')[0]);
+
+    if (!token || expires > Date.now()) {
+        return Promise.resolve(token);
+    }
+
+    return connection
+        .getFormParts({ enketoId: settings.enketoId })
+        .then((survey) => {
+            formData.survey.exportToken = survey.exportToken;
+
+            return survey.exportToken;
+        });
+}
+
 /**
  * @param {Survey} survey
  */
@@ -798,6 +849,97 @@ function _setEventHandlers(survey) {
             });
     });
 
+    $('.record-list__button-bar__button.send-export').on('click', () => {
+        _getExportToken()
+            .then((token) => records.sendExport(form.surveyName, token))
+            .then((result) => {
+                gui.alert(
+                    t('alert.sendexport.success.msg', {
+                        count: result.records,
+                    }),
+                    t('alert.sendexport.success.heading'),
+                    'normal'
+                );
+            })
+            .catch((error) => {
+                let message = t('alert.sendexport.error.msg', {
+                    errors: error.message,
+                    interpolation: {
+                        escapeValue: false,
+                    },
+                });
+                if (error.exportFile) {
+                    message += `<p>${t(
+                        'alert.sendexport.error.filesentmsg'
+                    )}</p>`;
+                }
+                gui.alert(message, t('alert.sendexport.error.heading'));
+            });
+    });
+
+    $('.record-list__button-bar__button.import').on('click', () => {
+        $('.record-list__import-file').val('').click();
+    });
+
+    $('.record-list__import-file').on('change', function () {
+        const file = this.files[0];
+        const formId =
+            form.model && form.model.rootElement
+                ? form.model.rootElement.getAttribute('id')
+                : undefined;
+
+        if (!file) {
+            return;
+        }
+
+        records
+            .importFromZip(file, formId)
+            .then((result) => {
+                if (result.failures.length > 0) {
+                    // the record names come from the file and are escaped
+                    const errors = result.failures
+                        .map(
+                            ({ name, reason }) =>
+                                `<li>${t('alert.import.failure.msg', {
+                                    name,
+                                    reason: t(reason),
+                                })}</li>`
+                        )
+                        .join('');
+
+                    gui.alert(
+                        t('alert.import.error.msg', {
+                            count: result.records.length,
+                            errors: `<ul class="error-list">${errors}</ul>`,
+                            // switch off escaping just for this list of escaped values
+                            interpolation: {
+                                escapeValue: false,
+                            },
+                        }),
+                        t('alert.import.error.heading')
+                    );
+                } else {
+                    gui.alert(
+                        t('alert.import.success.msg', {
+                            count: result.records.length,
+                        }),
+                        t('alert.import.success.heading'),
+                        'normal'
+                    );
+                }
+            })
+            .catch((error) => {
+                gui.alert(
+                    t('alert.import.error.filemsg', {
+                        errors: error.translationKey
+                            ? t(error.translationKey)
+                            : error.message,
+                    }),
+                    t('alert.import.error.heading')
+                );
+            });
+    });
+
     $doc.on(
         'click',
         '.record-list__records__record[data-draft="true"]',
@@ -24,6 +24,10 @@ events.FormUpdated = function () {
     return new CustomEvent('formupdated', { bubbles: true });
 };
 
+events.UploadProgress = function (detail) {
+    return new CustomEvent('uploadprogress', { detail, bubbles: true });
+};
+
 events.FormReset = function () {
     return new CustomEvent('formreset', { bubbles: true });
 };
@@ -26,9 +26,12 @@ function recordsToZip(enketoId, formTitle) {
                                 .then((record) => {
                                     const failedFiles = [];
                                     let folderMeta;
-                                    folderName = `${name}_${_formatDate(
-                                        record.created
-                                    )}`;
+                                    folderName = _getUniqueFolderName(
+                                        `${name}_${_formatDate(
+                                            record.created
+                                        )}`,
+                                        meta
+                                    );
                                     // create folder
                                     folder = zip.folder(folderName);
                                     // add XML file to folder
@@ -44,6 +47,7 @@ function recordsToZip(enketoId, formTitle) {
                                         draft: record.draft,
                                         'local name': record.name,
                                         instanceID: record.instanceId,
+                                        enketoId: record.enketoId,
                                     };
                                     // add media files to folder
                                     record.files.forEach((file) => {
@@ -106,6 +110,27 @@ function recordsToZip(enketoId, formTitle) {
         });
 }
 
+/**
+ * Records created within the same second would otherwise end up in the same folder,
+ * which would make it impossible to import them again.
+ *
+ * @param { string } folderName - desired folder name
+ * @param { Array<{folder: string}> } meta - meta information of the folders added so far
+ * @return { string } folder name that is not used yet
+ */
+function _getUniqueFolderName(folderName, meta) {
+    const usedNames = meta.map((folderMeta) => folderMeta.folder);
+    let candidate = folderName;
+    let count = 1;
+
+    while (usedNames.includes(candidate)) {
+        count++;
+        candidate = `${folderName}_${count}`;
+    }
+
+    return candidate;
+}
+
 function _formatDate(date) {
     const d = new Date(date);
 
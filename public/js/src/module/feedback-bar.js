@@ -14,6 +14,12 @@ export default {
     get messages() {
         return this.feedbackBar.querySelectorAll('p');
     },
+    /**
+     * @return {Element|null}
+     */
+    get progressMessage() {
+        return this.feedbackBar.querySelector('.feedback-bar__progress');
+    },
     setCloseHandler() {
         this.feedbackBar
             .querySelector('.close')
@@ -45,18 +51,57 @@ export default {
             if (duration) {
                 setTimeout(() => {
                     newMessage.remove();
-                    if (this.messages.length === 0) {
+                    if (this.messages.length === 0 && !this.progressMessage) {
                         this.hide();
                     }
                 }, duration * 1000);
             }
         }
     },
+    /**
+     * Shows a progress message that replaces the previously shown progress message.
+     *
+     * @param { string } message - message to show
+     * @param { number } value - progress between 0 and 1
+     */
+    showProgress(message, value) {
+        let { progressMessage } = this;
+
+        if (!progressMessage) {
+            progressMessage = document.createElement('div');
+            progressMessage.classList.add('feedback-bar__progress');
+            progressMessage.append(
+                document.createElement('progress'),
+                document.createElement('span')
+            );
+            this.feedbackBar.prepend(progressMessage);
+        }
+
+        this.feedbackBar.classList.add('feedback-bar--show');
+        progressMessage.querySelector('progress').value = value;
+        progressMessage.querySelector('span').textContent = message;
+    },
+    /**
+     * Removes the progress message, and hides the feedback bar if no other messages are shown
+     */
+    hideProgress() {
+        const { progressMessage } = this;
+
+        if (progressMessage) {
+            progressMessage.remove();
+        }
+        if (this.messages.length === 0) {
+            this.feedbackBar.classList.remove('feedback-bar--show');
+        }
+    },
     /**
      * Hides and empties the feedback bar
      */
     hide() {
         this.feedbackBar.classList.remove('feedback-bar--show');
         this.messages.forEach((p) => p.remove());
+        if (this.progressMessage) {
+            this.progressMessage.remove();
+        }
     },
 };
@@ -9,12 +9,27 @@ import settings from './settings';
 import connection from './connection';
 import utils from './utils';
 import { t } from './translator';
+import {
+    compressImage,
+    getImageCompressionPolicy,
+    isCompressible,
+} from './image-compression';
 
 const URL_RE = /[a-zA-Z0-9+-.]+?:\/\//;
 
 /** @type {Record<string, string>} */
 let instanceAttachments;
 
+/** @type {{maxDimension?: number, quality?: number, keepLocation?: boolean}|undefined} */
+let imageCompression;
+
+/**
+ * Compressed versions of picked photos, which are reused every time the record is saved.
+ *
+ * @type {WeakMap<Blob, Promise<Blob>>}
+ */
+const compressedImages = new WeakMap();
+
 /**
  * Initialize the file manager .
  *
@@ -42,6 +57,17 @@ function isWaitingForPermissions() {
 function setInstanceAttachments(attachments) {
     instanceAttachments = attachments;
 }
+
+/**
+ * Sets the photo compression policy of the form, which overrides the
+ * photo compression configuration.
+ *
+ * @param {{maxDimension?: number, quality?: number, keepLocation?: boolean}} [policy] - policy of the form
+ */
+function setImageCompression(policy) {
+    imageCompression = policy;
+}
+
 /**
  * Obtains a url that can be used to show a preview of the file when used
  * as a src attribute.
@@ -153,7 +179,7 @@ function getCurrentFiles() {
     ];
     const fileTasks = [];
 
-    const _processNameAndSize = function (input, file) {
+    const _processNameAndSize = function (input, file, content = file) {
         if (file && file.name) {
             // Correct file names by adding a unique-ish postfix
             // First create a clone, because the name property is immutable
@@ -165,10 +191,10 @@ function getCurrentFiles() {
             );
             // If file is resized, get Blob representation of data URI
             if (input.dataset.resized && input.dataset.resizedDataURI) {
-                file = utils.dataUriToBlobSync(input.dataset.resizedDataURI);
+                content = utils.dataUriToBlobSync(input.dataset.resizedDataURI);
             }
-            file = new Blob([file], {
-                type: file.type,
+            file = new Blob([content], {
+                type: content.type,
             });
             file.name = newFilename;
         }
@@ -179,9 +205,23 @@ function getCurrentFiles() {
     fileInputs.forEach((input) => {
         if (input.type === 'file') {
             // first get any files inside file input elements
-            if (input.files[0]) {
+            const file = input.files[0];
+            if (file) {
                 fileTasks.push(
-                    Promise.resolve(_processNameAndSize(input, input.files[0]))
+                    _getCompressedImage(input, file).then((content) => {
+                        const processed = _processNameAndSize(
+                            input,
+                            file,
+                            content
+                        );
+
+                        // photos were accepted when they were picked, because compression could make them small enough
+                        if (processed.size > _getMaxSize()) {
+                            throw _getMaxSizeError();
+                        }
+
+                        return processed;
+                    })
                 );
             }
         } else if (input.value) {
@@ -227,6 +267,35 @@ function getCurrentFile(filename) {
     );
 }
 
+/**
+ * Compresses a picked photo, if photos should be compressed.
+ *
+ * @param { HTMLInputElement } input - file input of the photo
+ * @param { File } file - the photo
+ * @return {Promise<Blob>} the compressed photo, or the file if it is not compressed
+ */
+function _getCompressedImage(input, file) {
+    const policy = getImageCompressionPolicy(imageCompression);
+
+    // photos that are resized by the form (orx:max-pixels) keep the form's size
+    if (!isCompressible(file, policy) || input.dataset.resized) {
+        return Promise.resolve(file);
+    }
+
+    if (!compressedImages.has(file)) {
+        compressedImages.set(
+            file,
+            compressImage(file, policy).catch((error) => {
+                console.error('Failed to compress image', error);
+
+                return file;
+            })
+        );
+    }
+
+    return compressedImages.get(file);
+}
+
 /**
  * Obtains the instanceId of the current record.
  *
@@ -237,13 +306,22 @@ function _getInstanceId() {
 }
 
 /**
- * Whether the file is too large too handle and should be rejected
+ * Whether the file is too large too handle and should be rejected.
+ * Photos that were just picked are not rejected if they will be compressed
+ * before they are saved with the record.
  *
  * @param  { object }  file - the File
  * @return { boolean } whether file is too large
  */
 function isTooLarge(file) {
-    return file && file.size > _getMaxSize();
+    return (
+        file &&
+        file.size > _getMaxSize() &&
+        !(
+            file instanceof File &&
+            isCompressible(file, getImageCompressionPolicy(imageCompression))
+        )
+    );
 }
 
 function _getMaxSizeError() {
@@ -271,6 +349,7 @@ export default {
     isWaitingForPermissions,
     init,
     setInstanceAttachments,
+    setImageCompression,
     getFileUrl,
     getObjectUrl,
     getCurrentFiles,
@@ -195,6 +195,23 @@ function feedback(message, duration, heading = t('feedback.header')) {
     }
 }
 
+/**
+ * Shows the progress of a lengthy task, e.g. an upload, in the feedback bar.
+ *
+ * @param { string } message - message to show
+ * @param { number } value - progress between 0 and 1
+ */
+function showProgress(message, value) {
+    feedbackBar.showProgress(message, value);
+}
+
+/**
+ * Removes the progress shown with {@link showProgress}.
+ */
+function hideProgress() {
+    feedbackBar.hideProgress();
+}
+
 /**
  * Shows a modal alert dialog.
  * TODO: parameters should change to (content, options)
@@ -635,6 +652,8 @@ export default {
     confirm,
     prompt,
     feedback,
+    showProgress,
+    hideProgress,
     updateStatus,
     pages,
     swapTheme,
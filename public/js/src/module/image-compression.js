@@ -0,0 +1,406 @@
+/**
+ * Shrinks JPEG photos before they are saved with a record. Photos are scaled down to a maximum dimension and
+ * re-encoded, and all EXIF metadata is removed except for the GPS location, if that should be kept.
+ */
+
+import settings from './settings';
+import utils from './utils';
+
+/**
+ * @typedef ImageCompressionPolicy
+ * @property { number } maxDimension - maximum width and height in pixels
+ * @property { number } quality - JPEG quality between 0 and 1
+ * @property { boolean } keepLocation - whether the GPS location is kept
+ */
+
+const DEFAULT_POLICY = {
+    maxDimension: 2048,
+    quality: 0.8,
+    keepLocation: true,
+};
+const JPEG_TYPE = 'image/jpeg';
+const SOI = 0xd8;
+const SOS = 0xda;
+const APP1 = 0xe1;
+const EXIF_HEADER = [0x45, 0x78, 0x69, 0x66, 0x00, 0x00];
+const ORIENTATION_TAG = 0x0112;
+const GPS_TAG = 0x8825;
+const SHORT = 3;
+const LONG = 4;
+// byte size of the value of each TIFF field type
+const TYPE_SIZES = {
+    1: 1,
+    2: 1,
+    3: 2,
+    4: 4,
+    5: 8,
+    6: 1,
+    7: 1,
+    8: 2,
+    9: 4,
+    10: 8,
+    11: 4,
+    12: 8,
+};
+
+/**
+ * Combines the photo compression configuration with the policy of a form, which overrides it.
+ *
+ * @param {{maxDimension?: number, quality?: number, keepLocation?: boolean}} [formPolicy] - policy of the form
+ * @return {ImageCompressionPolicy|null} the policy, or `null` if photos are not compressed
+ */
+export const getImageCompressionPolicy = (formPolicy) => {
+    const { enabled, ...serverPolicy } = settings.imageCompression || {};
+
+    if (!enabled && !formPolicy) {
+        return null;
+    }
+
+    return { ...DEFAULT_POLICY, ...serverPolicy, ...formPolicy };
+};
+
+/**
+ * @param { Blob } file - the file
+ * @param {ImageCompressionPolicy|null} policy - compression policy
+ * @return { boolean } whether the file is a photo that is compressed
+ */
+export const isCompressible = (file, policy) =>
+    !!policy && !!file && file.type === JPEG_TYPE;
+
+/**
+ * Compresses a JPEG photo. The original photo, without its metadata, is used if re-encoding does not make it smaller.
+ *
+ * @param { Blob } file - JPEG photo
+ * @param { ImageCompressionPolicy } policy - compression policy
+ * @return {Promise<Blob>} the compressed photo
+ */
+export const compressImage = (file, policy) =>
+    Promise.all([
+        utils.blobToArrayBuffer(file),
+        _drawImage(file, policy).then(utils.blobToArrayBuffer),
+    ]).then(([original, drawn]) => {
+        const bytes = new Uint8Array(original);
+        const location = policy.keepLocation ? bytes : null;
+
+        // browsers apply the orientation when they draw a photo, so only the original needs it
+        const candidates = [
+            _setExif(new Uint8Array(drawn), _getExif(location, null)),
+            _setExif(bytes, _getExif(location, bytes)),
+        ].filter((candidate) => candidate);
+
+        if (!candidates.length) {
+            throw new Error('Failed to compress image');
+        }
+
+        return candidates.reduce((smallest, candidate) =>
+            candidate.size < smallest.size ? candidate : smallest
+        );
+    });
+
+/**
+ * Scales a photo down and re-encodes it.
+ *
+ * @param { Blob } file - JPEG photo
+ * @param { ImageCompressionPolicy } policy - compression policy
+ * @return {Promise<Blob>} the re-encoded photo, without metadata
+ */
+const _drawImage = (file, policy) =>
+    new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+
+            const scale = Math.min(
+                1,
+                policy.maxDimension /
+                    Math.max(img.naturalWidth, img.naturalHeight)
+            );
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(img.naturalWidth * scale);
+            canvas.height = Math.round(img.naturalHeight * scale);
+            canvas
+                .getContext('2d')
+                .drawImage(img, 0, 0, canvas.width, canvas.height);
+            canvas.toBlob(
+                (blob) => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('Failed to encode image'));
+                    }
+                },
+                JPEG_TYPE,
+                policy.quality
+            );
+        };
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Failed to load image'));
+        };
+        img.src = url;
+    });
+
+/**
+ * Replaces the metadata segments of a JPEG file.
+ *
+ * @param { Uint8Array } bytes - JPEG file
+ * @param {Uint8Array|null} exif - APP1 segment to add
+ * @return {Blob|null} the JPEG file, or `null` if it is not a valid JPEG file
+ */
+function _setExif(bytes, exif) {
+    const header = _readHeader(bytes);
+
+    if (!header) {
+        return null;
+    }
+
+    const parts = [bytes.subarray(0, 2)];
+
+    if (exif) {
+        parts.push(exif);
+    }
+    header.segments
+        .filter((segment) => segment.marker !== APP1)
+        .forEach((segment) => {
+            parts.push(bytes.subarray(segment.start, segment.end));
+        });
+    parts.push(bytes.subarray(header.end));
+
+    return new Blob(parts, { type: JPEG_TYPE });
+}
+
+/**
+ * Lists the segments of a JPEG file that precede the image data.
+ *
+ * @param { Uint8Array } bytes - JPEG file
+ * @return {{segments: Array<{marker: number, start: number, end: number}>, end: number}|null} the segments and the
+ * start of the image data, or `null` if the file is not a valid JPEG file
+ */
+function _readHeader(bytes) {
+    if (bytes[0] !== 0xff || bytes[1] !== SOI) {
+        return null;
+    }
+
+    const segments = [];
+    let start = 2;
+
+    while (start + 4 <= bytes.length && bytes[start] === 0xff) {
+        const marker = bytes[start + 1];
+
+        if (marker === SOS) {
+            return { segments, end: start };
+        }
+
+        const end = start + 2 + bytes[start + 2] * 256 + bytes[start + 3];
+        segments.push({ marker, start, end });
+        start = end;
+    }
+
+    return null;
+}
+
+/**
+ * Creates an APP1 segment with the metadata that is kept.
+ *
+ * @param {Uint8Array|null} locationSource - JPEG file of which the GPS location is copied
+ * @param {Uint8Array|null} orientationSource - JPEG file of which the orientation is copied
+ * @return {Uint8Array|null} the APP1 segment, or `null` if no metadata is kept
+ */
+function _getExif(locationSource, orientationSource) {
+    const location = locationSource && _readExif(locationSource);
+    const orientation = orientationSource && _readExif(orientationSource);
+    const gpsEntries = location ? location.gps : [];
+    const orientationEntry = orientation && orientation.orientation;
+
+    if (!gpsEntries.length && !orientationEntry) {
+        return null;
+    }
+
+    const littleEndian = location ? location.littleEndian : true;
+    const ifd0Entries =
+        (orientationEntry ? 1 : 0) + (gpsEntries.length ? 1 : 0);
+    const gpsOffset = 8 + 2 + ifd0Entries * 12 + 4;
+    const dataOffset =
+        gpsOffset + (gpsEntries.length ? 2 + gpsEntries.length * 12 + 4 : 0);
+    const dataSize = gpsEntries.reduce(
+        (size, entry) =>
+            size +
+            (entry.data ? entry.data.length + (entry.data.length % 2) : 0),
+        0
+    );
+    const tiff = new Uint8Array(dataOffset + dataSize);
+    const view = new DataView(tiff.buffer);
+    let offset = 8;
+    let nextData = dataOffset;
+
+    const writeEntry = (tag, type, count, value) => {
+        view.setUint16(offset, tag, littleEndian);
+        view.setUint16(offset + 2, type, littleEndian);
+        view.setUint32(offset + 4, count, littleEndian);
+        if (value instanceof Uint8Array) {
+            tiff.set(value, offset + 8);
+        } else if (type === SHORT) {
+            view.setUint16(offset + 8, value, littleEndian);
+        } else {
+            view.setUint32(offset + 8, value, littleEndian);
+        }
+        offset += 12;
+    };
+
+    view.setUint16(0, littleEndian ? 0x4949 : 0x4d4d);
+    view.setUint16(2, 42, littleEndian);
+    view.setUint32(4, 8, littleEndian);
+    view.setUint16(offset, ifd0Entries, littleEndian);
+    offset += 2;
+    // entries are sorted by tag
+    if (orientationEntry) {
+        writeEntry(ORIENTATION_TAG, SHORT, 1, orientationEntry);
+    }
+    if (gpsEntries.length) {
+        writeEntry(GPS_TAG, LONG, 1, gpsOffset);
+    }
+    offset += 4;
+
+    if (gpsEntries.length) {
+        view.setUint16(offset, gpsEntries.length, littleEndian);
+        offset += 2;
+        gpsEntries.forEach((entry) => {
+            if (entry.data) {
+                tiff.set(entry.data, nextData);
+                writeEntry(entry.tag, entry.type, entry.count, nextData);
+                nextData += entry.data.length + (entry.data.length % 2);
+            } else {
+                writeEntry(entry.tag, entry.type, entry.count, entry.value);
+            }
+        });
+    }
+
+    const length = 2 + EXIF_HEADER.length + tiff.length;
+
+    if (length > 0xffff) {
+        return null;
+    }
+
+    const segment = new Uint8Array(2 + length);
+    segment.set([
+        0xff,
+        APP1,
+        Math.floor(length / 256),
+        length % 256,
+        ...EXIF_HEADER,
+    ]);
+    segment.set(tiff, 4 + EXIF_HEADER.length);
+
+    return segment;
+}
+
+/**
+ * Reads the orientation and the GPS fields from the EXIF metadata of a JPEG file.
+ *
+ * @param { Uint8Array } bytes - JPEG file
+ * @return {{littleEndian: boolean, orientation: number, gps: Array<object>}|null} the metadata, or `null` if the
+ * file has no valid EXIF metadata
+ */
+function _readExif(bytes) {
+    const header = _readHeader(bytes);
+    const segment = (header ? header.segments : []).find(
+        ({ marker, start }) =>
+            marker === APP1 &&
+            EXIF_HEADER.every(
+                (byte, index) => bytes[start + 4 + index] === byte
+            )
+    );
+
+    if (!segment) {
+        return null;
+    }
+
+    const tiffStart = segment.start + 4 + EXIF_HEADER.length;
+    const view = new DataView(
+        bytes.buffer,
+        bytes.byteOffset + tiffStart,
+        segment.end - tiffStart
+    );
+
+    try {
+        const littleEndian = view.getUint16(0) === 0x4949;
+        const ifd0 = _readIfd(
+            view,
+            view.getUint32(4, littleEndian),
+            littleEndian
+        );
+        const orientation = ifd0.find((entry) => entry.tag === ORIENTATION_TAG);
+        const gps = ifd0.find((entry) => entry.tag === GPS_TAG);
+
+        return {
+            littleEndian,
+            orientation: orientation ? orientation.value : 0,
+            gps: gps ? _readIfd(view, gps.value, littleEndian) : [],
+        };
+    } catch (error) {
+        // a RangeError of an invalid offset
+        console.error('Failed to read EXIF metadata', error);
+
+        return null;
+    }
+}
+
+/**
+ * @param { DataView } view - TIFF data
+ * @param { number } offset - offset of the IFD
+ * @param { boolean } littleEndian - byte order
+ * @return {Array<{tag: number, type: number, count: number, value: number|Uint8Array, data?: Uint8Array}>} the
+ * entries of the IFD, with the raw value of entries that fit in 4 bytes, or their data otherwise
+ */
+const _readIfd = (view, offset, littleEndian) => {
+    const count = view.getUint16(offset, littleEndian);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        const start = offset + 2 + i * 12;
+        const tag = view.getUint16(start, littleEndian);
+        const type = view.getUint16(start + 2, littleEndian);
+        const valueCount = view.getUint32(start + 4, littleEndian);
+        const size = TYPE_SIZES[type] * valueCount;
+
+        if (size > 4) {
+            const dataOffset = view.getUint32(start + 8, littleEndian);
+
+            if (dataOffset + size > view.byteLength) {
+                throw new RangeError('Invalid EXIF data offset');
+            }
+
+            entries.push({
+                tag,
+                type,
+                count: valueCount,
+                value: dataOffset,
+                data: new Uint8Array(
+                    view.buffer,
+                    view.byteOffset + dataOffset,
+                    size
+                ),
+            });
+        } else if (size) {
+            entries.push({
+                tag,
+                type,
+                count: valueCount,
+                value:
+                    type === SHORT && valueCount === 1
+                        ? view.getUint16(start + 8, littleEndian)
+                        : type === LONG && valueCount === 1
+                        ? view.getUint32(start + 8, littleEndian)
+                        : new Uint8Array(
+                              view.buffer,
+                              view.byteOffset + start + 8,
+                              4
+                          ),
+            });
+        }
+    }
+
+    return entries;
+};
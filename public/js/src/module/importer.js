@@ -0,0 +1,257 @@
+import JSZip from 'jszip';
+import store from './store';
+
+const parser = new DOMParser();
+
+/**
+ * @typedef {import('../../../../app/models/record-model').EnketoRecord} EnketoRecord
+ */
+
+/**
+ * @typedef ImportResult
+ * @property { EnketoRecord[] } records - the imported records
+ * @property { ImportFailure[] } failures - records that could not be imported
+ */
+
+/**
+ * @typedef ImportFailure
+ * @property { string } name - name of the record in the export file
+ * @property { string } reason - translation key of the reason why the record could not be imported
+ */
+
+/**
+ * @typedef ImportOptions
+ * @property { string } [formId] - ID of the loaded form (root element `id` attribute), used to validate records in
+ * export files created before the exporter added the Enketo ID to meta.json
+ * @property { string[] } [ignoreInstanceIds] - instanceIDs of records to skip silently (e.g. the auto-saved record)
+ */
+
+/**
+ * Reads a records export file created by the exporter and adds its records to the store.
+ *
+ * @param { Blob } zipFile - export file
+ * @param { string } enketoId - Enketo ID of the loaded survey
+ * @param { ImportOptions } [options] - import options
+ * @return { Promise<ImportResult> } a Promise that resolves with the import results
+ */
+function zipToRecords(
+    zipFile,
+    enketoId,
+    { formId, ignoreInstanceIds = [] } = {}
+) {
+    const imported = [];
+    const failures = [];
+
+    return JSZip.loadAsync(zipFile)
+        .then((zip) => {
+            const metaFile = zip.file('meta.json');
+
+            if (!metaFile) {
+                throw _importError(
+                    'alert.import.error.invalidfile',
+                    'This is not a valid records export file (meta.json is missing).'
+                );
+            }
+
+            return metaFile.async('string').then((metaStr) => {
+                const meta = JSON.parse(metaStr);
+
+                if (!Array.isArray(meta)) {
+                    throw _importError(
+                        'alert.import.error.invalidfile',
+                        'This is not a valid records export file (meta.json is invalid).'
+                    );
+                }
+
+                // sequentially to be kind to indexedDB
+                return meta
+                    .filter(
+                        (folderMeta) =>
+                            !ignoreInstanceIds.includes(folderMeta.instanceID)
+                    )
+                    .reduce(
+                        (prevPromise, folderMeta) =>
+                            prevPromise.then(() =>
+                                _importRecord(zip, folderMeta, enketoId, formId)
+                                    .then((record) => {
+                                        imported.push(record);
+                                    })
+                                    .catch((error) => {
+                                        console.error(
+                                            'record import failed',
+                                            error
+                                        );
+                                        failures.push({
+                                            name:
+                                                folderMeta['local name'] ||
+                                                folderMeta.folder,
+                                            reason:
+                                                error.translationKey ||
+                                                'alert.import.failure.unknown',
+                                        });
+                                    })
+                            ),
+                        Promise.resolve()
+                    );
+            });
+        })
+        .then(() => ({
+            records: imported,
+            failures,
+        }));
+}
+
+/**
+ * @param { JSZip } zip - the loaded export file
+ * @param { object } folderMeta - meta.json item of the record
+ * @param { string } enketoId - Enketo ID of the loaded survey
+ * @param { string } [formId] - ID of the loaded form
+ * @return { Promise<EnketoRecord> } a Promise that resolves with the stored record
+ */
+function _importRecord(zip, folderMeta, enketoId, formId) {
+    const folderName = folderMeta.folder;
+    const xmlFile = folderName
+        ? zip.file(`${folderName}/submission.xml`)
+        : null;
+
+    if (!xmlFile) {
+        return Promise.reject(
+            _importError(
+                'alert.import.failure.missingxml',
+                'submission.xml is missing.'
+            )
+        );
+    }
+
+    if (folderMeta.enketoId && folderMeta.enketoId !== enketoId) {
+        return Promise.reject(
+            _importError(
+                'alert.import.failure.otherform',
+                'record belongs to another form.'
+            )
+        );
+    }
+
+    return xmlFile
+        .async('string')
+        .then((xmlStr) => {
+            // remove the XML declaration that was added by the exporter
+            const xml = xmlStr.replace(/^\s*<\?xml[^>]*\?>\s*/, '');
+            const doc = parser.parseFromString(xml, 'text/xml');
+            const root = doc.documentElement;
+
+            if (!root || doc.querySelector('parsererror')) {
+                throw _importError(
+                    'alert.import.failure.invalidxml',
+                    'submission.xml is not valid XML.'
+                );
+            }
+            if (
+                !folderMeta.enketoId &&
+                formId &&
+                root.getAttribute('id') !== formId
+            ) {
+                throw _importError(
+                    'alert.import.failure.otherform',
+                    'record belongs to another form.'
+                );
+            }
+
+            // the element may have a namespace prefix (e.g. orx:instanceID)
+            const instanceIdEl = doc.getElementsByTagNameNS(
+                '*',
+                'instanceID'
+            )[0];
+            const instanceId =
+                folderMeta.instanceID ||
+                (instanceIdEl ? instanceIdEl.textContent.trim() : null);
+
+            if (!instanceId) {
+                throw _importError(
+                    'alert.import.failure.noinstanceid',
+                    'record has no instanceID.'
+                );
+            }
+
+            return store.record.get(instanceId).then((existing) => {
+                if (existing) {
+                    throw _importError(
+                        'alert.import.failure.duplicate',
+                        'record is already present in the queue.'
+                    );
+                }
+
+                return _getAvailableName(
+                    enketoId,
+                    folderMeta['local name'] || folderName
+                ).then((name) =>
+                    _getFiles(zip, folderName).then((files) => ({
+                        enketoId,
+                        instanceId,
+                        name,
+                        xml,
+                        draft: !!folderMeta.draft,
+                        files,
+                    }))
+                );
+            });
+        })
+        .then((record) => store.record.set(record));
+}
+
+/**
+ * Finds a record name that is not used yet by another record of the survey.
+ * If the name is taken, a number is appended, e.g. "name (2)".
+ *
+ * @param { string } enketoId - Enketo ID of the survey
+ * @param { string } name - desired record name
+ * @param { number } [count] - attempt number
+ * @return { Promise<string> } a Promise that resolves with an available record name
+ */
+function _getAvailableName(enketoId, name, count = 1) {
+    const candidate = count === 1 ? name : `${name} (${count})`;
+
+    return store.record
+        .getByName(enketoId, candidate)
+        .then((existing) =>
+            existing ? _getAvailableName(enketoId, name, count + 1) : candidate
+        );
+}
+
+/**
+ * @param { JSZip } zip - the loaded export file
+ * @param { string } folderName - name of the record folder
+ * @return { Promise<Array<{name: string, item: Blob}>> } a Promise that resolves with the record's media files
+ */
+function _getFiles(zip, folderName) {
+    const tasks = [];
+
+    zip.folder(folderName).forEach((relativePath, file) => {
+        if (!file.dir && relativePath !== 'submission.xml') {
+            tasks.push(
+                file.async('blob').then((item) => ({
+                    name: relativePath,
+                    item,
+                }))
+            );
+        }
+    });
+
+    return Promise.all(tasks);
+}
+
+/**
+ * @param { string } translationKey - translation key of the error message
+ * @param { string } message - error message
+ * @return { Error } error with a translation key
+ */
+function _importError(translationKey, message) {
+    const error = new Error(message);
+    error.translationKey = translationKey;
+
+    return error;
+}
+
+export default {
+    zipToRecords,
+};
@@ -118,3 +118,476 @@ self.addEventListener('fetch', (event) => {
         })
     );
 });
+
+/**
+ * Background uploads of the queue of offline records, so that records are uploaded when connectivity is regained,
+ * even if the form has been closed. The records are read from the IndexedDB database of store.js and posted the same
+ * way as connection.js does it. Uploads are requested by records-queue.js with the Background Sync API and, if
+ * permitted, the Periodic Background Sync API.
+ *
+ * The batching and retry rules (divideIntoBatches, getNextUploadState, isUploadDue) are shared with the webform
+ * and are prepended by the offline-controller.
+ */
+
+const UPLOAD_QUEUE_TAG = 'enketo-upload-queue';
+const DATABASE_NAME = 'enketo';
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === UPLOAD_QUEUE_TAG) {
+        // A rejection makes the browser retry the sync later.
+        event.waitUntil(uploadQueue(!event.lastChance));
+    }
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === UPLOAD_QUEUE_TAG) {
+        event.waitUntil(uploadQueue(false));
+    }
+});
+
+/**
+ * Uploads all final records of all forms.
+ *
+ * @param {boolean} retry - whether to reject if records could not be uploaded because the server was unreachable
+ * @return {Promise<undefined>}
+ */
+function uploadQueue(retry) {
+    // Prevents that the queue is uploaded by a webform page at the same time.
+    const withLock = (fn) =>
+        self.navigator.locks
+            ? self.navigator.locks.request(UPLOAD_QUEUE_TAG, fn)
+            : fn();
+
+    return withLock(() =>
+        openDatabase().then((db) => {
+            if (!db) {
+                return;
+            }
+
+            const results = [];
+
+            return getAll(db, 'records')
+                .then((records) =>
+                    records
+                        .filter(
+                            (record) =>
+                                !record.draft &&
+                                !record.instanceId.startsWith('__autoSave_') &&
+                                // skip records that failed recently or that failed permanently
+                                isUploadDue(record)
+                        )
+                        .reduce(
+                            (prevPromise, record) =>
+                                prevPromise.then(() =>
+                                    uploadRecord(db, record)
+                                        .then((uploaded) => {
+                                            if (uploaded) {
+                                                results.push({ record });
+                                            }
+                                        })
+                                        .catch((error) => {
+                                            console.log(
+                                                'Background upload failed',
+                                                record.instanceId,
+                                                error
+                                            );
+                                            results.push({ record, error });
+
+                                            return setUploadState(
+                                                db,
+                                                record,
+                                                error.status || 0
+                                            );
+                                        })
+                                ),
+                            Promise.resolve()
+                        )
+                )
+                .then(() => {
+                    db.close();
+
+                    return notifyClients(results);
+                })
+                .then(() => {
+                    const unreachable = results.some(
+                        ({ error }) =>
+                            error && (!error.status || error.status === 408)
+                    );
+
+                    if (retry && unreachable) {
+                        throw new Error('Server unreachable, retrying later.');
+                    }
+                });
+        })
+    );
+}
+
+/**
+ * Uploads a single record in batches, like connection._uploadRecord, and removes it from the queue.
+ * Records of forms that have not been opened since background uploads were introduced are left to the webform page.
+ *
+ * @param {IDBDatabase} db
+ * @param {object} record - record object as stored by store.js
+ * @return {Promise<boolean>} whether the record was uploaded
+ */
+function uploadRecord(db, record) {
+    return get(db, 'properties', `${record.enketoId}:upload`).then(
+        (uploadSettings) => {
+            if (!uploadSettings) {
+                return false;
+            }
+
+            return Promise.all(
+                (record.files || []).map((name) =>
+                    get(db, 'files', `${record.instanceId}:${name}`).then(
+                        (item) => toFile(item, name)
+                    )
+                )
+            )
+                .then((files) =>
+                    prepareBatches(
+                        record,
+                        files.filter((file) => file),
+                        uploadSettings
+                    )
+                )
+                .then((batches) =>
+                    batches.reduce(
+                        (prevPromise, batch) =>
+                            prevPromise.then(() =>
+                                uploadBatch(batch, uploadSettings)
+                            ),
+                        Promise.resolve()
+                    )
+                )
+                .then(() => removeRecord(db, record))
+                .then(() => true);
+        }
+    );
+}
+
+/**
+ * Builds up the batches of a record, like connection._prepareFormDataArray. Since the DOMParser is
+ * not available in service workers, the file elements are found with a regular expression.
+ *
+ * @param {object} record - record object
+ * @param {Array<File>} files - files of the record
+ * @param {object} uploadSettings - upload settings of the form, see connection.getUploadSettings
+ * @return {Promise<Array<{instanceId: string, deprecatedId: string, formData: FormData}>>}
+ */
+function prepareBatches(record, files, uploadSettings) {
+    const fileElement =
+        /<([^\s/>]+)([^>]*?)\s+type="file"([^>]*?)(\/>|>([^<]*)<\/\1>)/g;
+    const submissionFiles = [];
+    const xmlData = record.xml.replace(
+        fileElement,
+        (match, nodeName, before, after, end, content = '') => {
+            const fileName = unescapeXml(content);
+            const file = files.find((f) => f.name === fileName);
+
+            if (file) {
+                submissionFiles.push(file);
+            } else {
+                console.error(
+                    `Error occured when trying to retrieve ${fileName}`
+                );
+            }
+
+            return `<${nodeName}${before}${after}${end}`;
+        }
+    );
+    const xmlSubmissionBlob = new Blob([xmlData], { type: 'text/xml' });
+    const batches =
+        submissionFiles.length > 0
+            ? divideIntoBatches(
+                  submissionFiles.map((file) => file.size),
+                  uploadSettings.maxSize
+              )
+            : [[]];
+
+    return getCsrfToken(uploadSettings.csrfCookieName).then((csrfToken) =>
+        batches.map((batch) => {
+            const formData = new FormData();
+
+            formData.append(
+                'xml_submission_file',
+                xmlSubmissionBlob,
+                'xml_submission_file'
+            );
+            if (csrfToken) {
+                formData.append(uploadSettings.csrfCookieName, csrfToken);
+            }
+            batch.forEach((fileIndex) => {
+                const file = submissionFiles[fileIndex];
+                formData.append(file.name, file, file.name);
+            });
+
+            return {
+                instanceId: record.instanceId,
+                deprecatedId: record.deprecatedId,
+                formData,
+            };
+        })
+    );
+}
+
+/**
+ * Posts a single batch, like connection._uploadBatch.
+ *
+ * @param {{instanceId: string, deprecatedId: string, formData: FormData}} batch
+ * @param {object} uploadSettings - upload settings of the form
+ * @return {Promise<undefined>} a Promise that rejects with an error with a status if the server rejected the batch,
+ * or without a status if the server was unreachable
+ */
+function uploadBatch(batch, uploadSettings) {
+    const controller = new AbortController();
+    const headers = {
+        'X-OpenRosa-Version': '1.0',
+        'X-OpenRosa-Instance-Id': batch.instanceId,
+    };
+
+    if (batch.deprecatedId) {
+        headers['X-OpenRosa-Deprecated-Id'] = batch.deprecatedId;
+    }
+
+    setTimeout(() => {
+        controller.abort();
+    }, uploadSettings.timeout);
+
+    return fetch(uploadSettings.submissionUrl, {
+        method: 'POST',
+        cache: 'no-cache',
+        credentials: 'same-origin',
+        headers,
+        signal: controller.signal,
+        body: batch.formData,
+    })
+        .catch((error) => {
+            if (error.name === 'AbortError') {
+                error.status = 408;
+            }
+            throw error;
+        })
+        .then((response) => {
+            if (response.status !== 201 && response.status !== 202) {
+                const error = new Error(
+                    `Submission failed with status ${response.status}`
+                );
+                error.status = response.status;
+                throw error;
+            }
+        });
+}
+
+/**
+ * Stores the upload state of a record after a failed upload attempt, like records-queue.uploadQueue.
+ *
+ * @param {IDBDatabase} db
+ * @param {object} record - record object as stored by store.js
+ * @param {number} status - HTTP status of the failed upload, `0` if the server was unreachable
+ * @return {Promise<undefined>}
+ */
+function setUploadState(db, record, status) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction('records', 'readwrite');
+        const records = transaction.objectStore('records');
+        const request = records.get(record.instanceId);
+
+        // the record may have been changed in a webform page meanwhile
+        request.onsuccess = () => {
+            if (request.result) {
+                records.put({
+                    ...request.result,
+                    ...getNextUploadState(request.result, status),
+                });
+            }
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Removes an uploaded record and its files, and marks it as submitted, like records-queue.uploadQueue.
+ *
+ * @param {IDBDatabase} db
+ * @param {object} record - record object
+ * @return {Promise<undefined>}
+ */
+function removeRecord(db, record) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(
+            ['records', 'files', 'properties'],
+            'readwrite'
+        );
+        const properties = transaction.objectStore('properties');
+        const statsRequest = properties.get(`${record.enketoId}:stats`);
+
+        transaction.objectStore('records').delete(record.instanceId);
+        (record.files || []).forEach((name) => {
+            transaction
+                .objectStore('files')
+                .delete(`${record.instanceId}:${name}`);
+        });
+        statsRequest.onsuccess = () => {
+            const stats = statsRequest.result || {
+                name: `${record.enketoId}:stats`,
+            };
+            stats.submitted = (stats.submitted || []).concat(record.instanceId);
+            properties.put(stats);
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Lets open webform pages update their record list and show feedback.
+ *
+ * @param {Array<{record: object, error?: Error}>} results
+ * @return {Promise<undefined>}
+ */
+function notifyClients(results) {
+    if (results.length === 0) {
+        return Promise.resolve();
+    }
+
+    const message = {
+        type: UPLOAD_QUEUE_TAG,
+        results: results.map(({ record, error }) => ({
+            enketoId: record.enketoId,
+            instanceId: record.instanceId,
+            name: record.name,
+            status: error ? error.status || 0 : 201,
+        })),
+    };
+
+    return self.clients
+        .matchAll({ type: 'window' })
+        .then((clients) =>
+            clients.forEach((client) => client.postMessage(message))
+        );
+}
+
+/**
+ * Opens the existing database of store.js, without creating or upgrading it.
+ *
+ * @return {Promise<IDBDatabase | null>} the database or null if it does not exist
+ */
+function openDatabase() {
+    return new Promise((resolve) => {
+        const request = indexedDB.open(DATABASE_NAME);
+
+        request.onupgradeneeded = () => {
+            // The database does not exist yet.
+            request.transaction.abort();
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+
+            if (
+                ['records', 'files', 'properties'].every((name) =>
+                    db.objectStoreNames.contains(name)
+                )
+            ) {
+                resolve(db);
+            } else {
+                db.close();
+                resolve(null);
+            }
+        };
+        request.onerror = () => resolve(null);
+        request.onblocked = () => resolve(null);
+    });
+}
+
+/**
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {string} key
+ * @return {Promise<any>}
+ */
+function get(db, storeName, key) {
+    return new Promise((resolve, reject) => {
+        const request = db
+            .transaction(storeName, 'readonly')
+            .objectStore(storeName)
+            .get(key);
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @return {Promise<Array<any>>}
+ */
+function getAll(db, storeName) {
+    return new Promise((resolve, reject) => {
+        const request = db
+            .transaction(storeName, 'readonly')
+            .objectStore(storeName)
+            .getAll();
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Converts a stored file, which is a Blob or a data URI if the browser does not support storing Blobs.
+ *
+ * @param {Blob | string | undefined} item - stored file
+ * @param {string} name - file name
+ * @return {Promise<File | undefined>}
+ */
+function toFile(item, name) {
+    if (item instanceof Blob) {
+        return Promise.resolve(new File([item], name, { type: item.type }));
+    }
+    if (typeof item === 'string') {
+        return fetch(item)
+            .then((response) => response.blob())
+            .then((blob) => new File([blob], name, { type: blob.type }));
+    }
+
+    return Promise.resolve(undefined);
+}
+
+/**
+ * @param {string} name - CSRF cookie name
+ * @return {Promise<string | undefined>} CSRF token
+ */
+function getCsrfToken(name) {
+    if (!name || !self.cookieStore) {
+        return Promise.resolve(undefined);
+    }
+
+    return self.cookieStore
+        .get(name)
+        .then((cookie) => (cookie ? cookie.value : undefined))
+        .catch(() => undefined);
+}
+
+/**
+ * @param {string} value - XML text content
+ * @return {string} unescaped text
+ */
+function unescapeXml(value) {
+    const entities = {
+        '&lt;': '<',
+        '&gt;': '>',
+        '&quot;': '"',
+        '&apos;': "'",
+        '&amp;': '&',
+    };
+
+    return value.replace(
+        /&(lt|gt|quot|apos|amp);/g,
+        (entity) => entities[entity]
+    );
+}
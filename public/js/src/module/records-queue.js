@@ -10,11 +10,19 @@ import gui from './gui';
 import events from './event';
 import settings from './settings';
 import exporter from './exporter';
+import importer from './importer';
 import { t } from './translator';
 import formCache from './form-cache';
 import { setLastSavedRecord } from './last-saved';
+import {
+    getUploadPercentage,
+    getUploadProgressMessage,
+} from './upload-progress';
+import { getNextUploadState, isUploadDue } from './upload-retry';
 
 let $exportButton;
+let $sendExportButton;
+let $importButton;
 let $uploadButton;
 let $recordList;
 let $queueNumber;
@@ -22,6 +30,10 @@ let uploadProgress;
 let finalRecordPresent;
 let uploadOngoing = false;
 
+// Also used by the offline-app-worker
+const BACKGROUND_UPLOAD_TAG = 'enketo-upload-queue';
+let uploadTimeout;
+
 /**
  * @typedef {import('../../app/models/record-model').EnketoRecord} EnketoRecord
  */
@@ -32,9 +44,15 @@ function init() {
     // TODO: Add export feature
 
     $exportButton = $('.record-list__button-bar__button.export');
+    $sendExportButton = $('.record-list__button-bar__button.send-export');
+    $importButton = $('.record-list__button-bar__button.import');
     $uploadButton = $('.record-list__button-bar__button.upload');
     $queueNumber = $('.offline-enabled__queue-length');
 
+    document.addEventListener(events.UploadProgress().type, (event) => {
+        uploadProgress.progress(event.detail);
+    });
+
     return _updateRecordList();
 }
 
@@ -92,6 +110,11 @@ function save(action, record) {
         .then((record) => {
             result = record;
 
+            if (!record.draft) {
+                // Uploads the record, even if the form is closed before it was uploaded.
+                _requestBackgroundUpload().catch(() => {});
+            }
+
             return result;
         })
         .then(({ enketoId }) => formCache.get({ enketoId }))
@@ -182,9 +205,13 @@ function setActive(instanceId) {
 }
 
 /**
- * Sets the interval to upload queued records
+ * Sets the interval to upload queued records. Where the Background Sync API is supported, the service worker
+ * also uploads the queued records, when connectivity is regained, even if the form has been closed.
  */
 function _setUploadIntervals() {
+    _listenToBackgroundUploads();
+    // without background uploads, the queue is only uploaded while the form is open
+    _requestBackgroundUpload().catch(() => {});
     // one quick upload attempt soon after page load
     setTimeout(() => {
         uploadQueue();
@@ -195,6 +222,110 @@ function _setUploadIntervals() {
     }, 5 * 60 * 1000);
 }
 
+/**
+ * Asks the service worker to upload the queued records as soon as there is connectivity, and, if permitted,
+ * periodically.
+ *
+ * @return { Promise<undefined> } a Promise that rejects if background uploads are not available
+ */
+function _requestBackgroundUpload() {
+    if (!('serviceWorker' in navigator) || !('SyncManager' in window)) {
+        return Promise.reject(new Error('Background Sync is not supported'));
+    }
+
+    // The service worker may not become active, e.g. if its registration failed.
+    const timeout = new Promise((resolve, reject) => {
+        setTimeout(() => {
+            reject(new Error('No active service worker'));
+        }, 30 * 1000);
+    });
+
+    return store.property
+        .update({
+            name: `${settings.enketoId}:upload`,
+            ...connection.getUploadSettings(),
+        })
+        .then(() => Promise.race([navigator.serviceWorker.ready, timeout]))
+        .then((registration) => {
+            const tasks = [registration.sync.register(BACKGROUND_UPLOAD_TAG)];
+
+            if ('periodicSync' in registration) {
+                tasks.push(
+                    registration.periodicSync
+                        .register(BACKGROUND_UPLOAD_TAG, {
+                            minInterval: 5 * 60 * 1000,
+                        })
+                        // requires permission, without it records are still uploaded when connectivity is regained
+                        .catch(() => {})
+                );
+            }
+
+            return Promise.all(tasks);
+        })
+        .then(() => undefined);
+}
+
+/**
+ * Updates the record list and shows feedback when the service worker uploaded records.
+ */
+function _listenToBackgroundUploads() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (!event.data || event.data.type !== BACKGROUND_UPLOAD_TAG) {
+            return;
+        }
+
+        const successes = event.data.results
+            .filter(
+                (result) =>
+                    result.enketoId === settings.enketoId &&
+                    result.status === 201
+            )
+            .map((result) => result.name);
+
+        if (successes.length > 0) {
+            document.dispatchEvent(events.QueueSubmissionSuccess(successes));
+        }
+        _updateRecordList();
+    });
+}
+
+/**
+ * Schedules an upload attempt for the first record that is due, in addition to the regular upload attempts.
+ *
+ * @param { EnketoRecord[] } records - the queued records
+ */
+function _scheduleUpload(records) {
+    const nextUploadAttempt = Math.min(
+        ...records
+            .filter((record) => !record.draft && record.nextUploadAttempt)
+            .map((record) => record.nextUploadAttempt)
+    );
+
+    clearTimeout(uploadTimeout);
+
+    if (Number.isFinite(nextUploadAttempt)) {
+        uploadTimeout = setTimeout(() => {
+            uploadQueue();
+        }, Math.max(nextUploadAttempt - Date.now(), 0));
+    }
+}
+
+/**
+ * Prevents that the queue is uploaded by several pages or by the service worker at the same time.
+ *
+ * @param { function(): Promise<undefined> } fn - function that uploads records
+ * @return { Promise<undefined> }
+ */
+function _withUploadLock(fn) {
+    return navigator.locks
+        ? navigator.locks.request(BACKGROUND_UPLOAD_TAG, fn)
+        : fn();
+}
+
 /**
  * Uploads all final records in the queue
  * @param {boolean=} byUser Whether user triggered upload by clicking button.
@@ -211,108 +342,124 @@ function uploadQueue(byUser = false) {
 
     uploadOngoing = true;
     $uploadButton.btnBusyState(true);
-    return connection
-        .getOnlineStatus()
-        .then((appearsOnline) => {
-            if (!appearsOnline) {
-                if (byUser) {
-                    gui.alert(
-                        t('submission.http0'),
-                        t('alert.submissionerror.heading')
-                    );
+    return _withUploadLock(() =>
+        connection
+            .getOnlineStatus()
+            .then((appearsOnline) => {
+                if (!appearsOnline) {
+                    if (byUser) {
+                        gui.alert(
+                            t('submission.http0'),
+                            t('alert.submissionerror.heading')
+                        );
+                    }
+                    $uploadButton.btnBusyState(false);
+                    return;
                 }
-                $uploadButton.btnBusyState(false);
-                return;
-            }
 
-            return getDisplayableRecordList(settings.enketoId, {
-                finalOnly: true,
-            });
-        })
-        .then((records) => {
-            if (!records || records.length === 0) {
-                uploadOngoing = false;
+                return getDisplayableRecordList(settings.enketoId, {
+                    finalOnly: true,
+                });
+            })
+            .then((records) => {
+                // Automatic uploads skip records that failed recently or that failed permanently.
+                if (records && !byUser) {
+                    records = records.filter((record) => isUploadDue(record));
+                }
+                if (!records || records.length === 0) {
+                    uploadOngoing = false;
 
-                return;
-            }
-            console.debug(`Uploading queue of ${records.length} records.`);
-
-            // Perform record uploads sequentially for nicer feedback and to avoid issues when connections are very poor
-            return records.reduce(
-                (prevPromise, record) =>
-                    prevPromise.then(() =>
-                        // get the whole record including files
-                        store.record
-                            .get(record.instanceId)
-                            .then((record) => {
-                                // convert record.files to a simple <File> array
-                                record.files = record.files.map((object) => {
-                                    // do not add name property if already has one (a File will throw exception)
-                                    if (
-                                        typeof object.item.name === 'undefined'
-                                    ) {
-                                        object.item.name = object.name;
+                    return;
+                }
+                console.debug(`Uploading queue of ${records.length} records.`);
+
+                // Perform record uploads sequentially for nicer feedback and to avoid issues when connections are very poor
+                return records.reduce(
+                    (prevPromise, record) =>
+                        prevPromise.then(() =>
+                            // get the whole record including files
+                            store.record
+                                .get(record.instanceId)
+                                .then((record) => {
+                                    // convert record.files to a simple <File> array
+                                    record.files = record.files.map(
+                                        (object) => {
+                                            // do not add name property if already has one (a File will throw exception)
+                                            if (
+                                                typeof object.item.name ===
+                                                'undefined'
+                                            ) {
+                                                object.item.name = object.name;
+                                            }
+
+                                            return object.item;
+                                        }
+                                    );
+                                    uploadProgress.update(
+                                        record.instanceId,
+                                        'ongoing'
+                                    );
+
+                                    return connection.uploadQueuedRecord(
+                                        record
+                                    );
+                                })
+                                .then(() => {
+                                    successes.push(record.name);
+                                    uploadProgress.update(
+                                        record.instanceId,
+                                        'success'
+                                    );
+
+                                    return store.record
+                                        .remove(record.instanceId)
+                                        .then(() =>
+                                            store.property.addSubmittedInstanceId(
+                                                record
+                                            )
+                                        );
+                                })
+                                .catch((result) => {
+                                    // catch 401 responses (1 of them)
+                                    if (result.status === 401) {
+                                        authRequired = true;
                                     }
+                                    // if any non HTTP error occurs, output the error.message
+                                    errorMsg =
+                                        result.message ||
+                                        gui.getErrorResponseMsg(result.status);
+                                    uploadProgress.update(
+                                        record.instanceId,
+                                        'error',
+                                        errorMsg
+                                    );
 
-                                    return object.item;
-                                });
-                                uploadProgress.update(
-                                    record.instanceId,
-                                    'ongoing'
-                                );
-
-                                return connection.uploadQueuedRecord(record);
-                            })
-                            .then(() => {
-                                successes.push(record.name);
-                                uploadProgress.update(
-                                    record.instanceId,
-                                    'success'
-                                );
-
-                                return store.record
-                                    .remove(record.instanceId)
-                                    .then(() =>
-                                        store.property.addSubmittedInstanceId(
-                                            record
+                                    return store.record.setUploadState(
+                                        record.instanceId,
+                                        getNextUploadState(
+                                            record,
+                                            result.status || 0
                                         )
                                     );
-                            })
-                            .catch((result) => {
-                                // catch 401 responses (1 of them)
-                                if (result.status === 401) {
-                                    authRequired = true;
-                                }
-                                // if any non HTTP error occurs, output the error.message
-                                errorMsg =
-                                    result.message ||
-                                    gui.getErrorResponseMsg(result.status);
-                                uploadProgress.update(
-                                    record.instanceId,
-                                    'error',
-                                    errorMsg
-                                );
-                            })
-                    ),
-                Promise.resolve()
-            );
-        })
-        .then(() => {
-            uploadOngoing = false;
-            $uploadButton.btnBusyState(false);
-
-            if (authRequired) {
-                gui.confirmLogin();
-            } else if (successes.length > 0) {
-                // let gui send a feedback message
-                document.dispatchEvent(
-                    events.QueueSubmissionSuccess(successes)
+                                })
+                        ),
+                    Promise.resolve()
                 );
-            }
+            })
+    ).then(() => {
+        uploadOngoing = false;
+        $uploadButton.btnBusyState(false);
+
+        if (authRequired) {
+            gui.confirmLogin();
+        } else if (successes.length > 0) {
+            // let gui send a feedback message
+            document.dispatchEvent(events.QueueSubmissionSuccess(successes));
+        }
 
-            // update the list by properly removing obsolete records, reactivating button(s)
-            _updateRecordList();
-        });
+        // update the list by properly removing obsolete records, reactivating button(s)
+        _updateRecordList();
+    });
 }
 
 /**
@@ -337,6 +484,69 @@ function exportToZip(formTitle) {
         });
 }
 
+/**
+ * Creates a zip file of all locally-saved records and sends it to Enketo.
+ *
+ * @param { string } formTitle - the title of the form
+ * @param { string } token - export token that was obtained with the form
+ * @return {Promise<{bundle_id: string, records: number}>} a Promise that resolves with the bundle information
+ */
+function sendExport(formTitle, token) {
+    $sendExportButton.btnBusyState(true);
+
+    return exporter
+        .recordsToZip(settings.enketoId, formTitle)
+        .catch((error) => {
+            // Also send an incomplete file, but let the user know.
+            if (error.exportFile) {
+                return connection
+                    .uploadRecordsExport(error.exportFile, token)
+                    .then(() => {
+                        throw error;
+                    });
+            }
+            throw error;
+        })
+        .then((blob) => connection.uploadRecordsExport(blob, token))
+        .then((result) => {
+            $sendExportButton.btnBusyState(false);
+
+            return result;
+        })
+        .catch((error) => {
+            $sendExportButton.btnBusyState(false);
+            throw error;
+        });
+}
+
+/**
+ * Adds the records from a zip file created by {@link exportToZip} to the queue.
+ *
+ * @param { Blob } zipFile - the export file
+ * @param { string } [formId] - the ID of the form, to validate records from older export files
+ * @return {Promise<import('./importer').ImportResult>} a Promise that resolves with the import results
+ */
+function importFromZip(zipFile, formId) {
+    $importButton.btnBusyState(true);
+
+    return importer
+        .zipToRecords(zipFile, settings.enketoId, {
+            formId,
+            ignoreInstanceIds: [getAutoSavedKey()],
+        })
+        .then((result) =>
+            _updateRecordList().then(() => {
+                $importButton.btnBusyState(false);
+
+                return result;
+            })
+        )
+        .catch((error) => {
+            $importButton.btnBusyState(false);
+            throw error;
+        });
+}
+
 /**
  * Shows upload progress and record-specific feedback
  *
@@ -382,12 +592,51 @@ uploadProgress = {
         // update the status class
         this._updateClass($li, status);
 
+        if (status !== 'ongoing') {
+            $li.find('.record-list__records__record__progress').remove();
+        }
+
         // hide successful submissions from record list in side bar
         // they will be properly removed later in _updateRecordList
         if (status === 'success') {
             $li.hide(1500);
         }
     },
+    /**
+     * Shows the number of bytes that have been uploaded of a record and of each of its files.
+     *
+     * @param { import('./upload-progress').UploadProgress } progress
+     */
+    progress(progress) {
+        const $li = this._getLi(progress.instanceId);
+        let $progress = $li.find('.record-list__records__record__progress');
+
+        if ($li.length === 0) {
+            return;
+        }
+        if ($progress.length === 0) {
+            $progress = $(
+                // not a list, because list items are treated as records
+                '<div class="record-list__records__record__progress"><progress></progress><span></span><div></div></div>'
+            ).appendTo($li);
+        }
+
+        $progress.find('progress').prop({
+            max: progress.total,
+            value: progress.loaded,
+        });
+        $progress.find('span').text(getUploadProgressMessage(progress));
+        $progress
+            .children('div')
+            .empty()
+            .append(
+                progress.files.map((file) =>
+                    $('<div />').text(
+                        `${file.name}: ${getUploadPercentage(file)}%`
+                    )
+                )
+            );
+    },
 };
 
 /**
@@ -420,6 +669,7 @@ function _updateRecordList() {
 
     // reset the list
     $exportButton.prop('disabled', true);
+    $sendExportButton.prop('disabled', true);
     $uploadButton.prop('disabled', true);
     $recordList = $('.record-list__records');
     finalRecordPresent = false;
@@ -441,6 +691,7 @@ function _updateRecordList() {
         } else {
             $recordList.find('.record-list__records--none').remove();
             $exportButton.prop('disabled', false);
+            $sendExportButton.prop('disabled', false);
         }
 
         // remove records that no longer exist
@@ -469,10 +720,47 @@ function _updateRecordList() {
             }
             // add or update properties
             $li.text(record.name).attr('data-draft', !!record.draft);
+            _showUploadState($li, record);
         });
+
+        _scheduleUpload(records);
     });
 }
 
+/**
+ * Shows the state of failed upload attempts of a record in the record list.
+ *
+ * @param { jQuery } $li - the list item of the record
+ * @param { EnketoRecord } record - the record
+ */
+function _showUploadState($li, record) {
+    let state = '';
+    let message = '';
+
+    if (!record.draft && record.uploadAttempts) {
+        const status =
+            record.lastUploadStatus || t('record-list.upload-state.offline');
+
+        if (record.nextUploadAttempt === Infinity) {
+            state = 'stopped';
+            message = t('record-list.upload-state.stopped', { status });
+        } else {
+            state = 'retry';
+            message = t('record-list.upload-state.retry', {
+                count: record.uploadAttempts,
+                status,
+                time: new Date(record.nextUploadAttempt).toLocaleTimeString(),
+            });
+        }
+
+        $('<span class="record-list__records__record__upload-state" />')
+            .text(message)
+            .appendTo($li);
+    }
+
+    $li.attr('data-upload-state', state);
+}
+
 /**
  * Completely flush the form cache (not the record storage)
  *
@@ -502,4 +790,6 @@ export default {
     setActive,
     uploadQueue,
     exportToZip,
+    sendExport,
+    importFromZip,
 };
@@ -613,6 +613,20 @@ const recordStore = {
                 return records.sort((a, b) => a.updated - b.updated);
             });
     },
+    /**
+     * Obtains a single record of a survey by its name without record files
+     *
+     * @param { string } enketoId - EnketoId of the survey the record belongs to
+     * @param { string } name - the (unique per survey) name of the record
+     * @return { Promise<EnketoRecord|undefined> } A record from the database.
+     */
+    getByName(enketoId, name) {
+        return server.records
+            .query('recordName')
+            .only([enketoId, name])
+            .execute()
+            .then(_firstItemOnly);
+    },
     /**
      * Sets a new single record (XML + files)
      *
@@ -763,6 +777,45 @@ const recordStore = {
                     )
             );
     },
+    /**
+     * Updates the upload state of a record, without marking the record as updated. The record is read and written
+     * in a single transaction, so that changes that were made to the record during the upload are not overwritten.
+     *
+     * @param { string } instanceId - the instance ID of the record
+     * @param { Pick<EnketoRecord, 'uploadAttempts' | 'lastUploadStatus' | 'nextUploadAttempt'> } uploadState - the upload state
+     * @return { Promise<undefined> }
+     */
+    setUploadState(instanceId, uploadState) {
+        return new Promise((resolve, reject) => {
+            const transaction = server
+                .getIndexedDB()
+                .transaction('records', 'readwrite');
+            const records = transaction.objectStore('records');
+            const request = records.get(instanceId);
+
+            request.onsuccess = () => {
+                const record = request.result;
+
+                if (record) {
+                    const {
+                        uploadAttempts,
+                        lastUploadStatus,
+                        nextUploadAttempt,
+                    } = uploadState;
+
+                    records.put({
+                        ...record,
+                        uploadAttempts,
+                        lastUploadStatus,
+                        nextUploadAttempt,
+                    });
+                }
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    },
     /**
      * Removes a single record (XML + files)
      *
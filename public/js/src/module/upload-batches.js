@@ -0,0 +1,39 @@
+/**
+ * Divides the files of a record into batches for submission. This module is also included in the
+ * offline-app-worker, so it cannot import anything.
+ */
+
+/**
+ * splits an array of file sizes into batches (for submission) based on a limit
+ *
+ * @param  {Array.<number>} fileSizes -   array of file sizes
+ * @param  {number}     limit -   limit in byte size of one chunk (can be exceeded for a single item)
+ * @return {Array.<Array.<number>>} array of arrays with index, each secondary array of indices represents a batch
+ */
+// eslint-disable-next-line import/prefer-default-export
+export function divideIntoBatches(fileSizes, limit) {
+    const sizes = fileSizes.map((size, index) => ({ index, size }));
+    const batches = [];
+
+    while (sizes.length > 0) {
+        const batch = [sizes[0].index];
+        let batchSize = sizes[0].size;
+
+        if (sizes[0].size < limit) {
+            for (let i = 1; i < sizes.length; i++) {
+                if (batchSize + sizes[i].size < limit) {
+                    batch.push(sizes[i].index);
+                    batchSize += sizes[i].size;
+                }
+            }
+        }
+        batches.push(batch);
+        for (let i = sizes.length - 1; i >= 0; i--) {
+            if (batch.includes(sizes[i].index)) {
+                sizes.splice(i, 1);
+            }
+        }
+    }
+
+    return batches;
+}
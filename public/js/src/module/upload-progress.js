@@ -0,0 +1,147 @@
+/**
+ * Keeps track of the progress of a record upload, which is reported with `uploadprogress` events.
+ */
+
+import events from './event';
+import { t } from './translator';
+
+/**
+ * @typedef UploadFile
+ * @property { string } name
+ * @property { number } size
+ */
+
+/**
+ * @typedef UploadFileProgress
+ * @property { string } name
+ * @property { number } loaded - number of bytes that have been sent
+ * @property { number } total - size of the file in bytes
+ */
+
+/**
+ * @typedef UploadProgress
+ * @property { string } instanceId
+ * @property { number } loaded - number of bytes of the record that have been sent
+ * @property { number } total - size of the record in bytes
+ * @property { number | null } eta - estimated remaining time in milliseconds, or `null` if it is not known yet
+ * @property { UploadFileProgress[] } files - progress of each attachment
+ */
+
+/**
+ * @typedef UploadProgressTracker
+ * @property { (batchIndex: number, loaded: number[], now?: number) => UploadProgress } update - reports the number
+ * of bytes that have been sent of each file of a batch
+ */
+
+const XML_SUBMISSION_FILE = 'xml_submission_file';
+// The remaining time is only estimated once the upload speed has been measured for a while.
+const MIN_ETA_DURATION = 2000;
+
+/**
+ * @param { string } instanceId - instanceID of the record
+ * @param { UploadFile[][] } batches - files of each batch of the record
+ * @return { UploadProgressTracker }
+ */
+export const createUploadProgressTracker = (instanceId, batches) => {
+    const loadedByBatch = batches.map((files) => files.map(() => 0));
+    const total = _sum(batches.flat().map((file) => file.size));
+    let start;
+    let startLoaded;
+
+    const update = (batchIndex, loaded, now = Date.now()) => {
+        loadedByBatch[batchIndex] = batches[batchIndex].map((file, index) =>
+            Math.min(loaded[index] || 0, file.size)
+        );
+
+        const loadedTotal = _sum(loadedByBatch.flat());
+        let eta = null;
+
+        // An upload may resume where a previous attempt stopped, so the speed is measured from the first update.
+        if (typeof start === 'undefined') {
+            start = now;
+            startLoaded = loadedTotal;
+        } else if (
+            now - start >= MIN_ETA_DURATION &&
+            loadedTotal > startLoaded
+        ) {
+            eta = Math.round(
+                ((total - loadedTotal) * (now - start)) /
+                    (loadedTotal - startLoaded)
+            );
+        }
+
+        /** @type { UploadProgress } */
+        const progress = {
+            instanceId,
+            loaded: loadedTotal,
+            total,
+            eta,
+            files: batches.flatMap((files, batchIndex) =>
+                files
+                    .map((file, index) => ({
+                        name: file.name,
+                        loaded: loadedByBatch[batchIndex][index],
+                        total: file.size,
+                    }))
+                    // the record itself is included in every batch
+                    .filter((file) => file.name !== XML_SUBMISSION_FILE)
+            ),
+        };
+
+        document.dispatchEvent(events.UploadProgress(progress));
+
+        return progress;
+    };
+
+    return { update };
+};
+
+/**
+ * @param { UploadProgress | UploadFileProgress } progress
+ * @return { number } percentage that has been sent
+ */
+export const getUploadPercentage = ({ loaded, total }) =>
+    total ? Math.floor((loaded * 100) / total) : 100;
+
+/**
+ * @param { UploadProgress } progress
+ * @return { string } translated progress message
+ */
+export const getUploadProgressMessage = (progress) => {
+    const params = {
+        loaded: formatBytes(progress.loaded),
+        total: formatBytes(progress.total),
+        percent: getUploadPercentage(progress),
+    };
+
+    if (progress.eta === null) {
+        return t('submission.progress', params);
+    }
+
+    const seconds = Math.max(1, Math.ceil(progress.eta / 1000));
+
+    return t('submission.progress-eta', {
+        ...params,
+        eta:
+            seconds < 60
+                ? t('submission.eta-seconds', { count: seconds })
+                : t('submission.eta-minutes', {
+                      count: Math.ceil(seconds / 60),
+                  }),
+    });
+};
+
+/**
+ * @param { number } bytes
+ * @return { string } human-readable size, in the same units as the maximum submission size
+ */
+export const formatBytes = (bytes) =>
+    bytes < 1000 * 1000
+        ? `${Math.ceil(bytes / 1000)}kB`
+        : `${(bytes / (1000 * 1000)).toFixed(1)}MB`;
+
+/**
+ * @param { number[] } values
+ * @return { number }
+ */
+const _sum = (values) => values.reduce((sum, value) => sum + value, 0);
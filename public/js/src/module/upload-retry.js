@@ -0,0 +1,56 @@
+/**
+ * Determines when failed uploads of queued records are retried automatically.
+ */
+
+/**
+ * @typedef {import('../../../../app/models/record-model').EnketoRecord} EnketoRecord
+ */
+
+// Delay before the first retry of a failed upload, doubled for every subsequent attempt.
+export const UPLOAD_RETRY_DELAY = 60 * 1000;
+export const MAX_UPLOAD_RETRY_DELAY = 6 * 60 * 60 * 1000;
+
+/**
+ * Whether an upload failed in a way that would fail again without changes to the record or user intervention,
+ * e.g. a 400 or 413 response.
+ *
+ * @param { number } status - HTTP status of the failed upload, `0` if the server was unreachable
+ * @return { boolean }
+ */
+export function isPermanentUploadError(status) {
+    return status >= 400 && status < 500 && ![401, 408, 429].includes(status);
+}
+
+/**
+ * Determines the upload state of a record after a failed upload attempt. Automatic uploads are retried with an
+ * exponentially increasing delay, except after permanent errors.
+ *
+ * @param { EnketoRecord } record - the record that failed to upload
+ * @param { number } status - HTTP status of the failed upload, `0` if the server was unreachable
+ * @param { number } [now] - current time
+ * @return { Pick<EnketoRecord, 'uploadAttempts' | 'lastUploadStatus' | 'nextUploadAttempt'> }
+ */
+export function getNextUploadState(record, status, now = Date.now()) {
+    const uploadAttempts = (record.uploadAttempts || 0) + 1;
+    const delay = Math.min(
+        UPLOAD_RETRY_DELAY * 2 ** (uploadAttempts - 1),
+        MAX_UPLOAD_RETRY_DELAY
+    );
+
+    return {
+        uploadAttempts,
+        lastUploadStatus: status,
+        nextUploadAttempt: isPermanentUploadError(status)
+            ? Infinity
+            : now + delay,
+    };
+}
+
+/**
+ * @param { EnketoRecord } record - a queued record
+ * @param { number } [now] - current time
+ * @return { boolean } whether the record should be uploaded automatically
+ */
+export function isUploadDue(record, now = Date.now()) {
+    return !(record.nextUploadAttempt > now);
+}
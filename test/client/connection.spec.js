@@ -25,12 +25,6 @@ import store from '../../public/js/src/module/store';
  * @typedef SinonSandbox { import('sinon').SinonSandbox }
  */
 
-/**
- * @typedef StubbedRequest
- * @property { string } url
- * @property { window.RequestInit } init
- */
-
 describe('Connection', () => {
     const enketoId = 'surveyA';
     const instanceId = 'recordA';
@@ -51,17 +45,32 @@ describe('Connection', () => {
     });
 
     describe('Uploading records', () => {
+        const successResponse = `
+            <OpenRosaResponse xmlns="http://openrosa.org/http/response">
+                <message nature="submit_success">Success</message>
+            </OpenRosaResponse>
+        `;
+
         /** @type { EnketoRecord } */
         let record;
 
         /** @type { Survey } */
         let survey;
 
-        /** @type { StubbedRequest[] } */
+        /** @type { import('sinon').SinonFakeXMLHttpRequest[] } */
         let requests;
 
+        /** @type { (request: import('sinon').SinonFakeXMLHttpRequest) => [number, object, string] } */
+        let respond;
+
+        /** @type { import('../../public/js/src/module/upload-progress').UploadProgress[] } */
+        let progress;
+
+        const onProgress = (event) => progress.push(event.detail);
+
         beforeEach((done) => {
             requests = [];
+            progress = [];
 
             record = {
                 enketoId,
@@ -73,25 +82,31 @@ describe('Connection', () => {
 
             survey = { enketoId };
 
-            sandbox.stub(window, 'fetch').callsFake((url, init) => {
-                requests.push({ url, init });
+            respond = () => [
+                201,
+                { 'Content-Type': 'text/xml' },
+                successResponse,
+            ];
 
-                return Promise.resolve({
-                    ok: true,
-                    status: 201,
-                    text() {
-                        return Promise.resolve(`
-                            <OpenRosaResponse xmlns="http://openrosa.org/http/response">
-                                <message nature="submit_success">Success</message>
-                            </OpenRosaResponse>
-                        `);
-                    },
+            const xhr = sandbox.useFakeXMLHttpRequest();
+
+            xhr.onCreate = (request) => {
+                requests.push(request);
+                // respond once the request has been sent
+                setTimeout(() => {
+                    request.respond(...respond(request));
                 });
-            });
+            };
+
+            document.addEventListener('uploadprogress', onProgress);
 
             store.record.removeAll().then(() => done(), done);
         });
 
+        afterEach(() => {
+            document.removeEventListener('uploadprogress', onProgress);
+        });
+
         it('uploads a record', (done) => {
             connection
                 .uploadRecord(survey, record)
@@ -101,10 +116,10 @@ describe('Connection', () => {
 
                     const request = requests[0];
                     const body = Object.fromEntries(
-                        request.init.body.entries()
+                        request.requestBody.entries()
                     );
                     const instanceId =
-                        request.init.headers['X-OpenRosa-Instance-Id'];
+                        request.requestHeaders['X-OpenRosa-Instance-Id'];
                     const submission = body.xml_submission_file;
 
                     expect(instanceId).to.equal(record.instanceId);
@@ -117,6 +132,110 @@ describe('Connection', () => {
                 })
                 .then(done, done);
         });
+
+        it('reports the progress of the record and its files', () => {
+            const xmlSize = new Blob([
+                '<model><something>a.txt</something></model>',
+            ]).size;
+            const total = xmlSize + 100;
+
+            record.xml =
+                '<model><something type="file">a.txt</something></model>';
+            record.files = [new File(['x'.repeat(100)], 'a.txt')];
+            respond = (request) => {
+                request.uploadProgress({ loaded: 50, total: 100 });
+
+                return [201, { 'Content-Type': 'text/xml' }, successResponse];
+            };
+
+            return connection.uploadRecord(survey, record).then(() => {
+                expect(progress.length).to.equal(2);
+                expect(progress[0]).to.deep.include({
+                    instanceId,
+                    loaded: total / 2,
+                    total,
+                    files: [
+                        {
+                            name: 'a.txt',
+                            loaded: total / 2 - xmlSize,
+                            total: 100,
+                        },
+                    ],
+                });
+                expect(progress[1]).to.deep.include({
+                    loaded: total,
+                    files: [{ name: 'a.txt', loaded: 100, total: 100 }],
+                });
+            });
+        });
+
+        it('uploads a record with a large file in chunks', () => {
+            record.xml =
+                '<model><something type="file">a.txt</something></model>';
+            record.files = [new File(['0123456789'], 'a.txt')];
+
+            // the property may not exist in the test configuration, so it cannot be stubbed
+            const { resumableUploads } = settings;
+
+            settings.resumableUploads = { enabled: true, chunkSize: 4 };
+            respond = (request) => {
+                if (request.method === 'PATCH') {
+                    const offset =
+                        Number(request.requestHeaders['Upload-Offset']) +
+                        request.requestBody.size;
+
+                    return [200, { 'Upload-Offset': String(offset) }, ''];
+                }
+                if (request.url.endsWith(`/submission/upload/${enketoId}`)) {
+                    const { parts } = JSON.parse(request.requestBody);
+
+                    return [
+                        201,
+                        { 'Content-Type': 'application/json' },
+                        JSON.stringify({
+                            uploadId: 'upload',
+                            offsets: parts.map((part) =>
+                                'size' in part ? 0 : null
+                            ),
+                        }),
+                    ];
+                }
+
+                return [201, { 'Content-Type': 'text/xml' }, successResponse];
+            };
+
+            return connection
+                .uploadRecord(survey, record)
+                .then((result) => {
+                    const patches = requests.filter(
+                        ({ method }) => method === 'PATCH'
+                    );
+                    const xmlSize = new Blob([
+                        '<model><something>a.txt</something></model>',
+                    ]).size;
+                    const last = progress[progress.length - 1];
+
+                    expect(result.status).to.equal(201);
+                    expect(patches.length).to.equal(
+                        Math.ceil(xmlSize / 4) + Math.ceil(10 / 4)
+                    );
+                    expect(patches[patches.length - 1].url).to.match(
+                        /\/submission\/upload\/surveyA\/upload\/\d+$/
+                    );
+                    expect(requests[requests.length - 1].url).to.match(
+                        /\/submission\/upload\/surveyA\/upload\/submit/
+                    );
+                    expect(last).to.deep.include({
+                        instanceId,
+                        loaded: xmlSize + 10,
+                        total: xmlSize + 10,
+                        files: [{ name: 'a.txt', loaded: 10, total: 10 }],
+                    });
+                })
+                .finally(() => {
+                    settings.resumableUploads = resumableUploads;
+                });
+        });
     });
 
     describe('Surveys / getFormParts', () => {
@@ -110,4 +110,39 @@ describe('Feedback bar', () => {
             }, time1 * 1000);
         });
     });
+
+    describe('when progress is shown', () => {
+        it('updates a single progress message', () => {
+            feedbackBar.showProgress(message1, 0.2);
+            feedbackBar.showProgress(message3, 0.5);
+            const progressEls = feedbackBarEl.querySelectorAll(
+                '.feedback-bar__progress'
+            );
+
+            expect(feedbackBarEl.classList.contains(showClass)).to.equal(true);
+            expect(progressEls.length).to.equal(1);
+            expect(progressEls[0].textContent).to.equal(message3);
+            expect(progressEls[0].querySelector('progress').value).to.equal(
+                0.5
+            );
+        });
+
+        it('keeps other messages when the progress is removed', () => {
+            feedbackBar.showProgress(message1, 0.2);
+            feedbackBar.show(message3);
+            feedbackBar.hideProgress();
+
+            expect(
+                feedbackBarEl.querySelectorAll('.feedback-bar__progress').length
+            ).to.equal(0);
+            expect(feedbackBarEl.querySelectorAll('p').length).to.equal(1);
+            expect(feedbackBarEl.classList.contains(showClass)).to.equal(true);
+
+            feedbackBar.hide();
+            feedbackBar.showProgress(message1, 0.2);
+            feedbackBar.hideProgress();
+
+            expect(feedbackBarEl.classList.contains(showClass)).to.equal(false);
+        });
+    });
 });
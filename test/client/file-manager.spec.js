@@ -315,4 +315,106 @@ describe('File manager', () => {
             });
         });
     });
+
+    describe('compressing photos', () => {
+        /** @type {object} */
+        let imageCompression;
+
+        /** @type {HTMLFormElement} */
+        let formEl;
+
+        /** @type {File} */
+        let photo;
+
+        beforeEach(async () => {
+            // the property may not exist in the test configuration, so it cannot be stubbed
+            imageCompression = settings.imageCompression;
+            settings.imageCompression = {
+                enabled: true,
+                maxDimension: 100,
+                quality: 0.8,
+                keepLocation: true,
+            };
+
+            const canvas = document.createElement('canvas');
+            canvas.width = 1000;
+            canvas.height = 500;
+            canvas.getContext('2d').fillRect(0, 0, 500, 250);
+            const blob = await new Promise((resolve) =>
+                canvas.toBlob(resolve, 'image/jpeg', 1)
+            );
+            photo = new File([blob], 'photo.jpg', { type: 'image/jpeg' });
+
+            formEl = document.createElement('form');
+            formEl.classList.add('or');
+            formEl.innerHTML = '<input type="file" name="/data/photo"/>';
+            document.body.append(formEl);
+        });
+
+        afterEach(() => {
+            settings.imageCompression = imageCompression;
+            fileManager.setImageCompression(undefined);
+            formEl.remove();
+        });
+
+        it('compresses picked photos', async () => {
+            const input = formEl.querySelector('input');
+            const dataTransfer = new DataTransfer();
+
+            dataTransfer.items.add(photo);
+            input.files = dataTransfer.files;
+
+            const [file] = await fileManager.getCurrentFiles();
+
+            expect(file.name).to.match(/^photo.*\.jpg$/);
+            expect(file.type).to.equal('image/jpeg');
+            expect(file.size).to.be.below(photo.size);
+        });
+
+        it('does not compress photos of a form that resizes them', async () => {
+            const input = formEl.querySelector('input');
+            const dataTransfer = new DataTransfer();
+
+            dataTransfer.items.add(photo);
+            input.files = dataTransfer.files;
+            input.dataset.resized = 'true';
+
+            const [file] = await fileManager.getCurrentFiles();
+
+            expect(file.size).to.equal(photo.size);
+        });
+
+        it('does not reject picked photos that will be compressed', () => {
+            sandbox.stub(settings, 'maxSize').get(() => photo.size - 1);
+
+            expect(fileManager.isTooLarge(photo)).to.equal(false);
+            expect(fileManager.isTooLarge(new Blob([photo]))).to.equal(true);
+
+            settings.imageCompression.enabled = false;
+
+            expect(fileManager.isTooLarge(photo)).to.equal(true);
+
+            fileManager.setImageCompression({ maxDimension: 200 });
+
+            expect(fileManager.isTooLarge(photo)).to.equal(false);
+        });
+
+        it('rejects photos that are still too large after compression', async () => {
+            const input = formEl.querySelector('input');
+            const dataTransfer = new DataTransfer();
+
+            dataTransfer.items.add(photo);
+            input.files = dataTransfer.files;
+            sandbox.stub(settings, 'maxSize').get(() => 10);
+
+            expect(fileManager.isTooLarge(photo)).to.equal(false);
+
+            const error = await fileManager.getCurrentFiles().then(
+                () => null,
+                (error) => error
+            );
+
+            expect(error).to.be.an.instanceOf(Error);
+        });
+    });
 });
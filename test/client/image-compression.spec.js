@@ -0,0 +1,237 @@
+import {
+    compressImage,
+    getImageCompressionPolicy,
+    isCompressible,
+} from '../../public/js/src/module/image-compression';
+import settings from '../../public/js/src/module/settings';
+
+describe('Image compression', () => {
+    // latitude 52° 22' 12" as three rationals
+    const latitude = [52, 1, 22, 1, 12, 1];
+
+    /**
+     * Creates a JPEG photo with EXIF metadata that contains a camera make and a GPS latitude.
+     *
+     * @param { number } width - width in pixels
+     * @param { number } height - height in pixels
+     * @return {Promise<Uint8Array>} the photo
+     */
+    const createPhoto = (width, height) =>
+        new Promise((resolve) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
+            for (let x = 0; x < width; x += 10) {
+                context.fillStyle = `hsl(${x % 360}, 80%, 50%)`;
+                context.fillRect(x, 0, 10, height);
+            }
+            canvas.toBlob(
+                (blob) => resolve(blob.arrayBuffer()),
+                'image/jpeg',
+                1
+            );
+        }).then((buffer) => {
+            const jpeg = new Uint8Array(buffer);
+            const tiff = new Uint8Array(88);
+            const view = new DataView(tiff.buffer);
+
+            view.setUint16(0, 0x4d4d);
+            view.setUint16(2, 42);
+            view.setUint32(4, 8);
+            // IFD0 with Make and GPSInfo
+            view.setUint16(8, 2);
+            view.setUint16(10, 0x010f);
+            view.setUint16(12, 2);
+            view.setUint32(14, 6);
+            view.setUint32(18, 38);
+            view.setUint16(22, 0x8825);
+            view.setUint16(24, 4);
+            view.setUint32(26, 1);
+            view.setUint32(30, 44);
+            tiff.set(
+                [...'Canon'].map((char) => char.charCodeAt(0)),
+                38
+            );
+            // GPS IFD with GPSLatitude
+            view.setUint16(44, 1);
+            view.setUint16(46, 0x0002);
+            view.setUint16(48, 5);
+            view.setUint32(50, 3);
+            view.setUint32(54, 62);
+            latitude.forEach((value, index) => {
+                view.setUint32(62 + index * 4, value);
+            });
+
+            const length = 2 + 6 + tiff.length;
+
+            return new Uint8Array([
+                ...jpeg.subarray(0, 2),
+                0xff,
+                0xe1,
+                Math.floor(length / 256),
+                length % 256,
+                ...[...'Exif'].map((char) => char.charCodeAt(0)),
+                0,
+                0,
+                ...tiff,
+                ...jpeg.subarray(2),
+            ]);
+        });
+
+    /**
+     * @param { Uint8Array } bytes - the data
+     * @param { number[] } sequence - bytes to find
+     * @return { boolean } whether the data contains the bytes
+     */
+    const includes = (bytes, sequence) =>
+        bytes.some((byte, index) =>
+            sequence.every((value, offset) => bytes[index + offset] === value)
+        );
+
+    /**
+     * @param { Blob } blob - JPEG photo
+     * @return {Promise<HTMLImageElement>} the loaded photo
+     */
+    const loadImage = (blob) =>
+        new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = URL.createObjectURL(blob);
+        });
+
+    describe('policy', () => {
+        /** @type {object} */
+        let imageCompression;
+
+        beforeEach(() => {
+            // the property may not exist in the test configuration, so it cannot be stubbed
+            imageCompression = settings.imageCompression;
+        });
+
+        afterEach(() => {
+            settings.imageCompression = imageCompression;
+        });
+
+        it('does not compress photos if compression is not enabled', () => {
+            settings.imageCompression = { enabled: false, maxDimension: 1000 };
+
+            expect(getImageCompressionPolicy()).to.equal(null);
+        });
+
+        it('uses the configuration if compression is enabled', () => {
+            settings.imageCompression = {
+                enabled: true,
+                maxDimension: 1000,
+                quality: 0.5,
+                keepLocation: false,
+            };
+
+            expect(getImageCompressionPolicy()).to.deep.equal({
+                maxDimension: 1000,
+                quality: 0.5,
+                keepLocation: false,
+            });
+        });
+
+        it('overrides the configuration with the policy of the form', () => {
+            settings.imageCompression = {
+                enabled: false,
+                maxDimension: 1000,
+                quality: 0.5,
+                keepLocation: true,
+            };
+
+            expect(
+                getImageCompressionPolicy({ maxDimension: 400 })
+            ).to.deep.equal({
+                maxDimension: 400,
+                quality: 0.5,
+                keepLocation: true,
+            });
+        });
+
+        it('only compresses JPEG photos', () => {
+            const policy = { maxDimension: 400, quality: 0.5 };
+
+            expect(
+                isCompressible(new Blob([], { type: 'image/jpeg' }), policy)
+            ).to.equal(true);
+            expect(
+                isCompressible(new Blob([], { type: 'image/png' }), policy)
+            ).to.equal(false);
+            expect(
+                isCompressible(new Blob([], { type: 'image/jpeg' }), null)
+            ).to.equal(false);
+        });
+    });
+
+    describe('compressing', () => {
+        it('scales a photo down to the maximum dimension', () =>
+            createPhoto(800, 400)
+                .then((bytes) =>
+                    compressImage(new Blob([bytes], { type: 'image/jpeg' }), {
+                        maxDimension: 200,
+                        quality: 0.8,
+                        keepLocation: true,
+                    }).then((blob) => {
+                        expect(blob.type).to.equal('image/jpeg');
+                        expect(blob.size).to.be.below(bytes.length);
+
+                        return loadImage(blob);
+                    })
+                )
+                .then((img) => {
+                    expect(img.naturalWidth).to.equal(200);
+                    expect(img.naturalHeight).to.equal(100);
+                }));
+
+        it('removes all metadata except the location', () =>
+            createPhoto(800, 400)
+                .then((bytes) =>
+                    compressImage(new Blob([bytes], { type: 'image/jpeg' }), {
+                        maxDimension: 200,
+                        quality: 0.8,
+                        keepLocation: true,
+                    })
+                )
+                .then((blob) => blob.arrayBuffer())
+                .then((buffer) => {
+                    const bytes = new Uint8Array(buffer);
+                    const rationals = new Uint8Array(24);
+                    const view = new DataView(rationals.buffer);
+
+                    latitude.forEach((value, index) => {
+                        view.setUint32(index * 4, value);
+                    });
+
+                    expect(includes(bytes, rationals)).to.equal(true);
+                    expect(
+                        includes(
+                            bytes,
+                            [...'Canon'].map((char) => char.charCodeAt(0))
+                        )
+                    ).to.equal(false);
+                }));
+
+        it('removes the location if it should not be kept', () =>
+            createPhoto(800, 400)
+                .then((bytes) =>
+                    compressImage(new Blob([bytes], { type: 'image/jpeg' }), {
+                        maxDimension: 200,
+                        quality: 0.8,
+                        keepLocation: false,
+                    })
+                )
+                .then((blob) => blob.arrayBuffer())
+                .then((buffer) => {
+                    expect(
+                        includes(
+                            new Uint8Array(buffer),
+                            [...'Exif'].map((char) => char.charCodeAt(0))
+                        )
+                    ).to.equal(false);
+                }));
+    });
+});
@@ -7,9 +7,15 @@
  * @see {StoreSpec}
  */
 
+import JSZip from 'jszip';
 import connection from '../../public/js/src/module/connection';
+import events from '../../public/js/src/module/event';
 import records from '../../public/js/src/module/records-queue';
 import settings from '../../public/js/src/module/settings';
+import {
+    getNextUploadState,
+    isUploadDue,
+} from '../../public/js/src/module/upload-retry';
 import store from '../../public/js/src/module/store';
 
 /**
@@ -321,5 +327,255 @@ describe('Records queue', () => {
                 })
                 .then(done, done);
         });
+
+        it('backs off exponentially after a network error and skips the record until it is due', (done) => {
+            sandbox
+                .stub(connection, 'getOnlineStatus')
+                .callsFake(() => Promise.resolve(true));
+
+            const uploadStub = sandbox
+                .stub(connection, 'uploadQueuedRecord')
+                .callsFake(() => Promise.reject(new TypeError('offline')));
+
+            records
+                .save('set', recordA)
+                .then(() => records.uploadQueue())
+                .then(() => store.record.get(instanceIdA))
+                .then((record) => {
+                    expect(record.uploadAttempts).to.equal(1);
+                    expect(record.lastUploadStatus).to.equal(0);
+                    expect(record.nextUploadAttempt).to.be.above(Date.now());
+                    expect(isUploadDue(record)).to.equal(false);
+                    expect(getNextUploadState(record, 0, 0)).to.deep.equal({
+                        uploadAttempts: 2,
+                        lastUploadStatus: 0,
+                        nextUploadAttempt: 2 * 60 * 1000,
+                    });
+                })
+                .then(() => records.uploadQueue())
+                .then(() => {
+                    expect(uploadStub.callCount).to.equal(1);
+                })
+                .then(done, done);
+        });
+
+        it('stops automatic uploads after a permanent error until the user uploads', (done) => {
+            sandbox
+                .stub(connection, 'getOnlineStatus')
+                .callsFake(() => Promise.resolve(true));
+
+            const uploadStub = sandbox
+                .stub(connection, 'uploadQueuedRecord')
+                .callsFake(() =>
+                    Promise.reject({ status: 413, failedFiles: [] })
+                );
+
+            records
+                .save('set', recordA)
+                .then(() => records.uploadQueue())
+                .then(() => store.record.get(instanceIdA))
+                .then((record) => {
+                    expect(record.lastUploadStatus).to.equal(413);
+                    expect(record.nextUploadAttempt).to.equal(Infinity);
+                    expect(
+                        isUploadDue(record, Date.now() + 365 * 864e5)
+                    ).to.equal(false);
+                })
+                .then(() => records.uploadQueue())
+                .then(() => {
+                    expect(uploadStub.callCount).to.equal(1);
+                })
+                .then(() => records.uploadQueue(true))
+                .then(() => {
+                    expect(uploadStub.callCount).to.equal(2);
+                })
+                .then(done, done);
+        });
+
+        it('shows feedback when the service worker uploaded records of the form', (done) => {
+            const submitted = [];
+            const listener = (event) => {
+                submitted.push(...event.detail);
+            };
+
+            document.addEventListener(
+                events.QueueSubmissionSuccess().type,
+                listener
+            );
+
+            navigator.serviceWorker.dispatchEvent(
+                new MessageEvent('message', {
+                    data: {
+                        type: 'enketo-upload-queue',
+                        results: [
+                            { enketoId, name: 'name A', status: 201 },
+                            { enketoId, name: 'name B', status: 500 },
+                            { enketoId: enketoIdB, name: 'other', status: 201 },
+                        ],
+                    },
+                })
+            );
+
+            Promise.resolve()
+                .then(() => {
+                    document.removeEventListener(
+                        events.QueueSubmissionSuccess().type,
+                        listener
+                    );
+                    expect(submitted).to.include('name A');
+                    expect(submitted).not.to.include('name B');
+                    expect(submitted).not.to.include('other');
+                })
+                .then(done, done);
+        });
+    });
+
+    describe('Importing records', () => {
+        /**
+         * @param { Array<{folder: string, xml: string, meta: object}> } items
+         * @return { Promise<Blob> }
+         */
+        const createZip = (items) => {
+            const zip = new JSZip();
+
+            items.forEach(({ folder, xml }) => {
+                zip.folder(folder).file(
+                    'submission.xml',
+                    `<?xml version="1.0" ?>\n${xml}`
+                );
+            });
+            zip.file(
+                'meta.json',
+                JSON.stringify(
+                    items.map(({ folder, meta }) => ({ folder, ...meta }))
+                )
+            );
+
+            return zip.generateAsync({ type: 'blob' });
+        };
+
+        it('imports the records of an exported file', (done) => {
+            recordA.files = files.slice();
+
+            records
+                .save('set', recordA)
+                .then(() => records.save('set', recordB))
+                .then(() => records.exportToZip('form'))
+                .then((zipFile) =>
+                    store.record
+                        .remove(recordA.instanceId)
+                        .then(() => store.record.remove(recordB.instanceId))
+                        .then(() => records.importFromZip(zipFile))
+                )
+                .then((result) => {
+                    expect(result.failures).to.deep.equal([]);
+                    expect(result.records.length).to.equal(2);
+
+                    return store.record.get(instanceIdA);
+                })
+                .then((record) => {
+                    expect(record.enketoId).to.equal(enketoId);
+                    expect(record.name).to.equal(recordA.name);
+                    expect(record.xml).to.equal(recordA.xml);
+                    expect(record.draft).to.equal(false);
+                    expect(record.files.map((file) => file.name)).to.deep.equal(
+                        files.map((file) => file.name)
+                    );
+                })
+                .then(done, done);
+        });
+
+        it('renames records with a name that is already used', (done) => {
+            records
+                .save('set', recordA)
+                .then(() =>
+                    createZip([
+                        {
+                            folder: 'a',
+                            xml: '<model><meta><instanceID>x</instanceID></meta></model>',
+                            meta: { 'local name': recordA.name, enketoId },
+                        },
+                        {
+                            folder: 'b',
+                            xml: '<model><meta><instanceID>y</instanceID></meta></model>',
+                            meta: { 'local name': recordA.name, enketoId },
+                        },
+                    ])
+                )
+                .then((zipFile) => records.importFromZip(zipFile))
+                .then((result) => {
+                    expect(result.failures).to.deep.equal([]);
+                    expect(
+                        result.records.map((record) => record.name)
+                    ).to.deep.equal([
+                        `${recordA.name} (2)`,
+                        `${recordA.name} (3)`,
+                    ]);
+                })
+                .then(done, done);
+        });
+
+        it('skips records of another form and records that are already queued', (done) => {
+            records
+                .save('set', recordA)
+                .then(() =>
+                    createZip([
+                        {
+                            folder: 'a',
+                            xml: recordA.xml,
+                            meta: {
+                                instanceID: instanceIdA,
+                                'local name': 'copy',
+                                enketoId,
+                            },
+                        },
+                        {
+                            folder: 'b',
+                            xml: '<model/>',
+                            meta: { instanceID: 'z', enketoId: enketoIdB },
+                        },
+                        {
+                            folder: 'c',
+                            xml: '<data id="other"/>',
+                            meta: { instanceID: 'w' },
+                        },
+                    ])
+                )
+                .then((zipFile) => records.importFromZip(zipFile, 'formA'))
+                .then((result) => {
+                    expect(result.records.length).to.equal(0);
+                    expect(result.failures).to.deep.equal([
+                        {
+                            name: 'copy',
+                            reason: 'alert.import.failure.duplicate',
+                        },
+                        {
+                            name: 'b',
+                            reason: 'alert.import.failure.otherform',
+                        },
+                        {
+                            name: 'c',
+                            reason: 'alert.import.failure.otherform',
+                        },
+                    ]);
+                })
+                .then(done, done);
+        });
+
+        it('rejects a file that is not an export file', (done) => {
+            const zip = new JSZip();
+            zip.file('something.txt', 'something');
+
+            zip.generateAsync({ type: 'blob' })
+                .then((zipFile) => records.importFromZip(zipFile))
+                .then(
+                    () => done(new Error('should have failed')),
+                    (error) => {
+                        expect(error.message).to.contain('meta.json');
+                        done();
+                    }
+                )
+                .catch(done);
+        });
     });
 });
@@ -781,6 +781,51 @@ describe('Client Storage', () => {
         });
     });
 
+    describe('setting the upload state of records', () => {
+        afterEach((done) => {
+            store.record.removeAll().then(done, done);
+        });
+
+        it('keeps the changes that were made to the record during the upload', (done) => {
+            const updatedXml = '<model><change>a</change></model>';
+
+            store.record
+                .set(recordA)
+                .then(() =>
+                    Promise.all([
+                        store.record.update({ ...recordA, xml: updatedXml }),
+                        store.record.setUploadState(recordA.instanceId, {
+                            uploadAttempts: 1,
+                            lastUploadStatus: 0,
+                            nextUploadAttempt: 60000,
+                        }),
+                    ])
+                )
+                .then(() => store.record.get(recordA.instanceId))
+                .then((result) => {
+                    expect(result.xml).to.equal(updatedXml);
+                    expect(result.uploadAttempts).to.equal(1);
+                    expect(result.lastUploadStatus).to.equal(0);
+                    expect(result.nextUploadAttempt).to.equal(60000);
+                })
+                .then(done, done);
+        });
+
+        it('does not recreate a record that was removed during the upload', (done) => {
+            store.record
+                .setUploadState(recordA.instanceId, {
+                    uploadAttempts: 1,
+                    lastUploadStatus: 0,
+                    nextUploadAttempt: 60000,
+                })
+                .then(() => store.record.get(recordA.instanceId))
+                .then((result) => {
+                    expect(result).to.equal(undefined);
+                })
+                .then(done, done);
+        });
+    });
+
     describe('removing records', () => {
         afterEach((done) => {
             store.record.removeAll().then(done, done);
@@ -0,0 +1,21 @@
+import { divideIntoBatches } from '../../public/js/src/module/upload-batches';
+
+describe('Upload batches', () => {
+    it('combines files into batches below the limit', () => {
+        expect(divideIntoBatches([30, 50, 40, 10], 100)).to.deep.equal([
+            [0, 1, 3],
+            [2],
+        ]);
+    });
+
+    it('puts a file that exceeds the limit in its own batch', () => {
+        expect(divideIntoBatches([150, 20, 30], 100)).to.deep.equal([
+            [0],
+            [1, 2],
+        ]);
+    });
+
+    it('returns no batches without files', () => {
+        expect(divideIntoBatches([], 100)).to.deep.equal([]);
+    });
+});
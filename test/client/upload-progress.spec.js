@@ -0,0 +1,63 @@
+import {
+    createUploadProgressTracker,
+    formatBytes,
+} from '../../public/js/src/module/upload-progress';
+
+describe('Upload progress', () => {
+    const instanceId = 'recordA';
+    const batches = [
+        [
+            { name: 'xml_submission_file', size: 100 },
+            { name: 'a.jpg', size: 400 },
+        ],
+        [
+            { name: 'xml_submission_file', size: 100 },
+            { name: 'b.mp4', size: 1400 },
+        ],
+    ];
+
+    it('reports the progress of the record and of each file', () => {
+        const tracker = createUploadProgressTracker(instanceId, batches);
+
+        tracker.update(0, [100, 400], 0);
+        const progress = tracker.update(1, [100, 200], 1000);
+
+        expect(progress).to.deep.equal({
+            instanceId,
+            loaded: 800,
+            total: 2000,
+            eta: null,
+            files: [
+                { name: 'a.jpg', loaded: 400, total: 400 },
+                { name: 'b.mp4', loaded: 200, total: 1400 },
+            ],
+        });
+    });
+
+    it('estimates the remaining time from the speed since the first update', () => {
+        const tracker = createUploadProgressTracker(instanceId, batches);
+
+        // e.g. resumed after 500 bytes had been uploaded before
+        tracker.update(0, [100, 400], 0);
+        const progress = tracker.update(1, [100, 300], 4000);
+
+        expect(progress.eta).to.equal(11000);
+    });
+
+    it('dispatches an uploadprogress event', () => {
+        const tracker = createUploadProgressTracker(instanceId, batches);
+        const listener = sinon.spy();
+
+        document.addEventListener('uploadprogress', listener);
+        tracker.update(0, [50, 0]);
+        document.removeEventListener('uploadprogress', listener);
+
+        expect(listener).to.have.been.calledOnce;
+        expect(listener.firstCall.args[0].detail.loaded).to.equal(50);
+    });
+
+    it('formats sizes in the same units as the maximum submission size', () => {
+        expect(formatBytes(1500)).to.equal('2kB');
+        expect(formatBytes(2500000)).to.equal('2.5MB');
+    });
+});
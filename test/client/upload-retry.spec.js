@@ -0,0 +1,49 @@
+import {
+    getNextUploadState,
+    isPermanentUploadError,
+    isUploadDue,
+    MAX_UPLOAD_RETRY_DELAY,
+    UPLOAD_RETRY_DELAY,
+} from '../../public/js/src/module/upload-retry';
+
+describe('Upload retry', () => {
+    it('treats client errors as permanent, except those that may succeed later', () => {
+        [400, 403, 404, 413].forEach((status) => {
+            expect(isPermanentUploadError(status)).to.equal(true);
+        });
+        [0, 401, 408, 429, 500, 503].forEach((status) => {
+            expect(isPermanentUploadError(status)).to.equal(false);
+        });
+    });
+
+    it('doubles the retry delay for every attempt, up to the maximum delay', () => {
+        expect(getNextUploadState({}, 0, 0)).to.deep.equal({
+            uploadAttempts: 1,
+            lastUploadStatus: 0,
+            nextUploadAttempt: UPLOAD_RETRY_DELAY,
+        });
+        expect(getNextUploadState({ uploadAttempts: 2 }, 503, 0)).to.deep.equal(
+            {
+                uploadAttempts: 3,
+                lastUploadStatus: 503,
+                nextUploadAttempt: 4 * UPLOAD_RETRY_DELAY,
+            }
+        );
+        expect(
+            getNextUploadState({ uploadAttempts: 20 }, 0, 0).nextUploadAttempt
+        ).to.equal(MAX_UPLOAD_RETRY_DELAY);
+    });
+
+    it('does not retry after a permanent error', () => {
+        const state = getNextUploadState({}, 413, 0);
+
+        expect(state.nextUploadAttempt).to.equal(Infinity);
+        expect(isUploadDue(state, Date.now() + 365 * 864e5)).to.equal(false);
+    });
+
+    it('considers records without failed uploads due', () => {
+        expect(isUploadDue({})).to.equal(true);
+        expect(isUploadDue({ nextUploadAttempt: 1000 }, 1000)).to.equal(true);
+        expect(isUploadDue({ nextUploadAttempt: 1001 }, 1000)).to.equal(false);
+    });
+});
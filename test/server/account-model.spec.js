@@ -6,10 +6,13 @@ const chai = require('chai');
 const { expect } = chai;
 const chaiAsPromised = require('chai-as-promised');
 const config = require('../../app/models/config-model').server;
+const storage = require('../../app/lib/storage');
 
 config['account lib'] = undefined;
 const model = require('../../app/models/account-model');
 
+const client = storage.getClient('main');
+
 chai.use(chaiAsPromised);
 
 describe('Account Model', () => {
@@ -78,4 +81,279 @@ describe('Account Model', () => {
             });
         });
     });
+
+    describe('stored accounts', () => {
+        const account = {
+            linkedServer: 'https://example.net/bob',
+            key: 'qwerty',
+            quota: 10,
+            authentication: {
+                type: 'token',
+                'query parameter': 'token',
+                url: 'https://example.net/login?return={RETURNURL}',
+            },
+        };
+
+        beforeEach(() => {
+            config['linked form and data server']['server url'] = 'example.com';
+        });
+
+        afterEach((done) => {
+            // select test database and flush it
+            client.select(15, (err) => {
+                if (err) {
+                    return done(err);
+                }
+                client.flushdb((err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    done();
+                });
+            });
+        });
+
+        it('creates an account and returns it for matching servers', () =>
+            model
+                .create(account)
+                .then((created) => {
+                    expect(created).to.include({
+                        linkedServer: 'example.net/bob',
+                        key: 'qwerty',
+                        quota: 10,
+                        submissionQuota: Infinity,
+                    });
+                    expect(created.authentication).to.deep.equal(
+                        account.authentication
+                    );
+                    expect(created.created).to.be.a('string');
+                })
+                .then(() =>
+                    model.get({
+                        openRosaServer: 'https://www.example.net/bob/forms',
+                    })
+                )
+                .then((found) => expect(found.key).to.equal('qwerty')));
+
+        it('prefers the most specific account', () =>
+            model
+                .create({ linkedServer: 'https://example.net', key: 'a' })
+                .then(() => model.create(account))
+                .then(() => model.get('https://example.net/bob'))
+                .then((found) => expect(found.key).to.equal('qwerty')));
+
+        it('returns a 409 error when the account already exists', () =>
+            expect(model.create(account).then(() => model.create(account)))
+                .to.eventually.be.rejected.and.to.have.property('status')
+                .that.equals(409));
+
+        [
+            ['server URL without protocol', { linkedServer: 'example.net' }],
+            ['empty API key', { key: '' }],
+            ['negative quota', { quota: -1 }],
+            [
+                'unknown authentication type',
+                { authentication: { type: 'magic' } },
+            ],
+            ['webhook without URL', { webhooks: [{ secret: 'abc' }] }],
+            ['API key without name', { keys: [{ key: 'abc' }] }],
+            [
+                'duplicate API key names',
+                {
+                    keys: [
+                        { name: 'a', key: 'abc' },
+                        { name: 'a', key: 'def' },
+                    ],
+                },
+            ],
+            [
+                'unknown API key scope',
+                { keys: [{ name: 'a', key: 'abc', scopes: ['admin'] }] },
+            ],
+            [
+                'invalid API key expiry',
+                { keys: [{ name: 'a', key: 'abc', expires: 'soon' }] },
+            ],
+        ].forEach(([desc, props]) => {
+            it(`returns a 400 error for an account with ${desc}`, () =>
+                expect(model.create({ ...account, ...props }))
+                    .to.eventually.be.rejected.and.to.have.property('status')
+                    .that.equals(400));
+        });
+
+        it('updates only the provided properties', () =>
+            model
+                .create(account)
+                .then(() =>
+                    model.update({
+                        linkedServer: account.linkedServer,
+                        key: 'newkey',
+                        quota: null,
+                    })
+                )
+                .then((updated) => {
+                    expect(updated).to.include({
+                        key: 'newkey',
+                        quota: Infinity,
+                    });
+                    expect(updated.authentication.type).to.equal('token');
+                }));
+
+        it('keeps a quota of 0, which allows nothing', () =>
+            model
+                .create({ ...account, quota: 0, submissionQuota: 0 })
+                .then(() => model.get(account.linkedServer))
+                .then((found) => {
+                    expect(found).to.include({
+                        quota: 0,
+                        submissionQuota: 0,
+                        attachmentQuota: Infinity,
+                    });
+                }));
+
+        it('returns a 404 error when updating a non-existing account', () =>
+            expect(model.update(account))
+                .to.eventually.be.rejected.and.to.have.property('status')
+                .that.equals(404));
+
+        it('lists and removes accounts', () =>
+            model
+                .create(account)
+                .then(() =>
+                    model.create({
+                        linkedServer: 'https://example.net',
+                        key: 'a',
+                    })
+                )
+                .then(() => model.remove(account.linkedServer))
+                .then(() => model.getList())
+                .then((list) => {
+                    expect(list.map((item) => item.linkedServer)).to.deep.equal(
+                        ['example.net']
+                    );
+                })
+                .then(() =>
+                    expect(model.remove(account.linkedServer))
+                        .to.eventually.be.rejected.and.to.have.property(
+                            'status'
+                        )
+                        .that.equals(404)
+                ));
+    });
+
+    describe('API keys', () => {
+        const account = {
+            linkedServer: 'https://example.net/bob',
+            key: 'qwerty',
+            keys: [
+                { name: 'reporting', key: 'r', scopes: ['read'] },
+                {
+                    name: 'old',
+                    key: 'o',
+                    expires: '2020-01-01T00:00:00.000Z',
+                },
+            ],
+        };
+
+        afterEach((done) => {
+            // select test database and flush it
+            client.select(15, (err) => {
+                if (err) {
+                    return done(err);
+                }
+                client.flushdb((err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    done();
+                });
+            });
+        });
+
+        it('accepts the account key and any additional valid key', () => {
+            expect(model.getApiKey(account, 'qwerty')).to.include({
+                name: 'default',
+            });
+            expect(model.getApiKey(account, 'r')).to.include({
+                name: 'reporting',
+            });
+            expect(model.getApiKey(account, 'x')).to.equal(null);
+            expect(model.getApiKey(account, undefined)).to.equal(null);
+        });
+
+        it('rejects expired keys', () => {
+            expect(model.getApiKey(account, 'o')).to.equal(null);
+            expect(
+                model.getApiKey(account, 'o', new Date('2019-12-31'))
+            ).to.include({ name: 'old' });
+        });
+
+        it('checks scopes, keys without scopes have all scopes', () => {
+            const reporting = model.getApiKey(account, 'r');
+            const all = model.getApiKey(account, 'qwerty');
+
+            expect(model.hasScope(reporting, 'read')).to.equal(true);
+            expect(model.hasScope(reporting, 'delete')).to.equal(false);
+            expect(model.hasScope(all, 'delete')).to.equal(true);
+        });
+
+        it('requires the read scope for requests that only obtain information', () => {
+            expect(model.getScope({ method: 'GET', path: '/survey' })).to.equal(
+                'read'
+            );
+            expect(
+                model.getScope({ method: 'POST', path: '/surveys/list' })
+            ).to.equal('read');
+            expect(
+                model.getScope({ method: 'POST', path: '/survey' })
+            ).to.equal('write');
+            expect(
+                model.getScope({ method: 'DELETE', path: '/survey' })
+            ).to.equal('delete');
+        });
+
+        it('adds and revokes keys of stored accounts', () =>
+            model
+                .create({ linkedServer: account.linkedServer, key: 'qwerty' })
+                .then(() =>
+                    model.addApiKey(account.linkedServer, {
+                        name: 'new',
+                        scopes: ['read', 'write'],
+                    })
+                )
+                .then((apiKey) => {
+                    expect(apiKey.name).to.equal('new');
+                    expect(apiKey.key).to.have.length(32);
+                    expect(apiKey.created).to.be.a('string');
+                })
+                .then(() => model.get(account.linkedServer))
+                .then((found) => {
+                    const apiKey = found.keys[0];
+                    expect(model.getApiKey(found, apiKey.key)).to.deep.equal(
+                        apiKey
+                    );
+                })
+                .then(() => model.removeApiKey(account.linkedServer, 'new'))
+                .then((updated) => expect(updated.keys).to.deep.equal([]))
+                .then(() =>
+                    expect(model.removeApiKey(account.linkedServer, 'new'))
+                        .to.eventually.be.rejected.and.to.have.property(
+                            'status'
+                        )
+                        .that.equals(404)
+                ));
+
+        it('allows stored accounts with only additional keys', () =>
+            model
+                .create({
+                    linkedServer: account.linkedServer,
+                    keys: [{ name: 'a', key: 'abc' }],
+                })
+                .then((created) => {
+                    expect(created.key).to.equal(undefined);
+                    expect(model.getApiKey(created, 'abc')).to.include({
+                        name: 'a',
+                    });
+                }));
+    });
 });
@@ -0,0 +1,225 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../config/express');
+const storage = require('../../app/lib/storage');
+const loginModel = require('../../app/models/login-model');
+
+const client = storage.getClient('main');
+
+describe('Admin API', () => {
+    const adminKey = 'adminsecret';
+    const validAuth = {
+        Authorization: `Basic ${Buffer.from(`${adminKey}:`).toString(
+            'base64'
+        )}`,
+    };
+    const invalidAuth = {
+        Authorization: `Basic ${Buffer.from('abc:').toString('base64')}`,
+    };
+    const account = {
+        server_url: 'https://example.net/bob',
+        api_key: 'qwerty',
+        quota: 10,
+    };
+
+    beforeEach(() => {
+        app.set('admin api key', adminKey);
+    });
+
+    afterEach((done) => {
+        app.set('admin api key', '');
+        // select test database and flush it
+        client.select(15, (err) => {
+            if (err) {
+                return done(err);
+            }
+            client.flushdb((err) => {
+                if (err) {
+                    return done(err);
+                }
+                done();
+            });
+        });
+    });
+
+    it('responds with 405 when the admin API is disabled', () => {
+        app.set('admin api key', '');
+
+        return request(app)
+            .get('/api/admin/accounts')
+            .set(validAuth)
+            .expect(405);
+    });
+
+    it('responds with 401 for an invalid admin API key', () =>
+        request(app).get('/api/admin/accounts').set(invalidAuth).expect(401));
+
+    it('creates, updates, lists and removes accounts', () =>
+        request(app)
+            .post('/api/admin/account')
+            .set(validAuth)
+            .send(account)
+            .expect(201)
+            .expect((resp) => {
+                expect(resp.body.account).to.include({
+                    server_url: 'example.net/bob',
+                    api_key: 'qwerty',
+                    quota: 10,
+                    submission_quota: null,
+                });
+            })
+            .then(() =>
+                request(app)
+                    .post('/api/admin/account')
+                    .set(validAuth)
+                    .send(account)
+                    .expect(409)
+            )
+            .then(() =>
+                request(app)
+                    .put('/api/admin/account')
+                    .set(validAuth)
+                    .send({ server_url: account.server_url, quota: null })
+                    .expect(200)
+                    .expect((resp) => {
+                        expect(resp.body.account.quota).to.equal(null);
+                        expect(resp.body.account.api_key).to.equal('qwerty');
+                    })
+            )
+            .then(() =>
+                request(app)
+                    .get('/api/admin/accounts')
+                    .set(validAuth)
+                    .expect(200)
+                    .expect((resp) => {
+                        expect(resp.body.accounts.length).to.equal(1);
+                    })
+            )
+            .then(() =>
+                request(app)
+                    .delete('/api/admin/account')
+                    .set(validAuth)
+                    .send({ server_url: account.server_url })
+                    .expect(204)
+            )
+            .then(() =>
+                request(app)
+                    .get('/api/admin/account')
+                    .set(validAuth)
+                    .query({ server_url: account.server_url })
+                    .expect(404)
+            ));
+
+    it('uses a stored account to authenticate API v2 requests', () =>
+        request(app)
+            .post('/api/admin/account')
+            .set(validAuth)
+            .send(account)
+            .expect(201)
+            .then(() =>
+                request(app)
+                    .get('/api/v2/account/usage')
+                    .set({
+                        Authorization: `Basic ${Buffer.from('qwerty:').toString(
+                            'base64'
+                        )}`,
+                    })
+                    .query({ server_url: 'https://example.net/bob' })
+                    .expect(200)
+            ));
+
+    it('adds and revokes API keys', () =>
+        request(app)
+            .post('/api/admin/account')
+            .set(validAuth)
+            .send(account)
+            .expect(201)
+            .then(() =>
+                request(app)
+                    .post('/api/admin/account/key')
+                    .set(validAuth)
+                    .send({
+                        server_url: account.server_url,
+                        name: 'reporting',
+                        scopes: ['read'],
+                    })
+                    .expect(201)
+                    .expect((resp) => {
+                        expect(resp.body.api_key.name).to.equal('reporting');
+                        expect(resp.body.api_key.key).to.have.length(32);
+                    })
+            )
+            .then(() =>
+                request(app)
+                    .delete('/api/admin/account/key')
+                    .set(validAuth)
+                    .send({ server_url: account.server_url, name: 'reporting' })
+                    .expect(204)
+            )
+            .then(() =>
+                request(app)
+                    .delete('/api/admin/account/key')
+                    .set(validAuth)
+                    .send({ server_url: account.server_url, name: 'reporting' })
+                    .expect(404)
+            ));
+
+    it('lists and lifts login lockouts', () => {
+        const attempt = { ip: '10.0.0.1', username: 'Bob' };
+        let failures = Promise.resolve();
+
+        for (let i = 0; i < 5; i++) {
+            failures = failures.then(() => loginModel.recordFailure(attempt));
+        }
+
+        return failures
+            .then(() =>
+                request(app)
+                    .get('/api/admin/lockouts')
+                    .set(validAuth)
+                    .expect(200)
+                    .expect((resp) => {
+                        expect(
+                            resp.body.lockouts.map(({ type, value }) => ({
+                                type,
+                                value,
+                            }))
+                        ).to.have.deep.members([
+                            { type: 'ip', value: '10.0.0.1' },
+                            { type: 'username', value: 'bob' },
+                        ]);
+                        expect(resp.body.lockouts[0].lockouts).to.equal(1);
+                        expect(resp.body.lockouts[0].locked_until).to.be.a(
+                            'string'
+                        );
+                    })
+            )
+            .then(() =>
+                request(app)
+                    .delete('/api/admin/lockouts')
+                    .set(validAuth)
+                    .query({ ip: '10.0.0.1' })
+                    .expect(204)
+            )
+            .then(() =>
+                request(app)
+                    .delete('/api/admin/lockouts')
+                    .set(validAuth)
+                    .query({ ip: '10.0.0.1' })
+                    .expect(404)
+            )
+            .then(() =>
+                request(app)
+                    .get('/api/admin/lockouts')
+                    .set(validAuth)
+                    .expect(200)
+                    .expect((resp) => {
+                        expect(resp.body.lockouts.length).to.equal(1);
+                        expect(resp.body.lockouts[0].type).to.equal('username');
+                    })
+            );
+    });
+});
@@ -5,23 +5,24 @@ process.env.NODE_ENV = 'test';
  * Some of these tests use the special test Api Token and Server URLs defined in the API spec
  * at http://apidocs.enketo.org.
  */
+const JSZip = require('jszip');
 const request = require('supertest');
+const nock = require('nock');
+const sinon = require('sinon');
+const { expect } = require('chai');
 const config = require('../../app/models/config-model').server;
+const storage = require('../../app/lib/storage');
 
 config['base path'] = '';
 const app = require('../../config/express');
 const surveyModel = require('../../app/models/survey-model');
 const instanceModel = require('../../app/models/instance-model');
 const cacheModel = require('../../app/models/cache-model');
-const redis = require('redis');
+const exportModel = require('../../app/models/export-model');
+const usageModel = require('../../app/models/usage-model');
+const pdf = require('../../app/lib/pdf');
 
-const client = redis.createClient(
-    config.redis.main.port,
-    config.redis.main.host,
-    {
-        auth_pass: config.redis.main.password,
-    }
-);
+const client = storage.getClient('main');
 let v1Survey;
 let v1Instance;
 let v1Surveys;
@@ -175,6 +176,8 @@ describe('api', () => {
                     format: test.format,
                     margin: test.margin,
                     landscape: test.landscape,
+                    header: test.header,
+                    watermark: test.watermark,
                     defaults: test.defaults,
                     parent_window_origin: test.parentWindowOrigin,
                 })
@@ -718,6 +721,32 @@ describe('api', () => {
                 auth: true,
                 status: 404, // not found
             },
+            // inspect survey cache
+            {
+                endpoint: '/survey/cache',
+                method: 'get',
+                status: 200,
+                res: {
+                    property: 'cache',
+                    expected: /"form_id":"something","form_hash":"a"/,
+                },
+            },
+            {
+                endpoint: '/survey/cache',
+                method: 'get',
+                id: 'invalidID',
+                status: 404,
+            },
+            {
+                endpoint: '/survey/cache',
+                method: 'get',
+                id: '',
+                status: 200,
+                res: {
+                    property: 'total',
+                    expected: 1,
+                },
+            },
             // single submission
             {
                 endpoint: '/survey/single',
@@ -1384,6 +1413,47 @@ describe('api', () => {
                     expected: /Margin/,
                 },
             },
+            {
+                endpoint: '/survey/view/pdf',
+                method: 'post',
+                header: 'yes',
+                status: 400,
+                offline: true,
+                res: {
+                    property: 'message',
+                    expected: /Header/,
+                },
+            },
+            {
+                endpoint: '/survey/view/pdf',
+                method: 'post',
+                watermark: 'DRAFT'.repeat(11),
+                status: 400,
+                offline: true,
+                res: {
+                    property: 'message',
+                    expected: /Watermark/,
+                },
+            },
+            // /instances/view/pdf
+            {
+                endpoint: '/instances/view/pdf',
+                method: 'post',
+                instance: true,
+                status: 400,
+                offline: true,
+                res: {
+                    property: 'message',
+                    expected: /Instances parameter/,
+                },
+            },
+            {
+                endpoint: '/instances/view/pdf',
+                method: 'post',
+                auth: false,
+                status: 401,
+                offline: true,
+            },
             // return_url
             {
                 endpoint: '/instance/view',
@@ -1445,6 +1515,74 @@ describe('api', () => {
                 },
                 offline: true,
             },
+            // submission audit log is disabled by default
+            {
+                endpoint: '/submissions/log',
+                method: 'get',
+                status: 405,
+            },
+            {
+                endpoint: '/submissions/log',
+                method: 'get',
+                auth: false,
+                status: 401,
+            },
+            // account usage
+            {
+                endpoint: '/account/usage',
+                method: 'get',
+                status: 200,
+                res: {
+                    property: 'quotas',
+                    expected:
+                        /"surveys":\{"used":1,"limit":100,"warning":false\}/,
+                },
+            },
+            {
+                endpoint: '/account/usage',
+                method: 'get',
+                auth: false,
+                status: 401,
+            },
+            // prefetch jobs
+            {
+                endpoint: '/surveys/cache',
+                method: 'get',
+                status: 404,
+            },
+            {
+                endpoint: '/surveys/cache',
+                method: 'post',
+                auth: false,
+                status: 401,
+            },
+            // signed links
+            {
+                endpoint: '/link',
+                method: 'post',
+                status: 201,
+                res: {
+                    property: 'url',
+                    expected: /\/single\/[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/,
+                },
+            },
+            {
+                endpoint: '/link',
+                method: 'post',
+                id: 'nonexistent',
+                status: 404,
+            },
+            {
+                endpoint: '/link',
+                method: 'post',
+                auth: false,
+                status: 401,
+            },
+            {
+                endpoint: '/link',
+                method: 'delete',
+                status: 404,
+            },
         ]
             .map((obj) => {
                 obj.auth = typeof obj.auth === 'undefined' ? true : obj.auth;
@@ -1523,4 +1661,468 @@ describe('api', () => {
         test('1');
         test('2');
     });
+
+    describe('photo compression policy of a form', () => {
+        const endpoint = '/api/v2/survey';
+
+        it('is stored with the survey', () =>
+            request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    image_max_dimension: '1600',
+                    image_quality: '0.6',
+                    image_keep_location: 'false',
+                })
+                .expect(200)
+                .then(() =>
+                    surveyModel.getId({
+                        openRosaServer: validServer,
+                        openRosaId: validFormId,
+                    })
+                )
+                .then(surveyModel.get)
+                .then((survey) => {
+                    expect(survey.imageMaxDimension).to.equal('1600');
+                    expect(survey.imageQuality).to.equal('0.6');
+                    expect(survey.imageKeepLocation).to.equal('false');
+                }));
+
+        it('is removed if it is missing', () =>
+            request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    image_max_dimension: '1600',
+                })
+                .expect(200)
+                .then(() =>
+                    request(app)
+                        .post(endpoint)
+                        .set(validAuth)
+                        .send({
+                            server_url: validServer,
+                            form_id: validFormId,
+                        })
+                        .expect(200)
+                )
+                .then(() =>
+                    surveyModel.getId({
+                        openRosaServer: validServer,
+                        openRosaId: validFormId,
+                    })
+                )
+                .then(surveyModel.get)
+                .then((survey) => {
+                    expect(survey.imageMaxDimension).to.equal('');
+                    expect(survey.imageQuality).to.equal('');
+                }));
+
+        [
+            { image_max_dimension: '0' },
+            { image_max_dimension: 'large' },
+            { image_quality: '0' },
+            { image_quality: '1.5' },
+            { image_keep_location: 'yes' },
+        ].forEach((params) => {
+            it(`responds with 400 to ${JSON.stringify(params)}`, () =>
+                request(app)
+                    .post(endpoint)
+                    .set(validAuth)
+                    .send({
+                        server_url: validServer,
+                        form_id: validFormId,
+                        ...params,
+                    })
+                    .expect(400));
+        });
+    });
+
+    describe('record PDFs', () => {
+        const endpoint = '/api/v2/instances/view/pdf';
+        let sandbox;
+
+        beforeEach(() => {
+            sandbox = sinon.createSandbox();
+            sandbox
+                .stub(pdf, 'get')
+                .callsFake(() => Promise.resolve(Buffer.from('%PDF-1.4')));
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('responds with a ZIP file with a unique file name for each record', () =>
+            request(app)
+                .post(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    instances: ['uuid:a', 'uuid_a', 'uuid/a'].map(
+                        (instanceId) => ({
+                            instance_id: instanceId,
+                            instance: '<data/>',
+                        })
+                    ),
+                })
+                .buffer(true)
+                .parse((res, callback) => {
+                    const chunks = [];
+                    res.on('data', (chunk) => chunks.push(chunk));
+                    res.on('end', () => callback(null, Buffer.concat(chunks)));
+                })
+                .expect(200)
+                .expect('Content-Type', 'application/zip')
+                .expect(
+                    'Content-Disposition',
+                    `attachment; filename="${validFormId}.zip"`
+                )
+                .then((response) => JSZip.loadAsync(response.body))
+                .then((zip) => {
+                    expect(Object.keys(zip.files)).to.deep.equal([
+                        'uuid_a.pdf',
+                        'uuid_a_2.pdf',
+                        'uuid_a_3.pdf',
+                    ]);
+                }));
+
+        it('responds with 409 without overwriting a record that is being edited', () => {
+            const record = {
+                openRosaServer: validServer,
+                openRosaId: validFormId,
+                instanceId: 'uuid:a',
+                instance: '<data>edited</data>',
+            };
+
+            return instanceModel
+                .set(record)
+                .then(() =>
+                    request(app)
+                        .post(endpoint)
+                        .set(validAuth)
+                        .send({
+                            server_url: validServer,
+                            form_id: validFormId,
+                            instances: [
+                                { instance_id: 'uuid:a', instance: '<data/>' },
+                            ],
+                        })
+                        .expect(409)
+                )
+                .then(() => instanceModel.get({ instanceId: 'uuid:a' }))
+                .then((cached) => {
+                    expect(cached.instance).to.equal('<data>edited</data>');
+                    expect(pdf.get.called).to.equal(false);
+                });
+        });
+    });
+
+    describe('record export bundles', () => {
+        const endpoint = '/api/v2/instance/export';
+        let bundle;
+        let info;
+
+        beforeEach(() => {
+            const zip = new JSZip();
+            zip.file('meta.json', JSON.stringify([]));
+
+            return zip
+                .generateAsync({ type: 'nodebuffer' })
+                .then((buffer) => {
+                    bundle = buffer;
+
+                    return surveyModel.getId({
+                        openRosaServer: validServer,
+                        openRosaId: validFormId,
+                    });
+                })
+                .then((id) => exportModel.set(id, bundle))
+                .then((result) => {
+                    info = result;
+                });
+        });
+
+        it('requires authentication', () =>
+            request(app)
+                .get(endpoint)
+                .query({ server_url: validServer, form_id: validFormId })
+                .expect(401));
+
+        it('responds with 404 for a survey that does not exist', () =>
+            request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({ server_url: validServer, form_id: 'nonexistent' })
+                .expect(404));
+
+        it('lists the bundles of a survey', () =>
+            request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({ server_url: validServer, form_id: validFormId })
+                .expect(200)
+                .then((response) => {
+                    expect(response.body.bundles).to.deep.equal([
+                        {
+                            bundle_id: info.bundleId,
+                            created: info.created,
+                            size: info.size,
+                            records: 0,
+                            digest: info.digest,
+                            signature: info.signature,
+                        },
+                    ]);
+                }));
+
+        it('responds with the ZIP file of a bundle', () =>
+            request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    bundle_id: info.bundleId,
+                })
+                .buffer(true)
+                .parse((res, callback) => {
+                    const chunks = [];
+                    res.on('data', (chunk) => chunks.push(chunk));
+                    res.on('end', () => callback(null, Buffer.concat(chunks)));
+                })
+                .expect(200)
+                .expect('Content-Type', 'application/zip')
+                .expect(
+                    'Content-Disposition',
+                    `attachment; filename="${validFormId}_${info.bundleId}.zip"`
+                )
+                .expect('X-Enketo-Bundle-Signature', info.signature)
+                .then((response) => {
+                    expect(response.body.equals(bundle)).to.equal(true);
+                }));
+
+        it('responds with 404 for a bundle that does not exist', () =>
+            request(app)
+                .get(endpoint)
+                .set(validAuth)
+                .query({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    bundle_id: 'nonexistent',
+                })
+                .expect(404));
+
+        it('removes a bundle', () =>
+            request(app)
+                .delete(endpoint)
+                .set(validAuth)
+                .send({
+                    server_url: validServer,
+                    form_id: validFormId,
+                    bundle_id: info.bundleId,
+                })
+                .expect(204)
+                .then(() =>
+                    request(app)
+                        .delete(endpoint)
+                        .set(validAuth)
+                        .send({
+                            server_url: validServer,
+                            form_id: validFormId,
+                            bundle_id: info.bundleId,
+                        })
+                        .expect(404)
+                ));
+    });
+
+    describe('API keys', () => {
+        let apiKeys;
+
+        beforeEach(() => {
+            apiKeys = app.get('linked form and data server')['api keys'];
+        });
+
+        afterEach(() => {
+            app.get('linked form and data server')['api keys'] = apiKeys;
+        });
+
+        function test(version) {
+            it('accepts any valid key and enforces its scopes', () => {
+                const app = require('../../config/express');
+                const endpoint = `/api/v${version}/surveys/number`;
+                const server = 'https://example.org/enketo';
+                const linkedServer = app.get('linked form and data server');
+                const authWith = (key) => ({
+                    Authorization: `Basic ${Buffer.from(`${key}:`).toString(
+                        'base64'
+                    )}`,
+                });
+                linkedServer['server url'] = 'example.org/enketo';
+                linkedServer['api key'] = 'abc';
+                linkedServer['api keys'] = [
+                    { name: 'reporting', key: 'ghi', scopes: ['read'] },
+                    {
+                        name: 'old',
+                        key: 'jkl',
+                        expires: '2020-01-01T00:00:00.000Z',
+                    },
+                ];
+                app.set('linked form and data server', linkedServer);
+
+                return request(app)
+                    .post(`/api/v${version}/survey`)
+                    .set(authWith('ghi'))
+                    .send({ server_url: server, form_id: validFormId })
+                    .expect(403)
+                    .then(() =>
+                        request(app)
+                            .post(`/api/v${version}/survey`)
+                            .set(authWith('abc'))
+                            .send({ server_url: server, form_id: validFormId })
+                            .expect(201)
+                    )
+                    .then(() =>
+                        request(app)
+                            .post(endpoint)
+                            .set(authWith('ghi'))
+                            .send({ server_url: server })
+                            .expect(200)
+                    )
+                    .then(() =>
+                        request(app)
+                            .delete(`/api/v${version}/survey`)
+                            .set(authWith('ghi'))
+                            .send({ server_url: server, form_id: validFormId })
+                            .expect(403)
+                    )
+                    .then(() =>
+                        request(app)
+                            .post(endpoint)
+                            .set(authWith('jkl'))
+                            .send({ server_url: server })
+                            .expect(401)
+                    );
+            });
+        }
+
+        test('1');
+        test('2');
+    });
+
+    describe('available surveys', () => {
+        const formListXML = `
+            <xforms xmlns="http://openrosa.org/xforms/xformsList">
+                <xform>
+                    <formID>${validFormId}</formID>
+                    <name>Something</name>
+                    <hash>md5:1</hash>
+                    <downloadUrl>${validServer}/something.xml</downloadUrl>
+                </xform>
+                <xform>
+                    <formID>other</formID>
+                    <name>Other</name>
+                    <version>2</version>
+                    <hash>md5:2</hash>
+                    <downloadUrl>${validServer}/other.xml</downloadUrl>
+                </xform>
+            </xforms>`;
+        let sandbox;
+
+        beforeEach(() => {
+            sandbox = sinon.createSandbox();
+            nock('https://testserver.com')
+                .get('/bob/formList')
+                .reply(200, formListXML);
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+            nock.cleanAll();
+        });
+
+        it('lists the forms of the formList and whether they have been launched', () =>
+            request(app)
+                .get('/api/v2/surveys/available')
+                .set(validAuth)
+                .query({ server_url: validServer })
+                .expect(200)
+                .expect((resp) => {
+                    const [launched, other] = resp.body.forms;
+                    expect(launched).to.include({
+                        form_id: validFormId,
+                        name: 'Something',
+                        launched: true,
+                    });
+                    expect(launched.url).to.be.a('string');
+                    expect(other).to.deep.equal({
+                        form_id: 'other',
+                        name: 'Other',
+                        version: '2',
+                        hash: 'md5:2',
+                        launched: false,
+                    });
+                }));
+
+        it('launches the forms that have not been launched', () =>
+            request(app)
+                .post('/api/v2/surveys/available/launch')
+                .set(validAuth)
+                .send({ server_url: validServer })
+                .expect(201)
+                .expect((resp) => {
+                    expect(resp.body.launched_count).to.equal(1);
+                    expect(
+                        resp.body.forms.map((form) => form.launched)
+                    ).to.deep.equal([true, true]);
+                }));
+
+        it('responds with the forms that were launched before a launch failed', () => {
+            const checkSurveys = sandbox.stub(usageModel, 'checkSurveys');
+            checkSurveys
+                .onFirstCall()
+                .callsFake((account) => Promise.resolve(account));
+            checkSurveys.rejects(usageModel.quotaError('surveys'));
+            nock.cleanAll();
+            nock('https://testserver.com')
+                .get('/bob/formList')
+                .reply(
+                    200,
+                    formListXML.replace(
+                        '</xforms>',
+                        `<xform>
+                            <formID>third</formID>
+                            <name>Third</name>
+                            <hash>md5:3</hash>
+                            <downloadUrl>${validServer}/third.xml</downloadUrl>
+                        </xform>
+                    </xforms>`
+                    )
+                );
+
+            return request(app)
+                .post('/api/v2/surveys/available/launch')
+                .set(validAuth)
+                .send({ server_url: validServer })
+                .expect(403)
+                .expect((resp) => {
+                    expect(resp.body.message).to.be.a('string');
+                    expect(resp.body.launched_count).to.equal(1);
+                    expect(
+                        resp.body.forms.map((form) => form.launched)
+                    ).to.deep.equal([true, true, false]);
+                });
+        });
+
+        it('does not launch forms that are not in the formList', () =>
+            request(app)
+                .post('/api/v2/surveys/available/launch')
+                .set(validAuth)
+                .send({ server_url: validServer, form_ids: ['nonexistent'] })
+                .expect(404));
+    });
 });
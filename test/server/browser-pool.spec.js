@@ -0,0 +1,205 @@
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+
+const { expect } = chai;
+const { createPool } = require('../../app/lib/browser-pool');
+
+chai.use(chaiAsPromised);
+
+describe('Browser pool', () => {
+    let launched;
+    let pool;
+
+    /**
+     * Minimal browser with the part of the Puppeteer API that is used by the pool.
+     */
+    function launch() {
+        const browser = {
+            closed: false,
+            createIncognitoBrowserContext() {
+                const context = {
+                    closed: false,
+                    newPage: () => Promise.resolve({ context }),
+                    close() {
+                        context.closed = true;
+
+                        return Promise.resolve();
+                    },
+                };
+
+                return Promise.resolve(context);
+            },
+            version: () => Promise.resolve('HeadlessChrome'),
+            isConnected: () => !browser.closed,
+            close() {
+                browser.closed = true;
+
+                return Promise.resolve();
+            },
+        };
+        launched.push(browser);
+
+        return Promise.resolve(browser);
+    }
+
+    beforeEach(() => {
+        launched = [];
+    });
+
+    afterEach(() => pool.close());
+
+    it('launches the browsers when the pool is created', () => {
+        pool = createPool({ launch, browsers: 2, healthCheckInterval: 0 });
+
+        expect(pool.getStatus().browsers).to.equal(2);
+
+        return pool
+            .acquire()
+            .then((lease) => lease.release())
+            .then(() => {
+                expect(launched.length).to.equal(2);
+            });
+    });
+
+    it('keeps browsers open and opens each page in a new browser context', () => {
+        pool = createPool({ launch, healthCheckInterval: 0 });
+
+        return pool
+            .acquire()
+            .then(({ page, release }) =>
+                release()
+                    .then(() => pool.acquire())
+                    .then((lease) => {
+                        expect(page.context.closed).to.equal(true);
+                        expect(lease.page).not.to.equal(page);
+                        expect(lease.page.context).not.to.equal(page.context);
+
+                        return lease.release();
+                    })
+            )
+            .then(() => {
+                expect(launched.length).to.equal(1);
+                expect(launched[0].closed).to.equal(false);
+            });
+    });
+
+    it('limits concurrency and serves waiting requests in order', () => {
+        const order = [];
+        pool = createPool({ launch, concurrency: 2, healthCheckInterval: 0 });
+
+        return Promise.all([pool.acquire(), pool.acquire()]).then((leases) => {
+            const waiting = [1, 2].map((nr) =>
+                pool.acquire().then((lease) => {
+                    order.push(nr);
+
+                    return lease.release();
+                })
+            );
+
+            expect(pool.getStatus()).to.deep.equal({
+                browsers: 1,
+                active: 2,
+                queued: 2,
+            });
+
+            return Promise.all(leases.map((lease) => lease.release()))
+                .then(() => Promise.all(waiting))
+                .then(() => {
+                    expect(order).to.deep.equal([1, 2]);
+                    expect(pool.getStatus()).to.include({
+                        active: 0,
+                        queued: 0,
+                    });
+                });
+        });
+    });
+
+    it('rejects with a 503 error when the queue is full or a request waited too long', () => {
+        pool = createPool({
+            launch,
+            concurrency: 1,
+            queueLimit: 1,
+            queueTimeout: 10,
+            healthCheckInterval: 0,
+        });
+
+        return pool.acquire().then((lease) => {
+            const waiting = pool.acquire();
+
+            return Promise.all([
+                expect(pool.acquire())
+                    .to.eventually.be.rejected.and.to.have.property('status')
+                    .that.equals(503),
+                expect(waiting)
+                    .to.eventually.be.rejected.and.to.have.property('status')
+                    .that.equals(503),
+            ]).then(() => lease.release());
+        });
+    });
+
+    it('replaces a browser after the configured number of pages', () => {
+        pool = createPool({
+            launch,
+            pagesPerBrowser: 2,
+            healthCheckInterval: 0,
+        });
+
+        return pool
+            .acquire()
+            .then((lease) => lease.release())
+            .then(() => pool.acquire())
+            .then((lease) => lease.release())
+            .then(() => {
+                expect(launched[0].closed).to.equal(true);
+            })
+            .then(() => pool.acquire())
+            .then((lease) => {
+                expect(launched.length).to.equal(2);
+
+                return lease.release();
+            });
+    });
+
+    it('replaces browsers that fail the health check', () => {
+        pool = createPool({ launch, healthCheckInterval: 0 });
+
+        return pool
+            .acquire()
+            .then((lease) => lease.release())
+            .then(() => {
+                // disconnected
+                launched[0].closed = true;
+
+                return pool.checkHealth();
+            })
+            .then(() => {
+                expect(launched.length).to.equal(2);
+                expect(pool.getStatus().browsers).to.equal(1);
+            })
+            .then(() => pool.acquire())
+            .then((lease) => {
+                expect(launched.length).to.equal(2);
+
+                return lease.release();
+            });
+    });
+
+    it('frees the slot when a browser cannot be launched', () => {
+        let fail = true;
+        pool = createPool({
+            launch: () =>
+                fail ? Promise.reject(new Error('Could not launch')) : launch(),
+            concurrency: 1,
+            healthCheckInterval: 0,
+        });
+
+        return expect(pool.acquire())
+            .to.eventually.be.rejectedWith('Could not launch')
+            .then(() => {
+                fail = false;
+
+                return pool.acquire();
+            })
+            .then((lease) => lease.release());
+    });
+});
@@ -5,16 +5,13 @@ const chai = require('chai');
 
 const { expect } = chai;
 const chaiAsPromised = require('chai-as-promised');
-const redis = require('redis');
+const sinon = require('sinon');
+const transformer = require('enketo-transformer');
+const storage = require('../../app/lib/storage');
+const communicator = require('../../app/lib/communicator');
 const config = require('../../app/models/config-model').server;
 
-const client = redis.createClient(
-    config.redis.cache.port,
-    config.redis.cache.host,
-    {
-        auth_pass: config.redis.cache.password,
-    }
-);
+const client = storage.getClient('cache');
 const model = require('../../app/models/cache-model');
 
 let survey;
@@ -392,6 +389,216 @@ describe('Cache Model', () => {
         */
     });
 
+    describe('getInfo and getList: when inspecting the cache', () => {
+        it('returns null for a survey that is not cached', () =>
+            expect(model.getInfo(survey)).to.eventually.equal(null));
+
+        it('returns null for a survey that only has access records', () =>
+            expect(
+                model.setAccess(survey, null).then(() => model.getInfo(survey))
+            ).to.eventually.equal(null));
+
+        it('returns the cache information of a survey', () =>
+            model
+                .set(survey)
+                .then(() => model.getInfo(survey))
+                .then((info) => {
+                    expect(info).to.include({
+                        openRosaServer: 'testserver.com/bob',
+                        openRosaId: 'widgets',
+                        formHash: 'abc',
+                        stale: false,
+                        size: 45,
+                    });
+                    expect(info.mediaHash).to.have.length(32);
+                    expect(info.ttl).to.be.within(1, 30 * 24 * 60 * 60);
+                    expect(new Date(info.cached).getTime()).to.be.closeTo(
+                        Date.now(),
+                        10000
+                    );
+                }));
+
+        it('returns a page of the cached surveys of a server', () => {
+            const surveys = ['c', 'a', 'b'].map((openRosaId) => ({
+                ...survey,
+                openRosaId,
+            }));
+
+            return Promise.all(
+                [
+                    ...surveys,
+                    { ...survey, openRosaServer: 'https://testserver.com/sam' },
+                    {
+                        ...survey,
+                        openRosaServer: 'https://testserver.com/bob/sub',
+                    },
+                ].map((item) => model.set(item))
+            )
+                .then(() =>
+                    model.getList('https://testserver.com/bob', {
+                        offset: 1,
+                        limit: 1,
+                    })
+                )
+                .then(({ total, items }) => {
+                    expect(total).to.equal(3);
+                    expect(items.map((item) => item.openRosaId)).to.deep.equal([
+                        'b',
+                    ]);
+                });
+        });
+    });
+
+    describe('getXForm: when obtaining the XForm for the OpenRosa form list', () => {
+        beforeEach(() => {
+            config['openrosa form list'] = true;
+            survey.info.name = 'Widgets';
+            survey.info.version = '2';
+            survey.xform = '<h:html/>';
+        });
+
+        afterEach(() => {
+            config['openrosa form list'] = false;
+        });
+
+        it('returns the cached XForm with its manifest', () =>
+            model
+                .set(survey)
+                .then(() => model.getXForm(survey))
+                .then((cached) => {
+                    expect(cached).to.deep.equal({
+                        openRosaServer: 'https://testserver.com/bob',
+                        openRosaId: 'widgets',
+                        xform: '<h:html/>',
+                        manifest: survey.manifest,
+                        name: 'Widgets',
+                        version: '2',
+                        formHash: 'abc',
+                    });
+                }));
+
+        it('does not cache the XForm if the form list is disabled', () => {
+            config['openrosa form list'] = false;
+
+            return expect(
+                model.set(survey).then(() => model.getXForm(survey))
+            ).to.eventually.equal(null);
+        });
+
+        it('considers a cache without XForm obsolete if the form list is enabled', () => {
+            delete survey.xform;
+
+            return expect(
+                model.set(survey).then(model.check)
+            ).to.eventually.equal(false);
+        });
+    });
+
+    describe('setAccess and hasAccess: when recording the users that were given access', () => {
+        const credentials = { user: 'bob', pass: 'secret' };
+
+        it('recognizes a user who was given access before', () =>
+            model
+                .set(survey)
+                .then(() => model.setAccess(survey, credentials))
+                .then(() => model.hasAccess(survey, { ...credentials }))
+                .then((access) => {
+                    expect(access).to.equal(true);
+                }));
+
+        it('does not recognize other users', () =>
+            model
+                .set(survey)
+                .then(() => model.setAccess(survey, credentials))
+                .then(() =>
+                    Promise.all([
+                        model.hasAccess(survey, { user: 'bob', pass: 'guess' }),
+                        model.hasAccess(survey, null),
+                    ])
+                )
+                .then((access) => {
+                    expect(access).to.deep.equal([false, false]);
+                }));
+
+        it('forgets the users when the cache is flushed', () =>
+            model
+                .set(survey)
+                .then(() => model.setAccess(survey, credentials))
+                .then(() => model.flush(survey))
+                .then(() => model.hasAccess(survey, credentials))
+                .then((access) => {
+                    expect(access).to.equal(false);
+                }));
+
+        it('does not store the credentials', () =>
+            model
+                .set(survey)
+                .then(() => model.setAccess(survey, credentials))
+                .then(
+                    () =>
+                        new Promise((resolve, reject) => {
+                            client.hgetall(
+                                'ca:testserver.com/bob,widgets',
+                                (error, obj) =>
+                                    error ? reject(error) : resolve(obj)
+                            );
+                        })
+                )
+                .then((obj) => {
+                    expect(JSON.stringify(obj)).not.to.contain('secret');
+                }));
+    });
+
+    describe('refresh: when fetching, transforming and caching a form', () => {
+        let sandbox;
+
+        beforeEach(() => {
+            sandbox = sinon.createSandbox();
+            sandbox
+                .stub(communicator, 'getManifest')
+                .callsFake((survey) =>
+                    Promise.resolve({ ...survey, manifest: [] })
+                );
+            sandbox
+                .stub(communicator, 'getXForm')
+                .callsFake((survey) =>
+                    Promise.resolve({ ...survey, xform: '<xform/>' })
+                );
+            sandbox.stub(transformer, 'transform').callsFake((survey) =>
+                Promise.resolve({
+                    ...survey,
+                    form: '<form>new form</form>',
+                    model: '<data>new model</data>',
+                })
+            );
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('replaces an obsolete cached form without keeping its properties', () =>
+            model
+                .set(survey)
+                .then((cached) =>
+                    model.refresh({ ...cached, info: { hash: 'def' } })
+                )
+                .then(({ survey, transformed }) => {
+                    expect(transformed).to.equal(true);
+                    expect(survey.formHash).to.equal('def');
+
+                    return model.get(survey);
+                })
+                .then((cached) => {
+                    expect(cached.form).to.equal('<form>new form</form>');
+
+                    return model.refresh({ ...cached, info: { hash: 'def' } });
+                })
+                .then(({ transformed }) => {
+                    expect(transformed).to.equal(false);
+                }));
+    });
+
     describe('flush(ing): when attempting to flush the cache', () => {
         const getCacheCount = () =>
             new Promise((resolve, reject) => {
@@ -9,6 +9,7 @@ const request = require('supertest');
 const { expect } = chai;
 const { Auth } = require('request/lib/auth');
 const communicator = require('../../app/lib/communicator');
+const circuitBreaker = require('../../app/lib/circuit-breaker');
 const config = require('../../app/models/config-model').server;
 const sinon = require('sinon');
 const { requestContextMiddleware } = require('../../app/lib/context');
@@ -105,6 +106,64 @@ describe('Communicator Library', () => {
         });
     });
 
+    describe('getXFormList function', () => {
+        it('should throw when getting wrong input', () => {
+            const fail = () => {
+                communicator.getXFormList({});
+            };
+            expect(fail).to.throw();
+        });
+
+        it('should resolve with the info of all forms', () => {
+            const formListXML = `
+                <xforms xmlns="http://openrosa.org/xforms/xformsList">
+                    <xform>
+                        <formID>foo</formID>
+                        <name>Foo</name>
+                        <hash>md5:c28fc778a9291672badee04ac880a05d</hash>
+                        <downloadUrl>https://testserver.com/bob/foo.xml</downloadUrl>
+                    </xform>
+                    <xform>
+                        <formID>bar</formID>
+                        <name>Bar</name>
+                        <hash>md5:c28fc778a9291672badee04ac770a05d</hash>
+                        <downloadUrl>https://testserver.com/bob/bar.xml</downloadUrl>
+                    </xform>
+                </xforms>
+            `;
+            nock('https://testserver.com')
+                .get('/bob/formList')
+                .reply(200, formListXML);
+
+            return communicator
+                .getXFormList({ openRosaServer: 'https://testserver.com/bob' })
+                .then((list) => {
+                    expect(list.map((info) => info.formID)).to.deep.equal([
+                        'foo',
+                        'bar',
+                    ]);
+                    expect(list[1].downloadUrl).to.equal(
+                        'https://testserver.com/bob/bar.xml'
+                    );
+                });
+        });
+
+        it('should resolve with an empty list if the formList is empty', () => {
+            nock('https://testserver.com')
+                .get('/bob/formList')
+                .reply(
+                    200,
+                    '<xforms xmlns="http://openrosa.org/xforms/xformsList"></xforms>'
+                );
+
+            return communicator
+                .getXFormList({ openRosaServer: 'https://testserver.com/bob' })
+                .then((list) => {
+                    expect(list).to.deep.equal([]);
+                });
+        });
+    });
+
     describe('getXForm function', () => {
         it('should resolve with survey with added xform', (done) => {
             const survey = {
@@ -140,6 +199,125 @@ describe('Communicator Library', () => {
         });
     });
 
+    describe('retries and circuit breaking', () => {
+        const survey = {
+            info: {
+                downloadUrl: 'https://testserver.com/foo',
+            },
+        };
+        let settings;
+
+        beforeEach(() => {
+            settings = {
+                retries: 2,
+                'retry delay': 1,
+                'failure threshold': 5,
+                'failure window': 60000,
+                'open duration': 30000,
+            };
+            sandbox.stub(config, 'openrosa requests').get(() => settings);
+        });
+
+        afterEach(() => {
+            nock.cleanAll();
+            circuitBreaker.reset();
+        });
+
+        it('retries a GET request that failed with a 5xx response', () => {
+            nock('https://testserver.com')
+                .get('/foo')
+                .twice()
+                .reply(502)
+                .get('/foo')
+                .reply(200, '<xform/>');
+
+            return communicator.getXForm({ ...survey }).then((response) => {
+                expect(response.xform).to.equal('<xform/>');
+            });
+        });
+
+        it('does not retry a request that failed with a 4xx response', () => {
+            const scope = nock('https://testserver.com')
+                .get('/foo')
+                .reply(404)
+                .get('/foo')
+                .reply(200, '<xform/>');
+
+            return communicator.getXForm({ ...survey }).then(
+                () => Promise.reject(new Error('should have failed')),
+                (error) => {
+                    expect(error.status).to.equal(404);
+                    expect(scope.isDone()).to.equal(false);
+                }
+            );
+        });
+
+        it('does not retry a request that timed out', () => {
+            settings.timeout = 10;
+            const scope = nock('https://testserver.com')
+                .get('/foo')
+                .delay(100)
+                .reply(200, '<xform/>')
+                .get('/foo')
+                .reply(200, '<xform/>');
+
+            return communicator.getXForm({ ...survey }).then(
+                () => Promise.reject(new Error('should have failed')),
+                (error) => {
+                    expect(error.code).to.match(/TIMEDOUT/);
+                    expect(scope.isDone()).to.equal(false);
+                }
+            );
+        });
+
+        it('fails immediately with a 503 error once the failure threshold is reached', () => {
+            settings.retries = 0;
+            settings['failure threshold'] = 2;
+            const scope = nock('https://testserver.com')
+                .get('/foo')
+                .twice()
+                .reply(500)
+                .get('/foo')
+                .reply(200, '<xform/>');
+            const fail = () =>
+                communicator.getXForm({ ...survey }).then(
+                    () => Promise.reject(new Error('should have failed')),
+                    (error) => error
+                );
+
+            return fail()
+                .then(fail)
+                .then(fail)
+                .then((error) => {
+                    expect(error.status).to.equal(503);
+                    expect(error.translationKey).to.equal(
+                        'error.serverunavailable'
+                    );
+                    expect(scope.isDone()).to.equal(false);
+                });
+        });
+
+        it('checks whether the server has recovered after the open duration', () => {
+            settings.retries = 0;
+            settings['failure threshold'] = 1;
+            settings['open duration'] = 0;
+            nock('https://testserver.com')
+                .get('/foo')
+                .reply(500)
+                .get('/foo')
+                .twice()
+                .reply(200, '<xform/>');
+
+            return communicator
+                .getXForm({ ...survey })
+                .catch(() => communicator.getXForm({ ...survey }))
+                .then(() => communicator.getXForm({ ...survey }))
+                .then((response) => {
+                    expect(response.xform).to.equal('<xform/>');
+                });
+        });
+    });
+
     describe('getMaxSize function', () => {
         it('should resolve with maximum accepted submission size', (done) => {
             const survey = {
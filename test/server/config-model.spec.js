@@ -185,6 +185,41 @@ describe('Config Model', () => {
             expect(config.server.maps[2].tiles).to.deep.equal(['d', 'e']);
         });
 
+        it('for array values that are empty by default', () => {
+            expect(
+                config.server['linked form and data server'].webhooks
+            ).to.deep.equal([]);
+            stubEnv(
+                'ENKETO_LINKED_FORM_AND_DATA_SERVER_WEBHOOKS_0_URL',
+                'https://example.com/a'
+            );
+            stubEnv(
+                'ENKETO_LINKED_FORM_AND_DATA_SERVER_WEBHOOKS_0_RETRY_DELAY',
+                '500'
+            );
+            stubEnv(
+                'ENKETO_LINKED_FORM_AND_DATA_SERVER_WEBHOOKS_1_URL',
+                'https://example.com/b'
+            );
+            config = loadConfig();
+            expect(
+                config.server['linked form and data server'].webhooks
+            ).to.deep.equal([
+                {
+                    url: 'https://example.com/a',
+                    secret: '',
+                    retries: '',
+                    'retry delay': '500',
+                },
+                {
+                    url: 'https://example.com/b',
+                    secret: '',
+                    retries: '',
+                    'retry delay': '',
+                },
+            ]);
+        });
+
         it('parses a redis url to its components', () => {
             stubEnv(
                 'ENKETO_REDIS_MAIN_URL',
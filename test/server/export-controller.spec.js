@@ -0,0 +1,201 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../config/express');
+const config = require('../../app/models/config-model').server;
+const surveyModel = require('../../app/models/survey-model');
+const exportModel = require('../../app/models/export-model');
+const storage = require('../../app/lib/storage');
+
+const client = storage.getClient('main');
+
+/**
+ * @param { string } deviceId - device ID
+ * @return { string } Cookie header with the device ID, signed like Express does
+ */
+const getDeviceCookie = (deviceId) => {
+    const signature = crypto
+        .createHmac('sha256', config['encryption key'])
+        .update(deviceId)
+        .digest('base64')
+        .replace(/=+$/, '');
+
+    return `__enketo_meta_deviceid=${encodeURIComponent(
+        `s:${deviceId}.${signature}`
+    )}`;
+};
+
+describe('Export Controller', () => {
+    let enketoId;
+    let bundle;
+    let enabled;
+
+    before(() => {
+        const zip = new JSZip();
+        zip.folder('form_2022-01-01_12-00-00').file(
+            'submission.xml',
+            '<?xml version="1.0" ?>\n<data/>'
+        );
+        zip.file(
+            'meta.json',
+            JSON.stringify([
+                { folder: 'form_2022-01-01_12-00-00', instanceID: 'a' },
+            ])
+        );
+
+        return zip.generateAsync({ type: 'nodebuffer' }).then((buffer) => {
+            bundle = buffer;
+        });
+    });
+
+    beforeEach(() => {
+        enabled = config['record export'].enabled;
+        config['record export'].enabled = true;
+
+        return surveyModel
+            .set({
+                openRosaServer: 'https://testserver.com/bob',
+                openRosaId: 'something',
+            })
+            .then((id) => {
+                enketoId = id;
+            });
+    });
+
+    afterEach((done) => {
+        config['record export'].enabled = enabled;
+
+        // select test database and flush it
+        client.select(15, (err) => {
+            if (err) {
+                return done(err);
+            }
+            client.flushdb((err) => {
+                if (err) {
+                    return done(err);
+                }
+                done();
+            });
+        });
+    });
+
+    const deviceId = 'localhost:abcd';
+
+    const push = (id, token, device = deviceId) => {
+        const req = request(app)
+            .post(`/export/${id}`)
+            .set('Content-Type', 'application/zip')
+            .set('Cookie', getDeviceCookie(device));
+
+        if (token) {
+            req.set('X-Enketo-Export-Token', token);
+        }
+
+        return req.send(bundle);
+    };
+
+    it('responds with 405 if record export is disabled', () => {
+        config['record export'].enabled = false;
+
+        return push(enketoId, exportModel.getToken(enketoId, deviceId)).expect(
+            405
+        );
+    });
+
+    it('responds with 403 to a bundle without export token', () =>
+        push(enketoId)
+            .expect(403)
+            .then(() => exportModel.getList(enketoId))
+            .then((list) => {
+                expect(list).to.deep.equal([]);
+            }));
+
+    it('responds with 403 to a bundle with the export token of another survey', () =>
+        push(enketoId, exportModel.getToken('other', deviceId)).expect(403));
+
+    it('responds with 403 to a bundle with the export token of another browser', () =>
+        push(
+            enketoId,
+            exportModel.getToken(enketoId, deviceId),
+            'localhost:efgh'
+        ).expect(403));
+
+    it('responds with 403 to a bundle with an expired export token', () =>
+        push(
+            enketoId,
+            exportModel.getToken(
+                enketoId,
+                deviceId,
+                Date.now() - config['record export']['token expiry'] - 1
+            )
+        ).expect(403));
+
+    it('responds with 404 to a bundle with the export token of a deactivated survey', () =>
+        surveyModel
+            .update({
+                openRosaServer: 'https://testserver.com/bob',
+                openRosaId: 'something',
+                active: false,
+            })
+            .then(() =>
+                push(enketoId, exportModel.getToken(enketoId, deviceId)).expect(
+                    404
+                )
+            ));
+
+    it('stores a bundle with the export token of the survey', () =>
+        push(enketoId, exportModel.getToken(enketoId, deviceId))
+            .expect(201)
+            .then((response) => {
+                expect(response.body.records).to.equal(1);
+
+                return exportModel.get(enketoId, response.body.bundle_id);
+            })
+            .then((stored) => {
+                expect(stored.bundle.equals(bundle)).to.equal(true);
+            }));
+
+    it('responds with 429 once the maximum number of bundles is stored', () => {
+        const maxBundles = config['record export']['max bundles'];
+        config['record export']['max bundles'] = 1;
+
+        return push(enketoId, exportModel.getToken(enketoId, deviceId))
+            .expect(201)
+            .then(() =>
+                push(enketoId, exportModel.getToken(enketoId, deviceId)).expect(
+                    429
+                )
+            )
+            .finally(() => {
+                config['record export']['max bundles'] = maxBundles;
+            });
+    });
+
+    it('stores no more than the maximum number of bundles when they are sent at the same time', () => {
+        const maxBundles = config['record export']['max bundles'];
+        config['record export']['max bundles'] = 2;
+
+        return Promise.all(
+            [1, 2, 3, 4].map(() =>
+                push(enketoId, exportModel.getToken(enketoId, deviceId))
+            )
+        )
+            .then((responses) => {
+                expect(
+                    responses.map((response) => response.status).sort()
+                ).to.deep.equal([201, 201, 429, 429]);
+
+                return exportModel.getList(enketoId);
+            })
+            .then((list) => {
+                expect(list.length).to.equal(2);
+            })
+            .finally(() => {
+                config['record export']['max bundles'] = maxBundles;
+            });
+    });
+});
@@ -0,0 +1,271 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const crypto = require('crypto');
+const chai = require('chai');
+const JSZip = require('jszip');
+
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+const config = require('../../app/models/config-model').server;
+const storage = require('../../app/lib/storage');
+const model = require('../../app/models/export-model');
+
+const client = storage.getClient('main');
+
+chai.use(chaiAsPromised);
+
+describe('Export Model', () => {
+    const enketoId = 'abcd';
+    let bundle;
+
+    before(() => {
+        const zip = new JSZip();
+        zip.folder('form_2022-01-01_12-00-00').file(
+            'submission.xml',
+            '<?xml version="1.0" ?>\n<data/>'
+        );
+        zip.folder('form_2022-01-02_12-00-00').file(
+            'submission.xml',
+            '<?xml version="1.0" ?>\n<data/>'
+        );
+        zip.file(
+            'meta.json',
+            JSON.stringify([
+                { folder: 'form_2022-01-01_12-00-00', instanceID: 'a' },
+                { folder: 'form_2022-01-02_12-00-00', instanceID: 'b' },
+            ])
+        );
+
+        return zip.generateAsync({ type: 'nodebuffer' }).then((buffer) => {
+            bundle = buffer;
+        });
+    });
+
+    afterEach((done) => {
+        // select test database and flush it
+        client.select(15, (err) => {
+            if (err) {
+                return done(err);
+            }
+            client.flushdb((err) => {
+                if (err) {
+                    return done(err);
+                }
+                done();
+            });
+        });
+    });
+
+    describe('set: when attempting to store a bundle', () => {
+        it('returns a 400 error when the bundle is missing', () =>
+            expect(model.set(enketoId, undefined))
+                .to.eventually.be.rejected.and.to.have.property('status')
+                .that.equals(400));
+
+        it('returns a 400 error when the bundle is not a ZIP file', () =>
+            expect(model.set(enketoId, Buffer.from('<data/>')))
+                .to.eventually.be.rejected.and.to.have.property('status')
+                .that.equals(400));
+
+        it('returns a 400 error when the ZIP file has no meta.json file', () => {
+            const zip = new JSZip();
+            zip.file('submission.xml', '<data/>');
+
+            return expect(
+                zip
+                    .generateAsync({ type: 'nodebuffer' })
+                    .then((buffer) => model.set(enketoId, buffer))
+            )
+                .to.eventually.be.rejected.and.to.have.property('status')
+                .that.equals(400);
+        });
+
+        it('returns a 400 error when the digest does not match', () =>
+            expect(model.set(enketoId, bundle, 'abc'))
+                .to.eventually.be.rejected.and.to.have.property('status')
+                .that.equals(400));
+
+        it('returns the bundle information when successful', () => {
+            const digest = crypto
+                .createHash('sha256')
+                .update(bundle)
+                .digest('hex');
+
+            return model.set(enketoId, bundle, digest).then((info) => {
+                expect(info.bundleId).to.be.a('string');
+                expect(info).to.include({
+                    enketoId,
+                    size: bundle.length,
+                    records: 2,
+                    digest,
+                });
+                expect(info.signature).to.be.a('string');
+            });
+        });
+    });
+
+    describe('set: when the maximum number of bundles is reached', () => {
+        let maxBundles;
+
+        beforeEach(() => {
+            maxBundles = config['record export']['max bundles'];
+            config['record export']['max bundles'] = 1;
+        });
+
+        afterEach(() => {
+            config['record export']['max bundles'] = maxBundles;
+        });
+
+        it('returns a 429 error for the survey', () =>
+            expect(
+                model
+                    .set(enketoId, bundle)
+                    .then(() => model.set(enketoId, bundle))
+            )
+                .to.eventually.be.rejected.and.to.have.property('status')
+                .that.equals(429));
+
+        it('stores bundles of other surveys', () =>
+            expect(
+                model
+                    .set(enketoId, bundle)
+                    .then(() => model.set('efgh', bundle))
+            ).to.eventually.have.property('records'));
+
+        it('stores a bundle again once a bundle is removed', () =>
+            expect(
+                model
+                    .set(enketoId, bundle)
+                    .then((info) => model.remove(enketoId, info.bundleId))
+                    .then(() => model.set(enketoId, bundle))
+            ).to.eventually.have.property('records'));
+
+        it('stores only one of the bundles that are sent at the same time', () =>
+            Promise.allSettled([
+                model.set(enketoId, bundle),
+                model.set(enketoId, bundle),
+            ]).then((results) => {
+                expect(
+                    results.map((result) => result.status).sort()
+                ).to.deep.equal(['fulfilled', 'rejected']);
+                expect(
+                    results.find(({ reason }) => reason).reason.status
+                ).to.equal(429);
+            }));
+    });
+
+    describe('get: when attempting to obtain a bundle', () => {
+        it('returns null when the bundle does not exist', () =>
+            expect(model.get(enketoId, 'nope')).to.eventually.equal(null));
+
+        it('returns the bundle with a valid signature', () =>
+            model
+                .set(enketoId, bundle)
+                .then((info) => model.get(enketoId, info.bundleId))
+                .then((stored) => {
+                    expect(stored.bundle.equals(bundle)).to.equal(true);
+                    expect(model.verify(stored)).to.equal(true);
+                }));
+
+        it('detects a tampered bundle', () =>
+            model.set(enketoId, bundle).then((info) => {
+                info.records = 5;
+                expect(model.verify(info)).to.equal(false);
+            }));
+    });
+
+    describe('getList: when attempting to list bundles', () => {
+        it('returns an empty list when no bundles were stored', () =>
+            expect(model.getList(enketoId)).to.eventually.deep.equal([]));
+
+        it('returns the bundles of the survey, without the files', () =>
+            model
+                .set(enketoId, bundle)
+                .then(() => model.set(enketoId, bundle))
+                .then(() => model.set('efgh', bundle))
+                .then(() => model.getList(enketoId))
+                .then((list) => {
+                    expect(list.length).to.equal(2);
+                    list.forEach((info) => {
+                        expect(info.enketoId).to.equal(enketoId);
+                        expect(info).not.to.have.property('bundle');
+                    });
+                }));
+    });
+
+    describe('verifyToken: when verifying the token sent by a webform', () => {
+        const deviceId = 'localhost:abcd';
+
+        it('accepts the token of the survey for the same device', () => {
+            expect(
+                model.verifyToken(
+                    enketoId,
+                    model.getToken(enketoId, deviceId),
+                    deviceId
+                )
+            ).to.equal(true);
+        });
+
+        it('rejects a missing token or the token of another survey', () => {
+            expect(model.verifyToken(enketoId, undefined, deviceId)).to.equal(
+                false
+            );
+            expect(
+                model.verifyToken(
+                    enketoId,
+                    model.getToken('efgh', deviceId),
+                    deviceId
+                )
+            ).to.equal(false);
+        });
+
+        it('rejects the token of another device or without device', () => {
+            const token = model.getToken(enketoId, deviceId);
+
+            expect(model.getToken(enketoId)).to.equal(undefined);
+            expect(
+                model.verifyToken(enketoId, token, 'localhost:efgh')
+            ).to.equal(false);
+            expect(model.verifyToken(enketoId, token)).to.equal(false);
+        });
+
+        it('rejects an expired or altered token', () => {
+            const now = Date.now();
+            const expiry = config['record export']['token expiry'];
+            const token = model.getToken(enketoId, deviceId, now);
+            const [expires, signature] = token.split('.');
+
+            expect(
+                model.verifyToken(enketoId, token, deviceId, now + expiry - 1)
+            ).to.equal(true);
+            expect(
+                model.verifyToken(enketoId, token, deviceId, now + expiry)
+            ).to.equal(false);
+            expect(
+                model.verifyToken(
+                    enketoId,
+                    `${Number(expires) + expiry}.${signature}`,
+                    deviceId,
+                    now + expiry
+                )
+            ).to.equal(false);
+        });
+    });
+
+    describe('remove: when attempting to remove a bundle', () => {
+        it('returns null when the bundle did not exist', () =>
+            expect(model.remove(enketoId, 'nope')).to.eventually.equal(null));
+
+        it('returns the bundleId when successful', () =>
+            model.set(enketoId, bundle).then((info) =>
+                expect(model.remove(enketoId, info.bundleId))
+                    .to.eventually.equal(info.bundleId)
+                    .then(
+                        () =>
+                            expect(model.get(enketoId, info.bundleId)).to
+                                .eventually.be.null
+                    )
+            ));
+    });
+});
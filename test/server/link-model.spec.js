@@ -0,0 +1,176 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const chai = require('chai');
+
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+const storage = require('../../app/lib/storage');
+const model = require('../../app/models/link-model');
+
+const client = storage.getClient('main');
+
+chai.use(chaiAsPromised);
+
+describe('Link Model', () => {
+    const link = {
+        enketoId: 'abcd',
+        type: 'single',
+        maxUses: 2,
+    };
+    let expires;
+
+    beforeEach(() => {
+        expires = Date.now() + 60000;
+    });
+
+    afterEach((done) => {
+        // select test database and flush it
+        client.select(15, (err) => {
+            if (err) {
+                return done(err);
+            }
+            client.flushdb((err) => {
+                if (err) {
+                    return done(err);
+                }
+                done();
+            });
+        });
+    });
+
+    describe('create: when creating a link', () => {
+        it('returns the link with a URL-safe token', () =>
+            model.create({ ...link, expires }).then((created) => {
+                expect(created).to.include({
+                    enketoId: 'abcd',
+                    type: 'single',
+                    expires,
+                    maxUses: 2,
+                    uses: 0,
+                });
+                expect(created.id).to.have.length(16);
+                expect(created.token).to.match(
+                    /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/
+                );
+            }));
+
+        [
+            ['an unknown type', { type: 'edit' }],
+            ['an expiry in the past', { expires: Date.now() - 1000 }],
+            ['an invalid maximum number of uses', { maxUses: -1 }],
+            ['a record bound to a single-submission link', { instanceId: 'a' }],
+        ].forEach(([desc, props]) => {
+            it(`rejects with a 400 error for ${desc}`, () =>
+                expect(model.create({ ...link, expires, ...props }))
+                    .to.eventually.be.rejected.and.to.have.property('status')
+                    .that.equals(400));
+        });
+    });
+
+    describe('verify: when verifying a token', () => {
+        it('resolves with the link', () =>
+            model
+                .create({ ...link, expires })
+                .then((created) => model.verify(created.token, 'single'))
+                .then((verified) => {
+                    expect(verified).to.include({
+                        enketoId: 'abcd',
+                        expires,
+                        maxUses: 2,
+                        uses: 0,
+                    });
+                }));
+
+        it('resolves with null for invalid tokens and other webform types', () =>
+            model
+                .create({ ...link, expires })
+                .then((created) =>
+                    Promise.all([
+                        model.verify(created.token, 'view'),
+                        model.verify(
+                            created.token.replace('.', '.a'),
+                            'single'
+                        ),
+                        model.verify('abc', 'single'),
+                    ])
+                )
+                .then((results) =>
+                    expect(results).to.deep.equal([null, null, null])
+                ));
+
+        it('rejects with a 410 error when the link was used the maximum number of times', () =>
+            model.create({ ...link, expires }).then((created) =>
+                model
+                    .use(created)
+                    .then(() => model.use(created))
+                    .then(() => model.verify(created.token, 'single', false))
+                    .then((verified) => expect(verified.uses).to.equal(2))
+                    .then(() =>
+                        expect(
+                            model.verify(created.token, 'single')
+                        ).to.eventually.be.rejected.and.to.include({
+                            status: 410,
+                            translationKey: 'error.linkused',
+                        })
+                    )
+            ));
+
+        it('rejects with a 410 error when the link was revoked', () =>
+            model.create({ ...link, expires }).then((created) =>
+                model.revoke(created.id).then(() =>
+                    expect(
+                        model.verify(created.token, 'single')
+                    ).to.eventually.be.rejected.and.to.include({
+                        status: 410,
+                        translationKey: 'error.linkexpired',
+                    })
+                )
+            ));
+    });
+
+    describe('consume: when using a view link', () => {
+        it('counts uses until the maximum is reached', () =>
+            model
+                .create({ ...link, type: 'view', maxUses: 1, expires })
+                .then((created) => model.verify(created.token, 'view', false))
+                .then((verified) =>
+                    model
+                        .consume(verified)
+                        .then((uses) => expect(uses).to.equal(1))
+                        .then(() => model.verify(verified.token, 'view', false))
+                )
+                .then((verified) =>
+                    expect(model.consume(verified))
+                        .to.eventually.be.rejected.and.to.have.property(
+                            'status'
+                        )
+                        .that.equals(410)
+                ));
+
+        it('rejects concurrent uses that exceed the maximum', () =>
+            model
+                .create({ ...link, type: 'view', maxUses: 1, expires })
+                .then((created) => model.verify(created.token, 'view', false))
+                .then((verified) =>
+                    Promise.allSettled([
+                        model.consume(verified),
+                        model.consume(verified),
+                    ]).then((results) => {
+                        expect(
+                            results.map((result) => result.status)
+                        ).to.have.members(['fulfilled', 'rejected']);
+
+                        return model.verify(verified.token, 'view', false);
+                    })
+                )
+                .then((verified) => expect(verified.uses).to.equal(1)));
+    });
+
+    describe('revoke: when revoking a link', () => {
+        it('rejects with a 404 error for an unknown link', () =>
+            expect(model.revoke('unknown'))
+                .to.eventually.be.rejected.and.to.have.property('status')
+                .that.equals(404));
+    });
+});
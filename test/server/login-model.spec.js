@@ -0,0 +1,144 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const config = require('../../app/models/config-model').server;
+const loginModel = require('../../app/models/login-model');
+const storage = require('../../app/lib/storage');
+
+const { expect } = chai;
+const client = storage.getClient('main');
+
+chai.use(chaiAsPromised);
+
+describe('Login throttling', () => {
+    const attempt = { ip: '10.0.0.1', username: 'bob' };
+    let settings;
+
+    /**
+     * @param { number } count - number of failures
+     * @param {module:login-model~LoginAttempt} [loginAttempt] - login attempt
+     * @return { Promise } Promise that resolves when the failures have been recorded
+     */
+    function fail(count, loginAttempt = attempt) {
+        let failures = Promise.resolve();
+
+        for (let i = 0; i < count; i++) {
+            failures = failures.then(() =>
+                loginModel.recordFailure(loginAttempt)
+            );
+        }
+
+        return failures;
+    }
+
+    beforeEach(() => {
+        settings = config['login throttling'];
+        config['login throttling'] = {
+            'max attempts': 3,
+            lockout: 60000,
+            'max lockout': 150000,
+        };
+    });
+
+    afterEach((done) => {
+        config['login throttling'] = settings;
+        // select test database and flush it
+        client.select(15, (err) => {
+            if (err) {
+                return done(err);
+            }
+            client.flushdb(done);
+        });
+    });
+
+    it('allows logins below the maximum number of failed attempts', () =>
+        fail(2)
+            .then(() => loginModel.check(attempt))
+            .then((retryAfter) => {
+                expect(retryAfter).to.equal(0);
+            }));
+
+    it('locks out the IP address and username after the maximum number of failed attempts', () =>
+        fail(3)
+            .then(() =>
+                Promise.all([
+                    loginModel.check({ ip: attempt.ip }),
+                    loginModel.check({ ip: '10.0.0.2', username: 'BOB' }),
+                    loginModel.check({ ip: '10.0.0.2', username: 'alice' }),
+                ])
+            )
+            .then(([ip, username, other]) => {
+                expect(ip).to.be.within(59000, 60000);
+                expect(username).to.be.within(59000, 60000);
+                expect(other).to.equal(0);
+            }));
+
+    it('doubles the lockout up to the maximum lockout', () =>
+        fail(6)
+            .then(() => loginModel.check(attempt))
+            .then((retryAfter) => {
+                expect(retryAfter).to.be.within(119000, 120000);
+            })
+            .then(() => fail(3))
+            .then(() => loginModel.check(attempt))
+            .then((retryAfter) => {
+                expect(retryAfter).to.be.within(149000, 150000);
+            }));
+
+    it('does not lock out if throttling is disabled', () => {
+        config['login throttling']['max attempts'] = 0;
+
+        return fail(5)
+            .then(() => loginModel.check(attempt))
+            .then((retryAfter) => {
+                expect(retryAfter).to.equal(0);
+            });
+    });
+
+    it('resets the failures of the username, but not of the IP address, after a successful login', () =>
+        fail(2)
+            .then(() => loginModel.recordSuccess(attempt))
+            .then(() => fail(1))
+            .then(() =>
+                Promise.all([
+                    loginModel.check({ ip: attempt.ip }),
+                    loginModel.check({ username: attempt.username }),
+                ])
+            )
+            .then(([ip, username]) => {
+                expect(ip).to.be.above(0);
+                expect(username).to.equal(0);
+            }));
+
+    it('lists and lifts lockouts', () =>
+        fail(3)
+            .then(() => loginModel.getLockouts())
+            .then((lockouts) => {
+                expect(lockouts.map(({ type }) => type)).to.have.members([
+                    'ip',
+                    'username',
+                ]);
+                expect(lockouts[0]).to.include({ failures: 0, lockouts: 1 });
+
+                return loginModel.unlock('username', 'Bob');
+            })
+            .then((removed) => {
+                expect(removed).to.equal(true);
+
+                return Promise.all([
+                    loginModel.check({ username: attempt.username }),
+                    loginModel.unlock('username', 'bob'),
+                ]);
+            })
+            .then(([retryAfter, removed]) => {
+                expect(retryAfter).to.equal(0);
+                expect(removed).to.equal(false);
+            }));
+
+    it('rejects lifting a lockout without IP address or username', () =>
+        expect(
+            loginModel.unlock('ip', '')
+        ).to.eventually.be.rejected.and.to.have.property('status', 400));
+});
@@ -1,6 +1,17 @@
 const request = require('supertest');
 const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const { expect } = require('chai');
 const app = require('../../config/express');
+const config = require('../../app/models/config-model').server;
+const surveyModel = require('../../app/models/survey-model');
+const accountModel = require('../../app/models/account-model');
+const user = require('../../app/models/user-model');
+const mediaCache = require('../../app/lib/media-cache');
+const storage = require('../../app/lib/storage');
 
 /**
  * Tests the request-filtering-agent to block SSRF attacks
@@ -343,3 +354,239 @@ describe('Testing request-filtering-agent', () => {
         request(app).get(requestValidHTTPSURL).expect(200).end(done);
     });
 });
+
+describe('Media cache', () => {
+    const port = 1235;
+    const body = 'abcdefghijklmnopqrstuvwxyz';
+    const directory = path.join(
+        os.tmpdir(),
+        `enketo-media-cache-test-${process.pid}`
+    );
+    const cacheClient = storage.getClient('cache');
+    let mediaServer;
+    let responses;
+    let ipFiltering;
+    let settings;
+
+    /**
+     * @param { string } file - path of the file on the test server
+     * @return { string } URL of the media proxy
+     */
+    const getUrl = (file) => `/media/get/http/localhost:${port}/${file}`;
+
+    before(() => {
+        mediaServer = http.createServer((req, res) => {
+            const headers = { 'Content-Type': 'text/plain' };
+
+            responses.push(`${req.method} ${req.url}`);
+
+            if (req.url.startsWith('/etag')) {
+                headers.ETag = '"1"';
+                if (req.headers['if-none-match'] === '"1"') {
+                    res.writeHead(304, headers);
+
+                    return res.end();
+                }
+            }
+            res.writeHead(200, headers);
+            res.end(req.method === 'HEAD' ? undefined : body);
+        });
+        mediaServer.listen(port);
+    });
+
+    after(() => {
+        mediaServer.close();
+    });
+
+    beforeEach(() => {
+        responses = [];
+        ipFiltering = app.get('ip filtering');
+        settings = config['media cache'];
+        app.set('ip filtering', {
+            ...ipFiltering,
+            allowPrivateIPAddress: true,
+        });
+        config['media cache'] = {
+            enabled: true,
+            directory,
+            'max size': 100,
+            'max file size': 50,
+        };
+    });
+
+    afterEach((done) => {
+        app.set('ip filtering', ipFiltering);
+        config['media cache'] = settings;
+        fs.rmSync(directory, { recursive: true, force: true });
+        // select test database and flush it
+        cacheClient.select(15, (err) => {
+            if (err) {
+                return done(err);
+            }
+            cacheClient.flushdb(done);
+        });
+    });
+
+    /**
+     * Requests a file twice, so that it is served from the cache the second time.
+     *
+     * @param { string } file - path of the file on the test server
+     * @return { Promise } Promise that resolves with the second response
+     */
+    function getTwice(file) {
+        return request(app)
+            .get(getUrl(file))
+            .expect(200, body)
+            .then(
+                () =>
+                    // give the cache some time to store the file
+                    new Promise((resolve) => setTimeout(resolve, 50))
+            )
+            .then(() => request(app).get(getUrl(file)).expect(200, body));
+    }
+
+    it('revalidates a cached file with a conditional request', () =>
+        getTwice('etag.txt').then((response) => {
+            expect(response.headers.etag).to.equal('"1"');
+            expect(response.headers['content-type']).to.match(/text\/plain/);
+            expect(responses).to.deep.equal(['GET /etag.txt', 'GET /etag.txt']);
+            expect(fs.readdirSync(directory)).to.have.lengthOf(2);
+        }));
+
+    it('serves range requests from the cache', () =>
+        request(app)
+            .get(getUrl('etag.mp3'))
+            .set('Range', 'bytes=2-4')
+            .expect(206, 'cde')
+            .expect('Content-Range', `bytes 2-4/${body.length}`)
+            .then(() =>
+                request(app)
+                    .get(getUrl('etag.mp3'))
+                    .set('Range', 'bytes=100-')
+                    .expect(416)
+            ));
+
+    it('caches a file without validators that is listed in a manifest', () =>
+        mediaCache
+            .setHashes([
+                {
+                    filename: 'a.txt',
+                    hash: 'md5:1',
+                    downloadUrl: `http://localhost:${port}/a.txt`,
+                },
+            ])
+            .then(() => getTwice('a.txt'))
+            .then(() => {
+                expect(responses).to.deep.equal(['GET /a.txt', 'HEAD /a.txt']);
+            }));
+
+    it('does not cache a file without validators that is not listed in a manifest', () =>
+        getTwice('b.txt').then(() => {
+            expect(responses).to.deep.equal(['GET /b.txt', 'GET /b.txt']);
+        }));
+
+    it('does not cache a file that exceeds the maximum file size', () => {
+        config['media cache']['max file size'] = 10;
+
+        return getTwice('etag.txt').then(() => {
+            expect(responses).to.deep.equal(['GET /etag.txt', 'GET /etag.txt']);
+            expect(fs.readdirSync(directory)).to.have.lengthOf(0);
+        });
+    });
+
+    it('removes the least recently used files when the cache exceeds its maximum size', () => {
+        // room for 2 files
+        config['media cache']['max size'] = 60;
+
+        return getTwice('etag1.txt')
+            .then(() => getTwice('etag2.txt'))
+            .then(() => getTwice('etag1.txt'))
+            .then(() => getTwice('etag3.txt'))
+            .then(() => {
+                responses = [];
+
+                return Promise.all(
+                    ['etag1.txt', 'etag2.txt', 'etag3.txt'].map((file) =>
+                        mediaCache.get(`http://localhost:${port}/${file}`)
+                    )
+                );
+            })
+            .then((results) => {
+                expect(results.map(({ cached }) => !!cached)).to.deep.equal([
+                    true,
+                    false,
+                    true,
+                ]);
+            });
+    });
+});
+
+describe('Media authentication', () => {
+    const port = 1236;
+    const authentication = {
+        type: 'token',
+        'query parameter': 'token',
+        url: 'https://example.org/login?return={RETURNURL}',
+    };
+    let mediaServer;
+    let ipFiltering;
+    let sandbox;
+
+    before(() => {
+        mediaServer = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end('media');
+        });
+        mediaServer.listen(port);
+    });
+
+    after(() => {
+        mediaServer.close();
+    });
+
+    beforeEach(() => {
+        ipFiltering = app.get('ip filtering');
+        app.set('ip filtering', {
+            ...ipFiltering,
+            allowPrivateIPAddress: true,
+        });
+        sandbox = sinon.createSandbox();
+        sandbox.stub(surveyModel, 'get').callsFake((id) =>
+            Promise.resolve({
+                openRosaServer: 'https://example.org/bob',
+                openRosaId: 'widgets',
+                enketoId: id,
+            })
+        );
+        sandbox
+            .stub(accountModel, 'check')
+            .callsFake((survey) =>
+                Promise.resolve({ ...survey, account: { authentication } })
+            );
+        sandbox.spy(user, 'getCredentials');
+    });
+
+    afterEach(() => {
+        app.set('ip filtering', ipFiltering);
+        sandbox.restore();
+    });
+
+    it('uses the authentication settings of the account of the form that loads the media', () =>
+        request(app)
+            .get(`/media/get/http/localhost:${port}/image.png`)
+            .set('Referer', 'https://enketo.example.org/x/aA12bB34')
+            .expect(200)
+            .then(() => {
+                expect(surveyModel.get.calledWith('aA12bB34')).to.equal(true);
+                expect(user.getCredentials.args[0][1]).to.equal(authentication);
+            }));
+
+    it('uses the configured authentication settings for media without a form', () =>
+        request(app)
+            .get(`/media/get/http/localhost:${port}/image.png`)
+            .expect(200)
+            .then(() => {
+                expect(surveyModel.get.called).to.equal(false);
+                expect(user.getCredentials.args[0][1]).to.equal(undefined);
+            }));
+});
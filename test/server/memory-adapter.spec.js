@@ -0,0 +1,183 @@
+const { promisify } = require('util');
+const chai = require('chai');
+
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+const memoryAdapter = require('../../app/lib/storage/memory-adapter');
+
+chai.use(chaiAsPromised);
+
+describe('Memory storage adapter', () => {
+    let client;
+    let command;
+
+    beforeEach(() => {
+        client = memoryAdapter.createClient();
+        command = (name, ...args) => promisify(client[name])(...args);
+    });
+
+    describe('strings', () => {
+        it('stores and returns a value as string', () =>
+            command('set', 'a', 5)
+                .then(() => command('get', 'a'))
+                .then((value) => expect(value).to.equal('5')));
+
+        it('returns null for a non-existing key', () =>
+            expect(command('get', 'nope')).to.eventually.equal(null));
+
+        it('increments a value', () =>
+            command('incr', 'counter')
+                .then(() => command('incr', 'counter'))
+                .then((value) => expect(value).to.equal(2)));
+
+        it('only sets a value that does not exist yet with NX', () =>
+            command('set', 'a', 'b', 'NX')
+                .then((reply) => expect(reply).to.equal('OK'))
+                .then(() => command('set', 'a', 'c', 'NX'))
+                .then((reply) => expect(reply).to.equal(null))
+                .then(() => command('get', 'a'))
+                .then((value) => expect(value).to.equal('b')));
+    });
+
+    describe('hashes', () => {
+        it('stores an object and returns all fields as strings', () =>
+            command('hmset', 'h', { a: 1, b: true, c: 'x' })
+                .then(() => command('hgetall', 'h'))
+                .then((obj) =>
+                    expect(obj).to.deep.equal({ a: '1', b: 'true', c: 'x' })
+                ));
+
+        it('returns null for a non-existing hash', () =>
+            expect(command('hgetall', 'nope')).to.eventually.equal(null));
+
+        it('returns multiple fields with null for missing ones', () =>
+            command('hset', 'h', 'a', 'b')
+                .then(() => command('hmget', 'h', ['a', 'z']))
+                .then((arr) => expect(arr).to.deep.equal(['b', null])));
+
+        it('returns the length of a field in bytes', () =>
+            command('hset', 'h', 'a', 'é')
+                .then(() => command('hstrlen', 'h', 'a'))
+                .then((length) => expect(length).to.equal(2))
+                .then(() => command('hstrlen', 'h', 'b'))
+                .then((length) => expect(length).to.equal(0)));
+
+        it('increments a field', () =>
+            command('hincrby', 'h', 'count', 3)
+                .then(() => command('hincrby', 'h', 'count', 1))
+                .then(() => command('hget', 'h', 'count'))
+                .then((value) => expect(value).to.equal('4')));
+
+        it('removes fields and the hash once it is empty', () =>
+            command('hset', 'h', 'a', 1, 'b', 2)
+                .then(() => command('hdel', 'h', ['a', 'z']))
+                .then((removed) => expect(removed).to.equal(1))
+                .then(() => command('hdel', 'h', 'b'))
+                .then(() => command('hgetall', 'h'))
+                .then((obj) => expect(obj).to.equal(null)));
+
+        it('fails when the key holds another type', () =>
+            command('set', 'a', 'b')
+                .then(() => command('hgetall', 'a'))
+                .then(
+                    () => Promise.reject(new Error('should have failed')),
+                    (error) => expect(error.message).to.contain('WRONGTYPE')
+                ));
+    });
+
+    describe('lists', () => {
+        it('pushes, trims and returns a range and the length', () =>
+            command('lpush', 'l', 'a')
+                .then(() => command('lpush', 'l', 'b'))
+                .then(() => command('lpush', 'l', 'c'))
+                .then(() => command('ltrim', 'l', 0, 1))
+                .then(() => command('lrange', 'l', 0, -1))
+                .then((arr) => expect(arr).to.deep.equal(['c', 'b']))
+                .then(() => command('llen', 'l'))
+                .then((length) => expect(length).to.equal(2)));
+    });
+
+    describe('keys', () => {
+        beforeEach(() =>
+            Promise.all([
+                command('set', 'or:example.org/a,form', 'x'),
+                command('set', 'or:example.org,form', 'y'),
+                command('set', 'or:example.organization,form', 'z'),
+                command('set', 'id:abc', 'w'),
+            ])
+        );
+
+        it('matches glob-style patterns', () =>
+            command('keys', 'or:example.org[/,]*').then((keys) =>
+                expect(keys.sort()).to.deep.equal([
+                    'or:example.org,form',
+                    'or:example.org/a,form',
+                ])
+            ));
+
+        it('deletes keys', () =>
+            command('del', 'id:abc', 'nope')
+                .then((count) => expect(count).to.equal(1))
+                .then(() => command('keys', 'id:*'))
+                .then((keys) => expect(keys).to.deep.equal([])));
+    });
+
+    describe('expiry', () => {
+        it('reports the remaining time to live', () =>
+            command('set', 'a', 'b')
+                .then(() => command('pttl', 'a'))
+                .then((ttl) => expect(ttl).to.equal(-1))
+                .then(() => command('expire', 'a', 10))
+                .then(() => command('pttl', 'a'))
+                .then((ttl) => expect(ttl).to.be.within(9000, 10000)));
+
+        it('sets a value with a time to live with PX or EX', () =>
+            command('set', 'a', 'b', 'PX', 5000)
+                .then(() => command('pttl', 'a'))
+                .then((ttl) => expect(ttl).to.be.within(4000, 5000))
+                .then(() => command('set', 'a', 'b', 'EX', 10, 'NX'))
+                .then(() => command('pttl', 'a'))
+                .then((ttl) => expect(ttl).to.be.within(4000, 5000))
+                .then(() => command('set', 'a', 'b', 'EX', 10))
+                .then(() => command('pttl', 'a'))
+                .then((ttl) => expect(ttl).to.be.within(9000, 10000)));
+
+        it('removes expired keys', () =>
+            command('set', 'a', 'b')
+                .then(() => command('expire', 'a', 0))
+                .then(() => command('get', 'a'))
+                .then((value) => expect(value).to.equal(null)));
+    });
+
+    describe('databases', () => {
+        it('keeps data separate per selected database and flushes only the selected one', () =>
+            command('set', 'a', '0')
+                .then(() => command('select', 15))
+                .then(() => command('set', 'a', '15'))
+                .then(() => command('flushdb'))
+                .then(() => command('get', 'a'))
+                .then((value) => expect(value).to.equal(null))
+                .then(() => command('select', 0))
+                .then(() => command('get', 'a'))
+                .then((value) => expect(value).to.equal('0')));
+    });
+
+    describe('transactions', () => {
+        it('executes queued commands and returns all replies', () =>
+            new Promise((resolve, reject) => {
+                client
+                    .multi()
+                    .hmset('id:abc', { submissions: 0 })
+                    .set('or:key', 'abc')
+                    .hincrby('id:abc', 'submissions', 1)
+                    .exec((error, replies) => {
+                        if (error) {
+                            return reject(error);
+                        }
+                        resolve(replies);
+                    });
+            }).then((replies) =>
+                expect(replies).to.deep.equal(['OK', 'OK', 1])
+            ));
+    });
+});
@@ -0,0 +1,320 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const nock = require('nock');
+const request = require('supertest');
+const { expect } = require('chai');
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const app = require('../../config/express');
+const oauth2 = require('../../app/lib/oauth2');
+const userModel = require('../../app/models/user-model');
+const accountModel = require('../../app/models/account-model');
+const surveyModel = require('../../app/models/survey-model');
+const storage = require('../../app/lib/storage');
+
+const client = storage.getClient('main');
+
+describe('OAuth2 authentication', () => {
+    const authentication = {
+        type: 'oauth2',
+        'authorization url': 'https://auth.example.org/authorize',
+        'token url': 'https://auth.example.org/token',
+        'client id': 'enketo',
+        'client secret': 'secret',
+        scope: 'forms',
+    };
+    let linkedServer;
+
+    beforeEach(() => {
+        linkedServer = app.get('linked form and data server');
+        app.set('linked form and data server', {
+            ...linkedServer,
+            authentication,
+        });
+    });
+
+    afterEach(() => {
+        app.set('linked form and data server', linkedServer);
+        nock.cleanAll();
+    });
+
+    /**
+     * Logs in with a fake authorization server.
+     *
+     * @param {request.SuperAgentTest} agent - agent that keeps cookies
+     * @return { Promise } Promise that resolves with the response of the redirect after login
+     */
+    function login(agent) {
+        return agent
+            .get('/login?return_url=%2Fx%2Fabcd')
+            .expect(302)
+            .then((response) => {
+                const { searchParams } = new URL(response.headers.location);
+
+                expect(response.headers.location).to.match(
+                    /^https:\/\/auth\.example\.org\/authorize\?/
+                );
+                expect(searchParams.get('client_id')).to.equal('enketo');
+                expect(searchParams.get('scope')).to.equal('forms');
+                expect(searchParams.get('redirect_uri')).to.match(
+                    /\/login\/oauth2$/
+                );
+
+                nock('https://auth.example.org')
+                    .post('/token', (body) => body.code === 'xyz')
+                    .reply(200, {
+                        access_token: 'access',
+                        refresh_token: 'refresh',
+                        expires_in: 3600,
+                    });
+
+                return agent.get(
+                    `/login/oauth2?code=xyz&state=${searchParams.get('state')}`
+                );
+            });
+    }
+
+    it('redirects to the form with an access token after login', () => {
+        const agent = request.agent(app);
+
+        return login(agent).then((response) => {
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/x/abcd');
+            expect(response.headers['set-cookie'].join()).to.include(
+                `${app.get('authentication cookie name')}=`
+            );
+        });
+    });
+
+    it('rejects a login with an invalid state', () => {
+        const agent = request.agent(app);
+
+        return agent
+            .get('/login')
+            .expect(302)
+            .then(() =>
+                agent.get('/login/oauth2?code=xyz&state=wrong').expect(400)
+            );
+    });
+
+    it('rejects a login that was not granted', () => {
+        const agent = request.agent(app);
+
+        return agent
+            .get('/login')
+            .then((response) => {
+                const state = new URL(
+                    response.headers.location
+                ).searchParams.get('state');
+
+                return agent.get(
+                    `/login/oauth2?error=access_denied&state=${state}`
+                );
+            })
+            .then((response) => {
+                expect(response.status).to.equal(401);
+            });
+    });
+
+    it('uses the configured redirect URL', () => {
+        app.set('linked form and data server', {
+            ...linkedServer,
+            authentication: {
+                ...authentication,
+                'redirect url': 'https://enketo.example.org/login/oauth2',
+            },
+        });
+
+        return request(app)
+            .get('/login')
+            .expect(302)
+            .then((response) => {
+                expect(
+                    new URL(response.headers.location).searchParams.get(
+                        'redirect_uri'
+                    )
+                ).to.equal('https://enketo.example.org/login/oauth2');
+            });
+    });
+
+    describe('with the authentication settings of a stored account', () => {
+        let enketoId;
+
+        beforeEach(() => {
+            app.set('linked form and data server', {
+                ...linkedServer,
+                authentication: { type: 'basic' },
+            });
+
+            return accountModel
+                .create({
+                    linkedServer: 'https://oauth2.example.org',
+                    key: 'qwerty',
+                    authentication,
+                })
+                .then(() =>
+                    surveyModel.set({
+                        openRosaServer: 'https://oauth2.example.org',
+                        openRosaId: 'widgets',
+                    })
+                )
+                .then((id) => {
+                    enketoId = id;
+                });
+        });
+
+        afterEach((done) => {
+            // select test database and flush it
+            client.select(15, (err) => {
+                if (err) {
+                    return done(err);
+                }
+                client.flushdb(done);
+            });
+        });
+
+        it('redirects to the authorization server of the account of the form', () =>
+            request(app)
+                .get(`/login?return_url=%2Fx%2F${enketoId}`)
+                .expect(302)
+                .then((response) => {
+                    expect(response.headers.location).to.match(
+                        /^https:\/\/auth\.example\.org\/authorize\?/
+                    );
+                }));
+
+        it('uses the configured settings for other forms', () =>
+            request(app).get('/login?return_url=%2Fx%2Fabcd').expect(200));
+
+        it('exchanges the code with the authorization server of the account of the form', () => {
+            const agent = request.agent(app);
+
+            return agent
+                .get(`/login?return_url=%2Fx%2F${enketoId}`)
+                .then((response) => {
+                    const state = new URL(
+                        response.headers.location
+                    ).searchParams.get('state');
+
+                    nock('https://auth.example.org')
+                        .post('/token', (body) => body.code === 'xyz')
+                        .reply(200, { access_token: 'access' });
+
+                    return agent
+                        .get(`/login/oauth2?code=xyz&state=${state}`)
+                        .expect(302);
+                })
+                .then((response) => {
+                    expect(response.headers.location).to.equal(
+                        `/x/${enketoId}`
+                    );
+                });
+        });
+    });
+
+    describe('credentials', () => {
+        /**
+         * @param { object } token - stored tokens
+         * @return {request.Test} request to a test route that responds with the credentials
+         */
+        function getCredentials(token) {
+            const testApp = express();
+            testApp.set(
+                'authentication cookie name',
+                app.get('authentication cookie name')
+            );
+            testApp.set('encryption key', app.get('encryption key'));
+            testApp.set('timeout', 1000);
+            testApp.set('linked form and data server', {
+                authentication,
+            });
+            testApp.use(cookieParser(app.get('encryption key')));
+            testApp.get('/token', (req, res) => {
+                oauth2.setToken(req, res, token);
+                res.send();
+            });
+            testApp.get('/credentials', (req, res, next) => {
+                oauth2
+                    .refreshToken(req, res, authentication)
+                    .then(() => {
+                        res.send(userModel.getCredentials(req, authentication));
+                    })
+                    .catch(next);
+            });
+            const agent = request.agent(testApp);
+
+            return agent.get('/token').then(() => agent.get('/credentials'));
+        }
+
+        it('passes the access token as bearer token', () =>
+            getCredentials({
+                bearer: 'access',
+                refresh: 'refresh',
+                expires: Date.now() + 3600 * 1000,
+            }).then((response) => {
+                expect(response.body).to.deep.equal({ bearer: 'access' });
+            }));
+
+        it('refreshes an expired access token', () => {
+            nock('https://auth.example.org')
+                .post(
+                    '/token',
+                    (body) =>
+                        body.grant_type === 'refresh_token' &&
+                        body.refresh_token === 'refresh'
+                )
+                .reply(200, { access_token: 'new', expires_in: 3600 });
+
+            return getCredentials({
+                bearer: 'access',
+                refresh: 'refresh',
+                expires: Date.now() - 1000,
+            }).then((response) => {
+                expect(response.body).to.deep.equal({ bearer: 'new' });
+            });
+        });
+
+        it('refreshes an expired access token once for concurrent requests', () => {
+            let requests = 0;
+            nock('https://auth.example.org')
+                .post('/token')
+                .times(2)
+                .delay(50)
+                .reply(() => {
+                    requests += 1;
+
+                    return [200, { access_token: 'new', expires_in: 3600 }];
+                });
+            const req = { app, headers: {}, signedCookies: {} };
+            const res = { cookie() {} };
+            oauth2.setToken(req, res, {
+                bearer: 'access',
+                refresh: 'refresh',
+                expires: Date.now() - 1000,
+            });
+
+            return Promise.all([
+                oauth2.refreshToken(req, res, authentication),
+                oauth2.refreshToken(req, res, authentication),
+            ]).then(() => {
+                expect(requests).to.equal(1);
+                expect(oauth2.getToken(req).bearer).to.equal('new');
+            });
+        });
+
+        it('passes the expired access token if it cannot be refreshed', () => {
+            nock('https://auth.example.org')
+                .post('/token')
+                .reply(400, { error: 'invalid_grant' });
+
+            return getCredentials({
+                bearer: 'access',
+                refresh: 'refresh',
+                expires: Date.now() - 1000,
+            }).then((response) => {
+                expect(response.body).to.deep.equal({ bearer: 'access' });
+            });
+        });
+    });
+});
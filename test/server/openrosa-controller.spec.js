@@ -0,0 +1,179 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const request = require('supertest');
+const { expect } = require('chai');
+const app = require('../../config/express');
+const config = require('../../app/models/config-model').server;
+const surveyModel = require('../../app/models/survey-model');
+const cacheModel = require('../../app/models/cache-model');
+const storage = require('../../app/lib/storage');
+
+const client = storage.getClient('main');
+const cacheClient = storage.getClient('cache');
+
+describe('OpenRosa form list', () => {
+    const apiKey = 'abc';
+    const auth = {
+        Authorization: `Basic ${Buffer.from(`${apiKey}:`).toString('base64')}`,
+    };
+    const server = 'https://testserver.com/bob';
+    let linkedServer;
+    let enketoIds;
+
+    /**
+     * @param { string } openRosaServer - OpenRosa server URL
+     * @param { string } openRosaId - form ID
+     * @param {Array<object>} [manifest] - manifest of the form, the form is cached without XForm if not provided
+     * @return {Promise<string>} Promise that resolves with the Enketo ID
+     */
+    function launch(openRosaServer, openRosaId, manifest) {
+        const survey = { openRosaServer, openRosaId };
+
+        return surveyModel.set({ ...survey }).then((enketoId) =>
+            cacheModel
+                .set({
+                    ...survey,
+                    info: {
+                        hash: `md5:${openRosaId}`,
+                        name: `Form & ${openRosaId}`,
+                    },
+                    form: '<form/>',
+                    model: '<model/>',
+                    xform: manifest
+                        ? `<h:html id="${openRosaId}"/>`
+                        : undefined,
+                    manifest,
+                })
+                .then(() => enketoId)
+        );
+    }
+
+    beforeEach(() => {
+        linkedServer = app.get('linked form and data server');
+        app.set('linked form and data server', {
+            ...linkedServer,
+            'server url': 'testserver.com/bob',
+            'api key': apiKey,
+        });
+        app.set('openrosa form list', true);
+        config['openrosa form list'] = true;
+
+        return Promise.all([
+            launch(server, 'a', [
+                {
+                    filename: 'image.png',
+                    hash: 'md5:1',
+                    downloadUrl: 'https://testserver.com/bob/media/image.png',
+                },
+            ]),
+            launch(server, 'b', []),
+            launch(server, 'c'),
+            launch('https://otherserver.com', 'd', []),
+        ]).then((ids) => {
+            enketoIds = ids;
+        });
+    });
+
+    afterEach((done) => {
+        app.set('linked form and data server', linkedServer);
+        app.set('openrosa form list', false);
+        config['openrosa form list'] = false;
+        // select test database and flush it
+        client.select(15, (err) => {
+            if (err) {
+                return done(err);
+            }
+            client.flushdb((err) => {
+                if (err) {
+                    return done(err);
+                }
+                cacheClient.select(15, (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    cacheClient.flushdb(done);
+                });
+            });
+        });
+    });
+
+    it('responds with 405 if the form list is disabled', () => {
+        app.set('openrosa form list', false);
+
+        return request(app).get('/openrosa/formList').set(auth).expect(405);
+    });
+
+    it('responds with 401 for an invalid API key', () =>
+        request(app)
+            .get('/openrosa/formList')
+            .set({
+                Authorization: `Basic ${Buffer.from('def:').toString(
+                    'base64'
+                )}`,
+            })
+            .expect(401)
+            .expect('WWW-Authenticate', /Basic/));
+
+    it('lists the launched forms of the account that have a cached XForm', () =>
+        request(app)
+            .get('/openrosa/formList')
+            .set(auth)
+            .expect(200)
+            .expect('Content-Type', /text\/xml/)
+            .expect('X-OpenRosa-Version', '1.0')
+            .then((response) => {
+                const xforms = response.text.match(/<xform>.*?<\/xform>/g);
+
+                expect(xforms).to.have.lengthOf(2);
+                expect(xforms[0]).to.include('<formID>a</formID>');
+                expect(xforms[0]).to.include('<name>Form &amp; a</name>');
+                expect(xforms[0]).to.include('<hash>md5:a</hash>');
+                expect(xforms[0]).to.match(
+                    new RegExp(
+                        `<downloadUrl>http://[^<]+/openrosa/xform/${enketoIds[0]}</downloadUrl>`
+                    )
+                );
+                expect(xforms[0]).to.match(
+                    new RegExp(
+                        `<manifestUrl>http://[^<]+/openrosa/xformsManifest/${enketoIds[0]}</manifestUrl>`
+                    )
+                );
+                expect(xforms[1]).to.include('<formID>b</formID>');
+                expect(xforms[1]).not.to.include('<manifestUrl>');
+            }));
+
+    it('serves the cached XForm', () =>
+        request(app)
+            .get(`/openrosa/xform/${enketoIds[0]}`)
+            .set(auth)
+            .expect(200)
+            .expect('Content-Type', /text\/xml/)
+            .expect('<h:html id="a"/>'));
+
+    it('serves a manifest with media that are downloaded via the media proxy', () =>
+        request(app)
+            .get(`/openrosa/xformsManifest/${enketoIds[0]}`)
+            .set(auth)
+            .expect(200)
+            .then((response) => {
+                expect(response.text).to.include(
+                    '<filename>image.png</filename><hash>md5:1</hash>'
+                );
+                expect(response.text).to.match(
+                    /<downloadUrl>http:\/\/[^<]+\/media\/get\/https\/testserver.com\/bob\/media\/image.png<\/downloadUrl>/
+                );
+            }));
+
+    it('responds with 404 for forms without a cached XForm or of another server', () =>
+        Promise.all([
+            request(app)
+                .get(`/openrosa/xform/${enketoIds[2]}`)
+                .set(auth)
+                .expect(404),
+            request(app)
+                .get(`/openrosa/xform/${enketoIds[3]}`)
+                .set(auth)
+                .expect(404),
+        ]));
+});
@@ -0,0 +1,167 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const sinon = require('sinon');
+const transformer = require('enketo-transformer');
+const storage = require('../../app/lib/storage');
+const communicator = require('../../app/lib/communicator');
+const cacheModel = require('../../app/models/cache-model');
+const model = require('../../app/models/prefetch-model');
+
+const { expect } = chai;
+const client = storage.getClient('main');
+const cacheClient = storage.getClient('cache');
+
+chai.use(chaiAsPromised);
+
+describe('Prefetch model', () => {
+    const openRosaServer = 'https://ona.io/enketo';
+    let sandbox;
+    let transform;
+
+    /**
+     * @param { string } id - job ID
+     * @return {Promise<module:prefetch-model~PrefetchJob>} job when it is no longer running
+     */
+    function whenDone(id) {
+        return model.get(id).then((job) => {
+            if (job.status !== 'running') {
+                return job;
+            }
+
+            return new Promise((resolve) => setTimeout(resolve, 10)).then(() =>
+                whenDone(id)
+            );
+        });
+    }
+
+    beforeEach(() => {
+        sandbox = sinon.createSandbox();
+        sandbox.stub(communicator, 'getXFormList').resolves([
+            { formID: 'a', hash: 'md5:1' },
+            { formID: 'b', hash: 'md5:2' },
+        ]);
+        sandbox
+            .stub(communicator, 'getManifest')
+            .callsFake((survey) =>
+                Promise.resolve({ ...survey, manifest: [] })
+            );
+        sandbox
+            .stub(communicator, 'getXForm')
+            .callsFake((survey) =>
+                Promise.resolve({ ...survey, xform: '<xform/>' })
+            );
+        transform = sandbox.stub(transformer, 'transform').callsFake((survey) =>
+            Promise.resolve({
+                ...survey,
+                form: '<form/>',
+                model: '<model/>',
+            })
+        );
+    });
+
+    afterEach((done) => {
+        sandbox.restore();
+        // select test database and flush it
+        client.select(15, (err) => {
+            if (err) {
+                return done(err);
+            }
+            client.flushdb((err) => {
+                if (err) {
+                    return done(err);
+                }
+                cacheClient.select(15, (err) => {
+                    if (err) {
+                        return done(err);
+                    }
+                    cacheClient.flushdb(done);
+                });
+            });
+        });
+    });
+
+    it('rejects a job without a server', () =>
+        expect(model.start({}))
+            .to.eventually.be.rejected.and.to.have.property('status')
+            .that.equals(400));
+
+    it('prefetches all forms of the server and skips forms that are cached already', () =>
+        model
+            .start({ openRosaServer })
+            .then((job) => {
+                expect(job.status).to.equal('running');
+
+                return whenDone(job.id);
+            })
+            .then((job) => {
+                expect(job).to.include({
+                    openRosaServer,
+                    status: 'finished',
+                    total: 2,
+                    transformed: 2,
+                    upToDate: 0,
+                    failed: 0,
+                });
+
+                return Promise.all([
+                    cacheModel.get({ openRosaServer, openRosaId: 'a' }),
+                    model.start({ openRosaServer }),
+                ]);
+            })
+            .then(([cached, job]) => {
+                expect(cached.form).to.equal('<form/>');
+
+                return whenDone(job.id);
+            })
+            .then((job) => {
+                expect(job).to.include({
+                    transformed: 0,
+                    upToDate: 2,
+                });
+                expect(transform.callCount).to.equal(2);
+            }));
+
+    it('prefetches the provided forms and reports the forms that failed', () => {
+        transform
+            .withArgs(sinon.match({ openRosaId: 'b' }))
+            .rejects(new Error('Invalid XForm'));
+
+        return model
+            .start({ openRosaServer }, ['a', 'b', 'c'])
+            .then((job) => whenDone(job.id))
+            .then((job) => {
+                expect(job).to.include({
+                    status: 'finished',
+                    total: 3,
+                    transformed: 1,
+                    failed: 2,
+                });
+                expect(job.errors).to.deep.equal([
+                    { formId: 'b', message: 'Invalid XForm' },
+                    { formId: 'c', message: 'Form not found in formList.' },
+                ]);
+            });
+    });
+
+    it('fails the job when the formList cannot be obtained', () => {
+        communicator.getXFormList.rejects(
+            new Error('Forbidden. Authorization Required.')
+        );
+
+        return model
+            .start({ openRosaServer })
+            .then((job) => whenDone(job.id))
+            .then((job) => {
+                expect(job.status).to.equal('failed');
+                expect(job.errors).to.deep.equal([
+                    { message: 'Forbidden. Authorization Required.' },
+                ]);
+            });
+    });
+
+    it('returns null for a job that does not exist', () =>
+        expect(model.get('nonexistent')).to.eventually.equal(null));
+});
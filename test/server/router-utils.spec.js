@@ -9,6 +9,7 @@ const chaiAsPromised = require('chai-as-promised');
 
 const utils = require('../../app/lib/utils');
 const routerUtils = require('../../app/lib/router-utils');
+const linkModel = require('../../app/models/link-model');
 
 chai.use(chaiAsPromised);
 
@@ -94,4 +95,145 @@ describe('Router utilities', () => {
             expect(next).to.have.been.calledWith();
         });
     });
+
+    describe('signed link tokens', () => {
+        const callNext = (param, req, token) =>
+            new Promise((resolve) => {
+                param(req, {}, resolve, token);
+            });
+        const createLink = (props) =>
+            linkModel.create({
+                enketoId: 'aA12bB34',
+                type: 'single',
+                expires: Date.now() + 60000,
+                ...props,
+            });
+
+        it('should assign enketoId and link to request object', () => {
+            const req = { query: {}, headers: {} };
+
+            return createLink()
+                .then((link) =>
+                    callNext(
+                        routerUtils.encryptedEnketoIdSingle,
+                        req,
+                        link.token
+                    )
+                )
+                .then((arg) => {
+                    expect(arg).to.equal(undefined);
+                    expect(req.enketoId).to.equal('aA12bB34');
+                    expect(req.link.type).to.equal('single');
+                });
+        });
+
+        it('should pass "route" when the token is for another webform type', () =>
+            createLink()
+                .then((link) =>
+                    callNext(
+                        routerUtils.encryptedEnketoIdView,
+                        { query: {}, headers: {} },
+                        link.token
+                    )
+                )
+                .then((arg) => expect(arg).to.equal('route')));
+
+        it('should pass "route" when the token was tampered with', () =>
+            createLink()
+                .then((link) =>
+                    callNext(
+                        routerUtils.encryptedEnketoIdSingle,
+                        { query: {}, headers: {} },
+                        `a${link.token}`
+                    )
+                )
+                .then((arg) => expect(arg).to.equal('route')));
+
+        it('should pass a 410 error when the link was revoked', () =>
+            createLink()
+                .then((link) =>
+                    linkModel
+                        .revoke(link.id)
+                        .then(() =>
+                            callNext(
+                                routerUtils.encryptedEnketoIdSingle,
+                                { query: {}, headers: {} },
+                                link.token
+                            )
+                        )
+                )
+                .then((error) => {
+                    expect(error.status).to.equal(410);
+                    expect(error.translationKey).to.equal('error.linkexpired');
+                }));
+
+        it('should pass a 410 error when a used up link is loaded, but not when it is submitted to', () =>
+            createLink({ maxUses: 1 })
+                .then((link) =>
+                    linkModel
+                        .use(link)
+                        .then(() =>
+                            Promise.all([
+                                callNext(
+                                    routerUtils.encryptedEnketoIdSingle,
+                                    { method: 'GET', query: {}, headers: {} },
+                                    link.token
+                                ),
+                                callNext(
+                                    routerUtils.encryptedEnketoIdSingle,
+                                    { method: 'POST', query: {}, headers: {} },
+                                    link.token
+                                ),
+                            ])
+                        )
+                )
+                .then(([getError, postArg]) => {
+                    expect(getError.status).to.equal(410);
+                    expect(getError.translationKey).to.equal('error.linkused');
+                    expect(postArg).to.equal(undefined);
+                }));
+
+        it('should pass a 403 error when the link is bound to another record', () =>
+            createLink({ type: 'view', instanceId: 'uuid:a' })
+                .then((link) =>
+                    callNext(
+                        routerUtils.encryptedEnketoIdView,
+                        { query: { instanceId: 'uuid:b' }, headers: {} },
+                        link.token
+                    )
+                )
+                .then((error) => expect(error.status).to.equal(403)));
+    });
+
+    describe('getEnketoIdFromUrl function', () => {
+        it('should return the Enketo ID of a webform URL', () => {
+            expect(
+                routerUtils.getEnketoIdFromUrl(
+                    'https://enketo.example.org/x/aA12bB34?d[/data/a]=1'
+                )
+            ).to.equal('aA12bB34');
+            expect(
+                routerUtils.getEnketoIdFromUrl('/single/aA12bB34/')
+            ).to.equal('aA12bB34');
+        });
+
+        it('should return the decrypted Enketo ID of a view URL', () => {
+            const encryptedId = utils.insecureAes192Encrypt(
+                'aA12bB34',
+                routerUtils.idEncryptionKeys.view
+            );
+
+            expect(
+                routerUtils.getEnketoIdFromUrl(
+                    `https://enketo.example.org/view/${encryptedId}`
+                )
+            ).to.equal('aA12bB34');
+        });
+
+        it('should return null for a URL without Enketo ID', () => {
+            expect(routerUtils.getEnketoIdFromUrl('')).to.equal(null);
+            expect(routerUtils.getEnketoIdFromUrl(undefined)).to.equal(null);
+            expect(routerUtils.getEnketoIdFromUrl('/x/a.b-c')).to.equal(null);
+        });
+    });
 });
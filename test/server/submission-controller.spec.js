@@ -6,20 +6,30 @@
 // safer to ensure this here (in addition to grunt:env:test)
 process.env.NODE_ENV = 'test';
 
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nock = require('nock');
 const request = require('supertest');
-const redis = require('redis');
+const sinon = require('sinon');
+const { expect } = require('chai');
 const app = require('../../config/express');
+const config = require('../../app/models/config-model').server;
 const surveyModel = require('../../app/models/survey-model');
+const accountModel = require('../../app/models/account-model');
+const submissionModel = require('../../app/models/submission-model');
+const usageModel = require('../../app/models/usage-model');
+const uploadModel = require('../../app/models/upload-model');
 const instanceModel = require('../../app/models/instance-model');
-const config = require('../../app/models/config-model').server;
+const linkModel = require('../../app/models/link-model');
+const loginModel = require('../../app/models/login-model');
+const userModel = require('../../app/models/user-model');
+const communicator = require('../../app/lib/communicator');
+const webhooks = require('../../app/lib/webhooks');
+const storage = require('../../app/lib/storage');
 
-const client = redis.createClient(
-    config.redis.main.port,
-    config.redis.main.host,
-    {
-        auth_pass: config.redis.main.password,
-    }
-);
+const client = storage.getClient('main');
 
 describe('Submissions', () => {
     let enketoId;
@@ -176,4 +186,707 @@ describe('Submissions', () => {
             });
         });
     });
+    describe('for users who logged in with the login form', () => {
+        const username = 'bob';
+        let loginThrottling;
+        let sandbox;
+
+        beforeEach(() => {
+            sandbox = sinon.createSandbox();
+            sandbox
+                .stub(userModel, 'getCredentials')
+                .returns({ user: username, pass: 'guessed' });
+            loginThrottling = config['login throttling'];
+            config['login throttling'] = {
+                'max attempts': 1,
+                lockout: 60000,
+                'max lockout': 60000,
+            };
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+            config['login throttling'] = loginThrottling;
+            nock.cleanAll();
+        });
+
+        it('responds with 429 to a user who is locked out, without passing the credentials on', () => {
+            const scope = nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204);
+
+            return loginModel
+                .recordFailure({ username })
+                .then(() =>
+                    request(app)
+                        .post(`/submission/${enketoId}`)
+                        .field('xml_submission_file', '<data></data>')
+                        .expect(429)
+                )
+                .then((response) => {
+                    expect(response.headers['retry-after']).to.equal('60');
+                    expect(scope.isDone()).to.equal(false);
+                });
+        });
+
+        it('records a failed login if the OpenRosa server rejects the credentials', () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(401);
+
+            return (
+                request(app)
+                    .post(`/submission/${enketoId}`)
+                    .field('xml_submission_file', '<data></data>')
+                    .expect(401)
+                    // the failure is recorded without delaying the response
+                    .then(
+                        () => new Promise((resolve) => setTimeout(resolve, 50))
+                    )
+                    .then(() => loginModel.check({ username }))
+                    .then((retryAfter) => {
+                        expect(retryAfter).to.be.above(0);
+                    })
+            );
+        });
+
+        it('accepts submissions from a locked out IP address', () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201);
+
+            return loginModel
+                .recordFailure({ ip: '::ffff:127.0.0.1' })
+                .then(() => loginModel.recordFailure({ ip: '127.0.0.1' }))
+                .then(() =>
+                    request(app)
+                        .post(`/submission/${enketoId}`)
+                        .field('xml_submission_file', '<data></data>')
+                        .expect(201)
+                );
+        });
+
+        describe('behind a trusted proxy', () => {
+            beforeEach(() => {
+                app.set('trust proxy', true);
+            });
+
+            afterEach(() => {
+                app.set('trust proxy', false);
+            });
+
+            it('records the failed login for the forwarded IP address of the client', () => {
+                nock('https://testserver.com')
+                    .head('/bob/submission')
+                    .reply(204)
+                    .post('/bob/submission')
+                    .reply(401);
+
+                return request(app)
+                    .post(`/submission/${enketoId}`)
+                    .set('X-Forwarded-For', '203.0.113.5')
+                    .field('xml_submission_file', '<data></data>')
+                    .expect(401)
+                    .then(
+                        () => new Promise((resolve) => setTimeout(resolve, 50))
+                    )
+                    .then(() =>
+                        Promise.all([
+                            loginModel.check({ ip: '203.0.113.5' }),
+                            loginModel.check({ ip: '127.0.0.1' }),
+                        ])
+                    )
+                    .then(([client, proxy]) => {
+                        expect(client).to.be.above(0);
+                        expect(proxy).to.equal(0);
+                    });
+            });
+        });
+    });
+
+    describe('for accounts with a submission quota', () => {
+        const account = {
+            linkedServer: validServer,
+            key: 'abc',
+            submissionQuota: 1,
+        };
+        let sandbox;
+
+        beforeEach(() => {
+            sandbox = sinon.createSandbox();
+            sandbox.stub(accountModel, 'check').callsFake((survey) => {
+                survey.account = account;
+
+                return Promise.resolve(survey);
+            });
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+            nock.cleanAll();
+        });
+
+        const submit = (instanceId) =>
+            request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', instanceId)
+                .field('xml_submission_file', '<data></data>');
+
+        it('forwards a submission within the quota and counts it', () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201);
+
+            return (
+                submit('uuid:a')
+                    .expect(201)
+                    // the submission is counted without delaying the response
+                    .then(
+                        () => new Promise((resolve) => setTimeout(resolve, 50))
+                    )
+                    .then(() => usageModel.get(account))
+                    .then((usage) => {
+                        expect(usage.submissions.used).to.equal(1);
+                    })
+            );
+        });
+
+        it('responds with 403 to a new record once the quota is used, without forwarding it', () => {
+            const scope = nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201);
+
+            return usageModel
+                .addSubmission(account, 100, true)
+                .then(() => submit('uuid:b').expect(403))
+                .then(() => {
+                    expect(scope.isDone()).to.equal(false);
+                });
+        });
+
+        it('forwards a later batch of a record that was accepted before the quota was used', () => {
+            const scope = nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201);
+
+            return submissionModel
+                .isNew(enketoId, 'uuid:a')
+                .then(() => usageModel.addSubmission(account, 100, true))
+                .then(() => submit('uuid:a').expect(201))
+                .then(() => {
+                    expect(scope.isDone()).to.equal(true);
+                });
+        });
+    });
+
+    describe('for accounts with webhooks', () => {
+        const account = {
+            linkedServer: validServer,
+            key: 'abc',
+            webhooks: [{ url: 'https://example.com/hook' }],
+        };
+        let sandbox;
+
+        beforeEach(() => {
+            sandbox = sinon.createSandbox();
+            sandbox.stub(accountModel, 'check').callsFake((survey) => {
+                survey.account = account;
+
+                return Promise.resolve(survey);
+            });
+            sandbox.stub(webhooks, 'notifySubmission').resolves([]);
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+            nock.cleanAll();
+        });
+
+        const submit = (instanceId) =>
+            request(app)
+                .post(`/submission/${enketoId}`)
+                .set('X-OpenRosa-Instance-Id', instanceId)
+                .field('xml_submission_file', '<data></data>');
+        // the submission is logged without delaying the response
+        const wait = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+        it('notifies the webhooks once for a record that is submitted in multiple batches', () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .twice()
+                .reply(204)
+                .post('/bob/submission')
+                .twice()
+                .reply(201);
+
+            return submit('uuid:a')
+                .expect(201)
+                .then(wait)
+                .then(() => submit('uuid:a').expect(201))
+                .then(wait)
+                .then(() => {
+                    expect(webhooks.notifySubmission.callCount).to.equal(1);
+                    expect(webhooks.notifySubmission.args[0]).to.deep.equal([
+                        account.webhooks,
+                        {
+                            enketoId,
+                            instanceId: 'uuid:a',
+                            deprecatedId: undefined,
+                            status: 201,
+                        },
+                    ]);
+                });
+        });
+
+        it('does not notify the webhooks of a duplicate submission', () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(202);
+
+            return submit('uuid:a')
+                .expect(202)
+                .then(wait)
+                .then(() => {
+                    expect(webhooks.notifySubmission.called).to.equal(false);
+                });
+        });
+    });
+
+    describe('obtaining the maximum submission size', () => {
+        const authentication = {
+            type: 'token',
+            'query parameter': 'token',
+            url: 'https://example.org/login?return={RETURNURL}',
+        };
+        let sandbox;
+
+        beforeEach(() => {
+            sandbox = sinon.createSandbox();
+            sandbox.stub(accountModel, 'check').callsFake((survey) =>
+                Promise.resolve({
+                    ...survey,
+                    account: { linkedServer: validServer, authentication },
+                })
+            );
+            sandbox.stub(communicator, 'getMaxSize').resolves(1000);
+            sandbox.spy(userModel, 'getCredentials');
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        it('uses the authentication settings of the account', () =>
+            request(app)
+                .get(`/submission/max-size/${enketoId}`)
+                .expect(200, { maxSize: 1000 })
+                .then(() => {
+                    expect(userModel.getCredentials.args[0][1]).to.equal(
+                        authentication
+                    );
+                }));
+    });
+
+    describe('using single-submission links', () => {
+        let link;
+
+        beforeEach(() =>
+            linkModel
+                .create({
+                    enketoId,
+                    type: 'single',
+                    expires: Date.now() + 60000,
+                    maxUses: 1,
+                })
+                .then((created) => {
+                    link = created;
+                })
+        );
+
+        afterEach(() => {
+            nock.cleanAll();
+        });
+
+        const submit = (instanceId) =>
+            request(app)
+                .post(`/submission/${link.token}`)
+                .set('X-OpenRosa-Instance-Id', instanceId)
+                .field('xml_submission_file', '<data></data>');
+        const getUses = () => linkModel.get(link.id).then(({ uses }) => uses);
+
+        it('counts a new record as a use before forwarding it', () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201);
+
+            return submit('uuid:a')
+                .expect(201)
+                .then(getUses)
+                .then((uses) => {
+                    expect(uses).to.equal(1);
+                });
+        });
+
+        it('forwards later batches of a record once the link is used up', () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .twice()
+                .reply(204)
+                .post('/bob/submission')
+                .twice()
+                .reply(201);
+
+            return submit('uuid:a')
+                .expect(201)
+                .then(() =>
+                    submissionModel.isNew(enketoId, 'uuid:a').then(() =>
+                        // the first batch is logged without delaying the response
+                        submit('uuid:a').expect(201)
+                    )
+                )
+                .then(getUses)
+                .then((uses) => {
+                    expect(uses).to.equal(1);
+                });
+        });
+
+        it('responds with 410 to a new record once the link is used up, without forwarding it', () => {
+            const scope = nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(201);
+
+            return linkModel
+                .use(link)
+                .then(() => submit('uuid:b').expect(410))
+                .then(() => {
+                    expect(scope.isDone()).to.equal(false);
+                });
+        });
+
+        it('accepts only one of two concurrent new records', () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .twice()
+                .reply(204)
+                .post('/bob/submission')
+                .twice()
+                .reply(201);
+
+            return Promise.all([
+                submit('uuid:a').then(({ status }) => status),
+                submit('uuid:b').then(({ status }) => status),
+            ]).then((statuses) => {
+                expect(statuses.sort()).to.deep.equal([201, 410]);
+            });
+        });
+
+        it('releases the use if the record is not accepted', () => {
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission')
+                .reply(500);
+
+            return submit('uuid:a')
+                .expect(500)
+                .then(getUses)
+                .then((uses) => {
+                    expect(uses).to.equal(0);
+                });
+        });
+    });
+
+    describe('using resumable uploads', () => {
+        const directory = path.join(os.tmpdir(), 'enketo-uploads-test');
+        const xml = '<data><a>video.mp4</a></data>';
+        const video = Buffer.from('0123456789abcdefghij');
+        const sha256 = (data) =>
+            crypto.createHash('sha256').update(data).digest('hex');
+        const info = {
+            instanceId: 'uuid:a',
+            parts: [
+                {
+                    name: 'xml_submission_file',
+                    filename: 'xml_submission_file',
+                    type: 'text/xml',
+                    size: xml.length,
+                    checksum: sha256(xml),
+                },
+                { name: '__csrf', value: 'token' },
+                {
+                    name: 'video.mp4',
+                    filename: 'video.mp4',
+                    type: 'video/mp4',
+                    size: video.length,
+                    checksum: sha256(video),
+                },
+            ],
+        };
+        let settings;
+
+        /**
+         * @param {'get'|'post'|'patch'} method - HTTP method
+         * @param { string } url - URL of the upload resource
+         * @return {request.Test} request with the upload token of the form
+         */
+        const upload = (method, url) =>
+            request(app)
+                [method](url)
+                .set('X-Enketo-Upload-Token', uploadModel.getToken(enketoId));
+
+        /**
+         * @param { string } uploadId - ID of the upload
+         * @param { number } index - index of the file
+         * @param { number } offset - position of the chunk
+         * @param { Buffer|string } chunk - chunk
+         * @param { string } [checksum] - checksum of the chunk
+         * @return {request.Test} request that appends the chunk
+         */
+        function append(uploadId, index, offset, chunk, checksum) {
+            return upload(
+                'patch',
+                `/submission/upload/${enketoId}/${uploadId}/${index}`
+            )
+                .set('Content-Type', 'application/offset+octet-stream')
+                .set('Upload-Offset', String(offset))
+                .set('Upload-Checksum', `sha256 ${checksum || sha256(chunk)}`)
+                .send(Buffer.from(chunk));
+        }
+
+        /**
+         * @return {Promise<string>} Promise that resolves with the ID of an upload of which all files are complete
+         */
+        function createCompleteUpload() {
+            let uploadId;
+
+            return upload('post', `/submission/upload/${enketoId}`)
+                .send(info)
+                .expect(201)
+                .then((response) => {
+                    ({ uploadId } = response.body);
+
+                    return append(uploadId, 0, 0, xml).expect(200);
+                })
+                .then(() => append(uploadId, 2, 0, video).expect(200))
+                .then(() => uploadId);
+        }
+
+        beforeEach(() => {
+            settings = config['resumable uploads'];
+            config['resumable uploads'] = {
+                ...settings,
+                enabled: true,
+                directory,
+            };
+        });
+
+        afterEach(() => {
+            config['resumable uploads'] = settings;
+            fs.rmSync(directory, { recursive: true, force: true });
+            nock.cleanAll();
+        });
+
+        it('responds with 405 if resumable uploads are disabled', () => {
+            config['resumable uploads'].enabled = false;
+
+            return upload('post', `/submission/upload/${enketoId}`)
+                .send(info)
+                .expect(405);
+        });
+
+        it('responds with 403 without the upload token of the form', () =>
+            Promise.all([
+                request(app)
+                    .post(`/submission/upload/${enketoId}`)
+                    .send(info)
+                    .expect(403),
+                request(app)
+                    .post(`/submission/upload/${enketoId}`)
+                    .set('X-Enketo-Upload-Token', uploadModel.getToken('other'))
+                    .send(info)
+                    .expect(403),
+                request(app)
+                    .patch(`/submission/upload/${enketoId}/abc/0`)
+                    .set('Content-Type', 'application/offset+octet-stream')
+                    .set('Upload-Offset', '0')
+                    .set('Upload-Checksum', `sha256 ${sha256(xml)}`)
+                    .send(Buffer.from(xml))
+                    .expect(403),
+            ]));
+
+        it('responds with 429 once the maximum number of uploads is in progress', () => {
+            config['resumable uploads']['max uploads'] = 1;
+
+            return upload('post', `/submission/upload/${enketoId}`)
+                .send(info)
+                .expect(201)
+                .then(() =>
+                    // the same upload can still be resumed
+                    upload('post', `/submission/upload/${enketoId}`)
+                        .send(info)
+                        .expect(201)
+                )
+                .then(() =>
+                    upload('post', `/submission/upload/${enketoId}`)
+                        .send({ ...info, instanceId: 'uuid:b' })
+                        .expect(429)
+                );
+        });
+
+        it('responds with 400 if the upload information is invalid', () =>
+            upload('post', `/submission/upload/${enketoId}`)
+                .send({ ...info, parts: [{ name: 'a', size: 1 }] })
+                .expect(400));
+
+        it('resumes an existing upload of the same record', () => {
+            let uploadId;
+
+            return upload('post', `/submission/upload/${enketoId}`)
+                .send(info)
+                .expect(201)
+                .then((response) => {
+                    ({ uploadId } = response.body);
+                    expect(response.body.offsets).to.deep.equal([0, null, 0]);
+
+                    return append(uploadId, 2, 0, video.slice(0, 8)).expect(
+                        200
+                    );
+                })
+                .then((response) => {
+                    expect(response.headers['upload-offset']).to.equal('8');
+
+                    return upload('post', `/submission/upload/${enketoId}`)
+                        .send(info)
+                        .expect(201);
+                })
+                .then((response) => {
+                    expect(response.body.uploadId).to.equal(uploadId);
+                    expect(response.body.offsets).to.deep.equal([0, null, 8]);
+                    expect(response.body.complete).to.equal(false);
+                });
+        });
+
+        it('rejects chunks with an unexpected offset or checksum', () => {
+            let uploadId;
+
+            return upload('post', `/submission/upload/${enketoId}`)
+                .send(info)
+                .then((response) => {
+                    ({ uploadId } = response.body);
+
+                    return append(uploadId, 2, 5, video.slice(5)).expect(409);
+                })
+                .then((response) => {
+                    expect(response.headers['upload-offset']).to.equal('0');
+
+                    return append(
+                        uploadId,
+                        2,
+                        0,
+                        video.slice(0, 5),
+                        sha256('other')
+                    ).expect(400);
+                })
+                .then(() =>
+                    upload(
+                        'get',
+                        `/submission/upload/${enketoId}/${uploadId}`
+                    ).expect(200)
+                )
+                .then((response) => {
+                    expect(response.body.offsets).to.deep.equal([0, null, 0]);
+                });
+        });
+
+        it('discards a complete file that does not match its checksum', () =>
+            upload('post', `/submission/upload/${enketoId}`)
+                .send({
+                    ...info,
+                    parts: [{ ...info.parts[0], checksum: sha256('other') }],
+                })
+                .then((response) =>
+                    append(response.body.uploadId, 0, 0, xml)
+                        .expect(400)
+                        .then(() =>
+                            upload(
+                                'get',
+                                `/submission/upload/${enketoId}/${response.body.uploadId}`
+                            ).expect(200)
+                        )
+                )
+                .then((response) => {
+                    expect(response.body.offsets).to.deep.equal([0]);
+                }));
+
+        it('responds with 409 if an incomplete upload is submitted', () =>
+            upload('post', `/submission/upload/${enketoId}`)
+                .send(info)
+                .then((response) =>
+                    upload(
+                        'post',
+                        `/submission/upload/${enketoId}/${response.body.uploadId}/submit`
+                    ).expect(409)
+                ));
+
+        it('forwards the complete submission and removes the upload', () => {
+            let body;
+            let instanceId;
+
+            nock('https://testserver.com')
+                .head('/bob/submission')
+                .reply(204)
+                .post('/bob/submission', (b) => {
+                    body = b;
+
+                    return true;
+                })
+                .reply(function () {
+                    instanceId = this.req.headers['x-openrosa-instance-id'];
+
+                    return [
+                        201,
+                        '<OpenRosaResponse/>',
+                        { 'Content-Type': 'text/xml' },
+                    ];
+                });
+
+            return createCompleteUpload()
+                .then((uploadId) =>
+                    upload(
+                        'post',
+                        `/submission/upload/${enketoId}/${uploadId}/submit`
+                    )
+                        .expect(201)
+                        .then(() =>
+                            upload(
+                                'get',
+                                `/submission/upload/${enketoId}/${uploadId}`
+                            ).expect(404)
+                        )
+                )
+                .then(() => {
+                    expect(instanceId).to.equal('uuid:a');
+                    expect(body).to.include(xml);
+                    expect(body).to.include(video.toString());
+                    expect(body).to.match(/name="__csrf"\r\n\r\ntoken/);
+                    expect(body).to.include('filename="video.mp4"');
+                });
+        });
+    });
 });
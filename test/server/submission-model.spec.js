@@ -5,19 +5,13 @@ const chai = require('chai');
 
 const { expect } = chai;
 const chaiAsPromised = require('chai-as-promised');
-const redis = require('redis');
 const config = require('../../app/models/config-model').server;
+const storage = require('../../app/lib/storage');
 
 config['base path'] = '';
 const submission = require('../../app/models/submission-model');
 
-const client = redis.createClient(
-    config.redis.main.port,
-    config.redis.main.host,
-    {
-        auth_pass: config.redis.main.password,
-    }
-);
+const client = storage.getClient('main');
 
 chai.use(chaiAsPromised);
 
@@ -95,4 +89,129 @@ describe('Survey Model', () => {
                 .that.equals(400);
         });
     });
+
+    describe('submission audit log', () => {
+        const audit = config.log['submission audit'];
+        const survey = {
+            openRosaServer: 'https://example.org/bob',
+            openRosaId: 'widgets',
+        };
+        const attempt = (instanceId, status = 201) => ({
+            enketoId: 'AAAA',
+            instanceId,
+            status,
+            size: 1024,
+            duration: 50,
+            ip: '192.168.1.0',
+        });
+
+        beforeEach(() => {
+            config.log['submission audit'] = {
+                enabled: true,
+                'max entries per server': 3,
+                expiry: 60000,
+            };
+        });
+
+        afterEach(() => {
+            config.log['submission audit'] = audit;
+        });
+
+        it('does not log anything when disabled', () => {
+            config.log['submission audit'].enabled = false;
+
+            return submission
+                .logAttempt(survey, attempt('uuid:a'))
+                .then((entry) => expect(entry).to.equal(null))
+                .then(() => submission.getLog(survey.openRosaServer))
+                .then((log) => expect(log.total).to.equal(0));
+        });
+
+        it('is rejected if the survey information is incomplete', () =>
+            expect(
+                submission.logAttempt(
+                    { openRosaServer: survey.openRosaServer },
+                    attempt('uuid:a')
+                )
+            )
+                .to.eventually.be.rejected.and.have.property('status')
+                .that.equals(400));
+
+        it('returns the most recent entries of the server, up to the configured maximum per server', () =>
+            submission
+                .logAttempt(survey, attempt('uuid:a', 500))
+                .then(() => submission.logAttempt(survey, attempt('uuid:b')))
+                .then(() => submission.logAttempt(survey, attempt('uuid:c')))
+                .then(() =>
+                    submission.logAttempt(
+                        { ...survey, openRosaId: 'other' },
+                        attempt('uuid:d')
+                    )
+                )
+                .then(() =>
+                    submission.logAttempt(
+                        {
+                            ...survey,
+                            openRosaServer: 'https://example.org/bobby',
+                        },
+                        attempt('uuid:e')
+                    )
+                )
+                .then(() => submission.getLog('https://example.org/bob'))
+                .then((log) => {
+                    expect(log.total).to.equal(3);
+                    expect(
+                        log.entries.map((entry) => entry.instanceId)
+                    ).to.deep.equal(['uuid:d', 'uuid:c', 'uuid:b']);
+                    expect(log.entries[0]).to.include({
+                        openRosaServer: survey.openRosaServer,
+                        enketoId: 'AAAA',
+                        deprecatedId: null,
+                        status: 201,
+                        size: 1024,
+                        duration: 50,
+                        ip: '192.168.1.0',
+                    });
+                }));
+
+        it('filters by form and date and returns the requested page', () =>
+            submission
+                .logAttempt(survey, attempt('uuid:a'))
+                .then(() => submission.logAttempt(survey, attempt('uuid:b')))
+                .then(() =>
+                    submission.logAttempt(
+                        { ...survey, openRosaId: 'other' },
+                        attempt('uuid:c')
+                    )
+                )
+                .then(() =>
+                    Promise.all([
+                        submission.getLog(survey.openRosaServer, {
+                            formId: 'widgets',
+                            offset: 1,
+                            limit: 1,
+                        }),
+                        submission.getLog(survey.openRosaServer, {
+                            since: new Date(Date.now() + 60000),
+                        }),
+                        submission.getLog(survey.openRosaServer, {
+                            offset: 1,
+                            limit: 1,
+                        }),
+                    ])
+                )
+                .then(([page, future, all]) => {
+                    expect(page.total).to.equal(2);
+                    expect(page.entries.length).to.equal(1);
+                    expect(page.entries[0]).to.include({
+                        openRosaId: 'widgets',
+                        instanceId: 'uuid:a',
+                    });
+                    expect(future.total).to.equal(0);
+                    expect(all.total).to.equal(3);
+                    expect(
+                        all.entries.map((entry) => entry.instanceId)
+                    ).to.deep.equal(['uuid:b']);
+                }));
+    });
 });
@@ -3,17 +3,11 @@ process.env.NODE_ENV = 'test';
 
 const chai = require('chai');
 const chaiAsPromised = require('chai-as-promised');
-const redis = require('redis');
 const config = require('../../app/models/config-model').server;
+const storage = require('../../app/lib/storage');
 const model = require('../../app/models/survey-model');
 
-const client = redis.createClient(
-    config.redis.main.port,
-    config.redis.main.host,
-    {
-        auth_pass: config.redis.main.password,
-    }
-);
+const client = storage.getClient('main');
 
 chai.use(chaiAsPromised);
 
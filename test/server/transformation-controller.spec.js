@@ -2,10 +2,12 @@ const { expect } = require('chai');
 const transformer = require('enketo-transformer');
 const request = require('supertest');
 const sinon = require('sinon');
+const circuitBreaker = require('../../app/lib/circuit-breaker');
 const communicator = require('../../app/lib/communicator');
 const accountModel = require('../../app/models/account-model');
 const config = require('../../app/models/config-model').server;
 const cacheModel = require('../../app/models/cache-model');
+const loginModel = require('../../app/models/login-model');
 const surveyModel = require('../../app/models/survey-model');
 const userModel = require('../../app/models/user-model');
 
@@ -549,4 +551,152 @@ describe('Transformation Controller', () => {
             expect(cacheSetSpy.calledOnce).to.be.true;
         });
     });
+
+    describe('cache fallback', () => {
+        beforeEach(async () => {
+            sandbox
+                .stub(config['openrosa requests'], 'cache fallback')
+                .value(true);
+
+            await cacheModel.set({
+                openRosaServer,
+                openRosaId,
+                info: { hash: 'md5:c4ch3d' },
+                form: '<form>cached</form>',
+                model: '<model>cached</model>',
+                manifest: [],
+            });
+
+            sandbox.stub(communicator, 'getXFormInfo').callsFake(() => {
+                const error = new Error('connect ECONNREFUSED');
+                error.code = 'ECONNREFUSED';
+
+                return Promise.reject(error);
+            });
+        });
+
+        it('serves the cached form if the OpenRosa server fails after authenticating the user', async () => {
+            sandbox
+                .stub(communicator, 'authenticate')
+                .callsFake((survey) => Promise.resolve(survey));
+
+            const { body } = await request(app)
+                .post(`/transform/xform/${enketoId}`)
+                .expect(200);
+
+            expect(body.form).to.equal('<form>cached</form>');
+        });
+
+        it('does not serve the cached form to a user who was not given access before if the OpenRosa server could not authenticate the user', async () => {
+            sandbox.stub(communicator, 'authenticate').callsFake(() => {
+                const error = new Error('connect ECONNREFUSED');
+                error.code = 'ECONNREFUSED';
+
+                return Promise.reject(error);
+            });
+
+            const { body } = await request(app)
+                .post(`/transform/xform/${enketoId}`)
+                .expect(500);
+
+            expect(body.form).to.equal(undefined);
+        });
+
+        describe('while the circuit of the OpenRosa server is open', () => {
+            beforeEach(() => {
+                userModel.getCredentials.callsFake(() => ({ bearer }));
+                sandbox
+                    .stub(config['openrosa requests'], 'failure threshold')
+                    .value(1);
+                circuitBreaker.recordFailure(new URL(openRosaServer).host);
+            });
+
+            afterEach(() => {
+                circuitBreaker.reset();
+            });
+
+            it('serves the cached form to a user who was given access before', async () => {
+                await cacheModel.setAccess(survey, { bearer });
+
+                const { body } = await request(app)
+                    .post(`/transform/xform/${enketoId}`)
+                    .expect(200);
+
+                expect(body.form).to.equal('<form>cached</form>');
+            });
+
+            it('serves a cached public form to anonymous users', async () => {
+                userModel.getCredentials.callsFake(() => null);
+                await cacheModel.setAccess(survey, null);
+
+                const { body } = await request(app)
+                    .post(`/transform/xform/${enketoId}`)
+                    .expect(200);
+
+                expect(body.form).to.equal('<form>cached</form>');
+            });
+
+            it('does not serve the cached form to a user who was not given access before', async () => {
+                await cacheModel.setAccess(survey, { bearer: 'kermit' });
+
+                const { body } = await request(app)
+                    .post(`/transform/xform/${enketoId}`)
+                    .expect(503);
+
+                expect(body.form).to.equal(undefined);
+            });
+        });
+    });
+
+    describe('login lockouts', () => {
+        const username = 'bob';
+
+        /** @type {object} */
+        let loginThrottling;
+
+        beforeEach(() => {
+            loginThrottling = config['login throttling'];
+            config['login throttling'] = {
+                'max attempts': 1,
+                lockout: 60000,
+                'max lockout': 60000,
+            };
+
+            userModel.getCredentials.callsFake(() => ({
+                user: username,
+                pass: 'guessed',
+            }));
+        });
+
+        afterEach(async () => {
+            config['login throttling'] = loginThrottling;
+            await loginModel.unlock('username', username);
+        });
+
+        it('does not pass the credentials of a locked out user to the OpenRosa server', async () => {
+            const authenticate = sandbox.stub(communicator, 'authenticate');
+
+            await loginModel.recordFailure({ username });
+
+            const response = await request(app)
+                .post(`/transform/xform/${enketoId}`)
+                .expect(429);
+
+            expect(response.headers['retry-after']).to.equal('60');
+            expect(authenticate.called).to.be.false;
+        });
+
+        it('records a failed login of a user who was not locked out', async () => {
+            sandbox.stub(communicator, 'authenticate').callsFake(() => {
+                const error = new Error('Forbidden');
+                error.status = 401;
+
+                return Promise.reject(error);
+            });
+
+            await request(app).post(`/transform/xform/${enketoId}`).expect(401);
+
+            expect(await loginModel.check({ username })).to.be.above(0);
+        });
+    });
 });
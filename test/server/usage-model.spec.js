@@ -0,0 +1,178 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const chai = require('chai');
+
+const { expect } = chai;
+const chaiAsPromised = require('chai-as-promised');
+const storage = require('../../app/lib/storage');
+const surveyModel = require('../../app/models/survey-model');
+const model = require('../../app/models/usage-model');
+
+const client = storage.getClient('main');
+
+chai.use(chaiAsPromised);
+
+describe('Usage Model', () => {
+    const account = {
+        linkedServer: 'https://testserver.com/bob',
+        key: 'abc',
+        quota: 2,
+        submissionQuota: 2,
+        attachmentQuota: 1000,
+    };
+
+    afterEach((done) => {
+        // select test database and flush it
+        client.select(15, (err) => {
+            if (err) {
+                return done(err);
+            }
+            client.flushdb((err) => {
+                if (err) {
+                    return done(err);
+                }
+                done();
+            });
+        });
+    });
+
+    describe('getLimits', () => {
+        it('treats missing, empty and invalid quotas as unlimited', () => {
+            expect(
+                model.getLimits({
+                    quota: null,
+                    submissionQuota: '',
+                    attachmentQuota: 'abc',
+                })
+            ).to.deep.equal({
+                surveys: Infinity,
+                submissions: Infinity,
+                attachmentBytes: Infinity,
+            });
+        });
+
+        it('converts quotas set as strings', () => {
+            expect(model.getLimits({ quota: '5' }).surveys).to.equal(5);
+        });
+    });
+
+    describe('get: when obtaining the usage', () => {
+        it('returns zero usage for a new account', () =>
+            model.get(account).then((usage) => {
+                expect(usage.period).to.match(/^\d{4}-\d{2}$/);
+                expect(usage.surveys).to.deep.equal({
+                    used: 0,
+                    limit: 2,
+                    warning: false,
+                });
+                expect(usage.submissions.used).to.equal(0);
+                expect(usage.attachmentBytes.used).to.equal(0);
+            }));
+
+        it('counts active surveys, submissions and submitted bytes, and warns when nearing a quota', () =>
+            surveyModel
+                .set({
+                    openRosaServer: 'https://testserver.com/bob',
+                    openRosaId: 'widgets',
+                })
+                .then(() => model.addSubmission(account, 500, true))
+                // a second batch of the same record
+                .then(() => model.addSubmission(account, 450, false))
+                .then(() => model.get(account))
+                .then((usage) => {
+                    expect(usage.surveys.used).to.equal(1);
+                    expect(usage.surveys.warning).to.equal(false);
+                    expect(usage.submissions.used).to.equal(1);
+                    expect(usage.attachmentBytes).to.deep.equal({
+                        used: 950,
+                        limit: 1000,
+                        warning: true,
+                    });
+                }));
+
+        it('tracks usage per linked server', () =>
+            model
+                .addSubmission(account, 500, true)
+                .then(() =>
+                    model.get({
+                        ...account,
+                        linkedServer: 'https://testserver.com/alice',
+                    })
+                )
+                .then((usage) => expect(usage.submissions.used).to.equal(0)));
+    });
+
+    describe('checkSubmission: when checking whether a submission is allowed', () => {
+        it('allows submissions within the quotas', () =>
+            model
+                .addSubmission(account, 500, true)
+                .then(() =>
+                    expect(
+                        model.checkSubmission(account, 500)
+                    ).to.eventually.deep.equal(account)
+                ));
+
+        it('rejects with a translated 403 error when the submission quota is reached', () =>
+            model
+                .addSubmission(account, 10, true)
+                .then(() => model.addSubmission(account, 10, true))
+                .then(() =>
+                    expect(
+                        model.checkSubmission(account, 10)
+                    ).to.eventually.be.rejected.and.to.include({
+                        status: 403,
+                        translationKey: 'error.quotaexceeded.submissions',
+                    })
+                ));
+
+        it('rejects with a translated 403 error when the submission would exceed the attachment quota', () =>
+            model.addSubmission(account, 600, true).then(() =>
+                expect(
+                    model.checkSubmission(account, 600)
+                ).to.eventually.be.rejected.and.to.include({
+                    status: 403,
+                    translationKey: 'error.quotaexceeded.attachmentbytes',
+                })
+            ));
+
+        it('allows anything for accounts without quotas', () => {
+            const unlimited = { linkedServer: '', key: 'abc' };
+
+            return model
+                .addSubmission(unlimited, 1e12, true)
+                .then(() =>
+                    expect(
+                        model.checkSubmission(unlimited, 1e12)
+                    ).to.eventually.deep.equal(unlimited)
+                );
+        });
+    });
+
+    describe('checkSurveys: when checking whether a survey can be launched', () => {
+        const launch = (openRosaId) =>
+            surveyModel.set({
+                openRosaServer: 'https://testserver.com/bob',
+                openRosaId,
+            });
+
+        it('allows launching surveys within the quota', () =>
+            launch('a').then(() =>
+                expect(model.checkSurveys(account)).to.eventually.deep.equal(
+                    account
+                )
+            ));
+
+        it('rejects with a translated 403 error when the quota is reached', () =>
+            launch('a')
+                .then(() => launch('b'))
+                .then(() =>
+                    expect(
+                        model.checkSurveys(account)
+                    ).to.eventually.be.rejected.and.to.include({
+                        status: 403,
+                        translationKey: 'error.quotaexceeded.surveys',
+                    })
+                ));
+    });
+});
@@ -233,4 +233,20 @@ describe('Utilities', () => {
             });
         });
     });
+
+    describe('anonymizeIp function', () => {
+        [
+            ['192.168.1.123', '192.168.1.0'],
+            ['::ffff:10.0.0.5', '10.0.0.0'],
+            ['2001:db8:85a3:8d3:1319:8a2e:370:7348', '2001:db8:85a3::'],
+            ['2001:DB8::1', '2001:db8:0::'],
+            ['::1', '0:0:0::'],
+            ['not an ip', null],
+            [undefined, null],
+        ].forEach(([ip, expected]) => {
+            it(`should anonymize ${ip}`, () => {
+                expect(utils.anonymizeIp(ip)).to.equal(expected);
+            });
+        });
+    });
 });
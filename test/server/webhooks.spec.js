@@ -0,0 +1,112 @@
+// safer to ensure this here (in addition to grunt:env:test)
+process.env.NODE_ENV = 'test';
+
+const nock = require('nock');
+const chai = require('chai');
+
+const { expect } = chai;
+const webhooks = require('../../app/lib/webhooks');
+
+describe('Webhooks Library', () => {
+    const event = {
+        enketoId: 'abcd',
+        instanceId: 'uuid:a',
+        status: 201,
+    };
+    const webhook = {
+        url: 'https://example.org/hook',
+        secret: 'shhh',
+        retries: 2,
+        'retry delay': 1,
+    };
+
+    afterEach(() => {
+        nock.cleanAll();
+    });
+
+    it('posts the submission information with a valid signature', () => {
+        let received;
+
+        nock('https://example.org')
+            .post('/hook')
+            .reply(function (uri, body) {
+                received = { headers: this.req.headers, body };
+
+                return [200];
+            });
+
+        return webhooks.notifySubmission([webhook], event).then(([result]) => {
+            expect(result).to.deep.equal({
+                url: webhook.url,
+                attempts: 1,
+                status: 200,
+                delivered: true,
+            });
+            expect(received.body).to.include({
+                event: 'submission',
+                enketoId: 'abcd',
+                instanceId: 'uuid:a',
+                deprecatedId: null,
+                status: 201,
+            });
+            expect(received.body.timestamp).to.be.a('string');
+            expect(received.headers['x-enketo-signature']).to.equal(
+                webhooks.sign(JSON.stringify(received.body), 'shhh')
+            );
+        });
+    });
+
+    it('ignores webhooks without a URL', () =>
+        webhooks
+            .notifySubmission([{ url: '', secret: '' }], event)
+            .then((results) => expect(results).to.deep.equal([])));
+
+    it('retries with the same delivery ID until the webhook accepts the notification', () => {
+        const deliveryIds = [];
+        const record = function () {
+            deliveryIds.push(this.req.headers['x-enketo-delivery']);
+        };
+
+        nock('https://example.org')
+            .post('/hook')
+            .reply(function () {
+                record.call(this);
+
+                return [503];
+            })
+            .post('/hook')
+            .replyWithError('socket hang up')
+            .post('/hook')
+            .reply(function () {
+                record.call(this);
+
+                return [204];
+            });
+
+        return webhooks.notifySubmission([webhook], event).then(([result]) => {
+            expect(result.attempts).to.equal(3);
+            expect(result.delivered).to.equal(true);
+            expect(deliveryIds[0]).to.be.a('string');
+            expect(deliveryIds[0]).to.equal(deliveryIds[1]);
+        });
+    });
+
+    it('gives up after the configured number of retries', () => {
+        nock('https://example.org').post('/hook').times(3).reply(500);
+
+        return webhooks.notifySubmission([webhook], event).then(([result]) => {
+            expect(result.attempts).to.equal(3);
+            expect(result.delivered).to.equal(false);
+            expect(result.status).to.equal(500);
+        });
+    });
+
+    it('does not retry when the webhook rejects the notification', () => {
+        nock('https://example.org').post('/hook').reply(400);
+
+        return webhooks.notifySubmission([webhook], event).then(([result]) => {
+            expect(result.attempts).to.equal(1);
+            expect(result.delivered).to.equal(false);
+        });
+    });
+});